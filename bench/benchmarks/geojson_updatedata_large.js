@@ -0,0 +1,92 @@
+'use strict';
+
+var Evented = require('../../js/util/evented');
+var util = require('../../js/util/util');
+var formatNumber = require('../lib/format_number');
+var setDataPerf = require('../lib/set_data_perf');
+var updateDataPerf = require('../lib/update_data_perf');
+var workerUpdatePerf = require('../lib/worker_update_perf');
+var setupGeoJSONMap = require('../lib/setup_geojson_map');
+
+var NUM_FEATURES = 20000;
+var NUM_CHANGES = 5;
+var center = [-77.032194, 38.912753];
+
+// A deterministic feed of points scattered around the map center
+var features = [];
+for (var i = 0; i < NUM_FEATURES; i++) {
+    features.push(createFeature(i, 0));
+}
+
+var featureCollection = {
+    'type': 'FeatureCollection',
+    'features': features
+};
+
+function createFeature(id, version) {
+    var angle = (id * 137.508 + version * 10) * Math.PI / 180;
+    var distance = 8 * Math.sqrt((id + 1) / NUM_FEATURES);
+    return {
+        'type': 'Feature',
+        'id': id,
+        'properties': { 'version': version },
+        'geometry': {
+            'type': 'Point',
+            'coordinates': [
+                center[0] + distance * Math.cos(angle),
+                center[1] + distance * Math.sin(angle) / 2
+            ]
+        }
+    };
+}
+
+function createDiff(call) {
+    var update = [];
+    for (var i = 0; i < NUM_CHANGES; i++) {
+        var feature = createFeature((call * NUM_CHANGES + i) * 997 % NUM_FEATURES, call + 1);
+        update.push({ 'id': feature.id, 'geometry': feature.geometry });
+    }
+    return { 'update': update };
+}
+
+module.exports = function(options) {
+    var evented = util.extend({}, Evented);
+
+    var map = options.createMap({
+        width: 1024,
+        height: 768,
+        zoom: 5,
+        center: center,
+        style: 'mapbox://styles/mapbox/bright-v8'
+    });
+
+    map.on('load', function() {
+        map = setupGeoJSONMap(map);
+
+        var source = map.getSource('geojson');
+
+        evented.fire('log', {message: 'rebuilding the worker index with parse geojson and update geojson'});
+        workerUpdatePerf(source, 10, featureCollection, createDiff, function(err, workerUpdateMs, workerParseMs) {
+            if (err) return evented.fire('error', {error: err});
+            evented.fire('log', {message: 'average worker index time: ' + formatNumber(workerUpdateMs) + ' ms (parse: ' + formatNumber(workerParseMs) + ' ms)'});
+
+            evented.fire('log', {message: 'loading large feature collection with setData'});
+            setDataPerf(source, 10, featureCollection, function(err, setDataMs) {
+                if (err) return evented.fire('error', {error: err});
+                evented.fire('log', {message: 'average setData time: ' + formatNumber(setDataMs) + ' ms'});
+
+                evented.fire('log', {message: 'updating ' + NUM_CHANGES + ' features at a time with updateData'});
+                updateDataPerf(source, 50, createDiff, function(err, ms) {
+                    if (err) return evented.fire('error', {error: err});
+                    evented.fire('end', {
+                        message: 'average update time: ' + formatNumber(ms) + ' ms (setData: ' + formatNumber(setDataMs) + ' ms, ' +
+                            'worker index: ' + formatNumber(workerUpdateMs) + ' ms)',
+                        score: ms
+                    });
+                });
+            });
+        });
+    });
+
+    return evented;
+};
@@ -0,0 +1,70 @@
+'use strict';
+
+// Measures the time from calling `updateData` until the worker has applied the
+// diff and every tile it reloads has loaded again. `updateData` only queues
+// the diff, which is sent to the worker on the next frame, so an update is
+// finished once the worker's reply has reloaded the tiles and those are
+// loaded. Unlike `setData`, `updateData` only reloads the tiles that the
+// changed features touch, so the number of tiles to wait for varies.
+module.exports = function(source, numCalls, createDiff, cb) {
+    var pendingTiles = 0;
+    var updated = false;
+    var startTime = null;
+    var times = [];
+
+    var pyramid = source._pyramid;
+    var load = pyramid._load;
+    var reloadTiles = pyramid.reloadTiles;
+
+    pyramid._load = function(tile) {
+        pendingTiles++;
+        return load(tile);
+    };
+
+    // called with the worker's reply, after which the reloaded tiles are pending
+    pyramid.reloadTiles = function() {
+        reloadTiles.apply(pyramid, arguments);
+        updated = true;
+        check();
+    };
+
+    source.on('tile.load', onTileLoad);
+    source.on('error', onError);
+
+    function onTileLoad() {
+        pendingTiles--;
+        check();
+    }
+
+    function onError(e) {
+        finish(e.error);
+    }
+
+    function check() {
+        if (!updated || pendingTiles > 0) return;
+
+        times.push(performance.now() - startTime);
+
+        if (times.length < numCalls) {
+            update();
+        } else {
+            finish(null, times.reduce((v, t) => v + t, 0) / times.length);
+        }
+    }
+
+    function update() {
+        updated = false;
+        startTime = performance.now();
+        source.updateData(createDiff(times.length));
+    }
+
+    function finish(err, avgTime) {
+        pyramid._load = load;
+        pyramid.reloadTiles = reloadTiles;
+        source.off('tile.load', onTileLoad);
+        source.off('error', onError);
+        cb(err, avgTime);
+    }
+
+    update();
+};
@@ -0,0 +1,47 @@
+'use strict';
+
+var util = require('../../js/util/util');
+var Worker = require('../../js/source/worker');
+
+// Measures the time the worker takes to rebuild a source's index, once when
+// parsing the whole data as `setData` does and once when applying a diff as
+// `updateData` does. Both run synchronously, on a worker created on the main
+// thread, so that tile loading doesn't add to the times.
+module.exports = function(source, numCalls, geojson, createDiff, cb) {
+    var worker = new Worker({addEventListener: function() {}});
+    var params = {
+        source: source.id,
+        geojsonVtOptions: source.geojsonVtOptions,
+        cluster: source.cluster,
+        clusterProperties: source.clusterProperties,
+        superclusterOptions: source.superclusterOptions
+    };
+    var data = JSON.stringify(geojson);
+
+    var parseMs = measure(function(i, callback) {
+        worker['parse geojson'](util.extend({data: data}, params), callback);
+    });
+    if (parseMs instanceof Error) return cb(parseMs);
+
+    var updateMs = measure(function(i, callback) {
+        worker['update geojson'](util.extend({diffs: JSON.stringify([createDiff(i)])}, params), callback);
+    });
+    if (updateMs instanceof Error) return cb(updateMs);
+
+    cb(null, updateMs, parseMs);
+
+    function measure(fn) {
+        var error = null;
+        var time = 0;
+        for (var i = 0; i < numCalls && !error; i++) {
+            var start = performance.now();
+            fn(i, onDone);
+            time += performance.now() - start;
+        }
+        return error || time / numCalls;
+
+        function onDone(err) {
+            error = error || err;
+        }
+    }
+};
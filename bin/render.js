@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+'use strict';
+
+// Script for rendering a style to a PNG image
+
+var fs = require('fs');
+var mapboxgl = require('../js/mapbox-gl');
+
+var usage = 'Usage: %s %s style.json output.png [--center lng,lat] [--zoom z] [--bearing degrees]' +
+    ' [--pitch degrees] [--width pixels] [--height pixels] [--pixel-ratio ratio] [--access-token token]';
+
+var args = process.argv.slice(2);
+var files = [];
+var options = {};
+
+while (args.length) {
+    var arg = args.shift();
+    if (arg.slice(0, 2) !== '--') {
+        files.push(arg);
+        continue;
+    }
+
+    var value = args.shift();
+    switch (arg) {
+    case '--center': options.center = value.split(',').map(Number); break;
+    case '--zoom': options.zoom = Number(value); break;
+    case '--bearing': options.bearing = Number(value); break;
+    case '--pitch': options.pitch = Number(value); break;
+    case '--width': options.width = Number(value); break;
+    case '--height': options.height = Number(value); break;
+    case '--pixel-ratio': options.pixelRatio = Number(value); break;
+    case '--access-token': mapboxgl.accessToken = value; break;
+    default:
+        console.warn('Unknown option %s', arg);
+        console.warn(usage, process.argv[0], process.argv[1]);
+        process.exit(1);
+    }
+}
+
+if (files.length !== 2) {
+    console.warn(usage, process.argv[0], process.argv[1]);
+    process.exit(1);
+}
+
+options.style = /^\w+:\/\//.test(files[0]) ? files[0] : JSON.parse(fs.readFileSync(files[0]));
+
+mapboxgl.renderStatic(options, function(err, png) {
+    if (err) {
+        console.error(err.message || err);
+        process.exit(1);
+    }
+    fs.writeFileSync(files[1], png);
+});
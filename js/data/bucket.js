@@ -1,6 +1,6 @@
 'use strict';
 
-var featureFilter = require('feature-filter');
+var featureFilter = require('../style/filter');
 var Buffer = require('./buffer');
 var util = require('../util/util');
 var StructArrayType = require('../util/struct_array');
@@ -18,6 +18,8 @@ Bucket.create = function(options) {
         fill: require('./bucket/fill_bucket'),
         line: require('./bucket/line_bucket'),
         circle: require('./bucket/circle_bucket'),
+        'fill-extrusion': require('./bucket/fill_extrusion_bucket'),
+        heatmap: require('./bucket/heatmap_bucket'),
         symbol: require('./bucket/symbol_bucket')
     };
     return new Classes[options.layer.type](options);
@@ -39,6 +41,27 @@ Bucket.create = function(options) {
  */
 Bucket.EXTENT = 8192;
 
+/**
+ * A paint attribute holding each feature's value of its layer's time property.
+ * It is only populated for layers that have a time property, and lets the
+ * shaders hide features outside of the layer's time range without rebuilding
+ * the buffers. See `StyleLayer#setTimeRange`.
+ *
+ * @private
+ * @readonly
+ */
+Bucket.TIME_ATTRIBUTE = {
+    name: 'a_time',
+    components: 1,
+    type: 'Float32',
+    getValue: function(layer, globalProperties, featureProperties) {
+        return [layer.getFeatureTime(featureProperties)];
+    },
+    isFeatureConstant: function(layer) {
+        return !layer.timeProperty;
+    }
+};
+
 /**
  * The `Bucket` class is the single point of knowledge about turning vector
  * tiles into WebGL buffers.
@@ -76,6 +99,7 @@ function Bucket(options) {
 
     if (options.elementGroups) {
         this.elementGroups = options.elementGroups;
+        this.featureVertexRanges = options.featureVertexRanges;
         this.buffers = util.mapObject(options.arrays, function(array, bufferName) {
             var arrayType = options.arrayTypes[bufferName];
             var type = (arrayType.members.length && arrayType.members[0].name === 'vertices' ? Buffer.BufferType.ELEMENT : Buffer.BufferType.VERTEX);
@@ -92,13 +116,44 @@ Bucket.prototype.populateBuffers = function() {
     this.createArrays();
     this.recalculateStyleLayers();
 
+    var paintInterfaceNames = this.getPaintInterfaceNames();
+    var vertexArrays = paintInterfaceNames.map(function(interfaceName) {
+        return this.arrays[this.getBufferName(interfaceName, 'vertex')];
+    }, this);
+
     for (var i = 0; i < this.features.length; i++) {
-        this.addFeature(this.features[i]);
+        var feature = this.features[i];
+
+        // Features with an id can be given a feature state later on, so
+        // remember which vertices they own in each data-driven paint buffer.
+        // geojson-vt gives features without an id a `null` one.
+        if (feature.id == null || !vertexArrays.length) {
+            this.addFeature(feature);
+            continue;
+        }
+
+        var startIndices = vertexArrays.map(getLength);
+        this.addFeature(feature);
+        for (var j = 0; j < vertexArrays.length; j++) {
+            if (vertexArrays[j].length > startIndices[j]) {
+                this.addFeatureVertexRange(feature, paintInterfaceNames[j], startIndices[j], vertexArrays[j].length);
+            }
+        }
     }
 
     this.trimArrays();
 };
 
+Bucket.prototype.addFeatureVertexRange = function(feature, programInterface, startIndex, endIndex) {
+    var ranges = this.featureVertexRanges[feature.id] = this.featureVertexRanges[feature.id] || [];
+    ranges.push({
+        featureIndex: feature.index,
+        programInterface: programInterface,
+        startIndex: startIndex,
+        endIndex: endIndex
+    });
+};
+
 /**
  * Check if there is enough space available in the current element group for
  * `vertexLength` vertices. If not, append a new elementGroup. Should be called
@@ -140,6 +195,7 @@ Bucket.prototype.makeRoomFor = function(programName, numVertices) {
  */
 Bucket.prototype.createArrays = function() {
     var elementGroups = this.elementGroups = {};
+    this.featureVertexRanges = {};
     var arrays = this.arrays = {};
     var arrayTypes = this.arrayTypes = {};
 
@@ -214,12 +270,24 @@ Bucket.prototype.setAttribPointers = function(programName, gl, program, offset)
 };
 
 Bucket.prototype.setUniforms = function(gl, programName, program, layer, globalProperties) {
-    var disabledAttributes = this.attributes[programName].paintAttributes[layer.id].disabled;
+    var paintAttributes = this.attributes[programName].paintAttributes[layer.id];
+
+    var disabledAttributes = paintAttributes.disabled;
     for (var i = 0; i < disabledAttributes.length; i++) {
         var attribute = disabledAttributes[i];
         var attributeId = program[attribute.name];
+        // skip attributes that have no uniform fallback in this program
+        if (attributeId === undefined) continue;
         gl['uniform' + attribute.components + 'fv'](attributeId, attribute.getValue(layer, globalProperties));
     }
+
+    var enabledAttributes = paintAttributes.enabled;
+    for (var j = 0; j < enabledAttributes.length; j++) {
+        var zoomAttribute = enabledAttributes[j];
+        if (!zoomAttribute.zoomLevels) continue;
+        gl.uniform1f(program[zoomAttribute.name + '_t'],
+            layer.getPaintInterpolationT(zoomAttribute.paintProperty, globalProperties.zoom, zoomAttribute.zoomLevels));
+    }
 };
 
 Bucket.prototype.bindLayoutBuffers = function(programInterfaceName, gl, options) {
@@ -266,6 +334,7 @@ Bucket.prototype.serialize = function() {
             return array.serialize();
         }),
         arrayTypes: this.arrayTypes,
+        featureVertexRanges: this.featureVertexRanges,
 
         childLayerIds: this.childLayers.map(function(layer) {
             return layer.id;
@@ -291,6 +360,9 @@ Bucket.prototype.getProgramMacros = function(programInterface, layer) {
     var enabledAttributes = this.attributes[programInterface].paintAttributes[layer.id].enabled;
     for (var i = 0; i < enabledAttributes.length; i++) {
         macros.push('ATTRIBUTE_' + enabledAttributes[i].name.toUpperCase());
+        if (enabledAttributes[i].zoomLevels) {
+            macros.push('ATTRIBUTE_ZOOM_' + enabledAttributes[i].name.toUpperCase());
+        }
     }
     return macros;
 };
@@ -301,27 +373,105 @@ Bucket.prototype.addPaintAttributes = function(interfaceName, globalProperties,
         var length = this.arrays[this.getBufferName(interfaceName, 'vertex')].length;
         var vertexArray = this.arrays[this.getBufferName(layer.id, interfaceName)];
         var enabled = this.attributes[interfaceName].paintAttributes[layer.id].enabled;
-        for (var m = 0; m < enabled.length; m++) {
-            var attribute = enabled[m];
 
-            if (attribute.paintProperty === undefined) continue;
-
-            var value = attribute.getValue(layer, globalProperties, featureProperties);
-            var multiplier = attribute.multiplier || 1;
-            var components = attribute.components || 1;
+        vertexArray.resize(length);
+        setPaintAttributeValues(vertexArray, enabled, layer, globalProperties, featureProperties, startIndex, startIndex, endIndex);
+    }
+};
 
-            vertexArray.resize(length);
-            for (var i = startIndex; i < endIndex; i++) {
-                var vertex = vertexArray.get(i);
-                for (var c = 0; c < components; c++) {
-                    var memberName = components > 1 ? (attribute.name + c) : attribute.name;
-                    vertex[memberName] = value[c] * multiplier;
-                }
+/**
+ * Get the names of the program interfaces that have data-driven paint
+ * attributes for any of this bucket's layers.
+ * @private
+ * @returns {Array<string>}
+ */
+Bucket.prototype.getPaintInterfaceNames = function() {
+    var names = [];
+    for (var interfaceName in this.attributes) {
+        var layerPaintAttributes = this.attributes[interfaceName].paintAttributes;
+        for (var layerId in layerPaintAttributes) {
+            if (layerPaintAttributes[layerId].enabled.length) {
+                names.push(interfaceName);
+                break;
             }
         }
     }
+    return names;
 };
 
+/**
+ * Re-evaluate the data-driven paint attributes of the features whose state
+ * has changed since the last call and update their vertices in place. Each
+ * feature is evaluated with its state merged over its properties.
+ *
+ * @private
+ * @param {Object} states A map from feature ids to feature states
+ * @param {VectorTileLayer} sourceLayer The source layer this bucket was built from
+ */
+Bucket.prototype.setFeatureState = function(states, sourceLayer) {
+    var appliedStates = this.featureState || {};
+    var globalProperties = {zoom: this.zoom};
+    var id;
+
+    for (id in states) {
+        if (states[id] !== appliedStates[id]) this.updateFeaturePaintAttributes(id, states[id], sourceLayer, globalProperties);
+    }
+    for (id in appliedStates) {
+        if (!(id in states)) this.updateFeaturePaintAttributes(id, {}, sourceLayer, globalProperties);
+    }
+
+    this.featureState = util.extend({}, states);
+};
+
+Bucket.prototype.updateFeaturePaintAttributes = function(id, state, sourceLayer, globalProperties) {
+    var ranges = this.featureVertexRanges && this.featureVertexRanges[id];
+    if (!ranges || !sourceLayer) return;
+
+    for (var r = 0; r < ranges.length; r++) {
+        var range = ranges[r];
+        var featureProperties = util.extend({}, sourceLayer.feature(range.featureIndex).properties, state);
+
+        for (var l = 0; l < this.childLayers.length; l++) {
+            var layer = this.childLayers[l];
+            var enabled = this.attributes[range.programInterface].paintAttributes[layer.id].enabled;
+            if (!enabled.length) continue;
+
+            var PaintVertexArrayType = new StructArrayType({
+                members: enabled,
+                alignment: Buffer.VERTEX_ATTRIBUTE_ALIGNMENT
+            });
+            var vertexArray = new PaintVertexArrayType();
+            vertexArray.resize(range.endIndex - range.startIndex);
+            setPaintAttributeValues(vertexArray, enabled, layer, globalProperties, featureProperties, 0, range.startIndex, range.endIndex);
+
+            this.buffers[this.getBufferName(layer.id, range.programInterface)].updateData(vertexArray, range.startIndex);
+        }
+    }
+};
+
+// Write the values of `attributes` for the vertices `startIndex` to `endIndex`
+// of a feature into `vertexArray`, beginning at index `arrayIndex`.
+function setPaintAttributeValues(vertexArray, attributes, layer, globalProperties, featureProperties, arrayIndex, startIndex, endIndex) {
+    for (var m = 0; m < attributes.length; m++) {
+        var attribute = attributes[m];
+        var value = attribute.getValue(layer, globalProperties, featureProperties);
+        var multiplier = attribute.multiplier || 1;
+        var components = attribute.components || 1;
+
+        for (var i = arrayIndex; i < arrayIndex + endIndex - startIndex; i++) {
+            var vertex = vertexArray.get(i);
+            for (var c = 0; c < components; c++) {
+                var memberName = components > 1 ? (attribute.name + c) : attribute.name;
+                vertex[memberName] = value[c] * multiplier;
+            }
+        }
+    }
+}
+
+function getLength(array) {
+    return array.length;
+}
+
 function createElementBufferType(components) {
     return new StructArrayType({
         members: [{
@@ -351,15 +501,20 @@ function createAttributes(bucket) {
         for (var i = 0; i < interface_.attributes.length; i++) {
             var attribute = interface_.attributes[i];
 
-            if (attribute.paintProperty === undefined) {
+            if (attribute.paintProperty === undefined && attribute.isFeatureConstant === undefined) {
                 interfaceAttributes.layoutAttributes.push(attribute);
             } else {
                 for (var j = 0; j < bucket.childLayers.length; j++) {
                     var layer = bucket.childLayers[j];
                     var paintAttributes = layerPaintAttributes[layer.id];
+                    var isFeatureConstant = attribute.isFeatureConstant ?
+                        attribute.isFeatureConstant(layer) :
+                        layer.isPaintValueFeatureConstant(attribute.paintProperty);
 
-                    if (layer.isPaintValueFeatureConstant(attribute.paintProperty)) {
+                    if (isFeatureConstant) {
                         paintAttributes.disabled.push(attribute);
+                    } else if (attribute.zoomInterpolated && !layer.isPaintValueZoomConstant(attribute.paintProperty)) {
+                        paintAttributes.enabled.push(createZoomAttribute(attribute, layer, bucket.zoom));
                     } else {
                         paintAttributes.enabled.push(attribute);
                     }
@@ -369,3 +524,37 @@ function createAttributes(bucket) {
     }
     return attributes;
 }
+
+/*
+ * Zoom-and-property functions are evaluated for each feature at the two stop
+ * zoom levels that enclose the zoom levels at which the tile is shown. The
+ * attribute holds both values, and the shader interpolates between them with
+ * the `<name>_t` uniform so that the tile is not parsed again when zooming.
+ */
+function createZoomAttribute(attribute, layer, zoom) {
+    var zoomLevels = getEnclosingZoomLevels(layer.getPaintValueStopZoomLevels(attribute.paintProperty), zoom);
+
+    return util.extend({}, attribute, {
+        components: (attribute.components || 1) * 2,
+        zoomLevels: zoomLevels,
+        getValue: function(layer, globalProperties, featureProperties) {
+            return attribute.getValue(layer, util.extend({}, globalProperties, {zoom: zoomLevels[0]}), featureProperties).concat(
+                attribute.getValue(layer, util.extend({}, globalProperties, {zoom: zoomLevels[1]}), featureProperties));
+        }
+    });
+}
+
+// The highest stop zoom level at or below `zoom` and the lowest at or above
+// `zoom + 1`, falling back to the first and last stop zoom levels.
+function getEnclosingZoomLevels(stopZoomLevels, zoom) {
+    var lower = stopZoomLevels[0];
+    var upper = stopZoomLevels[stopZoomLevels.length - 1];
+    for (var i = 0; i < stopZoomLevels.length; i++) {
+        if (stopZoomLevels[i] <= zoom) lower = stopZoomLevels[i];
+        if (stopZoomLevels[i] >= zoom + 1) {
+            upper = stopZoomLevels[i];
+            break;
+        }
+    }
+    return [lower, upper];
+}
@@ -53,8 +53,9 @@ CircleBucket.prototype.programInterfaces = {
                 return [layer.getPaintValue("circle-radius", globalProperties, featureProperties)];
             },
             multiplier: 10,
-            paintProperty: 'circle-radius'
-        }]
+            paintProperty: 'circle-radius',
+            zoomInterpolated: true
+        }, Bucket.TIME_ATTRIBUTE]
     }
 };
 
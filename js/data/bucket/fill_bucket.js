@@ -27,15 +27,39 @@ FillBucket.prototype.programInterfaces = {
             name: 'a_pos',
             components: 2,
             type: 'Int16'
+        }, {
+            name: 'a_color',
+            components: 4,
+            type: 'Uint8',
+            getValue: function(layer, globalProperties, featureProperties) {
+                return util.premultiply(layer.getPaintValue("fill-color", globalProperties, featureProperties));
+            },
+            multiplier: 255,
+            paintProperty: 'fill-color'
+        }, {
+            name: 'a_opacity',
+            components: 1,
+            type: 'Uint8',
+            getValue: function(layer, globalProperties, featureProperties) {
+                return [layer.getPaintValue("fill-opacity", globalProperties, featureProperties)];
+            },
+            multiplier: 255,
+            paintProperty: 'fill-opacity'
         }]
     }
 };
 
 FillBucket.prototype.addFeature = function(feature) {
+    var globalProperties = {zoom: this.zoom};
     var lines = loadGeometry(feature);
+
+    var startIndex = this.arrays.fillVertex.length;
+
     for (var i = 0; i < lines.length; i++) {
         this.addFill(lines[i]);
     }
+
+    this.addPaintAttributes('fill', globalProperties, feature.properties, startIndex, this.arrays.fillVertex.length);
 };
 
 FillBucket.prototype.addFill = function(vertices) {
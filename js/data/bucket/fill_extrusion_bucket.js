@@ -0,0 +1,169 @@
+'use strict';
+
+var Bucket = require('../bucket');
+var util = require('../../util/util');
+var loadGeometry = require('../load_geometry');
+var classifyRings = require('../../util/classify_rings');
+var earcut = require('earcut');
+var EXTENT = Bucket.EXTENT;
+
+module.exports = FillExtrusionBucket;
+
+/**
+ * Fill extrusions are represented by a roof, which is the triangulated
+ * polygon, and a wall of two triangles along each of its edges.
+ *
+ * Each vertex has a normal, used to light the surface it belongs to, and a
+ * flag that is set if it is at the top of the extrusion rather than its base.
+ * @private
+ */
+function FillExtrusionBucket() {
+    Bucket.apply(this, arguments);
+}
+
+FillExtrusionBucket.prototype = util.inherit(Bucket, {});
+
+// Normals are packed into 16 bit integers.
+var NORMAL_SCALE = 16384;
+
+FillExtrusionBucket.prototype.addFillExtrusionVertex = function(x, y, nx, ny, nz, top) {
+    return this.arrays.fillExtrusionVertex.emplaceBack(
+            x, y,
+            Math.round(nx * NORMAL_SCALE),
+            Math.round(ny * NORMAL_SCALE),
+            Math.round(nz * NORMAL_SCALE),
+            top ? 1 : 0);
+};
+
+FillExtrusionBucket.prototype.programInterfaces = {
+    fillExtrusion: {
+        vertexBuffer: true,
+        elementBuffer: true,
+
+        attributes: [{
+            name: 'a_pos',
+            components: 2,
+            type: 'Int16'
+        }, {
+            name: 'a_normal',
+            components: 4,
+            type: 'Int16'
+        }, {
+            name: 'a_color',
+            components: 4,
+            type: 'Uint8',
+            getValue: function(layer, globalProperties, featureProperties) {
+                return layer.getPaintValue("fill-extrusion-color", globalProperties, featureProperties);
+            },
+            multiplier: 255,
+            paintProperty: 'fill-extrusion-color'
+        }, {
+            name: 'a_height',
+            components: 1,
+            type: 'Uint16',
+            getValue: function(layer, globalProperties, featureProperties) {
+                return [layer.getPaintValue("fill-extrusion-height", globalProperties, featureProperties)];
+            },
+            paintProperty: 'fill-extrusion-height'
+        }, {
+            name: 'a_base',
+            components: 1,
+            type: 'Uint16',
+            getValue: function(layer, globalProperties, featureProperties) {
+                return [layer.getPaintValue("fill-extrusion-base", globalProperties, featureProperties)];
+            },
+            paintProperty: 'fill-extrusion-base'
+        }]
+    }
+};
+
+FillExtrusionBucket.prototype.addFeature = function(feature) {
+    var globalProperties = {zoom: this.zoom};
+    var polygons = classifyRings(loadGeometry(feature).map(openRing));
+
+    var startIndex = this.arrays.fillExtrusionVertex.length;
+
+    for (var i = 0; i < polygons.length; i++) {
+        this.addFillExtrusion(polygons[i]);
+    }
+
+    this.addPaintAttributes('fillExtrusion', globalProperties, feature.properties, startIndex, this.arrays.fillExtrusionVertex.length);
+};
+
+FillExtrusionBucket.prototype.addFillExtrusion = function(rings) {
+    var numVertices = 0;
+    var r;
+    for (r = 0; r < rings.length; r++) numVertices += rings[r].length;
+
+    // Expand this geometry buffer to hold the roof
+    var group = this.makeRoomFor('fillExtrusion', numVertices);
+    var index = this.arrays.fillExtrusionVertex.length - group.vertexStartIndex;
+
+    var flattened = [];
+    var holeIndices = [];
+    for (r = 0; r < rings.length; r++) {
+        if (r > 0) holeIndices.push(flattened.length / 2);
+        for (var v = 0; v < rings[r].length; v++) {
+            this.addFillExtrusionVertex(rings[r][v].x, rings[r][v].y, 0, 0, 1, true);
+            flattened.push(rings[r][v].x, rings[r][v].y);
+        }
+    }
+    group.vertexLength += numVertices;
+
+    var triangles = earcut(flattened, holeIndices);
+    for (var t = 0; t < triangles.length; t += 3) {
+        this.arrays.fillExtrusionElement.emplaceBack(
+                index + triangles[t],
+                index + triangles[t + 1],
+                index + triangles[t + 2]);
+        group.elementLength++;
+    }
+
+    for (r = 0; r < rings.length; r++) {
+        this.addWalls(rings[r]);
+    }
+};
+
+FillExtrusionBucket.prototype.addWalls = function(ring) {
+    for (var i = 0; i < ring.length; i++) {
+        var p1 = ring[i];
+        var p2 = ring[(i + 1) % ring.length];
+
+        // Edges along the tile boundaries are inside of features that
+        // continue in the neighbouring tiles.
+        if (isBoundaryEdge(p1, p2)) continue;
+
+        var dx = p2.x - p1.x;
+        var dy = p2.y - p1.y;
+        var length = Math.sqrt(dx * dx + dy * dy);
+        if (length === 0) continue;
+
+        // The normal points out of outer rings, which are clockwise, and
+        // into holes, which are counterclockwise.
+        var nx = dy / length;
+        var ny = -dx / length;
+
+        var group = this.makeRoomFor('fillExtrusion', 4);
+        var index = this.addFillExtrusionVertex(p1.x, p1.y, nx, ny, 0, false) - group.vertexStartIndex;
+        this.addFillExtrusionVertex(p2.x, p2.y, nx, ny, 0, false);
+        this.addFillExtrusionVertex(p1.x, p1.y, nx, ny, 0, true);
+        this.addFillExtrusionVertex(p2.x, p2.y, nx, ny, 0, true);
+        group.vertexLength += 4;
+
+        this.arrays.fillExtrusionElement.emplaceBack(index, index + 1, index + 2);
+        this.arrays.fillExtrusionElement.emplaceBack(index + 1, index + 3, index + 2);
+        group.elementLength += 2;
+    }
+};
+
+// Remove the last point of a closed ring.
+function openRing(ring) {
+    var first = ring[0];
+    var last = ring[ring.length - 1];
+    return ring.length > 1 && first.x === last.x && first.y === last.y ? ring.slice(0, -1) : ring;
+}
+
+function isBoundaryEdge(p1, p2) {
+    return (p1.x === p2.x && (p1.x <= 0 || p1.x >= EXTENT)) ||
+        (p1.y === p2.y && (p1.y <= 0 || p1.y >= EXTENT));
+}
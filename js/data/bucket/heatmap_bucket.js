@@ -0,0 +1,38 @@
+'use strict';
+
+var CircleBucket = require('./circle_bucket');
+var util = require('../../util/util');
+
+module.exports = HeatmapBucket;
+
+/**
+ * Heatmaps are built from the same geometry as circles: two triangles per
+ * point, from which the point's kernel is extruded in the shader.
+ * @private
+ */
+function HeatmapBucket() {
+    CircleBucket.apply(this, arguments);
+}
+
+HeatmapBucket.prototype = util.inherit(CircleBucket, {});
+
+HeatmapBucket.prototype.programInterfaces = {
+    circle: {
+        vertexBuffer: true,
+        elementBuffer: true,
+
+        attributes: [{
+            name: 'a_pos',
+            components: 2,
+            type: 'Int16'
+        }, {
+            name: 'a_weight',
+            components: 1,
+            type: 'Float32',
+            getValue: function(layer, globalProperties, featureProperties) {
+                return [layer.getPaintValue("heatmap-weight", globalProperties, featureProperties)];
+            },
+            paintProperty: 'heatmap-weight'
+        }]
+    }
+};
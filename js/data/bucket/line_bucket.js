@@ -81,12 +81,43 @@ LineBucket.prototype.programInterfaces = {
             name: 'a_data',
             components: 4,
             type: 'Uint8'
+        }, {
+            name: 'a_color',
+            components: 4,
+            type: 'Uint8',
+            getValue: function(layer, globalProperties, featureProperties) {
+                return util.premultiply(layer.getPaintValue("line-color", globalProperties, featureProperties));
+            },
+            multiplier: 255,
+            paintProperty: 'line-color'
+        }, {
+            name: 'a_opacity',
+            components: 1,
+            type: 'Uint8',
+            getValue: function(layer, globalProperties, featureProperties) {
+                return [layer.getPaintValue("line-opacity", globalProperties, featureProperties)];
+            },
+            multiplier: 255,
+            paintProperty: 'line-opacity'
+        }, {
+            name: 'a_width',
+            components: 1,
+            type: 'Uint16',
+            getValue: function(layer, globalProperties, featureProperties) {
+                return [layer.getPaintValue("line-width", globalProperties, featureProperties)];
+            },
+            multiplier: 10,
+            paintProperty: 'line-width'
         }]
     }
 };
 
 LineBucket.prototype.addFeature = function(feature) {
+    var globalProperties = {zoom: this.zoom};
     var lines = loadGeometry(feature);
+
+    var startIndex = this.arrays.lineVertex.length;
+
     for (var i = 0; i < lines.length; i++) {
         this.addLine(
             lines[i],
@@ -96,6 +127,8 @@ LineBucket.prototype.addFeature = function(feature) {
             this.layer.layout['line-round-limit']
         );
     }
+
+    this.addPaintAttributes('line', globalProperties, feature.properties, startIndex, this.arrays.lineVertex.length);
 };
 
 LineBucket.prototype.addLine = function(vertices, join, cap, miterLimit, roundLimit) {
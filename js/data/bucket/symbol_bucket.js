@@ -42,14 +42,14 @@ var programAttributes = [{
     components: 2,
     type: 'Int16'
 }, {
-    name: 'a_data1',
-    components: 4,
-    type: 'Uint8'
-}, {
-    name: 'a_data2',
+    name: 'a_texture_pos',
     components: 2,
+    type: 'Uint16'
+}, {
+    name: 'a_data',
+    components: 4,
     type: 'Uint8'
-}];
+}, Bucket.TIME_ATTRIBUTE];
 
 function addVertex(array, x, y, ox, oy, tx, ty, minzoom, maxzoom, labelminzoom) {
     return array.emplaceBack(
@@ -59,14 +59,14 @@ function addVertex(array, x, y, ox, oy, tx, ty, minzoom, maxzoom, labelminzoom)
             // offset
             Math.round(ox * 64), // use 1/64 pixels for placement
             Math.round(oy * 64),
-            // data1
-            tx / 4,                   // tex
-            ty / 4,                   // tex
-            (labelminzoom || 0) * 10, // labelminzoom
-            0,
-            // data2
+            // texture_pos, in units of 4 pixels
+            tx / 4,
+            ty / 4,
+            // data
+            (labelminzoom || 0) * 10,          // labelminzoom
             (minzoom || 0) * 10,               // minzoom
-            Math.min(maxzoom || 25, 25) * 10); // minzoom
+            Math.min(maxzoom || 25, 25) * 10,  // maxzoom
+            0);
 }
 
 SymbolBucket.prototype.addCollisionBoxVertex = function(point, extrude, maxZoom, placementZoom) {
@@ -177,6 +177,12 @@ SymbolBucket.prototype.populateBuffers = function(collisionTile, stacks, icons)
     var textOffset = [layout['text-offset'][0] * oneEm, layout['text-offset'][1] * oneEm];
     var fontstack = layout['text-font'].join(',');
 
+    // Layout properties that are functions of feature properties have
+    // a value for each feature.
+    var featureLayoutNames = Object.keys(layout).filter(function(name) {
+        return !this.layer.isLayoutValueFeatureConstant(name);
+    }, this);
+
     var geometries = [];
     for (var g = 0; g < features.length; g++) {
         geometries.push(loadGeometry(features[g]));
@@ -197,6 +203,8 @@ SymbolBucket.prototype.populateBuffers = function(collisionTile, stacks, icons)
     for (var k = 0; k < features.length; k++) {
         if (!geometries[k]) continue;
 
+        var featureLayout = this.getFeatureLayout(features[k], featureLayoutNames);
+
         if (textFeatures[k]) {
             shapedText = shapeText(textFeatures[k], stacks[fontstack], maxWidth,
                     lineHeight, horizontalAlign, verticalAlign, justify, spacing, textOffset);
@@ -207,7 +215,7 @@ SymbolBucket.prototype.populateBuffers = function(collisionTile, stacks, icons)
         if (layout['icon-image']) {
             var iconName = resolveTokens(features[k].properties, layout['icon-image']);
             var image = icons[iconName];
-            shapedIcon = shapeIcon(image, layout);
+            shapedIcon = shapeIcon(image, featureLayout);
 
             if (image) {
                 if (this.sdfIcons === undefined) {
@@ -224,7 +232,7 @@ SymbolBucket.prototype.populateBuffers = function(collisionTile, stacks, icons)
         }
 
         if (shapedText || shapedIcon) {
-            this.addFeature(geometries[k], shapedText, shapedIcon, features[k].index);
+            this.addFeature(geometries[k], shapedText, shapedIcon, features[k], featureLayout);
         }
     }
 
@@ -233,8 +241,19 @@ SymbolBucket.prototype.populateBuffers = function(collisionTile, stacks, icons)
     this.trimArrays();
 };
 
-SymbolBucket.prototype.addFeature = function(lines, shapedText, shapedIcon, featureIndex) {
-    var layout = this.layer.layout;
+// The layout properties of a feature, which inherit the layer's and have the
+// properties in `names` evaluated for the feature.
+SymbolBucket.prototype.getFeatureLayout = function(feature, names) {
+    if (!names.length) return this.layer.layout;
+
+    var layout = Object.create(this.layer.layout);
+    for (var i = 0; i < names.length; i++) {
+        layout[names[i]] = this.layer.getLayoutValue(names[i], {zoom: this.zoom}, feature.properties);
+    }
+    return layout;
+};
+
+SymbolBucket.prototype.addFeature = function(lines, shapedText, shapedIcon, feature, layout) {
 
     var glyphSize = 24;
 
@@ -306,7 +325,7 @@ SymbolBucket.prototype.addFeature = function(lines, shapedText, shapedIcon, feat
             var addToBuffers = inside || mayOverlap;
 
             this.symbolInstances.push(new SymbolInstance(anchor, line, shapedText, shapedIcon, layout,
-                        addToBuffers, this.symbolInstances.length, this.collisionBoxArray, featureIndex, this.sourceLayerIndex, this.index,
+                        addToBuffers, this.symbolInstances.length, this.collisionBoxArray, feature, this.sourceLayerIndex, this.index,
                         textBoxScale, textPadding, textAlongLine,
                         iconBoxScale, iconPadding, iconAlongLine));
         }
@@ -416,14 +435,14 @@ SymbolBucket.prototype.placeFeatures = function(collisionTile, showCollisionBoxe
         if (hasText) {
             collisionTile.insertCollisionFeature(symbolInstance.textCollisionFeature, glyphScale, layout['text-ignore-placement']);
             if (glyphScale <= maxScale) {
-                this.addSymbols('glyph', symbolInstance.glyphQuads, glyphScale, layout['text-keep-upright'], textAlongLine, collisionTile.angle);
+                this.addSymbols('glyph', symbolInstance.glyphQuads, glyphScale, layout['text-keep-upright'], textAlongLine, collisionTile.angle, symbolInstance.featureProperties);
             }
         }
 
         if (hasIcon) {
             collisionTile.insertCollisionFeature(symbolInstance.iconCollisionFeature, iconScale, layout['icon-ignore-placement']);
             if (iconScale <= maxScale) {
-                this.addSymbols('icon', symbolInstance.iconQuads, iconScale, layout['icon-keep-upright'], iconAlongLine, collisionTile.angle);
+                this.addSymbols('icon', symbolInstance.iconQuads, iconScale, layout['icon-keep-upright'], iconAlongLine, collisionTile.angle, symbolInstance.featureProperties);
             }
         }
 
@@ -432,13 +451,14 @@ SymbolBucket.prototype.placeFeatures = function(collisionTile, showCollisionBoxe
     if (showCollisionBoxes) this.addToDebugBuffers(collisionTile);
 };
 
-SymbolBucket.prototype.addSymbols = function(programName, quads, scale, keepUpright, alongLine, placementAngle) {
+SymbolBucket.prototype.addSymbols = function(programName, quads, scale, keepUpright, alongLine, placementAngle, featureProperties) {
 
     var group = this.makeRoomFor(programName, 4 * quads.length);
 
     // TODO manual curry
     var elementArray = this.arrays[this.getBufferName(programName, 'element')];
     var vertexArray = this.arrays[this.getBufferName(programName, 'vertex')];
+    var startIndex = vertexArray.length;
 
     var zoom = this.zoom;
     var placementZoom = Math.max(Math.log(scale) / Math.LN2 + zoom, 0);
@@ -478,6 +498,7 @@ SymbolBucket.prototype.addSymbols = function(programName, quads, scale, keepUpri
         group.elementLength += 2;
     }
 
+    this.addPaintAttributes(programName, {zoom: this.zoom}, featureProperties, startIndex, vertexArray.length);
 };
 
 SymbolBucket.prototype.updateIcons = function(icons) {
@@ -537,13 +558,16 @@ SymbolBucket.prototype.addToDebugBuffers = function(collisionTile) {
     }
 };
 
-function SymbolInstance(anchor, line, shapedText, shapedIcon, layout, addToBuffers, index, collisionBoxArray, featureIndex, sourceLayerIndex, bucketIndex,
+function SymbolInstance(anchor, line, shapedText, shapedIcon, layout, addToBuffers, index, collisionBoxArray, feature, sourceLayerIndex, bucketIndex,
                         textBoxScale, textPadding, textAlongLine,
                         iconBoxScale, iconPadding, iconAlongLine) {
 
+    var featureIndex = feature.index;
+
     this.x = anchor.x;
     this.y = anchor.y;
     this.index = index;
+    this.featureProperties = feature.properties;
     this.hasText = !!shapedText;
     this.hasIcon = !!shapedIcon;
 
@@ -41,6 +41,33 @@ Buffer.prototype.bind = function(gl) {
     } else {
         gl.bindBuffer(type, this.buffer);
     }
+
+    if (this.pendingUpdates) {
+        for (var i = 0; i < this.pendingUpdates.length; i++) {
+            var update = this.pendingUpdates[i];
+            gl.bufferSubData(type, update.offset, update.data);
+        }
+        this.pendingUpdates = null;
+    }
+};
+
+/**
+ * Overwrite part of this buffer's data. The new data is uploaded the next
+ * time the buffer is bound.
+ * @private
+ * @param {StructArray} array An array of the same type as this buffer's
+ * @param {number} startIndex The index of the first element to overwrite
+ */
+Buffer.prototype.updateData = function(array, startIndex) {
+    var offset = startIndex * this.itemSize;
+    var data = new Uint8Array(array.arrayBuffer, 0, array.length * this.itemSize);
+
+    if (this.arrayBuffer) {
+        new Uint8Array(this.arrayBuffer).set(data, offset);
+    } else {
+        this.pendingUpdates = this.pendingUpdates || [];
+        this.pendingUpdates.push({ offset: offset, data: new Uint8Array(data) });
+    }
 };
 
 /**
@@ -52,7 +79,8 @@ var AttributeType = {
     Int8:   'BYTE',
     Uint8:  'UNSIGNED_BYTE',
     Int16:  'SHORT',
-    Uint16: 'UNSIGNED_SHORT'
+    Uint16: 'UNSIGNED_SHORT',
+    Float32: 'FLOAT'
 };
 
 /**
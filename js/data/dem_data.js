@@ -0,0 +1,122 @@
+'use strict';
+
+module.exports = DEMData;
+
+// The factors of the red, green and blue channels of an encoded pixel, and the
+// offset that is subtracted from their sum, that give its elevation in meters.
+var unpackVectors = {
+    mapbox: [256 * 256 * 0.1, 256 * 0.1, 0.1, 10000],
+    terrarium: [256, 1, 1 / 256, 32768]
+};
+
+/**
+ * The elevations of a square raster DEM tile, encoded as RGB pixels, with a
+ * one pixel border around them. The border is filled from the neighbouring
+ * tiles with `backfillBorder`, so that slopes can be computed up to the
+ * edges of the tile. Until then it repeats the edge of the tile.
+ *
+ * @private
+ * @param {Uint8Array|Uint8ClampedArray} pixels The RGBA pixels of the tile
+ * @param {number} dim The width and height of the tile in pixels
+ * @param {string} [encoding='mapbox'] Either `mapbox`, for Mapbox Terrain-RGB, or `terrarium`
+ */
+function DEMData(pixels, dim, encoding) {
+    if (pixels.length !== dim * dim * 4) throw new RangeError('DEM tiles must be square');
+    if (encoding && !unpackVectors[encoding]) throw new Error('Unknown DEM encoding "' + encoding + '"');
+
+    this.dim = dim;
+    this.stride = dim + 2;
+    this.encoding = encoding || 'mapbox';
+    this.data = new Uint32Array(this.stride * this.stride);
+    this._bytes = new Uint8Array(this.data.buffer);
+
+    // Pixels are copied whole, so their byte order doesn't matter.
+    var tilePixels = new Uint32Array(new Uint8Array(pixels).buffer);
+    var x, y;
+    for (y = 0; y < dim; y++) {
+        for (x = 0; x < dim; x++) {
+            this.data[this._index(x, y)] = tilePixels[y * dim + x];
+        }
+    }
+
+    for (x = 0; x < dim; x++) {
+        this.data[this._index(x, -1)] = this.data[this._index(x, 0)];
+        this.data[this._index(x, dim)] = this.data[this._index(x, dim - 1)];
+    }
+    for (y = -1; y < dim + 1; y++) {
+        this.data[this._index(-1, y)] = this.data[this._index(0, y)];
+        this.data[this._index(dim, y)] = this.data[this._index(dim - 1, y)];
+    }
+}
+
+DEMData.prototype = {
+    /**
+     * Get the elevation in meters at a pixel of the tile, from -1 to `dim`.
+     *
+     * @private
+     * @param {number} x
+     * @param {number} y
+     * @returns {number}
+     */
+    get: function(x, y) {
+        var i = this._index(x, y) * 4;
+        var unpack = unpackVectors[this.encoding];
+        return this._bytes[i] * unpack[0] + this._bytes[i + 1] * unpack[1] + this._bytes[i + 2] * unpack[2] - unpack[3];
+    },
+
+    /**
+     * Get the factors of the red, green and blue channels of the tile's
+     * pixels and the offset that decode them into elevations, for the
+     * shaders.
+     *
+     * @private
+     * @returns {Array<number>}
+     */
+    getUnpackVector: function() {
+        return unpackVectors[this.encoding];
+    },
+
+    /**
+     * Get the RGBA pixels of the tile and its border, which is `dim + 2`
+     * pixels wide.
+     *
+     * @private
+     * @returns {Uint8Array}
+     */
+    getPixels: function() {
+        return this._bytes;
+    },
+
+    /**
+     * Fill the part of the border that adjoins a neighbouring tile with the
+     * tile's edge pixels.
+     *
+     * @private
+     * @param {DEMData} borderTile The neighbouring tile
+     * @param {number} dx The column of the neighbour relative to this tile: -1, 0 or 1
+     * @param {number} dy The row of the neighbour relative to this tile: -1, 0 or 1
+     */
+    backfillBorder: function(borderTile, dx, dy) {
+        if (borderTile.dim !== this.dim) throw new Error('DEM tiles must be the same size');
+
+        var dim = this.dim;
+
+        var xMin = dx === 1 ? dim : dx === -1 ? -1 : 0;
+        var xMax = dx === 1 ? dim + 1 : dx === -1 ? 0 : dim;
+        var yMin = dy === 1 ? dim : dy === -1 ? -1 : 0;
+        var yMax = dy === 1 ? dim + 1 : dy === -1 ? 0 : dim;
+
+        var ox = -dx * dim;
+        var oy = -dy * dim;
+
+        for (var y = yMin; y < yMax; y++) {
+            for (var x = xMin; x < xMax; x++) {
+                this.data[this._index(x, y)] = borderTile.data[borderTile._index(x + ox, y + oy)];
+            }
+        }
+    },
+
+    _index: function(x, y) {
+        return (y + 1) * this.stride + (x + 1);
+    }
+};
@@ -3,7 +3,7 @@
 var Point = require('point-geometry');
 var loadGeometry = require('./load_geometry');
 var EXTENT = require('./bucket').EXTENT;
-var featureFilter = require('feature-filter');
+var featureFilter = require('../style/filter');
 var StructArrayType = require('../util/struct_array');
 var Grid = require('grid-index');
 var DictionaryCoder = require('../util/dictionary_coder');
@@ -123,8 +123,12 @@ FeatureIndex.prototype.query = function(args, styleLayers) {
             styleLayerDistance = getLineWidth(paint) / 2 + Math.abs(paint['line-offset']) + translateDistance(paint['line-translate']);
         } else if (styleLayer.type === 'fill') {
             styleLayerDistance = translateDistance(paint['fill-translate']);
+        } else if (styleLayer.type === 'fill-extrusion') {
+            styleLayerDistance = translateDistance(paint['fill-extrusion-translate']);
         } else if (styleLayer.type === 'circle') {
             styleLayerDistance = paint['circle-radius'] + translateDistance(paint['circle-translate']);
+        } else if (styleLayer.type === 'heatmap') {
+            styleLayerDistance = paint['heatmap-radius'];
         }
         additionalRadius = Math.max(additionalRadius, styleLayerDistance * pixelsToTileUnits);
     }
@@ -205,6 +209,9 @@ FeatureIndex.prototype.filterMatching = function(result, matching, array, queryG
             var styleLayer = styleLayers[layerID];
             if (!styleLayer) continue;
 
+            // hidden by the layer's time range in the shaders
+            if (!styleLayer.isFeatureInTimeRange(feature.properties)) continue;
+
             var translatedPolygon;
             if (styleLayer.type !== 'symbol') {
                 // all symbols already match the style
@@ -229,12 +236,22 @@ FeatureIndex.prototype.filterMatching = function(result, matching, array, queryG
                             bearing, pixelsToTileUnits);
                     if (!multiPolygonIntersectsMultiPolygon(translatedPolygon, geometry)) continue;
 
+                } else if (styleLayer.type === 'fill-extrusion') {
+                    translatedPolygon = translate(queryGeometry,
+                            paint['fill-extrusion-translate'], paint['fill-extrusion-translate-anchor'],
+                            bearing, pixelsToTileUnits);
+                    if (!multiPolygonIntersectsMultiPolygon(translatedPolygon, geometry)) continue;
+
                 } else if (styleLayer.type === 'circle') {
                     translatedPolygon = translate(queryGeometry,
                             paint['circle-translate'], paint['circle-translate-anchor'],
                             bearing, pixelsToTileUnits);
                     var circleRadius = paint['circle-radius'] * pixelsToTileUnits;
                     if (!multiPolygonIntersectsBufferedMultiPoint(translatedPolygon, geometry, circleRadius)) continue;
+
+                } else if (styleLayer.type === 'heatmap') {
+                    var heatmapRadius = paint['heatmap-radius'] * pixelsToTileUnits;
+                    if (!multiPolygonIntersectsBufferedMultiPoint(queryGeometry, geometry, heatmapRadius)) continue;
                 }
             }
 
@@ -33,6 +33,7 @@ function Transform(minZoom, maxZoom) {
 
     this.width = 0;
     this.height = 0;
+    this._padding = {top: 0, bottom: 0, left: 0, right: 0};
     this._center = new LngLat(0, 0);
     this.zoom = 0;
     this.angle = 0;
@@ -62,8 +63,48 @@ Transform.prototype = {
         return this.tileSize * this.scale;
     },
 
+    // The center of the part of the viewport that the padding leaves, where
+    // the map's center is.
     get centerPoint() {
-        return this.size._div(2);
+        return this.paddedCenterPoint(this._padding);
+    },
+
+    /**
+     * The center point that the viewport would have with the given padding.
+     * @param {Object} padding
+     * @returns {Point}
+     * @private
+     */
+    paddedCenterPoint: function(padding) {
+        return new Point(
+            padding.left + (this.width - padding.left - padding.right) / 2,
+            padding.top + (this.height - padding.top - padding.bottom) / 2);
+    },
+
+    /**
+     * The space in pixels at each side of the viewport that is covered by
+     * other content, which moves the center of the map and the vanishing
+     * point to the center of the rest of the viewport.
+     * @private
+     */
+    get padding() {
+        var padding = this._padding;
+        return {top: padding.top, bottom: padding.bottom, left: padding.left, right: padding.right};
+    },
+    set padding(padding) {
+        var p = this._padding;
+        if (['top', 'bottom', 'left', 'right'].every(function(side) {
+            return padding[side] === undefined || padding[side] === p[side];
+        })) return;
+        this._unmodified = false;
+        this._padding = {
+            top: padding.top !== undefined ? padding.top : p.top,
+            bottom: padding.bottom !== undefined ? padding.bottom : p.bottom,
+            left: padding.left !== undefined ? padding.left : p.left,
+            right: padding.right !== undefined ? padding.right : p.right
+        };
+        this._calcProjMatrix();
+        this._constrain();
     },
 
     get size() {
@@ -313,6 +354,20 @@ Transform.prototype = {
         return new Point(p[0] / p[3], p[1] / p[3]);
     },
 
+    /**
+     * Whether a location is behind the camera or beyond the far clipping
+     * plane, where it isn't rendered and has no meaningful screen point
+     * @param {LngLat} lnglat location
+     * @returns {boolean}
+     * @private
+     */
+    isLocationOccluded: function(lnglat) {
+        var coord = this.locationCoordinate(lnglat);
+        var p = [coord.column, coord.row, 0, 1];
+        vec4.transformMat4(p, p, this.coordinatePointMatrix(coord.zoom));
+        return p[3] <= 0 || p[2] / p[3] > 1;
+    },
+
     coordinatePointMatrix: function(z) {
         var proj = mat4.copy(this.float64Array, this.projMatrix);
         var scale = this.worldSize / this.zoomScale(z);
@@ -395,20 +450,25 @@ Transform.prototype = {
             return;
         }
 
+        // the extent of the viewport on each side of the center
+        var centerPoint = this.centerPoint;
+
         if (this.latRange) {
             var y = this.y,
-                h2 = size.y / 2;
+                top = centerPoint.y,
+                bottom = size.y - centerPoint.y;
 
-            if (y - h2 < minY) y2 = minY + h2;
-            if (y + h2 > maxY) y2 = maxY - h2;
+            if (y - top < minY) y2 = minY + top;
+            if (y + bottom > maxY) y2 = maxY - bottom;
         }
 
         if (this.lngRange) {
             var x = this.x,
-                w2 = size.x / 2;
+                left = centerPoint.x,
+                right = size.x - centerPoint.x;
 
-            if (x - w2 < minX) x2 = minX + w2;
-            if (x + w2 > maxX) x2 = maxX - w2;
+            if (x - left < minX) x2 = minX + left;
+            if (x + right > maxX) x2 = maxX - right;
         }
 
         // pan the map if the screen goes off the range
@@ -424,9 +484,10 @@ Transform.prototype = {
 
     _calcProjMatrix: function() {
         var m = new Float64Array(16);
+        var centerPoint = this.centerPoint;
 
         // Find the distance from the center point to the center top in altitude units using law of sines.
-        var halfFov = Math.atan(0.5 / this.altitude);
+        var halfFov = Math.atan(centerPoint.y / this.height / this.altitude);
         var topHalfSurfaceDistance = Math.sin(halfFov) * this.altitude / Math.sin(Math.PI / 2 - this._pitch - halfFov);
 
         // Calculate z value of the farthest fragment that should be rendered.
@@ -434,6 +495,11 @@ Transform.prototype = {
 
         mat4.perspective(m, 2 * Math.atan((this.height / 2) / this.altitude), this.width / this.height, 0.1, farZ);
 
+        // Move the center of perspective from the middle of the viewport to
+        // the center point.
+        m[8] = -(centerPoint.x - this.width / 2) * 2 / this.width;
+        m[9] = (centerPoint.y - this.height / 2) * 2 / this.height;
+
         mat4.translate(m, m, [0, 0, -this.altitude]);
 
         // After the rotateX, z values are in pixel units. Convert them to
@@ -444,6 +510,11 @@ Transform.prototype = {
         mat4.rotateZ(m, m, this.angle);
         mat4.translate(m, m, [-this.x, -this.y, 0]);
 
+        // Heights are in meters. Scale z by the number of pixels per meter
+        // at the center of the map, which is the inverse of the ground resolution.
+        var verticalScale = this.worldSize / (2 * Math.PI * 6378137 * Math.abs(Math.cos(this.center.lat * (Math.PI / 180))));
+        mat4.scale(m, m, [1, 1, verticalScale, 1]);
+
         this.projMatrix = m;
     }
 };
@@ -17,13 +17,42 @@ mapboxgl.Navigation = require('./ui/control/navigation');
 mapboxgl.Geolocate = require('./ui/control/geolocate');
 mapboxgl.Attribution = require('./ui/control/attribution');
 mapboxgl.Popup = require('./ui/popup');
+mapboxgl.Marker = require('./ui/marker');
 
+mapboxgl.VectorTileSource = require('./source/vector_tile_source');
 mapboxgl.GeoJSONSource = require('./source/geojson_source');
 mapboxgl.VideoSource = require('./source/video_source');
 mapboxgl.ImageSource = require('./source/image_source');
 
 mapboxgl.Style = require('./style/style');
 
+/**
+ * Add a custom source type, so that sources with `type: name` can be added to
+ * styles. Call this before creating the maps that use the source type.
+ *
+ * A source type whose tiles aren't vector tiles can extend `VectorTileSource`
+ * and decode its tiles in the workers: the script at `workerSourceURL` is
+ * loaded into each worker and calls `self.registerWorkerSource(name, decode)`,
+ * where `decode(data, params)` is called with a tile's `ArrayBuffer` and
+ * returns an object with a `layers` map of vector-tile-like layers, whose
+ * features are then laid out like those of vector tiles.
+ *
+ * A source starts loading when it is added to a map, which calls its `load`
+ * method, if it has one, with the map's `transformRequest` option.
+ *
+ * @function addSourceType
+ * @param {string} name The source type's name
+ * @param {Function} SourceType The source class, whose constructor is called with the source's options
+ * @param {string} [workerSourceURL] The URL of a script to load into each worker. Not supported in Node.js.
+ * @throws {Error} if there already is a source type with this name
+ * @example
+ * mapboxgl.addSourceType('json-tiles', JSONTileSource, 'https://example.com/json-tile-worker.js');
+ * map.addSource('homes', {type: 'json-tiles', tiles: ['https://example.com/homes/{z}/{x}/{y}.json']});
+ */
+mapboxgl.addSourceType = require('./source/source').setType;
+
+mapboxgl.renderStatic = require('./util/render_static');
+
 mapboxgl.LngLat = require('./geo/lng_lat');
 mapboxgl.LngLatBounds = require('./geo/lng_lat_bounds');
 mapboxgl.Point = require('point-geometry');
@@ -1,6 +1,5 @@
 'use strict';
 
-var browser = require('../util/browser');
 
 module.exports = drawCircles;
 
@@ -28,9 +27,13 @@ function drawCircles(painter, source, layer, coords) {
         var program = painter.useProgram('circle', bucket.getProgramMacros('circle', layer));
 
         gl.uniform1f(program.u_blur, layer.paint['circle-blur']);
-        gl.uniform1f(program.u_devicepixelratio, browser.devicePixelRatio);
+        gl.uniform1f(program.u_devicepixelratio, painter.pixelRatio);
         gl.uniform1f(program.u_opacity, layer.paint['circle-opacity']);
 
+        if (layer.timeProperty) {
+            gl.uniform2fv(program.u_time_range, layer.getTimeRangeUniform());
+        }
+
         painter.setPosMatrix(painter.translatePosMatrix(
             coord.posMatrix,
             tile,
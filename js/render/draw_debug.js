@@ -1,7 +1,6 @@
 'use strict';
 
 var textVertices = require('../lib/debugtext');
-var browser = require('../util/browser');
 var mat4 = require('gl-matrix').mat4;
 var EXTENT = require('../data/bucket').EXTENT;
 
@@ -20,7 +19,7 @@ function drawDebugTile(painter, source, coord) {
     var gl = painter.gl;
 
     gl.disable(gl.STENCIL_TEST);
-    painter.lineWidth(1 * browser.devicePixelRatio);
+    painter.lineWidth(1 * painter.pixelRatio);
 
     var posMatrix = coord.posMatrix;
     var program = painter.useProgram('debug');
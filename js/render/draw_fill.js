@@ -14,8 +14,12 @@ function draw(painter, source, layer, coords) {
     var strokeColor = util.premultiply(layer.paint['fill-outline-color']);
     var opacity = layer.paint['fill-opacity'];
 
+    // Fills with data-driven colors or opacities may be translucent anywhere,
+    // so they are only drawn in the translucent pass.
+    var isOpaque = !isDataDriven(layer) && color[3] === 1 && opacity === 1;
+
     // Draw fill
-    if (image ? !painter.isOpaquePass : painter.isOpaquePass === (color[3] === 1 && opacity === 1)) {
+    if (image ? !painter.isOpaquePass : painter.isOpaquePass === isOpaque) {
         // Once we switch to earcut drawing we can pull most of the WebGL setup
         // outside of this coords loop.
         for (var i = 0; i < coords.length; i++) {
@@ -26,7 +30,6 @@ function draw(painter, source, layer, coords) {
     // Draw stroke
     if (!painter.isOpaquePass && layer.paint['fill-antialias']) {
         if (strokeColor || !layer.paint['fill-pattern']) {
-            var outlineProgram = painter.useProgram('outline');
             painter.lineWidth(2);
             painter.depthMask(false);
 
@@ -43,15 +46,11 @@ function draw(painter, source, layer, coords) {
                 // the (non-antialiased) fill.
                 painter.setDepthSublayer(0);
             }
-            gl.uniform2f(outlineProgram.u_world, gl.drawingBufferWidth, gl.drawingBufferHeight);
-            gl.uniform4fv(outlineProgram.u_color, strokeColor ? strokeColor : color);
-            gl.uniform1f(outlineProgram.u_opacity, opacity);
 
             for (var j = 0; j < coords.length; j++) {
                 drawStroke(painter, source, layer, coords[j]);
             }
         } else {
-            var outlinePatternProgram = painter.useProgram('outlinepattern');
             painter.lineWidth(2);
             painter.depthMask(false);
             // Otherwise, we only want to drawFill the antialiased parts that are
@@ -60,7 +59,6 @@ function draw(painter, source, layer, coords) {
             // the current shape, some pixels from the outline stroke overlapped
             // the (non-antialiased) fill.
             painter.setDepthSublayer(0);
-            gl.uniform2f(outlinePatternProgram.u_world, gl.drawingBufferWidth, gl.drawingBufferHeight);
 
             for (var k = 0; k < coords.length; k++) {
                 drawStroke(painter, source, layer, coords[k]);
@@ -143,6 +141,31 @@ function drawFill(painter, source, layer, coord) {
         gl.activeTexture(gl.TEXTURE0);
         painter.spriteAtlas.bind(gl, true);
 
+    } else if (isDataDriven(layer)) {
+        // Draw the triangle fan again with the colors and opacities of the
+        // features. Each pixel is drawn only once by resetting the stencil
+        // buffer where a triangle has been drawn.
+        program = painter.useProgram('fill', bucket.getProgramMacros('fill', layer));
+        gl.uniform4fv(program.u_color, color);
+        gl.uniform1f(program.u_opacity, opacity);
+        painter.setPosMatrix(translatedPosMatrix);
+
+        gl.stencilFunc(gl.NOTEQUAL, 0x0, 0x07);
+        gl.stencilMask(0x07);
+        gl.stencilOp(gl.KEEP, gl.KEEP, gl.ZERO);
+
+        for (var j = 0; j < elementGroups.length; j++) {
+            var colorGroup = elementGroups[j];
+            bucket.bindLayoutBuffers('fill', gl);
+            bucket.setAttribPointers('fill', gl, program, colorGroup.vertexOffset);
+            bucket.bindPaintBuffer(gl, 'fill', layer.id, program, colorGroup.vertexStartIndex);
+            gl.drawElements(gl.TRIANGLES, colorGroup.elementLength * 3, gl.UNSIGNED_SHORT, colorGroup.elementOffset);
+        }
+
+        gl.stencilOp(gl.KEEP, gl.KEEP, gl.KEEP);
+        gl.stencilMask(0x00);
+        return;
+
     } else {
         // Draw filling rectangle.
         program = painter.useProgram('fill');
@@ -171,7 +194,25 @@ function drawStroke(painter, source, layer, coord) {
 
     var image = layer.paint['fill-pattern'];
     var opacity = layer.paint['fill-opacity'];
-    var program = image ? painter.useProgram('outlinepattern') : painter.useProgram('outline');
+    var strokeColor = util.premultiply(layer.paint['fill-outline-color']);
+
+    // Outlines without their own color take the data-driven colors and
+    // opacities of the fill.
+    var dataDriven = !image && !strokeColor && isDataDriven(layer);
+    var program;
+    if (image) {
+        program = painter.useProgram('outlinepattern');
+    } else if (dataDriven) {
+        program = painter.useProgram('outline', bucket.getProgramMacros('fill', layer));
+    } else {
+        program = painter.useProgram('outline');
+    }
+
+    gl.uniform2f(program.u_world, gl.drawingBufferWidth, gl.drawingBufferHeight);
+    if (!image) {
+        gl.uniform4fv(program.u_color, strokeColor ? strokeColor : util.premultiply(layer.paint['fill-color']));
+        gl.uniform1f(program.u_opacity, opacity);
+    }
 
     painter.setPosMatrix(painter.translatePosMatrix(
         coord.posMatrix,
@@ -182,20 +223,25 @@ function drawStroke(painter, source, layer, coord) {
 
     if (image) { setPattern(image, opacity, tile, coord, painter, program); }
 
-    // Draw all buffers
-    bucket.bindLayoutBuffers('fill', gl, {secondElement: true});
-
     painter.enableTileClippingMask(coord);
 
+    // Draw all buffers
     for (var k = 0; k < elementGroups.length; k++) {
         var group = elementGroups[k];
+        bucket.bindLayoutBuffers('fill', gl, {secondElement: true});
         bucket.setAttribPointers('fill', gl, program, group.vertexOffset, layer);
+        if (dataDriven) {
+            bucket.bindPaintBuffer(gl, 'fill', layer.id, program, group.vertexStartIndex);
+        }
 
         var count = group.secondElementLength * 2;
         gl.drawElements(gl.LINES, count, gl.UNSIGNED_SHORT, group.secondElementOffset);
     }
 }
 
+function isDataDriven(layer) {
+    return !layer.isPaintValueFeatureConstant('fill-color') || !layer.isPaintValueFeatureConstant('fill-opacity');
+}
 
 function setPattern(image, opacity, tile, coord, painter, program) {
     var gl = painter.gl;
@@ -0,0 +1,136 @@
+'use strict';
+
+module.exports = drawFillExtrusion;
+
+// The direction towards the light, anchored to the viewport: from the top
+// left of the screen and above it. x points right, y down and z up.
+var LIGHT_DIRECTION = normalize([-0.5, -1, 2]);
+
+/**
+ * Extrusions are drawn into a texture with its own depth buffer, so that
+ * their surfaces are depth tested against each other rather than drawn in
+ * the order of their features, and the texture is then drawn into the map
+ * with the layer's opacity.
+ * @private
+ */
+function drawFillExtrusion(painter, source, layer, coords) {
+    if (painter.isOpaquePass) return;
+
+    var gl = painter.gl;
+
+    bindExtrusionFramebuffer(gl, layer, painter.width, painter.height);
+
+    gl.clearColor(0, 0, 0, 0);
+    gl.clearDepth(1);
+    painter.depthMask(true);
+    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+
+    gl.disable(gl.STENCIL_TEST);
+    gl.disable(gl.BLEND);
+    gl.enable(gl.DEPTH_TEST);
+    gl.depthRange(0, 1);
+
+    var lightDirection = rotateLight(LIGHT_DIRECTION, -painter.transform.angle);
+
+    for (var i = 0; i < coords.length; i++) {
+        var coord = coords[i];
+
+        var tile = source.getTile(coord);
+        var bucket = tile.getBucket(layer);
+        if (!bucket) continue;
+        var elementGroups = bucket.elementGroups.fillExtrusion;
+        if (!elementGroups) continue;
+
+        var program = painter.useProgram('fillextrusion', bucket.getProgramMacros('fillExtrusion', layer));
+
+        gl.uniform3fv(program.u_lightdir, lightDirection);
+
+        painter.setPosMatrix(painter.translatePosMatrix(
+            coord.posMatrix,
+            tile,
+            layer.paint['fill-extrusion-translate'],
+            layer.paint['fill-extrusion-translate-anchor']
+        ));
+
+        for (var k = 0; k < elementGroups.length; k++) {
+            var group = elementGroups[k];
+            var count = group.elementLength * 3;
+            bucket.bindLayoutBuffers('fillExtrusion', gl);
+            bucket.setAttribPointers('fillExtrusion', gl, program, group.vertexOffset);
+            bucket.bindPaintBuffer(gl, 'fillExtrusion', layer.id, program, group.vertexStartIndex);
+            bucket.setUniforms(gl, 'fillExtrusion', program, layer, {zoom: painter.transform.zoom});
+            gl.drawElements(gl.TRIANGLES, count, gl.UNSIGNED_SHORT, group.elementOffset);
+        }
+    }
+
+    painter.bindDefaultFramebuffer();
+    gl.enable(gl.BLEND);
+
+    renderTextureToMap(painter, layer);
+}
+
+function bindExtrusionFramebuffer(gl, layer, width, height) {
+    if (layer.extrusionFbo && layer.extrusionTexture.width === width && layer.extrusionTexture.height === height) {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, layer.extrusionFbo);
+        return;
+    }
+
+    if (layer.extrusionFbo) {
+        gl.deleteFramebuffer(layer.extrusionFbo);
+        gl.deleteTexture(layer.extrusionTexture);
+        gl.deleteRenderbuffer(layer.extrusionDepthbuffer);
+    }
+
+    var texture = layer.extrusionTexture = gl.createTexture();
+    texture.width = width;
+    texture.height = height;
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+
+    var depthbuffer = layer.extrusionDepthbuffer = gl.createRenderbuffer();
+    gl.bindRenderbuffer(gl.RENDERBUFFER, depthbuffer);
+    gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, width, height);
+
+    var fbo = layer.extrusionFbo = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+    gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, depthbuffer);
+}
+
+function renderTextureToMap(painter, layer) {
+    var gl = painter.gl;
+
+    painter.setDepthSublayer(0);
+    painter.depthMask(false);
+
+    var program = painter.useProgram('extrusiontexture');
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, layer.extrusionTexture);
+    gl.uniform1i(program.u_image, 0);
+    gl.uniform1f(program.u_opacity, layer.paint['fill-extrusion-opacity']);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, painter.backgroundBuffer);
+    gl.vertexAttribPointer(program.a_pos, painter.backgroundBuffer.itemSize, gl.SHORT, false, 0, 0);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, painter.backgroundBuffer.itemCount);
+}
+
+// Rotate the light from the viewport into tile coordinates.
+function rotateLight(direction, angle) {
+    var cos = Math.cos(angle);
+    var sin = Math.sin(angle);
+    return [
+        direction[0] * cos - direction[1] * sin,
+        direction[0] * sin + direction[1] * cos,
+        direction[2]
+    ];
+}
+
+function normalize(vector) {
+    var length = Math.sqrt(vector[0] * vector[0] + vector[1] * vector[1] + vector[2] * vector[2]);
+    return vector.map(function(v) { return v / length; });
+}
@@ -0,0 +1,143 @@
+'use strict';
+
+module.exports = drawHeatmap;
+
+// The density of the heatmap is accumulated in a texture at a fraction of
+// the resolution of the map, and then colorized into the map.
+var TEXTURE_SCALE = 4;
+
+function drawHeatmap(painter, source, layer, coords) {
+    if (painter.isOpaquePass) return;
+
+    var gl = painter.gl;
+    var width = Math.max(1, Math.ceil(painter.width / TEXTURE_SCALE));
+    var height = Math.max(1, Math.ceil(painter.height / TEXTURE_SCALE));
+
+    bindHeatmapFramebuffer(gl, layer, width, height);
+    gl.viewport(0, 0, width, height);
+
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+
+    gl.disable(gl.DEPTH_TEST);
+    gl.disable(gl.STENCIL_TEST);
+
+    // Sum the kernels of all points into the density texture
+    gl.blendFunc(gl.ONE, gl.ONE);
+
+    for (var i = 0; i < coords.length; i++) {
+        var coord = coords[i];
+
+        var tile = source.getTile(coord);
+        var bucket = tile.getBucket(layer);
+        if (!bucket) continue;
+        var elementGroups = bucket.elementGroups.circle;
+        if (!elementGroups) continue;
+
+        var program = painter.useProgram('heatmap', bucket.getProgramMacros('circle', layer));
+
+        gl.uniform1f(program.u_radius, layer.paint['heatmap-radius']);
+        gl.uniform1f(program.u_intensity, layer.paint['heatmap-intensity']);
+
+        painter.setPosMatrix(coord.posMatrix);
+        painter.setExMatrix(painter.transform.exMatrix);
+
+        for (var k = 0; k < elementGroups.length; k++) {
+            var group = elementGroups[k];
+            var count = group.elementLength * 3;
+            bucket.bindLayoutBuffers('circle', gl);
+            bucket.setAttribPointers('circle', gl, program, group.vertexOffset);
+            bucket.bindPaintBuffer(gl, 'circle', layer.id, program, group.vertexStartIndex);
+            bucket.setUniforms(gl, 'circle', program, layer, {zoom: painter.transform.zoom});
+            gl.drawElements(gl.TRIANGLES, count, gl.UNSIGNED_SHORT, group.elementOffset);
+        }
+    }
+
+    painter.bindDefaultFramebuffer();
+    gl.viewport(0, 0, painter.width, painter.height);
+    gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+    gl.enable(gl.DEPTH_TEST);
+
+    renderTextureToMap(painter, layer);
+}
+
+function bindHeatmapFramebuffer(gl, layer, width, height) {
+    if (layer.heatmapFbo && layer.heatmapTexture.width === width && layer.heatmapTexture.height === height) {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, layer.heatmapFbo);
+        return;
+    }
+
+    if (layer.heatmapFbo) {
+        gl.deleteFramebuffer(layer.heatmapFbo);
+        gl.deleteTexture(layer.heatmapTexture);
+    }
+
+    var texture = layer.heatmapTexture = gl.createTexture();
+    texture.width = width;
+    texture.height = height;
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+
+    var fbo = layer.heatmapFbo = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+
+    // Densities are accumulated in half floats where they are renderable,
+    // so that they aren't clamped to 1 before they are colorized.
+    var halfFloat = gl.getExtension('OES_texture_half_float');
+    if (halfFloat) {
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, halfFloat.HALF_FLOAT_OES, null);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+    }
+    if (!halfFloat || gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) {
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+    }
+}
+
+function renderTextureToMap(painter, layer) {
+    var gl = painter.gl;
+
+    painter.setDepthSublayer(0);
+    painter.depthMask(false);
+
+    var program = painter.useProgram('heatmaptexture');
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, layer.heatmapTexture);
+    gl.uniform1i(program.u_image, 0);
+
+    gl.activeTexture(gl.TEXTURE1);
+    bindColorRampTexture(gl, layer);
+    gl.uniform1i(program.u_color_ramp, 1);
+
+    gl.uniform1f(program.u_opacity, layer.paint['heatmap-opacity']);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, painter.backgroundBuffer);
+    gl.vertexAttribPointer(program.a_pos, painter.backgroundBuffer.itemSize, gl.SHORT, false, 0, 0);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, painter.backgroundBuffer.itemCount);
+
+    gl.activeTexture(gl.TEXTURE0);
+}
+
+function bindColorRampTexture(gl, layer) {
+    var colorRamp = layer.getColorRamp();
+
+    if (!layer.colorRampTexture) {
+        layer.colorRampTexture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, layer.colorRampTexture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    } else {
+        gl.bindTexture(gl.TEXTURE_2D, layer.colorRampTexture);
+    }
+
+    if (layer.colorRampTexture.colorRamp !== colorRamp) {
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 256, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, colorRamp);
+        layer.colorRampTexture.colorRamp = colorRamp;
+    }
+}
@@ -0,0 +1,129 @@
+'use strict';
+
+var util = require('../util/util');
+
+module.exports = drawHillshade;
+
+var EARTH_CIRCUMFERENCE = 2 * Math.PI * 6378137;
+
+/**
+ * The slopes of each tile are computed from its elevations in a prepare pass,
+ * into a texture that is kept until the tile's border changes, and then
+ * shaded by the direction of the light.
+ * @private
+ */
+function drawHillshade(painter, source, layer, coords) {
+    if (painter.isOpaquePass) return;
+
+    var gl = painter.gl;
+
+    for (var i = 0; i < coords.length; i++) {
+        var tile = source.getTile(coords[i]);
+        if (tile.dem && tile.needsHillshadePrepare) {
+            prepareHillshade(painter, tile);
+        }
+    }
+
+    gl.disable(gl.STENCIL_TEST);
+    painter.setDepthSublayer(0);
+    painter.depthMask(false);
+
+    for (var j = 0; j < coords.length; j++) {
+        var coord = coords[j];
+        var coordTile = source.getTile(coord);
+        if (!coordTile.hillshadeTexture) continue;
+        renderHillshade(painter, coordTile, layer, painter.transform.calculatePosMatrix(coord, source.maxzoom));
+    }
+}
+
+function prepareHillshade(painter, tile) {
+    var gl = painter.gl;
+    var dem = tile.dem;
+    var dim = dem.dim;
+
+    gl.activeTexture(gl.TEXTURE0);
+
+    if (!tile.demTexture) {
+        tile.demTexture = createTexture(gl);
+    } else {
+        gl.bindTexture(gl.TEXTURE_2D, tile.demTexture);
+    }
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, dim + 2, dim + 2, 0, gl.RGBA, gl.UNSIGNED_BYTE, dem.getPixels());
+
+    if (!tile.hillshadeFbo) {
+        tile.hillshadeTexture = createTexture(gl);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, dim, dim, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+
+        tile.hillshadeFbo = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, tile.hillshadeFbo);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, tile.hillshadeTexture, 0);
+        gl.bindTexture(gl.TEXTURE_2D, tile.demTexture);
+    } else {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, tile.hillshadeFbo);
+    }
+
+    gl.viewport(0, 0, dim, dim);
+    gl.disable(gl.BLEND);
+    gl.disable(gl.DEPTH_TEST);
+
+    var program = painter.useProgram('hillshadeprepare');
+
+    gl.uniform1i(program.u_image, 0);
+    gl.uniform1f(program.u_dimension, dim);
+    gl.uniform4fv(program.u_unpack, dem.getUnpackVector());
+    gl.uniform1f(program.u_meters_per_pixel, getMetersPerPixel(tile.coord, dim));
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, painter.backgroundBuffer);
+    gl.vertexAttribPointer(program.a_pos, painter.backgroundBuffer.itemSize, gl.SHORT, false, 0, 0);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, painter.backgroundBuffer.itemCount);
+
+    painter.bindDefaultFramebuffer();
+    gl.viewport(0, 0, painter.width, painter.height);
+    gl.enable(gl.BLEND);
+    gl.enable(gl.DEPTH_TEST);
+
+    tile.needsHillshadePrepare = false;
+}
+
+function renderHillshade(painter, tile, layer, posMatrix) {
+    var gl = painter.gl;
+
+    var program = painter.useProgram('hillshade');
+    painter.setPosMatrix(posMatrix);
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, tile.hillshadeTexture);
+    gl.uniform1i(program.u_image, 0);
+
+    // The direction of the light is relative to the top of the viewport.
+    var azimuth = layer.paint['hillshade-illumination-direction'] * Math.PI / 180 - painter.transform.angle;
+    gl.uniform1f(program.u_azimuth, azimuth);
+    gl.uniform1f(program.u_exaggeration, layer.paint['hillshade-exaggeration']);
+    gl.uniform4fv(program.u_shadow, util.premultiply(layer.paint['hillshade-shadow-color']));
+    gl.uniform4fv(program.u_highlight, util.premultiply(layer.paint['hillshade-highlight-color']));
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, tile.boundsBuffer || painter.tileExtentBuffer);
+    gl.vertexAttribPointer(program.a_pos,         2, gl.SHORT, false, 8, 0);
+    gl.vertexAttribPointer(program.a_texture_pos, 2, gl.SHORT, false, 8, 4);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+}
+
+// The texels of both textures hold data rather than colors, and are not
+// interpolated.
+function createTexture(gl) {
+    var texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    return texture;
+}
+
+// The size of a pixel of a tile in meters, at the latitude of its center.
+function getMetersPerPixel(coord, dim) {
+    var scale = Math.pow(2, coord.z);
+    var n = Math.PI * (1 - 2 * (coord.y + 0.5) / scale);
+    var lat = Math.atan(0.5 * (Math.exp(n) - Math.exp(-n)));
+    return EARTH_CIRCUMFERENCE * Math.cos(lat) / (scale * dim);
+}
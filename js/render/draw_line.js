@@ -1,6 +1,5 @@
 'use strict';
 
-var browser = require('../util/browser');
 var mat2 = require('gl-matrix').mat2;
 var util = require('../util/util');
 var pixelsToTileUnits = require('../source/pixels_to_tile_units');
@@ -24,11 +23,11 @@ module.exports = function drawLine(painter, source, layer, coords) {
     gl.enable(gl.STENCIL_TEST);
 
     // don't draw zero-width lines
-    if (layer.paint['line-width'] <= 0) return;
+    if (layer.isPaintValueFeatureConstant('line-width') && layer.paint['line-width'] <= 0) return;
 
     // the distance over which the line edge fades out.
     // Retina devices need a smaller distance to avoid aliasing.
-    var antialiasing = 1 / browser.devicePixelRatio;
+    var antialiasing = 1 / painter.pixelRatio;
 
     var blur = layer.paint['line-blur'] + antialiasing;
     var edgeWidth = layer.paint['line-width'] / 2;
@@ -108,16 +107,6 @@ module.exports = function drawLine(painter, source, layer, coords) {
         gl.uniform1f(program.u_offset, -layer.paint['line-offset']);
         gl.uniformMatrix2fv(program.u_antialiasingmatrix, false, antialiasingMatrix);
 
-    } else {
-        program = painter.useProgram('line');
-
-        gl.uniform2fv(program.u_linewidth, [ outset, inset ]);
-        gl.uniform1f(program.u_blur, blur);
-        gl.uniform1f(program.u_extra, extra);
-        gl.uniform1f(program.u_offset, -layer.paint['line-offset']);
-        gl.uniformMatrix2fv(program.u_antialiasingmatrix, false, antialiasingMatrix);
-        gl.uniform4fv(program.u_color, color);
-        gl.uniform1f(program.u_opacity, layer.paint['line-opacity']);
     }
 
     for (var k = 0; k < coords.length; k++) {
@@ -130,6 +119,12 @@ module.exports = function drawLine(painter, source, layer, coords) {
 
         painter.enableTileClippingMask(coord);
 
+        if (!dasharray && !image) {
+            // The program of plain lines depends on which of their colors,
+            // opacities and widths are data-driven, so it is set per tile.
+            program = painter.useProgram('line', bucket.getProgramMacros('line', layer));
+        }
+
         // set uniforms that are different for each tile
         var posMatrix = painter.translatePosMatrix(coord.posMatrix, tile, layer.paint['line-translate'], layer.paint['line-translate-anchor']);
 
@@ -142,7 +137,7 @@ module.exports = function drawLine(painter, source, layer, coords) {
             var widthB = posB.width * dasharray.toScale;
             var scaleA = [1 / pixelsToTileUnits(tile, widthA, painter.transform.tileZoom), -posA.height / 2];
             var scaleB = [1 / pixelsToTileUnits(tile, widthB, painter.transform.tileZoom), -posB.height / 2];
-            var gamma = painter.lineAtlas.width / (Math.min(widthA, widthB) * 256 * browser.devicePixelRatio) / 2;
+            var gamma = painter.lineAtlas.width / (Math.min(widthA, widthB) * 256 * painter.pixelRatio) / 2;
             gl.uniform1f(program.u_ratio, ratio);
             gl.uniform2fv(program.u_patternscale_a, scaleA);
             gl.uniform2fv(program.u_patternscale_b, scaleB);
@@ -160,14 +155,25 @@ module.exports = function drawLine(painter, source, layer, coords) {
             ]);
 
         } else {
+            gl.uniform1f(program.u_width, layer.paint['line-width']);
+            gl.uniform1f(program.u_gapwidth, layer.paint['line-gap-width']);
+            gl.uniform1f(program.u_antialiasing, antialiasing);
+            gl.uniform1f(program.u_blur, blur);
+            gl.uniform1f(program.u_extra, extra);
+            gl.uniform1f(program.u_offset, -layer.paint['line-offset']);
+            gl.uniformMatrix2fv(program.u_antialiasingmatrix, false, antialiasingMatrix);
+            gl.uniform4fv(program.u_color, color);
+            gl.uniform1f(program.u_opacity, layer.paint['line-opacity']);
             gl.uniform1f(program.u_ratio, ratio);
         }
 
-        bucket.bindLayoutBuffers('line', gl);
-
         for (var i = 0; i < elementGroups.length; i++) {
             var group = elementGroups[i];
+            bucket.bindLayoutBuffers('line', gl);
             bucket.setAttribPointers('line', gl, program, group.vertexOffset, layer);
+            if (!dasharray && !image) {
+                bucket.bindPaintBuffer(gl, 'line', layer.id, program, group.vertexStartIndex);
+            }
 
             var count = group.elementLength * 3;
             gl.drawElements(gl.TRIANGLES, count, gl.UNSIGNED_SHORT, group.elementOffset);
@@ -2,7 +2,6 @@
 
 var mat4 = require('gl-matrix').mat4;
 
-var browser = require('../util/browser');
 var drawCollisionDebug = require('./draw_collision_debug');
 var util = require('../util/util');
 var pixelsToTileUnits = require('../source/pixels_to_tile_units');
@@ -106,7 +105,7 @@ function drawSymbol(painter, layer, posMatrix, tile, bucket, elementGroups, pref
 
     gl.activeTexture(gl.TEXTURE0);
 
-    var program = painter.useProgram(sdf ? 'sdf' : 'icon');
+    var program = painter.useProgram(sdf ? 'sdf' : 'icon', bucket.getProgramMacros(programInterfaceName, layer));
     painter.setPosMatrix(posMatrix);
     painter.setExMatrix(exMatrix);
 
@@ -122,7 +121,7 @@ function drawSymbol(painter, layer, posMatrix, tile, bucket, elementGroups, pref
         texsize = [glyphAtlas.width / 4, glyphAtlas.height / 4];
     } else {
         var mapMoving = painter.options.rotating || painter.options.zooming;
-        var iconScaled = fontScale !== 1 || browser.devicePixelRatio !== painter.spriteAtlas.pixelRatio || iconsNeedLinear;
+        var iconScaled = fontScale !== 1 || painter.pixelRatio !== painter.spriteAtlas.pixelRatio || iconsNeedLinear;
         var iconTransformed = alignedWithMap || painter.transform.pitch;
         painter.spriteAtlas.bind(gl, sdf || mapMoving || iconScaled || iconTransformed);
         texsize = [painter.spriteAtlas.width / 4, painter.spriteAtlas.height / 4];
@@ -133,6 +132,10 @@ function drawSymbol(painter, layer, posMatrix, tile, bucket, elementGroups, pref
     gl.uniform1i(program.u_skewed, skewed);
     gl.uniform1f(program.u_extra, extra);
 
+    if (layer.timeProperty) {
+        gl.uniform2fv(program.u_time_range, layer.getTimeRangeUniform());
+    }
+
     // adjust min/max zooms for variable font sizes
     var zoomAdjust = Math.log(fontSize / elementGroups.adjustedSize) / Math.LN2 || 0;
 
@@ -145,13 +148,11 @@ function drawSymbol(painter, layer, posMatrix, tile, bucket, elementGroups, pref
 
     var group, count;
 
-    bucket.bindLayoutBuffers(programInterfaceName, gl);
-
     if (sdf) {
         var sdfPx = 8;
         var blurOffset = 1.19;
         var haloOffset = 6;
-        var gamma = 0.105 * defaultSizes[prefix] / fontSize / browser.devicePixelRatio;
+        var gamma = 0.105 * defaultSizes[prefix] / fontSize / painter.pixelRatio;
 
         if (layer.paint[prefix + '-halo-width']) {
             var haloColor = util.premultiply(layer.paint[prefix + '-halo-color']);
@@ -164,7 +165,9 @@ function drawSymbol(painter, layer, posMatrix, tile, bucket, elementGroups, pref
 
             for (var j = 0; j < elementGroups.length; j++) {
                 group = elementGroups[j];
+                bucket.bindLayoutBuffers(programInterfaceName, gl);
                 bucket.setAttribPointers(programInterfaceName, gl, program, group.vertexOffset, layer);
+                bucket.bindPaintBuffer(gl, programInterfaceName, layer.id, program, group.vertexStartIndex);
 
                 count = group.elementLength * 3;
                 gl.drawElements(gl.TRIANGLES, count, gl.UNSIGNED_SHORT, group.elementOffset);
@@ -181,6 +184,7 @@ function drawSymbol(painter, layer, posMatrix, tile, bucket, elementGroups, pref
             group = elementGroups[i];
             bucket.bindLayoutBuffers(programInterfaceName, gl);
             bucket.setAttribPointers(programInterfaceName, gl, program, group.vertexOffset, layer);
+            bucket.bindPaintBuffer(gl, programInterfaceName, layer.id, program, group.vertexStartIndex);
 
             count = group.elementLength * 3;
             gl.drawElements(gl.TRIANGLES, count, gl.UNSIGNED_SHORT, group.elementOffset);
@@ -190,7 +194,9 @@ function drawSymbol(painter, layer, posMatrix, tile, bucket, elementGroups, pref
         gl.uniform1f(program.u_opacity, layer.paint['icon-opacity']);
         for (var k = 0; k < elementGroups.length; k++) {
             group = elementGroups[k];
+            bucket.bindLayoutBuffers(programInterfaceName, gl);
             bucket.setAttribPointers(programInterfaceName, gl, program, group.vertexOffset, layer);
+            bucket.bindPaintBuffer(gl, programInterfaceName, layer.id, program, group.vertexStartIndex);
 
             count = group.elementLength * 3;
             gl.drawElements(gl.TRIANGLES, count, gl.UNSIGNED_SHORT, group.elementOffset);
@@ -1,6 +1,5 @@
 'use strict';
 
-var browser = require('../util/browser');
 var mat4 = require('gl-matrix').mat4;
 var FrameHistory = require('./frame_history');
 var TilePyramid = require('../source/tile_pyramid');
@@ -47,19 +46,22 @@ function Painter(gl, transform) {
     this.depthEpsilon = 1 / Math.pow(2, 16);
 
     this.lineWidthRange = gl.getParameter(gl.ALIASED_LINE_WIDTH_RANGE);
+    this.maxTextureSize = gl.getParameter(gl.MAX_TEXTURE_SIZE);
 }
 
 util.extend(Painter.prototype, require('./painter/use_program'));
 
 /*
  * Update the GL viewport, projection matrix, and transforms to compensate
- * for a new width and height value.
+ * for a new width and height value, and the number of device pixels per CSS
+ * pixel.
  */
-Painter.prototype.resize = function(width, height) {
+Painter.prototype.resize = function(width, height, pixelRatio) {
     var gl = this.gl;
 
-    this.width = width * browser.devicePixelRatio;
-    this.height = height * browser.devicePixelRatio;
+    this.pixelRatio = pixelRatio;
+    this.width = width * pixelRatio;
+    this.height = height * pixelRatio;
     gl.viewport(0, 0, this.width, this.height);
 
 };
@@ -201,9 +203,12 @@ Painter.prototype.bindDefaultFramebuffer = function() {
 var draw = {
     symbol: require('./draw_symbol'),
     circle: require('./draw_circle'),
+    heatmap: require('./draw_heatmap'),
     line: require('./draw_line'),
     fill: require('./draw_fill'),
+    'fill-extrusion': require('./draw_fill_extrusion'),
     raster: require('./draw_raster'),
+    hillshade: require('./draw_hillshade'),
     background: require('./draw_background'),
     debug: require('./draw_debug')
 };
@@ -216,8 +221,10 @@ Painter.prototype.render = function(style, options) {
 
     this.spriteAtlas = style.spriteAtlas;
     this.spriteAtlas.setSprite(style.sprite);
+    this.spriteAtlas.setMaxTextureSize(this.maxTextureSize);
 
     this.glyphSource = style.glyphSource;
+    if (this.glyphSource) this.glyphSource.setMaxTextureSize(this.maxTextureSize);
 
     this.frameHistory.record(this.transform.zoom);
 
@@ -19,6 +19,30 @@ var definitions = {
         fragmentSource: fs.readFileSync(path.join(__dirname, '../../../shaders/circle.fragment.glsl'), 'utf8'),
         vertexSource: fs.readFileSync(path.join(__dirname, '../../../shaders/circle.vertex.glsl'), 'utf8')
     },
+    fillextrusion: {
+        fragmentSource: fs.readFileSync(path.join(__dirname, '../../../shaders/fillextrusion.fragment.glsl'), 'utf8'),
+        vertexSource: fs.readFileSync(path.join(__dirname, '../../../shaders/fillextrusion.vertex.glsl'), 'utf8')
+    },
+    extrusiontexture: {
+        fragmentSource: fs.readFileSync(path.join(__dirname, '../../../shaders/extrusiontexture.fragment.glsl'), 'utf8'),
+        vertexSource: fs.readFileSync(path.join(__dirname, '../../../shaders/extrusiontexture.vertex.glsl'), 'utf8')
+    },
+    heatmap: {
+        fragmentSource: fs.readFileSync(path.join(__dirname, '../../../shaders/heatmap.fragment.glsl'), 'utf8'),
+        vertexSource: fs.readFileSync(path.join(__dirname, '../../../shaders/heatmap.vertex.glsl'), 'utf8')
+    },
+    heatmaptexture: {
+        fragmentSource: fs.readFileSync(path.join(__dirname, '../../../shaders/heatmaptexture.fragment.glsl'), 'utf8'),
+        vertexSource: fs.readFileSync(path.join(__dirname, '../../../shaders/heatmaptexture.vertex.glsl'), 'utf8')
+    },
+    hillshadeprepare: {
+        fragmentSource: fs.readFileSync(path.join(__dirname, '../../../shaders/hillshadeprepare.fragment.glsl'), 'utf8'),
+        vertexSource: fs.readFileSync(path.join(__dirname, '../../../shaders/hillshadeprepare.vertex.glsl'), 'utf8')
+    },
+    hillshade: {
+        fragmentSource: fs.readFileSync(path.join(__dirname, '../../../shaders/hillshade.fragment.glsl'), 'utf8'),
+        vertexSource: fs.readFileSync(path.join(__dirname, '../../../shaders/hillshade.vertex.glsl'), 'utf8')
+    },
     line: {
         fragmentSource: fs.readFileSync(path.join(__dirname, '../../../shaders/line.fragment.glsl'), 'utf8'),
         vertexSource: fs.readFileSync(path.join(__dirname, '../../../shaders/line.vertex.glsl'), 'utf8')
@@ -0,0 +1,76 @@
+'use strict';
+
+/*
+ * Operators for combining the values of a numeric feature property across the
+ * points of a cluster. Each takes the accumulated value and count and the
+ * value and count of the point or child cluster being added.
+ */
+var operators = {
+    '+': function(a, aCount, b) {
+        return a + b;
+    },
+    'min': function(a, aCount, b) {
+        return Math.min(a, b);
+    },
+    'max': function(a, aCount, b) {
+        return Math.max(a, b);
+    },
+    'mean': function(a, aCount, b, bCount) {
+        return (a * aCount + b * bCount) / (aCount + bCount);
+    }
+};
+
+module.exports = createClusterReducers;
+
+/**
+ * Create the `initial`, `map` and `reduce` options with which supercluster
+ * computes the `clusterProperties` of a GeoJSON source.
+ *
+ * Clusters only get the properties for which at least one of their points
+ * has a numeric value. The number of values each property was computed from
+ * is kept in a non-enumerable `_counts` object so that means can be combined
+ * across zoom levels without it ending up in the cluster features.
+ *
+ * @private
+ * @param {Object<string, Array<string>>} clusterProperties A map from cluster property names to `[operator, featurePropertyName]`
+ * @returns {Object} supercluster options
+ */
+function createClusterReducers(clusterProperties) {
+    var names = Object.keys(clusterProperties);
+
+    return {
+        initial: createAccumulator,
+
+        map: function(properties) {
+            var mapped = createAccumulator();
+            for (var i = 0; i < names.length; i++) {
+                var value = properties[clusterProperties[names[i]][1]];
+                if (typeof value === 'number') {
+                    mapped[names[i]] = value;
+                    mapped._counts[names[i]] = 1;
+                }
+            }
+            return mapped;
+        },
+
+        reduce: function(accumulated, properties) {
+            for (var i = 0; i < names.length; i++) {
+                var name = names[i];
+                var count = properties._counts[name];
+                if (!count) continue;
+
+                var accumulatedCount = accumulated._counts[name];
+                accumulated[name] = accumulatedCount ?
+                    operators[clusterProperties[name][0]](accumulated[name], accumulatedCount, properties[name], count) :
+                    properties[name];
+                accumulated._counts[name] = (accumulatedCount || 0) + count;
+            }
+        }
+    };
+}
+
+createClusterReducers.operators = Object.keys(operators);
+
+function createAccumulator() {
+    return Object.defineProperty({}, '_counts', {value: {}});
+}
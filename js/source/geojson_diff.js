@@ -0,0 +1,138 @@
+'use strict';
+
+var util = require('../util/util');
+
+module.exports = applyGeoJSONDiff;
+
+/**
+ * Apply a set of changes to an array of GeoJSON features. Features are
+ * identified by their `id`.
+ *
+ * @private
+ * @param {Array<Object>} features The current features. This array is not modified.
+ * @param {Object} diff
+ * @param {Array<Object>} [diff.add] Features to add. An added feature replaces any existing feature with the same id.
+ * @param {Array<Object>} [diff.update] Features to merge into the existing features with the same ids. `geometry` and `properties` are replaced if present and kept otherwise.
+ * @param {Array<string|number>} [diff.remove] The ids of features to remove
+ * @returns {Object} `{features, changed}`, where `changed` holds every feature that was removed, replaced or added
+ * @throws {Error} if the diff is invalid, in which case no changes are made
+ */
+function applyGeoJSONDiff(features, diff) {
+    var add = diff.add || [];
+    var update = diff.update || [];
+    var remove = diff.remove || [];
+    var i, id, index;
+
+    var indices = {};
+    for (i = 0; i < features.length; i++) {
+        if (features[i].id !== undefined) indices[features[i].id] = i;
+    }
+
+    var removed = {};
+    for (i = 0; i < remove.length; i++) {
+        removed[remove[i]] = true;
+    }
+
+    for (i = 0; i < add.length; i++) {
+        if (add[i].id === undefined) throw new Error('Added features must have an id');
+    }
+    for (i = 0; i < update.length; i++) {
+        if (indices[update[i].id] === undefined || removed[update[i].id]) {
+            throw new Error('There is no feature with the id ' + update[i].id + ' to update');
+        }
+    }
+
+    var result = features.slice();
+    var changed = [];
+
+    for (i = 0; i < remove.length; i++) {
+        index = indices[remove[i]];
+        if (index === undefined) continue;
+        changed.push(result[index]);
+        result[index] = null;
+        delete indices[remove[i]];
+    }
+
+    for (i = 0; i < update.length; i++) {
+        index = indices[update[i].id];
+        var feature = util.extend({}, result[index]);
+        if (update[i].geometry !== undefined) feature.geometry = update[i].geometry;
+        if (update[i].properties !== undefined) feature.properties = update[i].properties;
+        changed.push(result[index], feature);
+        result[index] = feature;
+    }
+
+    for (i = 0; i < add.length; i++) {
+        id = add[i].id;
+        if (indices[id] !== undefined) {
+            changed.push(result[indices[id]]);
+            result[indices[id]] = add[i];
+        } else {
+            indices[id] = result.length;
+            result.push(add[i]);
+        }
+        changed.push(add[i]);
+    }
+
+    return {
+        features: result.filter(Boolean),
+        changed: changed
+    };
+}
+
+/**
+ * Get the features of any GeoJSON object as an array
+ * @private
+ * @param {Object} geojson A FeatureCollection, Feature or Geometry
+ * @returns {Array<Object>}
+ */
+applyGeoJSONDiff.getFeatures = function(geojson) {
+    if (geojson.type === 'FeatureCollection') {
+        return geojson.features;
+    } else if (geojson.type === 'Feature') {
+        return [geojson];
+    } else {
+        return [{type: 'Feature', properties: {}, geometry: geojson}];
+    }
+};
+
+/**
+ * Get the bounding box of a feature in world coordinates, where the world
+ * spans from 0 to 1 in both dimensions.
+ * @private
+ * @param {Object} feature A GeoJSON feature
+ * @returns {Array<number>} `[minX, minY, maxX, maxY]`
+ */
+applyGeoJSONDiff.getFeatureBounds = function(feature) {
+    var bounds = [Infinity, Infinity, -Infinity, -Infinity];
+    if (feature.geometry) extendBounds(bounds, feature.geometry);
+    return bounds;
+};
+
+function extendBounds(bounds, geometry) {
+    if (geometry.type === 'GeometryCollection') {
+        for (var i = 0; i < geometry.geometries.length; i++) {
+            extendBounds(bounds, geometry.geometries[i]);
+        }
+    } else {
+        extendBoundsWithCoordinates(bounds, geometry.coordinates);
+    }
+}
+
+function extendBoundsWithCoordinates(bounds, coordinates) {
+    if (typeof coordinates[0] !== 'number') {
+        for (var i = 0; i < coordinates.length; i++) {
+            extendBoundsWithCoordinates(bounds, coordinates[i]);
+        }
+        return;
+    }
+
+    var x = (180 + coordinates[0]) / 360;
+    var sin = Math.sin(Math.max(Math.min(coordinates[1], 85.051129), -85.051129) * Math.PI / 180);
+    var y = 0.5 - 0.25 * Math.log((1 + sin) / (1 - sin)) / Math.PI;
+
+    bounds[0] = Math.min(bounds[0], x);
+    bounds[1] = Math.min(bounds[1], y);
+    bounds[2] = Math.max(bounds[2], x);
+    bounds[3] = Math.max(bounds[3], y);
+}
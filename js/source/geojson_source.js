@@ -6,6 +6,7 @@ var TilePyramid = require('./tile_pyramid');
 var Source = require('./source');
 var urlResolve = require('resolve-url');
 var EXTENT = require('../data/bucket').EXTENT;
+var applyGeoJSONDiff = require('./geojson_diff');
 
 module.exports = GeoJSONSource;
 
@@ -20,6 +21,8 @@ module.exports = GeoJSONSource;
  * @param {number} [options.cluster] If the data is a collection of point features, setting this to true clusters the points by radius into groups.
  * @param {number} [options.clusterRadius=50] Radius of each cluster when clustering points, in pixels.
  * @param {number} [options.clusterMaxZoom] Max zoom to cluster points on. Defaults to one zoom less than `maxzoom` (so that last zoom features are not clustered).
+ * @param {Object<string, Array<string>>} [options.clusterProperties] Properties to compute for each cluster from the properties of its points, as a map from cluster property names to `[operator, propertyName]`, where `operator` is one of `"+"`, `"min"`, `"max"` and `"mean"`. Points without a numeric value for the property are ignored. The computed properties can be used like any other feature property, e.g. in filters, `text-field` tokens and property functions.
+ * @param {string} [options.sortedBy] The name of a numeric property the features are sorted by in ascending order. Filters that range on this property are evaluated with a binary search instead of testing every feature. Ignored when `cluster` is set.
 
  * @example
  * var sourceObj = new mapboxgl.GeoJSONSource({
@@ -40,10 +43,12 @@ module.exports = GeoJSONSource;
  * map.addSource('some id', sourceObj); // add
  * map.removeSource('some id');  // remove
  */
-function GeoJSONSource(options) {
+function GeoJSONSource(options, transformRequest) {
     options = options || {};
+    this._transformRequest = transformRequest;
 
     this._data = options.data;
+    this._diffs = [];
 
     if (options.maxzoom !== undefined) this.maxzoom = options.maxzoom;
 
@@ -57,6 +62,8 @@ function GeoJSONSource(options) {
     };
 
     this.cluster = options.cluster || false;
+    this.clusterProperties = options.clusterProperties;
+    this.sortedBy = options.sortedBy;
     this.superclusterOptions = {
         maxZoom: Math.min(options.clusterMaxZoom, this.maxzoom - 1) || (this.maxzoom - 1),
         extent: EXTENT,
@@ -94,6 +101,7 @@ GeoJSONSource.prototype = util.inherit(Evented, /** @lends GeoJSONSource.prototy
     setData: function(data) {
         this._data = data;
         this._dirty = true;
+        this._diffs = [];
 
         this.fire('change');
 
@@ -103,6 +111,119 @@ GeoJSONSource.prototype = util.inherit(Evented, /** @lends GeoJSONSource.prototy
         return this;
     },
 
+    /**
+     * Add, update or remove individual features by id. Unlike `setData`, this
+     * only sends the changes to the worker and only reloads the tiles that
+     * the changed features touch, which makes it suitable for frequently
+     * changing data such as a live feed. The changes made within a frame are
+     * applied together.
+     *
+     * The worker still rebuilds its tile index, and its cluster index if
+     * `cluster` is set, from all of the source's features for each batch of
+     * changes, so each batch costs as much indexing as a `setData` call.
+     *
+     * @param {Object} diff
+     * @param {Array<Object>} [diff.add] Features to add. Each must have an `id`. An added feature replaces any existing feature with the same id.
+     * @param {Array<Object>} [diff.update] Features to update, identified by `id`. A feature's `geometry` and `properties` are replaced if present and kept otherwise.
+     * @param {Array<string|number>} [diff.remove] The ids of features to remove
+     * @returns {GeoJSONSource} this
+     * @throws {Error} if the diff refers to features that don't exist, in which case no changes are made
+     * @example
+     * map.getSource('listings').updateData({
+     *     add: [{type: 'Feature', id: 12, properties: {price: 500000}, geometry: {type: 'Point', coordinates: [-122.41, 37.77]}}],
+     *     update: [{id: 7, properties: {price: 425000}}],
+     *     remove: [3]
+     * });
+     */
+    updateData: function(diff) {
+        // URL data only exists on the worker, so it is validated there
+        if (typeof this._data !== 'string') {
+            var features = applyGeoJSONDiff(applyGeoJSONDiff.getFeatures(this._data), diff).features;
+            this._data = {type: 'FeatureCollection', features: features};
+        }
+
+        // Data that hasn't been sent to the worker yet already includes the diff.
+        if (this._dirty && typeof this._data !== 'string') return this;
+
+        // Diffs are sent to the worker together on the next frame, so that
+        // the worker rebuilds its index once for all the updates made
+        // in between.
+        this._diffs.push(diff);
+        this.fire('change');
+
+        return this;
+    },
+
+    /**
+     * Get the children of a cluster on the next zoom level, which are
+     * clusters or points.
+     *
+     * @param {number} clusterId The `cluster_id` property of a cluster feature
+     * @param {Function} callback Called with an error or an array of GeoJSON features
+     * @returns {GeoJSONSource} this
+     */
+    getClusterChildren: function(clusterId, callback) {
+        this.dispatcher.send('get cluster children', {
+            source: this.id,
+            clusterId: clusterId
+        }, callback, this.workerID);
+
+        return this;
+    },
+
+    /**
+     * Get the points in a cluster, with pagination.
+     *
+     * @param {number} clusterId The `cluster_id` property of a cluster feature
+     * @param {number} [limit=10] The maximum number of points to return
+     * @param {number} [offset=0] The number of points to skip, for pagination
+     * @param {Function} callback Called with an error or an array of GeoJSON point features
+     * @returns {GeoJSONSource} this
+     * @example
+     * map.on('click', function(e) {
+     *     var cluster = map.queryRenderedFeatures(e.point, {layers: ['clusters']})[0];
+     *     if (!cluster) return;
+     *     map.getSource('homes').getClusterLeaves(cluster.properties.cluster_id, 20, 0, function(err, homes) {
+     *         if (!err) showInSidebar(homes);
+     *     });
+     * });
+     */
+    getClusterLeaves: function(clusterId, limit, offset, callback) {
+        this.dispatcher.send('get cluster leaves', {
+            source: this.id,
+            clusterId: clusterId,
+            limit: limit,
+            offset: offset
+        }, callback, this.workerID);
+
+        return this;
+    },
+
+    /**
+     * Get the zoom level at which a cluster splits into several children.
+     *
+     * @param {number} clusterId The `cluster_id` property of a cluster feature
+     * @param {Function} callback Called with an error or the zoom level
+     * @returns {GeoJSONSource} this
+     * @example
+     * map.getSource('homes').getClusterExpansionZoom(cluster.properties.cluster_id, function(err, zoom) {
+     *     if (!err) map.easeTo({center: cluster.geometry.coordinates, zoom: zoom});
+     * });
+     */
+    getClusterExpansionZoom: function(clusterId, callback) {
+        this.dispatcher.send('get cluster expansion zoom', {
+            source: this.id,
+            clusterId: clusterId
+        }, callback, this.workerID);
+
+        return this;
+    },
+
+    // The data is sent to the worker on the first update.
+    load: function(transformRequest) {
+        if (!this._transformRequest) this._transformRequest = transformRequest;
+    },
+
     onAdd: function(map) {
         this.map = map;
     },
@@ -114,6 +235,8 @@ GeoJSONSource.prototype = util.inherit(Evented, /** @lends GeoJSONSource.prototy
     update: function(transform) {
         if (this._dirty) {
             this._updateData();
+        } else if (this._diffs.length && !this._updating) {
+            this._sendDiffs();
         }
 
         if (this._loaded) {
@@ -128,10 +251,13 @@ GeoJSONSource.prototype = util.inherit(Evented, /** @lends GeoJSONSource.prototy
     },
 
     serialize: function() {
-        return {
+        var serialized = {
             type: 'geojson',
             data: this._data
         };
+        if (this.clusterProperties !== undefined) serialized.clusterProperties = this.clusterProperties;
+        if (this.sortedBy !== undefined) serialized.sortedBy = this.sortedBy;
+        return serialized;
     },
 
     getVisibleCoordinates: Source._getVisibleCoordinates,
@@ -139,25 +265,31 @@ GeoJSONSource.prototype = util.inherit(Evented, /** @lends GeoJSONSource.prototy
 
     queryRenderedFeatures: Source._queryRenderedVectorFeatures,
     querySourceFeatures: Source._querySourceFeatures,
+    updateFeatureState: Source._updateFeatureState,
+    reloadTiles: Source._reloadTiles,
 
     _updateData: function() {
         this._dirty = false;
+        this._updating = true;
         var options = {
             tileSize: this.tileSize,
             source: this.id,
             geojsonVtOptions: this.geojsonVtOptions,
             cluster: this.cluster,
+            clusterProperties: this.clusterProperties,
             superclusterOptions: this.superclusterOptions
         };
 
         var data = this._data;
         if (typeof data === 'string') {
-            options.url = typeof window != 'undefined' ? urlResolve(window.location.href, data) : data;
+            var url = typeof window != 'undefined' ? urlResolve(window.location.href, data) : data;
+            options.request = util.getRequestParameters(this._transformRequest, url, 'Source');
         } else {
             options.data = JSON.stringify(data);
         }
         this.workerID = this.dispatcher.send('parse geojson', options, function(err) {
             this._loaded = true;
+            this._updating = false;
             if (err) {
                 this.fire('error', {error: err});
             } else {
@@ -168,6 +300,60 @@ GeoJSONSource.prototype = util.inherit(Evented, /** @lends GeoJSONSource.prototy
         }.bind(this));
     },
 
+    _sendDiffs: function() {
+        var options = {
+            source: this.id,
+            diffs: JSON.stringify(this._diffs),
+            geojsonVtOptions: this.geojsonVtOptions,
+            cluster: this.cluster,
+            clusterProperties: this.clusterProperties,
+            superclusterOptions: this.superclusterOptions
+        };
+        this._diffs = [];
+        this._updating = true;
+
+        this.dispatcher.send('update geojson', options, function(err, result) {
+            this._updating = false;
+            if (err) {
+                // resend the whole data set to bring the worker back in sync
+                if (typeof this._data !== 'string') this._dirty = true;
+                this.fire('error', {error: err});
+            } else {
+                this._pyramid.reloadTiles(this._isTileChanged.bind(this, result.bounds));
+                this.fire('change');
+            }
+
+            if (this.map)
+                this.update(this.map.transform);
+
+        }.bind(this), this.workerID);
+    },
+
+    // Whether any of the changed feature bounds (in world coordinates) fall
+    // within the data of the tile, including its buffer. Overzoomed tiles are
+    // cut from the tile at `maxzoom`. Changing a point can move clusters up to
+    // about twice the cluster radius away.
+    _isTileChanged: function(bounds, coord) {
+        var padding = this.geojsonVtOptions.buffer / EXTENT;
+        if (this.cluster) padding = Math.max(padding, 2 * this.superclusterOptions.radius / EXTENT);
+
+        var z = Math.min(coord.z, this.maxzoom);
+        var scale = Math.pow(2, z);
+        var x = Math.floor(coord.x / Math.pow(2, coord.z - z));
+        var y = Math.floor(coord.y / Math.pow(2, coord.z - z));
+
+        var minX = (x - padding) / scale;
+        var minY = (y - padding) / scale;
+        var maxX = (x + 1 + padding) / scale;
+        var maxY = (y + 1 + padding) / scale;
+
+        for (var i = 0; i < bounds.length; i++) {
+            var b = bounds[i];
+            if (b[0] <= maxX && b[2] >= minX && b[1] <= maxY && b[3] >= minY) return true;
+        }
+        return false;
+    },
+
     _loadTile: function(tile) {
         var overscaling = tile.coord.z > this.maxzoom ? Math.pow(2, tile.coord.z - this.maxzoom) : 1;
         var params = {
@@ -180,7 +366,9 @@ GeoJSONSource.prototype = util.inherit(Evented, /** @lends GeoJSONSource.prototy
             overscaling: overscaling,
             angle: this.map.transform.angle,
             pitch: this.map.transform.pitch,
-            showCollisionBoxes: this.map.showCollisionBoxes
+            showCollisionBoxes: this.map.showCollisionBoxes,
+            cluster: this.cluster,
+            sortedBy: this.sortedBy && !this.cluster ? {'_geojsonTileLayer': this.sortedBy} : undefined
         };
 
         tile.workerID = this.dispatcher.send('load geojson tile', params, function(err, data) {
@@ -222,6 +410,7 @@ GeoJSONSource.prototype = util.inherit(Evented, /** @lends GeoJSONSource.prototy
     _unloadTile: function(tile) {
         tile.unloadVectorData(this.map.painter);
         this.dispatcher.send('remove tile', { uid: tile.uid, source: this.id }, null, tile.workerID);
+        this.style.spriteAtlas.removeIcons(tile.uid);
     },
 
     redoPlacement: Source.redoPlacement,
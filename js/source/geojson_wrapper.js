@@ -21,6 +21,7 @@ function FeatureWrapper(feature) {
     this.type = feature.type;
     this.rawGeometry = feature.type === 1 ? [feature.geometry] : feature.geometry;
     this.properties = feature.tags;
+    this.id = feature.id;
     this.extent = EXTENT;
 }
 
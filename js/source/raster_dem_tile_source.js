@@ -0,0 +1,116 @@
+'use strict';
+
+var util = require('../util/util');
+var ajax = require('../util/ajax');
+var RasterTileSource = require('./raster_tile_source');
+var DEMData = require('../data/dem_data');
+var normalizeURL = require('../util/mapbox').normalizeTileURL;
+
+module.exports = RasterDEMTileSource;
+
+/**
+ * A source of raster tiles whose pixels encode elevations, which are drawn by
+ * `hillshade` layers.
+ *
+ * @private
+ * @param {Object} options
+ * @param {string} [options.encoding='mapbox'] The encoding of the elevations: `mapbox` for Mapbox Terrain-RGB, or `terrarium` for Terrarium
+ * @param {Function} [transformRequest]
+ */
+function RasterDEMTileSource(options, transformRequest) {
+    util.extend(this, util.pick(options, ['url', 'tileSize', 'encoding']));
+    this._transformRequest = transformRequest;
+
+    this._tileJSONOptions = options;
+}
+
+RasterDEMTileSource.prototype = util.inherit(RasterTileSource, {
+    encoding: 'mapbox',
+
+    update: function(transform) {
+        if (this._pyramid) {
+            this._pyramid.update(this.used, transform, 0);
+        }
+    },
+
+    serialize: function() {
+        return {
+            type: 'raster-dem',
+            url: this.url,
+            tileSize: this.tileSize,
+            encoding: this.encoding
+        };
+    },
+
+    _loadTile: function(tile) {
+        var url = normalizeURL(tile.coord.url(this.tiles), this.url, this.tileSize, this.map.painter.pixelRatio);
+
+        tile.request = ajax.getImage(util.getRequestParameters(this._transformRequest, url, 'Tile'), done.bind(this));
+
+        function done(err, img) {
+            delete tile.request;
+
+            if (tile.aborted)
+                return;
+
+            if (!err) {
+                try {
+                    tile.dem = new DEMData(img.getData(), img.width, this.encoding);
+                } catch (e) {
+                    err = e;
+                }
+            }
+
+            if (err) {
+                tile.errored = true;
+                this.fire('tile.error', {tile: tile, error: err});
+                return;
+            }
+
+            this._backfillBorders(tile);
+            tile.needsHillshadePrepare = true;
+
+            tile.source = this;
+            tile.loaded = true;
+
+            this.fire('tile.load', {tile: tile});
+        }
+    },
+
+    // Fill the borders of a tile and its loaded neighbours from each other,
+    // so that the slopes along their edges are continuous.
+    _backfillBorders: function(tile) {
+        var dim = 1 << tile.coord.z;
+        var ids = this._pyramid.orderedIDs();
+
+        for (var i = 0; i < ids.length; i++) {
+            var neighbor = this._pyramid.getTile(ids[i]);
+            if (neighbor === tile || !neighbor.dem || neighbor.coord.z !== tile.coord.z) continue;
+
+            var dy = neighbor.coord.y - tile.coord.y;
+            if (Math.abs(dy) > 1) continue;
+
+            // Neighbours can also be across the antimeridian. At zoom level 1
+            // the other tile of a row is on both sides.
+            for (var wrap = -1; wrap <= 1; wrap++) {
+                var dx = neighbor.coord.x - tile.coord.x + wrap * dim;
+                if (Math.abs(dx) > 1 || (dx === 0 && dy === 0)) continue;
+
+                tile.dem.backfillBorder(neighbor.dem, dx, dy);
+                neighbor.dem.backfillBorder(tile.dem, -dx, -dy);
+                neighbor.needsHillshadePrepare = true;
+            }
+        }
+    },
+
+    _unloadTile: function(tile) {
+        var gl = this.map.painter.gl;
+        if (tile.demTexture) gl.deleteTexture(tile.demTexture);
+        if (tile.hillshadeTexture) gl.deleteTexture(tile.hillshadeTexture);
+        if (tile.hillshadeFbo) gl.deleteFramebuffer(tile.hillshadeFbo);
+        delete tile.demTexture;
+        delete tile.hillshadeTexture;
+        delete tile.hillshadeFbo;
+        tile.needsHillshadePrepare = true;
+    }
+});
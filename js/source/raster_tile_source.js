@@ -8,10 +8,11 @@ var normalizeURL = require('../util/mapbox').normalizeTileURL;
 
 module.exports = RasterTileSource;
 
-function RasterTileSource(options) {
+function RasterTileSource(options, transformRequest) {
     util.extend(this, util.pick(options, ['url', 'tileSize']));
+    this._transformRequest = transformRequest;
 
-    Source._loadTileJSON.call(this, options);
+    this._tileJSONOptions = options;
 }
 
 RasterTileSource.prototype = util.inherit(Evented, {
@@ -21,6 +22,8 @@ RasterTileSource.prototype = util.inherit(Evented, {
     tileSize: 512,
     _loaded: false,
 
+    load: Source._loadTileJSON,
+
     onAdd: function(map) {
         this.map = map;
     },
@@ -51,9 +54,9 @@ RasterTileSource.prototype = util.inherit(Evented, {
     getTile: Source._getTile,
 
     _loadTile: function(tile) {
-        var url = normalizeURL(tile.coord.url(this.tiles), this.url, this.tileSize);
+        var url = normalizeURL(tile.coord.url(this.tiles), this.url, this.tileSize, this.map.painter.pixelRatio);
 
-        tile.request = ajax.getImage(url, done.bind(this));
+        tile.request = ajax.getImage(util.getRequestParameters(this._transformRequest, url, 'Tile'), done.bind(this));
 
         function done(err, img) {
             delete tile.request;
@@ -0,0 +1,117 @@
+'use strict';
+
+module.exports = sortedFeatureRange;
+
+/**
+ * Given a vector tile layer whose features are sorted in ascending order by
+ * the numeric property `key`, find the range of feature indices that can
+ * possibly satisfy `filter`.
+ *
+ * Only `==`, `in`, `<`, `<=`, `>` and `>=` clauses on `key` (at the top level
+ * or nested inside `all`) narrow the range. The range is a superset of the
+ * matching features: callers must still evaluate the full filter against
+ * each feature inside it.
+ *
+ * @private
+ * @param {VectorTileLayer} layer
+ * @param {string} key The property the layer's features are sorted by
+ * @param {Array} filter A style spec filter
+ * @returns {?{start: number, end: number}} The half-open range of feature
+ *     indices `[start, end)`, or `null` if `filter` does not constrain `key`.
+ */
+function sortedFeatureRange(layer, key, filter) {
+    var bounds = getBounds(filter, key);
+    if (!bounds) return null;
+
+    var start = bounds.min === undefined ? 0 : search(layer, key, bounds.min, bounds.minExclusive);
+    var end = bounds.max === undefined ? layer.length : search(layer, key, bounds.max, !bounds.maxExclusive);
+
+    return {start: start, end: Math.max(start, end)};
+}
+
+// Returns the index of the first feature whose `key` is greater than `value`
+// (`after` is true) or greater than or equal to `value` (`after` is false).
+function search(layer, key, value, after) {
+    var low = 0;
+    var high = layer.length;
+
+    while (low < high) {
+        var mid = (low + high) >> 1;
+        var featureValue = layer.feature(mid).properties[key];
+
+        if (featureValue < value || (after && featureValue === value)) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+
+    return low;
+}
+
+function getBounds(filter, key) {
+    if (!Array.isArray(filter)) return null;
+
+    var op = filter[0];
+
+    if (op === 'all') {
+        var bounds = null;
+        for (var i = 1; i < filter.length; i++) {
+            bounds = intersectBounds(bounds, getBounds(filter[i], key));
+        }
+        return bounds;
+    }
+
+    if (filter[1] !== key) return null;
+
+    var value = filter[2];
+
+    if (op === 'in') {
+        var values = filter.slice(2);
+        if (!values.every(isNumber)) return null;
+        return {
+            min: Math.min.apply(Math, values),
+            max: Math.max.apply(Math, values)
+        };
+    }
+
+    if (!isNumber(value)) return null;
+
+    switch (op) {
+    case '==': return {min: value, max: value};
+    case '>': return {min: value, minExclusive: true};
+    case '>=': return {min: value};
+    case '<': return {max: value, maxExclusive: true};
+    case '<=': return {max: value};
+    default: return null;
+    }
+}
+
+function intersectBounds(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+
+    var result = {};
+
+    if (a.min === undefined || b.min > a.min || (b.min === a.min && b.minExclusive)) {
+        result.min = b.min;
+        result.minExclusive = b.minExclusive;
+    } else {
+        result.min = a.min;
+        result.minExclusive = a.minExclusive;
+    }
+
+    if (a.max === undefined || b.max < a.max || (b.max === a.max && b.maxExclusive)) {
+        result.max = b.max;
+        result.maxExclusive = b.maxExclusive;
+    } else {
+        result.max = a.max;
+        result.maxExclusive = a.maxExclusive;
+    }
+
+    return result;
+}
+
+function isNumber(value) {
+    return typeof value === 'number';
+}
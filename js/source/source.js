@@ -7,7 +7,18 @@ var TilePyramid = require('./tile_pyramid');
 var normalizeURL = require('../util/mapbox').normalizeSourceURL;
 var TileCoord = require('./tile_coord');
 
-exports._loadTileJSON = function(options) {
+/*
+ * Request the TileJSON of a source, or use the TileJSON in its options, when
+ * the source is added to a style. The style passes the map's
+ * `transformRequest`, which applies to sources created without one.
+ */
+exports._loadTileJSON = function(transformRequest) {
+    if (this._tileJSONRequested) return;
+    this._tileJSONRequested = true;
+
+    if (!this._transformRequest) this._transformRequest = transformRequest;
+    var options = this._tileJSONOptions;
+
     var loaded = function(err, tileJSON) {
         if (err) {
             this.fire('error', {error: err});
@@ -40,7 +51,7 @@ exports._loadTileJSON = function(options) {
     }.bind(this);
 
     if (options.url) {
-        ajax.getJSON(normalizeURL(options.url), loaded);
+        ajax.getJSON(util.getRequestParameters(this._transformRequest, normalizeURL(options.url), 'Source'), loaded);
     } else {
         browser.frame(loaded.bind(this, null, options));
     }
@@ -58,6 +69,32 @@ exports.redoPlacement = function() {
     }
 };
 
+exports._updateFeatureState = function(featureState) {
+    if (!this._pyramid) {
+        return;
+    }
+
+    var ids = this._pyramid.orderedIDs();
+    for (var i = 0; i < ids.length; i++) {
+        this._pyramid.getTile(ids[i]).updateFeatureState(featureState);
+    }
+};
+
+/**
+ * Reload the tiles with the given coordinate IDs, including cached ones.
+ * @param {Array<number>} ids
+ * @private
+ */
+exports._reloadTiles = function(ids) {
+    if (!this._pyramid) {
+        return;
+    }
+
+    this._pyramid.reloadTiles(function(coord) {
+        return ids.indexOf(coord.id) !== -1;
+    });
+};
+
 exports._getTile = function(coord) {
     return this._pyramid.getTile(coord.id);
 };
@@ -147,11 +184,14 @@ exports._querySourceFeatures = function(params) {
  * Create a tiled data source instance given an options object
  *
  * @param {Object} options
- * @param {string} options.type Either `raster` or `vector`.
+ * @param {string} options.type Either `raster`, `raster-dem` or `vector`.
  * @param {string} options.url A tile source URL. This should either be `mapbox://{mapid}` or a full `http[s]` url that points to a TileJSON endpoint.
  * @param {Array} options.tiles An array of tile sources. If `url` is not specified, `tiles` can be used instead to specify tile sources, as in the TileJSON spec. Other TileJSON keys such as `minzoom` and `maxzoom` can be specified in a source object if `tiles` is used.
  * @param {string} options.id An optional `id` to assign to the source
  * @param {number} [options.tileSize=512] Optional tile size (width and height in pixels, assuming tiles are square). This option is only configurable for raster sources
+ * @param {string} [options.encoding='mapbox'] For raster DEM sources, the encoding of the elevations in the tiles: `mapbox` for Mapbox Terrain-RGB, or `terrarium` for Terrarium.
+ * @param {Object<string, string>} [options.sortedBy] For vector sources, a map from source layer names to the numeric property each layer's features are sorted by in ascending order. Filters that range on that property (`==`, `in`, `<`, `<=`, `>`, `>=`) are evaluated with a binary search instead of testing every feature.
+ * @param {Function} [transformRequest] The map's `transformRequest` option, applied to the source's requests
  * @example
  * var sourceObj = new mapboxgl.Source.create({
  *    type: 'vector',
@@ -160,34 +200,59 @@ exports._querySourceFeatures = function(params) {
  * map.addSource('some id', sourceObj); // add
  * map.removeSource('some id');  // remove
  */
-exports.create = function(source) {
-    // This is not at file scope in order to avoid a circular require.
-    var sources = {
-        vector: require('./vector_tile_source'),
-        raster: require('./raster_tile_source'),
-        geojson: require('./geojson_source'),
-        video: require('./video_source'),
-        image: require('./image_source')
-    };
-
-    return exports.is(source) ? source : new sources[source.type](source);
+exports.create = function(source, transformRequest) {
+    return exports.is(source) ? source : new (getSourceTypes()[source.type])(source, transformRequest);
 };
 
 exports.is = function(source) {
+    var sources = getSourceTypes();
+
+    for (var type in sources) {
+        if (source instanceof sources[type]) {
+            return true;
+        }
+    }
+
+    return false;
+};
+
+// Source types added with `setType`
+var customSourceTypes = {};
+var workerSourceURLs = {};
+
+function getSourceTypes() {
     // This is not at file scope in order to avoid a circular require.
-    var sources = {
+    return util.extend({
         vector: require('./vector_tile_source'),
         raster: require('./raster_tile_source'),
+        'raster-dem': require('./raster_dem_tile_source'),
         geojson: require('./geojson_source'),
         video: require('./video_source'),
         image: require('./image_source')
-    };
+    }, customSourceTypes);
+}
 
-    for (var type in sources) {
-        if (source instanceof sources[type]) {
-            return true;
-        }
+/*
+ * Add a custom source type, making it available to `create` and to styles.
+ *
+ * @param {string} name The value of the `type` option of sources of this type
+ * @param {Function} SourceType A source class whose constructor takes the source options
+ * @param {string} [workerSourceURL] The URL of a script that is loaded into each worker
+ * @throws {Error} if there already is a source type with this name
+ */
+exports.setType = function(name, SourceType, workerSourceURL) {
+    if (getSourceTypes()[name]) {
+        throw new Error('There is already a source type with this name');
     }
 
-    return false;
+    customSourceTypes[name] = SourceType;
+    if (workerSourceURL) workerSourceURLs[name] = workerSourceURL;
+};
+
+exports.isCustomType = function(name) {
+    return customSourceTypes.hasOwnProperty(name);
+};
+
+exports.getWorkerSourceURLs = function() {
+    return util.extend({}, workerSourceURLs);
 };
@@ -0,0 +1,57 @@
+'use strict';
+
+var util = require('../util/util');
+
+module.exports = SourceFeatureState;
+
+/**
+ * The feature state of one source: a map from source layer names to maps from
+ * feature ids to state objects.
+ *
+ * State objects are never modified in place. Every change replaces the
+ * feature's state object so that buckets can find the features that changed
+ * since they last applied the state by comparing identities.
+ *
+ * @class SourceFeatureState
+ * @private
+ */
+function SourceFeatureState() {
+    this.state = {};
+}
+
+SourceFeatureState.prototype = {
+
+    updateState: function(sourceLayer, featureId, newState) {
+        var layerStates = this.state[sourceLayer] = this.state[sourceLayer] || {};
+        layerStates[featureId] = util.extend({}, layerStates[featureId], newState);
+    },
+
+    /**
+     * Remove a feature's state, a single key of it, or the state of every
+     * feature in a source layer if `featureId` is undefined.
+     * @private
+     */
+    removeState: function(sourceLayer, featureId, key) {
+        var layerStates = this.state[sourceLayer];
+        if (!layerStates) return;
+
+        if (featureId === undefined) {
+            delete this.state[sourceLayer];
+        } else if (key === undefined) {
+            delete layerStates[featureId];
+        } else if (layerStates[featureId]) {
+            var state = util.extend({}, layerStates[featureId]);
+            delete state[key];
+            layerStates[featureId] = state;
+        }
+    },
+
+    getState: function(sourceLayer, featureId) {
+        var layerStates = this.state[sourceLayer];
+        return util.extend({}, layerStates && layerStates[featureId]);
+    },
+
+    getLayerStates: function(sourceLayer) {
+        return this.state[sourceLayer] || {};
+    }
+};
@@ -6,7 +6,7 @@ var FeatureIndex = require('../data/feature_index');
 var vt = require('vector-tile');
 var Protobuf = require('pbf');
 var GeoJSONFeature = require('../util/vectortile_to_geojson');
-var featureFilter = require('feature-filter');
+var featureFilter = require('../style/filter');
 var CollisionTile = require('../symbol/collision_tile');
 var CollisionBoxArray = require('../symbol/collision_box');
 
@@ -52,6 +52,7 @@ Tile.prototype = {
         this.collisionTile = new CollisionTile(data.collisionTile, this.collisionBoxArray);
         this.featureIndex = new FeatureIndex(data.featureIndex, data.rawTileData, this.collisionTile);
         this.rawTileData = data.rawTileData;
+        this.vtLayers = null;
         this.buckets = unserializeBuckets(data.buckets, style);
     },
 
@@ -100,6 +101,7 @@ Tile.prototype = {
         this.collisionTile = null;
         this.featureIndex = null;
         this.rawTileData = null;
+        this.vtLayers = null;
         this.buckets = null;
         this.loaded = false;
         this.isUnloaded = true;
@@ -137,14 +139,35 @@ Tile.prototype = {
         return this.buckets && this.buckets[layer.ref || layer.id];
     },
 
-    querySourceFeatures: function(result, params) {
-        if (!this.rawTileData) return;
+    /**
+     * Bring the paint attributes of this tile's features in line with the
+     * source's feature state.
+     * @param {SourceFeatureState} featureState
+     * @returns {undefined}
+     * @private
+     */
+    updateFeatureState: function(featureState) {
+        if (!this.rawTileData || !this.buckets) return;
+
+        for (var id in this.buckets) {
+            var bucket = this.buckets[id];
+            var sourceLayer = bucket.layer.sourceLayer || '_geojsonTileLayer';
+            bucket.setFeatureState(featureState.getLayerStates(sourceLayer), this.getVTLayer(sourceLayer));
+        }
+    },
 
+    getVTLayer: function(sourceLayer) {
         if (!this.vtLayers) {
             this.vtLayers = new vt.VectorTile(new Protobuf(new Uint8Array(this.rawTileData))).layers;
         }
 
-        var layer = this.vtLayers._geojsonTileLayer || this.vtLayers[params.sourceLayer];
+        return this.vtLayers._geojsonTileLayer || this.vtLayers[sourceLayer];
+    },
+
+    querySourceFeatures: function(result, params) {
+        if (!this.rawTileData) return;
+
+        var layer = this.getVTLayer(params.sourceLayer);
 
         if (!layer) return;
 
@@ -97,6 +97,30 @@ TilePyramid.prototype = {
         }
     },
 
+    /**
+     * Reload the tiles whose coordinates pass `filter` and drop such tiles
+     * from the cache.
+     * @param {Function} filter Called with each tile's wrapped coordinate
+     * @private
+     */
+    reloadTiles: function(filter) {
+        var cachedIDs = this._cache.keys().slice();
+        for (var c = 0; c < cachedIDs.length; c++) {
+            if (filter(TileCoord.fromID(cachedIDs[c]))) {
+                this._unload(this._cache.get(cachedIDs[c]));
+            }
+        }
+
+        var reloaded = {};
+        for (var i in this._tiles) {
+            var tile = this._tiles[i];
+            if (!reloaded[tile.uid] && filter(tile.coord)) {
+                reloaded[tile.uid] = true;
+                this._load(tile);
+            }
+        }
+    },
+
     /**
      * Get a specific tile by id
      * @param {string|number} id tile id
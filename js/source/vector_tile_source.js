@@ -7,15 +7,16 @@ var normalizeURL = require('../util/mapbox').normalizeTileURL;
 
 module.exports = VectorTileSource;
 
-function VectorTileSource(options) {
-    util.extend(this, util.pick(options, ['url', 'tileSize']));
+function VectorTileSource(options, transformRequest) {
+    util.extend(this, util.pick(options, ['url', 'tileSize', 'sortedBy']));
+    this._transformRequest = transformRequest;
     this._options = util.extend({ type: 'vector' }, options);
 
     if (this.tileSize !== 512) {
         throw new Error('vector tile sources must have a tileSize of 512');
     }
 
-    Source._loadTileJSON.call(this, options);
+    this._tileJSONOptions = options;
 }
 
 VectorTileSource.prototype = util.inherit(Evented, {
@@ -26,6 +27,8 @@ VectorTileSource.prototype = util.inherit(Evented, {
     _loaded: false,
     isTileClipped: true,
 
+    load: Source._loadTileJSON,
+
     onAdd: function(map) {
         this.map = map;
     },
@@ -55,11 +58,15 @@ VectorTileSource.prototype = util.inherit(Evented, {
 
     queryRenderedFeatures: Source._queryRenderedVectorFeatures,
     querySourceFeatures: Source._querySourceFeatures,
+    updateFeatureState: Source._updateFeatureState,
+    reloadTiles: Source._reloadTiles,
 
     _loadTile: function(tile) {
         var overscaling = tile.coord.z > this.maxzoom ? Math.pow(2, tile.coord.z - this.maxzoom) : 1;
+        var url = normalizeURL(tile.coord.url(this.tiles, this.maxzoom), this.url);
         var params = {
-            url: normalizeURL(tile.coord.url(this.tiles, this.maxzoom), this.url),
+            request: util.getRequestParameters(this._transformRequest, url, 'Tile'),
+            type: this._options.type,
             uid: tile.uid,
             coord: tile.coord,
             zoom: tile.coord.z,
@@ -68,7 +75,8 @@ VectorTileSource.prototype = util.inherit(Evented, {
             overscaling: overscaling,
             angle: this.map.transform.angle,
             pitch: this.map.transform.pitch,
-            showCollisionBoxes: this.map.showCollisionBoxes
+            showCollisionBoxes: this.map.showCollisionBoxes,
+            sortedBy: this.sortedBy
         };
 
         if (tile.workerID) {
@@ -116,6 +124,7 @@ VectorTileSource.prototype = util.inherit(Evented, {
     _unloadTile: function(tile) {
         tile.unloadVectorData(this.map.painter);
         this.dispatcher.send('remove tile', { uid: tile.uid, source: this.id }, null, tile.workerID);
+        this.style.spriteAtlas.removeIcons(tile.uid);
     },
 
     redoPlacement: Source.redoPlacement,
@@ -12,6 +12,8 @@ var supercluster = require('supercluster');
 var geojsonvt = require('geojson-vt');
 var rewind = require('geojson-rewind');
 var GeoJSONWrapper = require('./geojson_wrapper');
+var applyGeoJSONDiff = require('./geojson_diff');
+var createClusterReducers = require('./cluster_properties');
 var vtpbf = require('vt-pbf');
 
 module.exports = function(self) {
@@ -25,6 +27,17 @@ function Worker(self) {
 
     this.loaded = {};
     this.geoJSONIndexes = {};
+    this.geoJSONFeatures = {};
+
+    // Decoders of custom source types, which worker scripts loaded with
+    // 'load worker source' register through `self.registerWorkerSource`
+    this.workerSources = {};
+    this.self.registerWorkerSource = function(name, decode) {
+        if (this.workerSources[name]) {
+            throw new Error('There is already a worker source with this name');
+        }
+        this.workerSources[name] = decode;
+    }.bind(this);
 }
 
 util.extend(Worker.prototype, {
@@ -36,7 +49,7 @@ util.extend(Worker.prototype, {
         var childLayerIndicies = [];
         for (var i = 0; i < layers.length; i++) {
             var layer = layers[i];
-            if (layer.type === 'fill' || layer.type === 'line' || layer.type === 'circle' || layer.type === 'symbol') {
+            if (layer.type === 'fill' || layer.type === 'fill-extrusion' || layer.type === 'line' || layer.type === 'circle' || layer.type === 'heatmap' || layer.type === 'symbol') {
                 if (layer.ref) {
                     childLayerIndicies.push(i);
                 } else {
@@ -102,14 +115,25 @@ util.extend(Worker.prototype, {
 
         var tile = this.loading[source][uid] = new WorkerTile(params);
 
-        tile.xhr = ajax.getArrayBuffer(params.url, done.bind(this));
+        tile.xhr = ajax.getArrayBuffer(params.request, done.bind(this));
 
         function done(err, data) {
             delete this.loading[source][uid];
 
             if (err) return callback(err);
 
-            tile.data = new vt.VectorTile(new Protobuf(new Uint8Array(data)));
+            var decode = this.workerSources[params.type];
+            if (decode) {
+                try {
+                    tile.data = decode(data, params);
+                } catch (err) {
+                    return callback(err);
+                }
+                // The main thread reads the features of queried tiles from vector tile data.
+                data = vtpbf(tile.data).buffer;
+            } else {
+                tile.data = new vt.VectorTile(new Protobuf(new Uint8Array(data)));
+            }
             tile.parse(tile.data, this.layerFamilies, this.actor, data, callback);
 
             this.loaded[source] = this.loaded[source] || {};
@@ -161,6 +185,17 @@ util.extend(Worker.prototype, {
         }
     },
 
+    /*
+     * Load the script of a custom source type, which registers a function
+     * that decodes the source's tiles with `self.registerWorkerSource(name, decode)`.
+     * `decode(data, params)` is called with the tile's ArrayBuffer and returns
+     * an object with vector tile layers, like a `VectorTile` from the
+     * `vector-tile` module.
+     */
+    'load worker source': function(params) {
+        this.self.importScripts(params.url);
+    },
+
     'parse geojson': function(params, callback) {
         var indexData = function(err, data) {
             rewind(data, true);
@@ -169,12 +204,12 @@ util.extend(Worker.prototype, {
                 return callback(new Error("Input data is not a valid GeoJSON object."));
             }
             try {
-                this.geoJSONIndexes[params.source] = params.cluster ?
-                    supercluster(params.superclusterOptions).load(data.features) :
-                    geojsonvt(data, params.geojsonVtOptions);
+                this.geoJSONIndexes[params.source] = createGeoJSONIndex(data, params);
             } catch (err) {
                 return callback(err);
             }
+            // keep the features around so that 'update geojson' can apply diffs to them
+            this.geoJSONFeatures[params.source] = applyGeoJSONDiff.getFeatures(data);
             callback(null);
         }.bind(this);
 
@@ -182,8 +217,8 @@ util.extend(Worker.prototype, {
         // explicit origin or absolute path.
         // ie: /foo/bar.json or http://example.com/bar.json
         // but not ../foo/bar.json
-        if (params.url) {
-            ajax.getJSON(params.url, indexData);
+        if (params.request) {
+            ajax.getJSON(params.request, indexData);
         } else if (typeof params.data === 'string') {
             indexData(null, JSON.parse(params.data));
         } else {
@@ -191,6 +226,39 @@ util.extend(Worker.prototype, {
         }
     },
 
+    /*
+     * Apply diffs to a source's GeoJSON features and rebuild its index, then
+     * call back with the bounds of the changed features in world coordinates
+     * so that the main thread only has to reload the tiles they touch.
+     * Neither geojson-vt nor supercluster indexes can be changed in place, so
+     * the main thread batches the diffs of a frame into one message to
+     * rebuild the index only once for them.
+     */
+    'update geojson': function(params, callback) {
+        var features = this.geoJSONFeatures[params.source];
+        if (!features) return callback(new Error('The source has no data to update.'));
+
+        var diffs = JSON.parse(params.diffs);
+        var changed = [];
+        try {
+            for (var i = 0; i < diffs.length; i++) {
+                var diff = diffs[i];
+                (diff.add || []).concat(diff.update || []).forEach(rewindFeature);
+
+                var result = applyGeoJSONDiff(features, diff);
+                features = result.features;
+                changed = changed.concat(result.changed);
+            }
+
+            this.geoJSONIndexes[params.source] = createGeoJSONIndex({type: 'FeatureCollection', features: features}, params);
+        } catch (err) {
+            return callback(err);
+        }
+
+        this.geoJSONFeatures[params.source] = features;
+        callback(null, {bounds: changed.map(applyGeoJSONDiff.getFeatureBounds)});
+    },
+
     'load geojson tile': function(params, callback) {
         var source = params.source,
             coord = params.coord;
@@ -211,6 +279,8 @@ util.extend(Worker.prototype, {
         this.loaded[source][params.uid] = tile;
 
         if (geoJSONTile) {
+            if (params.cluster) encodeClusterIds(geoJSONTile.features, getClusterZoom(this.geoJSONIndexes[source], coord.z, params.maxZoom));
+
             var geojsonWrapper = new GeoJSONWrapper(geoJSONTile.features);
             geojsonWrapper.name = '_geojsonTileLayer';
             var rawTileData = vtpbf({ layers: { '_geojsonTileLayer': geojsonWrapper }}).buffer;
@@ -218,9 +288,92 @@ util.extend(Worker.prototype, {
         } else {
             return callback(null, null); // nothing in the given tile
         }
+    },
+
+    'get cluster children': function(params, callback) {
+        withCluster(this.geoJSONIndexes[params.source], params.clusterId, function(index, id, zoom) {
+            var children = index.getChildren(id, zoom);
+            encodeClusterIds(children, zoom + 1);
+            return children;
+        }, callback);
+    },
+
+    'get cluster leaves': function(params, callback) {
+        withCluster(this.geoJSONIndexes[params.source], params.clusterId, function(index, id, zoom) {
+            return index.getLeaves(id, zoom, params.limit, params.offset);
+        }, callback);
+    },
+
+    'get cluster expansion zoom': function(params, callback) {
+        withCluster(this.geoJSONIndexes[params.source], params.clusterId, function(index, id, zoom) {
+            return index.getClusterExpansionZoom(id, zoom);
+        }, callback);
     }
 });
 
+/*
+ * Supercluster identifies a cluster by its index among the clusters of the
+ * zoom level it was created at, so the same id can refer to different
+ * clusters at different zoom levels. The `cluster_id` exposed in tiles encodes
+ * the zoom level in its lowest five bits so that it is unique.
+ */
+var CLUSTER_ZOOM_BITS = 5;
+
+function encodeClusterIds(features, zoom) {
+    for (var i = 0; i < features.length; i++) {
+        var feature = features[i];
+        var properties = feature.tags || feature.properties;
+        if (!properties.cluster) continue;
+
+        properties = util.extend({}, properties);
+        properties['cluster_id'] = properties['cluster_id'] * Math.pow(2, CLUSTER_ZOOM_BITS) + zoom;
+        if (feature.tags) feature.tags = properties;
+        else feature.properties = properties;
+    }
+}
+
+// The zoom level of the clusters that supercluster returns in a tile
+function getClusterZoom(index, z, maxZoom) {
+    return Math.max(index.options.minZoom, Math.min(z, maxZoom, index.options.maxZoom + 1));
+}
+
+function withCluster(index, clusterId, fn, callback) {
+    if (!index || !index.trees) {
+        return callback(new Error('The source is not clustered.'));
+    }
+
+    var scale = Math.pow(2, CLUSTER_ZOOM_BITS);
+    var zoom = clusterId % scale;
+    var id = Math.floor(clusterId / scale);
+    var tree = index.trees[zoom + 1];
+    var origin = tree && tree.points[id];
+    if (zoom < index.options.minZoom || zoom > index.options.maxZoom || !origin || origin.parentId !== id) {
+        return callback(new Error('There is no cluster with the id ' + clusterId + '.'));
+    }
+
+    var result;
+    try {
+        result = fn(index, id, zoom);
+    } catch (err) {
+        return callback(err);
+    }
+    callback(null, result);
+}
+
+function createGeoJSONIndex(data, params) {
+    if (!params.cluster) return geojsonvt(data, params.geojsonVtOptions);
+
+    // supercluster's reducers are functions, which can't be sent to workers
+    var options = params.clusterProperties ?
+        util.extend({}, params.superclusterOptions, createClusterReducers(params.clusterProperties)) :
+        params.superclusterOptions;
+    return supercluster(options).load(data.features);
+}
+
+function rewindFeature(feature) {
+    if (feature.geometry) feature.geometry = rewind(feature.geometry, true);
+}
+
 function createLayerFamilies(layers) {
     var families = {};
 
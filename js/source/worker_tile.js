@@ -5,6 +5,7 @@ var CollisionTile = require('../symbol/collision_tile');
 var Bucket = require('../data/bucket');
 var CollisionBoxArray = require('../symbol/collision_box');
 var DictionaryCoder = require('../util/dictionary_coder');
+var sortedFeatureRange = require('./sorted_feature_range');
 
 module.exports = WorkerTile;
 
@@ -18,6 +19,7 @@ function WorkerTile(params) {
     this.angle = params.angle;
     this.pitch = params.pitch;
     this.showCollisionBoxes = params.showCollisionBoxes;
+    this.sortedBy = params.sortedBy;
 }
 
 WorkerTile.prototype.parse = function(data, layerFamilies, actor, rawTileData, callback) {
@@ -85,86 +87,45 @@ WorkerTile.prototype.parse = function(data, layerFamilies, actor, rawTileData, c
         sortLayerIntoBuckets(data, bucketsById);
     }
 
-    // PATCH BEGINS HERE
-
-    function featuresFind(layer, time) {
-        // Finds the index of the first point with close_date greater than the given time.
-        // See: http://stackoverflow.com/questions/6553970/find-the-first-element-in-an-array-that-is-greater-than-the-target
-        var low = 0;
-        var high = layer.length;
-        var mid;
-        var properties;
-
-        while (low !== high) {
-            mid = Math.floor((low + high) / 2);
-            properties = layer.feature(mid).properties;
-
-            if (properties.d - time < 0) {
-                low = mid + 1;
+    function sortLayerIntoBuckets(layer, buckets) {
+        var sortKey = tile.sortedBy && tile.sortedBy[layer.name];
+        var unsortedBuckets = {};
+        var hasUnsortedBuckets = false;
+        var id;
+
+        // If the source declares that this layer's features are sorted by a
+        // property, only test the slice of features that can pass each filter.
+        for (id in buckets) {
+            var range = sortKey ? sortedFeatureRange(layer, sortKey, buckets[id].layer.filter) : null;
+            if (range) {
+                sortRangeIntoBucket(layer, buckets[id], range.start, range.end);
             } else {
-                high = mid;
+                unsortedBuckets[id] = buckets[id];
+                hasUnsortedBuckets = true;
             }
         }
 
-        // null means the searched for value is greater than all values in layer features.
-        return low === layer.length ? null : low;
-    }
-
-    function featuresSlice(layer, begin, end) {
-        var n = end - begin;
-        var slice = new Array(n);
-        while (n--) {
-            slice[n] = layer.feature(n + begin);
-        }
-        return slice;
-    }
+        if (!hasUnsortedBuckets) return;
 
-    function sortLayerIntoBuckets(layer, buckets) {
-        if (layer.name === 'markers') {
-            return sortLayerIntoBucketsBinarySearch(layer, buckets);
-        }
         for (var i = 0; i < layer.length; i++) {
             var feature = layer.feature(i);
             feature.index = i;
-            for (var id in buckets) {
-                if (buckets[id].filter(feature))
-                    buckets[id].features.push(feature);
+            for (id in unsortedBuckets) {
+                if (unsortedBuckets[id].filter(feature))
+                    unsortedBuckets[id].features.push(feature);
             }
         }
     }
 
-    function sortLayerIntoBucketsBinarySearch(layer, buckets) {
-        for (var id in buckets) {
-            var filterValues = getFilters(buckets[id].layer.filter);
-
-            var startIdx = featuresFind(layer, filterValues.startTime);
-            var endIdx = featuresFind(layer, filterValues.endTime);
-            if (startIdx && !endIdx) {
-                endIdx = layer.length;
-            }
-            var featureSlice = featuresSlice(layer, startIdx, endIdx);
-
-            buckets[id].features = featureSlice;
-        }
-    }
-
-    function getFilters(filter) {
-        var values = {};
-        for (var i = 1; i < filter.length; i++) {
-            var filterSpec = filter[i];
-            if (filterSpec[1] === 'd') {
-                if (filterSpec[0].charAt(0) === '>') {
-                    values.startTime = filterSpec[2];
-                } else {
-                    values.endTime = filterSpec[2];
-                }
-            }
+    function sortRangeIntoBucket(layer, bucket, start, end) {
+        for (var i = start; i < end; i++) {
+            var feature = layer.feature(i);
+            feature.index = i;
+            if (bucket.filter(feature))
+                bucket.features.push(feature);
         }
-        return values;
     }
 
-    // PATCH ENDS HERE
-
     var buckets = [],
         symbolBuckets = this.symbolBuckets = [],
         otherBuckets = [];
@@ -209,7 +170,7 @@ WorkerTile.prototype.parse = function(data, layerFamilies, actor, rawTileData, c
         });
 
         if (icons.length) {
-            actor.send('get icons', {icons: icons}, function(err, newIcons) {
+            actor.send('get icons', {icons: icons, uid: this.uid, source: this.source, coord: this.coord.id}, function(err, newIcons) {
                 icons = newIcons;
                 gotDependency(err);
             });
@@ -0,0 +1,265 @@
+'use strict';
+
+var ValidationError = require('mapbox-gl-style-spec/lib/error/validation_error');
+
+var geometryTypes = ['Unknown', 'Point', 'LineString', 'Polygon'];
+
+/*
+ * The operators of expressions such as `["/", ["get", "price"], ["get", "sqft"]]`.
+ * Each has the number of arguments it takes, the type of the value it
+ * returns, and a function that evaluates it given the values of its arguments
+ * and the feature. Operators that read the feature's data take their arguments
+ * unevaluated.
+ */
+var operators = {
+    'literal': {arity: [1, 1], type: 'value', raw: true, evaluate: function(args) {
+        return args[0];
+    }},
+    'get': {arity: [1, 1], type: 'value', raw: true, evaluate: function(args, feature) {
+        var value = getProperties(feature)[args[0]];
+        return value === undefined ? null : value;
+    }},
+    'has': {arity: [1, 2], type: 'boolean', raw: true, evaluate: function(args, feature) {
+        var properties = getProperties(feature);
+        if (!(args[0] in properties)) return false;
+        return args.length === 1 || typeOf(properties[args[0]]) === args[1];
+    }},
+    'id': {arity: [0, 0], type: 'value', evaluate: function(args, feature) {
+        return feature.id === undefined ? null : feature.id;
+    }},
+    'geometry-type': {arity: [0, 0], type: 'string', evaluate: function(args, feature) {
+        return geometryTypes[feature.type];
+    }},
+    'typeof': {arity: [1, 1], type: 'string', evaluate: function(args) {
+        return typeOf(args[0]);
+    }},
+
+    '+': numeric([1, Infinity], function(args) {
+        return args.reduce(function(a, b) { return a + b; });
+    }),
+    '*': numeric([1, Infinity], function(args) {
+        return args.reduce(function(a, b) { return a * b; });
+    }),
+    '-': numeric([1, 2], function(args) {
+        return args.length === 1 ? -args[0] : args[0] - args[1];
+    }),
+    '/': numeric([2, 2], function(args) {
+        return args[0] / args[1];
+    }),
+    '%': numeric([2, 2], function(args) {
+        return args[0] % args[1];
+    }),
+    '^': numeric([2, 2], function(args) {
+        return Math.pow(args[0], args[1]);
+    }),
+    'min': numeric([1, Infinity], function(args) {
+        return Math.min.apply(Math, args);
+    }),
+    'max': numeric([1, Infinity], function(args) {
+        return Math.max.apply(Math, args);
+    }),
+    'abs': numeric([1, 1], function(args) {
+        return Math.abs(args[0]);
+    }),
+    'round': numeric([1, 1], function(args) {
+        return Math.round(args[0]);
+    }),
+    'floor': numeric([1, 1], function(args) {
+        return Math.floor(args[0]);
+    }),
+    'ceil': numeric([1, 1], function(args) {
+        return Math.ceil(args[0]);
+    }),
+
+    'concat': {arity: [1, Infinity], type: 'string', evaluate: function(args) {
+        return args.map(function(value) {
+            return value === null ? '' : String(value);
+        }).join('');
+    }},
+    'downcase': {arity: [1, 1], type: 'string', evaluate: function(args) {
+        return typeof args[0] === 'string' ? args[0].toLowerCase() : null;
+    }},
+    'upcase': {arity: [1, 1], type: 'string', evaluate: function(args) {
+        return typeof args[0] === 'string' ? args[0].toUpperCase() : null;
+    }},
+    'starts-with': {arity: [2, 2], type: 'boolean', evaluate: function(args) {
+        return typeof args[0] === 'string' && typeof args[1] === 'string' && args[0].slice(0, args[1].length) === args[1];
+    }},
+    'ends-with': {arity: [2, 2], type: 'boolean', evaluate: function(args) {
+        return typeof args[0] === 'string' && typeof args[1] === 'string' &&
+            args[0].slice(args[0].length - args[1].length) === args[1];
+    }},
+
+    '==': {arity: [2, 2], type: 'boolean', evaluate: function(args) {
+        return args[0] === args[1];
+    }},
+    '!=': {arity: [2, 2], type: 'boolean', evaluate: function(args) {
+        return args[0] !== args[1];
+    }},
+    '<': comparison(function(a, b) { return a < b; }),
+    '<=': comparison(function(a, b) { return a <= b; }),
+    '>': comparison(function(a, b) { return a > b; }),
+    '>=': comparison(function(a, b) { return a >= b; }),
+    'in': {arity: [2, Infinity], type: 'boolean', evaluate: function(args) {
+        return args.indexOf(args[0], 1) !== -1;
+    }},
+    '!in': {arity: [2, Infinity], type: 'boolean', evaluate: function(args) {
+        return args.indexOf(args[0], 1) === -1;
+    }},
+
+    '!': {arity: [1, 1], type: 'boolean', evaluate: function(args) {
+        return args[0] !== true;
+    }},
+    'all': {arity: [0, Infinity], type: 'boolean', evaluate: function(args) {
+        return args.every(isTrue);
+    }},
+    'any': {arity: [0, Infinity], type: 'boolean', evaluate: function(args) {
+        return args.some(isTrue);
+    }},
+    'none': {arity: [0, Infinity], type: 'boolean', evaluate: function(args) {
+        return !args.some(isTrue);
+    }}
+};
+
+// Arithmetic evaluates to `null` unless all of its arguments are numbers.
+function numeric(arity, evaluate) {
+    return {arity: arity, type: 'number', evaluate: function(args) {
+        for (var i = 0; i < args.length; i++) {
+            if (typeof args[i] !== 'number') return null;
+        }
+        return evaluate(args);
+    }};
+}
+
+// Ordering comparisons are false unless both values are numbers or both are strings.
+function comparison(compare) {
+    return {arity: [2, 2], type: 'boolean', evaluate: function(args) {
+        var type = typeof args[0];
+        return (type === 'number' || type === 'string') && type === typeof args[1] && compare(args[0], args[1]);
+    }};
+}
+
+function getProperties(feature) {
+    return (feature && feature.properties) || {};
+}
+
+function typeOf(value) {
+    return value === null || value === undefined ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+}
+
+function isTrue(value) {
+    return value === true;
+}
+
+/**
+ * Compile an expression into a function that evaluates it for a feature with
+ * `properties`, `type` and `id`. Expressions are assumed to be valid.
+ *
+ * @private
+ * @param {*} expression An expression array, or a string, number, boolean or null literal
+ * @returns {Function} A function that takes a feature and returns the value of the expression
+ */
+exports.compile = function compile(expression) {
+    if (!Array.isArray(expression)) {
+        return function() { return expression; };
+    }
+
+    var operator = operators[expression[0]];
+    var args = expression.slice(1);
+
+    if (operator.raw) {
+        return function(feature) {
+            return operator.evaluate(args, feature);
+        };
+    }
+
+    var compiledArgs = args.map(compile);
+    return function(feature) {
+        var values = new Array(compiledArgs.length);
+        for (var i = 0; i < compiledArgs.length; i++) {
+            values[i] = compiledArgs[i](feature);
+        }
+        return operator.evaluate(values, feature);
+    };
+};
+
+/**
+ * Validate an expression.
+ *
+ * @private
+ * @param {string} key The key to report errors at
+ * @param {*} expression
+ * @returns {Array<ValidationError>}
+ */
+exports.validate = function validate(key, expression) {
+    if (!Array.isArray(expression)) {
+        var type = typeOf(expression);
+        if (type === 'object') {
+            return [new ValidationError(key, expression, 'objects must be wrapped in a "literal" expression')];
+        }
+        return [];
+    }
+
+    if (expression.length < 1) {
+        return [new ValidationError(key, expression, 'expression array must have at least 1 element')];
+    }
+
+    var name = expression[0];
+    if (!exports.isOperator(name)) {
+        return [new ValidationError(key + '[0]', name, 'unknown expression operator %s', JSON.stringify(name))];
+    }
+
+    var operator = operators[name];
+    var args = expression.slice(1);
+    if (args.length < operator.arity[0] || args.length > operator.arity[1]) {
+        return [new ValidationError(key, expression, '"%s" expects %s, %d found', name, formatArity(operator.arity), args.length)];
+    }
+
+    if (name === 'get' || name === 'has') {
+        var errors = [];
+        args.forEach(function(arg, i) {
+            if (typeof arg !== 'string') {
+                errors.push(new ValidationError(key + '[' + (i + 1) + ']', arg, 'string expected, %s found', typeOf(arg)));
+            }
+        });
+        return errors;
+    }
+
+    if (operator.raw) return [];
+
+    return args.reduce(function(errors, arg, i) {
+        return errors.concat(validate(key + '[' + (i + 1) + ']', arg));
+    }, []);
+};
+
+/**
+ * Get the type of the value an expression evaluates to: "boolean", "number",
+ * "string", or "value" if it can be of any type.
+ *
+ * @private
+ * @param {*} expression A valid expression
+ * @returns {string}
+ */
+exports.getType = function(expression) {
+    if (Array.isArray(expression)) return operators[expression[0]].type;
+    var type = typeOf(expression);
+    return type === 'null' ? 'value' : type;
+};
+
+/**
+ * Whether `name` is the name of an expression operator.
+ *
+ * @private
+ * @param {string} name
+ * @returns {boolean}
+ */
+exports.isOperator = function(name) {
+    return typeof name === 'string' && operators.hasOwnProperty(name);
+};
+
+function formatArity(arity) {
+    var plural = function(n) { return n + (n === 1 ? ' argument' : ' arguments'); };
+    if (arity[0] === arity[1]) return plural(arity[0]);
+    if (arity[1] === Infinity) return 'at least ' + plural(arity[0]);
+    return arity[0] + ' to ' + plural(arity[1]);
+}
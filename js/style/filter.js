@@ -0,0 +1,84 @@
+'use strict';
+
+var featureFilter = require('feature-filter');
+var expression = require('./expression');
+
+module.exports = createFilter;
+
+/**
+ * Given a layer or query filter, return a function that evaluates whether a
+ * feature passes it.
+ *
+ * Filters are either in the original syntax handled by `feature-filter`, such
+ * as `["==", "type", "house"]`, or expressions that evaluate to `true` for the
+ * features that pass, such as `[">", ["/", ["get", "price"], ["get", "sqft"]], 250]`.
+ * The `all`, `any` and `none` filters can combine filters in both syntaxes.
+ *
+ * @private
+ * @param {Array} filter
+ * @returns {Function} A function that takes a feature with `properties`, `type` and `id`
+ */
+function createFilter(filter) {
+    if (isCombiningFilter(filter) && isExpressionFilter(filter)) {
+        var filters = filter.slice(1).map(createFilter);
+        var any = filter[0] !== 'all';
+        var negate = filter[0] === 'none';
+        return function(feature) {
+            for (var i = 0; i < filters.length; i++) {
+                if (filters[i](feature) === any) return any !== negate;
+            }
+            return any === negate;
+        };
+    }
+
+    if (isExpressionFilter(filter)) {
+        var evaluate = expression.compile(filter);
+        return function(feature) {
+            return evaluate(feature) === true;
+        };
+    }
+
+    return featureFilter(filter);
+}
+
+createFilter.isCombiningFilter = isCombiningFilter;
+createFilter.isExpressionFilter = isExpressionFilter;
+
+function isCombiningFilter(filter) {
+    return Array.isArray(filter) && (filter[0] === 'all' || filter[0] === 'any' || filter[0] === 'none');
+}
+
+/**
+ * Whether a filter is or contains an expression, rather than being a filter in
+ * the original syntax, whose comparisons always take a property name and
+ * literal values.
+ *
+ * @private
+ * @param {*} filter
+ * @returns {boolean}
+ */
+function isExpressionFilter(filter) {
+    if (!Array.isArray(filter)) return false;
+
+    switch (filter[0]) {
+    case 'all':
+    case 'any':
+    case 'none':
+        return filter.slice(1).some(isExpressionFilter);
+    case 'has':
+        return filter.length !== 2 || typeof filter[1] !== 'string';
+    case '!has':
+        return false;
+    case '==':
+    case '!=':
+    case '<':
+    case '<=':
+    case '>':
+    case '>=':
+    case 'in':
+    case '!in':
+        return filter.slice(1).some(Array.isArray);
+    default:
+        return expression.isOperator(filter[0]);
+    }
+}
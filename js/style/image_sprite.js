@@ -2,18 +2,21 @@
 
 var Evented = require('../util/evented');
 var ajax = require('../util/ajax');
+var util = require('../util/util');
 var browser = require('../util/browser');
 var normalizeURL = require('../util/mapbox').normalizeSpriteURL;
 
 module.exports = ImageSprite;
 
-function ImageSprite(base) {
+function ImageSprite(base, transformRequest, pixelRatio) {
     this.base = base;
-    this.retina = browser.devicePixelRatio > 1;
+    this.transformRequest = transformRequest;
+    this.pixelRatio = pixelRatio;
+    this.retina = (pixelRatio || browser.devicePixelRatio) > 1;
 
     var format = this.retina ? '@2x' : '';
 
-    ajax.getJSON(normalizeURL(base, format, '.json'), function(err, data) {
+    ajax.getJSON(util.getRequestParameters(transformRequest, normalizeURL(base, format, '.json'), 'SpriteJSON'), function(err, data) {
         if (err) {
             this.fire('error', {error: err});
             return;
@@ -23,7 +26,7 @@ function ImageSprite(base) {
         if (this.img) this.fire('load');
     }.bind(this));
 
-    ajax.getImage(normalizeURL(base, format, '.png'), function(err, img) {
+    ajax.getImage(util.getRequestParameters(transformRequest, normalizeURL(base, format, '.png'), 'SpriteImage'), function(err, img) {
         if (err) {
             this.fire('error', {error: err});
             return;
@@ -56,8 +59,9 @@ ImageSprite.prototype.loaded = function() {
 };
 
 ImageSprite.prototype.resize = function(/*gl*/) {
-    if (browser.devicePixelRatio > 1 !== this.retina) {
-        var newSprite = new ImageSprite(this.base);
+    // A sprite with a fixed pixel ratio never needs to be reloaded.
+    if (!this.pixelRatio && browser.devicePixelRatio > 1 !== this.retina) {
+        var newSprite = new ImageSprite(this.base, this.transformRequest);
         newSprite.on('load', function() {
             this.img = newSprite.img;
             this.data = newSprite.data;
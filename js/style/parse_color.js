@@ -16,9 +16,13 @@ function parseColor(input) {
 
     // GL function
     } else if (input && input.stops) {
-        return util.extend({}, input, {
+        var parsedFunction = util.extend({}, input, {
             stops: input.stops.map(parseFunctionStopColor)
         });
+        if (input.default !== undefined) {
+            parsedFunction.default = parseColor(input.default);
+        }
+        return parsedFunction;
 
     // Color string
     } else if (typeof input === 'string') {
@@ -14,14 +14,18 @@ var Dispatcher = require('../util/dispatcher');
 var AnimationLoop = require('./animation_loop');
 var validateStyle = require('./validate_style');
 var Source = require('../source/source');
+var SourceFeatureState = require('../source/source_feature_state');
 var styleSpec = require('./style_spec');
 var StyleFunction = require('./style_function');
 
 module.exports = Style;
 
-function Style(stylesheet, animationLoop) {
+function Style(stylesheet, animationLoop, options) {
     this.animationLoop = animationLoop || new AnimationLoop();
+    this._transformRequest = options && options.transformRequest;
+    this._pixelRatio = options && options.pixelRatio;
     this.dispatcher = new Dispatcher(Math.max(browser.hardwareConcurrency - 1, 1), this);
+    this._loadWorkerSources();
     this.spriteAtlas = new SpriteAtlas(512, 512);
     this.lineAtlas = new LineAtlas(256, 512);
 
@@ -30,11 +34,14 @@ function Style(stylesheet, animationLoop) {
     this._groups = [];
     this.sources = {};
     this.zoomHistory = {};
+    this._featureStates = {};
+    this._missingIcons = {};
 
     util.bindAll([
         '_forwardSourceEvent',
         '_forwardTileEvent',
         '_forwardLayerEvent',
+        '_updateTileFeatureState',
         '_redoPlacement'
     ], this);
 
@@ -59,17 +66,17 @@ function Style(stylesheet, animationLoop) {
         }
 
         if (stylesheet.sprite) {
-            this.sprite = new ImageSprite(stylesheet.sprite);
+            this.sprite = new ImageSprite(stylesheet.sprite, this._transformRequest, this._pixelRatio);
             this.sprite.on('load', this.fire.bind(this, 'change'));
         }
 
-        this.glyphSource = new GlyphSource(stylesheet.glyphs);
+        this.glyphSource = new GlyphSource(stylesheet.glyphs, this._transformRequest);
         this._resolve();
         this.fire('load');
     }.bind(this);
 
     if (typeof stylesheet === 'string') {
-        ajax.getJSON(normalizeURL(stylesheet), loaded);
+        ajax.getJSON(util.getRequestParameters(this._transformRequest, normalizeURL(stylesheet), 'Style'), loaded);
     } else {
         browser.frame(loaded.bind(this, null, stylesheet));
     }
@@ -90,6 +97,14 @@ function Style(stylesheet, animationLoop) {
 Style.prototype = util.inherit(Evented, {
     _loaded: false,
 
+    // Load the worker scripts of custom source types into this style's workers
+    _loadWorkerSources: function() {
+        var urls = Source.getWorkerSourceURLs();
+        for (var name in urls) {
+            this.dispatcher.broadcast('load worker source', {name: name, url: urls[name]});
+        }
+    },
+
     _validateLayer: function(layer) {
         var source = this.sources[layer.source];
 
@@ -322,7 +337,7 @@ Style.prototype = util.inherit(Evented, {
         }
         if (!Source.is(source) && this._handleErrors(validateStyle.source, 'sources.' + id, source)) return this;
 
-        source = Source.create(source);
+        source = Source.create(source, this._transformRequest);
         this.sources[id] = source;
         source.id = id;
         source.style = this;
@@ -335,7 +350,13 @@ Style.prototype = util.inherit(Evented, {
             .on('tile.load', this._forwardTileEvent)
             .on('tile.error', this._forwardTileEvent)
             .on('tile.remove', this._forwardTileEvent)
-            .on('tile.stats', this._forwardTileEvent);
+            .on('tile.stats', this._forwardTileEvent)
+            .on('tile.add', this._updateTileFeatureState)
+            .on('tile.load', this._updateTileFeatureState);
+
+        // Sources start loading once they are added, with the map's
+        // transformRequest if they were created without one.
+        if (source.load) source.load(this._transformRequest);
 
         this._updates.events.push(['source.add', {source: source}]);
         this._updates.changed = true;
@@ -358,6 +379,7 @@ Style.prototype = util.inherit(Evented, {
         }
         var source = this.sources[id];
         delete this.sources[id];
+        delete this._featureStates[id];
         source
             .off('load', this._forwardSourceEvent)
             .off('error', this._forwardSourceEvent)
@@ -366,7 +388,9 @@ Style.prototype = util.inherit(Evented, {
             .off('tile.load', this._forwardTileEvent)
             .off('tile.error', this._forwardTileEvent)
             .off('tile.remove', this._forwardTileEvent)
-            .off('tile.stats', this._forwardTileEvent);
+            .off('tile.stats', this._forwardTileEvent)
+            .off('tile.add', this._updateTileFeatureState)
+            .off('tile.load', this._updateTileFeatureState);
 
         this._updates.events.push(['source.remove', {source: source}]);
         this._updates.changed = true;
@@ -508,6 +532,215 @@ Style.prototype = util.inherit(Evented, {
         return this._updateLayer(layer);
     },
 
+    setLayerTimeRange: function(layerId, property, start, end) {
+        this._checkLoaded();
+
+        var layer = this.getLayer(layerId);
+        if (!layer) {
+            this.fire('error', {error: new Error('The layer \'' + layerId + '\' does not exist in the map\'s style and cannot be filtered by time.')});
+            return this;
+        }
+        if (!layer.supportsTimeRange) {
+            this.fire('error', {error: new Error('The layer \'' + layerId + '\' is a ' + layer.type + ' layer. Only circle and symbol layers can be filtered by time.')});
+            return this;
+        }
+
+        var propertyChanged = layer.timeProperty !== (property || undefined);
+
+        layer.setTimeRange(property, start, end);
+
+        // Features only need to be re-uploaded when the property changes.
+        // Otherwise the new range is picked up by the shaders on the next frame.
+        if (propertyChanged) {
+            this._updates.layers[layerId] = true;
+            if (layer.source) {
+                this._updates.sources[layer.source] = true;
+            }
+        }
+        this._updates.changed = true;
+
+        return this;
+    },
+
+    /**
+     * Get a layer's time property and range
+     * @param {string} layerId the layer to inspect
+     * @returns {?Object} the layer's time range as `{property, start, end}`, if any
+     * @private
+     */
+    getLayerTimeRange: function(layerId) {
+        var layer = this.getLayer(layerId);
+        if (!layer || !layer.timeProperty) return undefined;
+
+        var range = layer.timeRange || [null, null];
+        return {property: layer.timeProperty, start: range[0], end: range[1]};
+    },
+
+    setFeatureState: function(feature, state) {
+        this._checkLoaded();
+
+        var sourceLayer = this._getFeatureStateSourceLayer(feature);
+        if (feature.id === undefined) {
+            throw new Error('The feature id parameter must be provided');
+        }
+
+        var featureState = this._featureStates[feature.source] = this._featureStates[feature.source] || new SourceFeatureState();
+        featureState.updateState(sourceLayer, feature.id, state);
+        this.sources[feature.source].updateFeatureState(featureState);
+
+        return this;
+    },
+
+    removeFeatureState: function(target, key) {
+        this._checkLoaded();
+
+        var sourceLayer = this._getFeatureStateSourceLayer(target);
+        if (key !== undefined && target.id === undefined) {
+            throw new Error('A feature id is required to remove a single key of its state');
+        }
+
+        var featureState = this._featureStates[target.source];
+        if (!featureState) return this;
+
+        featureState.removeState(sourceLayer, target.id, key);
+        this.sources[target.source].updateFeatureState(featureState);
+
+        return this;
+    },
+
+    getFeatureState: function(feature) {
+        this._checkLoaded();
+
+        var sourceLayer = this._getFeatureStateSourceLayer(feature);
+        var featureState = this._featureStates[feature.source];
+
+        return featureState ? featureState.getState(sourceLayer, feature.id) : {};
+    },
+
+    // GeoJSON sources have a single, unnamed source layer
+    _getFeatureStateSourceLayer: function(feature) {
+        var source = this.sources[feature.source];
+        if (!source) {
+            throw new Error('There is no source with this ID');
+        }
+        if (!source.updateFeatureState) {
+            throw new Error('Feature state is only supported by vector and geojson sources');
+        }
+
+        var isVector = source.serialize().type !== 'geojson';
+        if (isVector && !feature.sourceLayer) {
+            throw new Error('The sourceLayer parameter must be provided for vector sources');
+        }
+
+        return isVector ? feature.sourceLayer : '_geojsonTileLayer';
+    },
+
+    /**
+     * Add an image for icons and patterns that is not part of the sprite, and
+     * lay out again the tiles that were missing it.
+     * @param {string} id
+     * @param {Object} image
+     * @param {Uint8Array|Uint8ClampedArray} image.data The RGBA pixels of the image
+     * @param {number} image.width
+     * @param {number} image.height
+     * @param {number} [image.pixelRatio=1]
+     * @param {boolean} [image.sdf=false]
+     * @returns {Style} this style
+     * @throws {Error} if there is already an image with this ID
+     * @private
+     */
+    addImage: function(id, image) {
+        if (this.hasImage(id)) {
+            throw new Error('There is already an image with this ID');
+        }
+        if (image.data.length !== image.width * image.height * 4) {
+            throw new Error('The image data must have a length of width * height * 4');
+        }
+
+        // premultiply the image, like the sprite
+        var data = new Uint8Array(image.data.length);
+        for (var i = 0; i < data.length; i += 4) {
+            var alpha = image.data[i + 3] / 255;
+            data[i + 0] = image.data[i + 0] * alpha;
+            data[i + 1] = image.data[i + 1] * alpha;
+            data[i + 2] = image.data[i + 2] * alpha;
+            data[i + 3] = image.data[i + 3];
+        }
+
+        this.spriteAtlas.addImage(id, {
+            data: data,
+            width: image.width,
+            height: image.height,
+            pixelRatio: image.pixelRatio || 1,
+            sdf: !!image.sdf
+        });
+
+        var missing = this._missingIcons[id];
+        delete this._missingIcons[id];
+        for (var sourceId in missing) {
+            var source = this.sources[sourceId];
+            if (source && source.reloadTiles) source.reloadTiles(Object.keys(missing[sourceId]).map(Number));
+        }
+
+        return this;
+    },
+
+    /**
+     * Remove an image added with `addImage`. Tiles that were laid out with
+     * it keep showing it until they are reloaded.
+     * @param {string} id
+     * @returns {Style} this style
+     * @throws {Error} if no image was added with this ID
+     * @private
+     */
+    removeImage: function(id) {
+        if (!this.spriteAtlas.addedImages[id]) {
+            throw new Error('There is no image with this ID');
+        }
+        this.spriteAtlas.removeImage(id);
+        return this;
+    },
+
+    /**
+     * Check whether there is an image with this ID, either in the sprite or
+     * added with `addImage`.
+     * @param {string} id
+     * @returns {boolean}
+     * @private
+     */
+    hasImage: function(id) {
+        return this.spriteAtlas.addedImages[id] !== undefined ||
+            !!(this.sprite && this.sprite.getSpritePosition(id).width);
+    },
+
+    // Give listeners a chance to add the images that icons need but which
+    // don't exist, once per image. Images that are added right away are used
+    // by the tile that needs them.
+    _fireMissingImages: function(ids) {
+        for (var i = 0; i < ids.length; i++) {
+            var id = ids[i];
+            if (this._missingIcons[id] || this.hasImage(id)) continue;
+
+            this._missingIcons[id] = {};
+            this.fire('styleimagemissing', {id: id});
+        }
+    },
+
+    // Remember the tiles that asked for icons that don't exist, to lay them
+    // out again when the icons are added.
+    _recordMissingIcons: function(params, images) {
+        if (params.source === undefined || params.coord === undefined) return;
+
+        for (var i = 0; i < params.icons.length; i++) {
+            var name = params.icons[i];
+            if (images[name]) continue;
+
+            var missing = this._missingIcons[name] = this._missingIcons[name] || {};
+            missing[params.source] = missing[params.source] || {};
+            missing[params.source][params.coord] = true;
+        }
+    },
+
     /**
      * Get a layer's filter object
      * @param {string} layer the layer to inspect
@@ -547,6 +780,12 @@ Style.prototype = util.inherit(Evented, {
 
         if (util.deepEqual(layer.getPaintProperty(name, klass), value)) return this;
 
+        var serialized = layer.serialize();
+        var paintKey = klass ? 'paint.' + klass : 'paint';
+        serialized[paintKey] = util.extend({}, serialized[paintKey]);
+        serialized[paintKey][name] = value;
+        if (validateStyle.emitErrors(this, validateStyle.linePatternFunctions('layers.' + layerId, layer.type, serialized))) return this;
+
         var wasFeatureConstant = layer.isPaintValueFeatureConstant(name);
         layer.setPaintProperty(name, value, klass);
 
@@ -687,6 +926,13 @@ Style.prototype = util.inherit(Evented, {
         this.fire(e.type, util.extend({source: e.target}, e));
     },
 
+    _updateTileFeatureState: function(e) {
+        var featureState = this._featureStates[e.target.id];
+        if (featureState && e.tile) {
+            e.tile.updateFeatureState(featureState);
+        }
+    },
+
     _forwardLayerEvent: function(e) {
         this.fire('layer.' + e.type, util.extend({layer: {id: e.target.id}}, e));
     },
@@ -707,14 +953,19 @@ Style.prototype = util.inherit(Evented, {
     'get icons': function(params, callback) {
         var sprite = this.sprite;
         var spriteAtlas = this.spriteAtlas;
-        if (sprite.loaded()) {
+        var addIcons = function() {
             spriteAtlas.setSprite(sprite);
-            spriteAtlas.addIcons(params.icons, callback);
+            this._fireMissingImages(params.icons);
+            spriteAtlas.addIcons(params.icons, params.uid, function(err, images) {
+                if (!err) this._recordMissingIcons(params, images);
+                callback(err, images);
+            }.bind(this));
+        }.bind(this);
+
+        if (!sprite || sprite.loaded()) {
+            addIcons();
         } else {
-            sprite.on('load', function() {
-                spriteAtlas.setSprite(sprite);
-                spriteAtlas.addIcons(params.icons, callback);
-            });
+            sprite.on('load', addIcons);
         }
     },
 
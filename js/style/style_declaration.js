@@ -2,6 +2,7 @@
 
 var MapboxGLFunction = require('./style_function');
 var parseColor = require('./parse_color');
+var util = require('../util/util');
 
 module.exports = StyleDeclaration;
 
@@ -14,16 +15,62 @@ function StyleDeclaration(reference, value) {
     // immutable representation of value. used for comparison
     this.json = JSON.stringify(this.value);
 
-    var parsedValue = this.type === 'color' ? parseColor(this.value) : value;
+    // Categorical functions without a `default` fall back to the property's default.
+    if (MapboxGLFunction.isCategorical(value) && value.default === undefined) {
+        value = util.extend({}, value, {default: reference.default});
+    }
+
+    var parsedValue = this.type === 'color' ? parseColor(value) : value;
     this.calculate = MapboxGLFunction[reference.function || 'piecewise-constant'](parsedValue);
     this.isFeatureConstant = this.calculate.isFeatureConstant;
+    this.isZoomConstant = this.calculate.isZoomConstant;
     this.isGlobalConstant = this.calculate.isGlobalConstant;
 
+    // Zoom-and-property functions have stops keyed by `{zoom, value}` objects.
+    if (!this.isFeatureConstant && !this.isZoomConstant) {
+        this.stopZoomLevels = getStopZoomLevels(value.stops);
+    }
+
     if (reference.function === 'piecewise-constant' && reference.transition) {
         this.calculate = transitioned(this.calculate);
     }
 }
 
+/**
+ * Calculate how far `globalProperties.zoom` is from `lowerZoom` towards
+ * `upperZoom`, using the base of this declaration's function. Values evaluated
+ * at the two zoom levels can be interpolated by this factor to approximate the
+ * value of a zoom-and-property function in between.
+ *
+ * @private
+ * @param {Object} globalProperties
+ * @param {number} lowerZoom
+ * @param {number} upperZoom
+ * @returns {number} A factor between 0 and 1
+ */
+StyleDeclaration.prototype.calculateInterpolationT = function(globalProperties, lowerZoom, upperZoom) {
+    if (upperZoom <= lowerZoom) return 0;
+
+    var base = this.value.base !== undefined ? this.value.base : 1;
+    var difference = upperZoom - lowerZoom;
+    var progress = util.clamp(globalProperties.zoom, lowerZoom, upperZoom) - lowerZoom;
+
+    if (base === 1) {
+        return progress / difference;
+    } else {
+        return (Math.pow(base, progress) - 1) / (Math.pow(base, difference) - 1);
+    }
+};
+
+function getStopZoomLevels(stops) {
+    var zoomLevels = [];
+    for (var i = 0; i < stops.length; i++) {
+        var zoom = stops[i][0].zoom;
+        if (zoomLevels[zoomLevels.length - 1] !== zoom) zoomLevels.push(zoom);
+    }
+    return zoomLevels;
+}
+
 function transitioned(calculate) {
     return function(globalProperties, featureProperties) {
         var z = globalProperties.zoom;
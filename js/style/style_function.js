@@ -2,38 +2,73 @@
 
 var MapboxGLFunction = require('mapbox-gl-function');
 
-// For when the feature values index into the `stop` array. i.e. 0, 1, 2, ...
+// Categorical functions return the output of the stop whose key equals the
+// feature's value of `property`, or the `default` output if no stop matches.
+// Keys may be strings, numbers or booleans and are compared strictly.
 exports.categorical = function(parameters) {
     var stops = parameters.stops,
-        property = parameters.property;
+        property = parameters.property,
+        defaultOutput = parameters.default;
 
     var outer = function(globalProperties, featureProperties) {
         var input = (featureProperties || {})[property];
-        return stops[input | 0][1];
+        for (var i = 0; i < stops.length; i++) {
+            if (stops[i][0] === input) return stops[i][1];
+        }
+        return defaultOutput;
     };
     outer.isFeatureConstant = false;
+    outer.isZoomConstant = true;
     outer.isGlobalConstant = undefined;
     return outer;
 };
 
 exports.interpolated = function(parameters) {
+    if (isCategorical(parameters)) return exports.categorical(parameters);
+
     var inner = MapboxGLFunction.interpolated(parameters);
     var outer = function(globalProperties, featureProperties) {
         return inner(globalProperties && globalProperties.zoom, featureProperties || {});
     };
     outer.isFeatureConstant = inner.isFeatureConstant;
+    outer.isZoomConstant = inner.isZoomConstant;
     outer.isGlobalConstant = inner.isGlobalConstant;
     return outer;
 };
 
 exports['piecewise-constant'] = function(parameters) {
+    if (isCategorical(parameters)) return exports.categorical(parameters);
+
     var inner = MapboxGLFunction['piecewise-constant'](parameters);
     var outer = function(globalProperties, featureProperties) {
         return inner(globalProperties && globalProperties.zoom, featureProperties || {});
     };
     outer.isFeatureConstant = inner.isFeatureConstant;
+    outer.isZoomConstant = inner.isZoomConstant;
     outer.isGlobalConstant = inner.isGlobalConstant;
     return outer;
 };
 
 exports.isFunctionDefinition = MapboxGLFunction.isFunctionDefinition;
+
+/**
+ * Whether a property value is a categorical function of a feature property:
+ * either its `type` is `categorical`, or it has no `type` and its stop keys
+ * are strings or booleans. Zoom-and-property functions are not categorical.
+ *
+ * @private
+ * @param {*} value
+ * @returns {boolean}
+ */
+exports.isCategorical = isCategorical;
+
+function isCategorical(value) {
+    if (!value || typeof value !== 'object' || value.property === undefined ||
+            !Array.isArray(value.stops) || !Array.isArray(value.stops[0])) return false;
+
+    var key = value.stops[0][0];
+    if (key !== null && typeof key === 'object') return false;
+
+    return value.type === 'categorical' ||
+        (value.type === undefined && (typeof key === 'string' || typeof key === 'boolean'));
+}
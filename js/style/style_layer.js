@@ -12,11 +12,20 @@ module.exports = StyleLayer;
 
 var TRANSITION_SUFFIX = '-transition';
 
+// Time values are uploaded as 32-bit floats. Features without a numeric value
+// are given the largest float so that they fall outside of every time range,
+// including an unbounded one.
+var MAX_TIME = 1e38;
+var MISSING_TIME = 3.4028234663852886e38;
+
 StyleLayer.create = function(layer, refLayer) {
     var Classes = {
         background: require('./style_layer/background_style_layer'),
         circle: require('./style_layer/circle_style_layer'),
         fill: require('./style_layer/fill_style_layer'),
+        'fill-extrusion': require('./style_layer/fill_extrusion_style_layer'),
+        heatmap: require('./style_layer/heatmap_style_layer'),
+        hillshade: require('./style_layer/hillshade_style_layer'),
         line: require('./style_layer/line_style_layer'),
         raster: require('./style_layer/raster_style_layer'),
         symbol: require('./style_layer/symbol_style_layer')
@@ -30,6 +39,9 @@ function StyleLayer(layer, refLayer) {
 
 StyleLayer.prototype = util.inherit(Evented, {
 
+    // whether the shaders of the layer type apply the time range
+    supportsTimeRange: false,
+
     set: function(layer, refLayer) {
         this.id = layer.id;
         this.ref = layer.ref;
@@ -40,6 +52,7 @@ StyleLayer.prototype = util.inherit(Evented, {
         this.minzoom = (refLayer || layer).minzoom;
         this.maxzoom = (refLayer || layer).maxzoom;
         this.filter = (refLayer || layer).filter;
+        this.timeProperty = layer['time-property'];
 
         this.paint = {};
         this.layout = {};
@@ -113,6 +126,11 @@ StyleLayer.prototype = util.inherit(Evented, {
         }
     },
 
+    isLayoutValueFeatureConstant: function(name) {
+        var declaration = this._layoutDeclarations[name];
+        return !declaration || declaration.isFeatureConstant;
+    },
+
     setPaintProperty: function(name, value, klass) {
         var validateStyleKey = 'layers.' + this.id + (klass ? '["paint.' + klass + '"].' : '.paint.') + name;
 
@@ -178,6 +196,80 @@ StyleLayer.prototype = util.inherit(Evented, {
         }
     },
 
+    isPaintValueZoomConstant: function(name) {
+        var transition = this._paintTransitions[name];
+
+        if (transition) {
+            return transition.declaration.isZoomConstant;
+        } else {
+            return true;
+        }
+    },
+
+    /**
+     * Get the zoom levels of the stops of a paint property whose value is a
+     * zoom-and-property function.
+     *
+     * @private
+     * @param {string} name
+     * @returns {Array<number>} The ascending zoom levels, or an empty array if the value is not a zoom-and-property function
+     */
+    getPaintValueStopZoomLevels: function(name) {
+        var transition = this._paintTransitions[name];
+        return (transition && transition.declaration.stopZoomLevels) || [];
+    },
+
+    /**
+     * Get the factor by which to interpolate between the values of a
+     * zoom-and-property function evaluated at two zoom levels.
+     *
+     * @private
+     * @param {string} name
+     * @param {number} zoom
+     * @param {Array<number>} zoomLevels The lower and upper zoom level
+     * @returns {number}
+     */
+    getPaintInterpolationT: function(name, zoom, zoomLevels) {
+        var transition = this._paintTransitions[name];
+        return transition.declaration.calculateInterpolationT({zoom: zoom}, zoomLevels[0], zoomLevels[1]);
+    },
+
+    /**
+     * Set the numeric feature property and the range of its values that this
+     * layer displays. Features are uploaded with their value once per time
+     * property, after which the range is applied in the shaders.
+     *
+     * @private
+     * @param {?string} property The feature property, or `null` to show all features
+     * @param {?number} start The smallest value to show, or `null` for no lower bound
+     * @param {?number} end The largest value to show, or `null` for no upper bound
+     */
+    setTimeRange: function(property, start, end) {
+        this.timeProperty = property || undefined;
+        this.timeRange = this.timeProperty ? [start == null ? null : start, end == null ? null : end] : undefined;
+    },
+
+    getFeatureTime: function(featureProperties) {
+        var value = featureProperties && featureProperties[this.timeProperty];
+        return typeof value === 'number' ? value : MISSING_TIME;
+    },
+
+    // the time range as a shader uniform, with open bounds made finite
+    getTimeRangeUniform: function() {
+        var range = this.timeRange || [null, null];
+        return [
+            range[0] === null ? -MAX_TIME : range[0],
+            range[1] === null ? MAX_TIME : range[1]
+        ];
+    },
+
+    isFeatureInTimeRange: function(featureProperties) {
+        if (!this.timeProperty || !this.supportsTimeRange) return true;
+        var value = this.getFeatureTime(featureProperties);
+        var range = this.getTimeRangeUniform();
+        return value >= range[0] && value <= range[1];
+    },
+
     isHidden: function(zoom) {
         if (this.minzoom && zoom < this.minzoom) return true;
         if (this.maxzoom && zoom >= this.maxzoom) return true;
@@ -226,7 +318,8 @@ StyleLayer.prototype = util.inherit(Evented, {
             'ref': this.ref,
             'metadata': this.metadata,
             'minzoom': this.minzoom,
-            'maxzoom': this.maxzoom
+            'maxzoom': this.maxzoom,
+            'time-property': this.timeProperty
         };
 
         for (var klass in this._paintDeclarations) {
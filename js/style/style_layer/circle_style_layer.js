@@ -9,4 +9,6 @@ function CircleStyleLayer() {
 
 module.exports = CircleStyleLayer;
 
-CircleStyleLayer.prototype = util.inherit(StyleLayer, {});
+CircleStyleLayer.prototype = util.inherit(StyleLayer, {
+    supportsTimeRange: true
+});
@@ -0,0 +1,12 @@
+'use strict';
+
+var util = require('../../util/util');
+var StyleLayer = require('../style_layer');
+
+function FillExtrusionStyleLayer() {
+    StyleLayer.apply(this, arguments);
+}
+
+module.exports = FillExtrusionStyleLayer;
+
+FillExtrusionStyleLayer.prototype = util.inherit(StyleLayer, {});
@@ -0,0 +1,58 @@
+'use strict';
+
+var util = require('../../util/util');
+var StyleLayer = require('../style_layer');
+var StyleDeclaration = require('../style_declaration');
+
+function HeatmapStyleLayer() {
+    StyleLayer.apply(this, arguments);
+}
+
+module.exports = HeatmapStyleLayer;
+
+HeatmapStyleLayer.prototype = util.inherit(StyleLayer, {
+
+    /**
+     * Get the `heatmap-color` ramp, evaluated at 256 densities from 0 to 1,
+     * as premultiplied RGBA bytes. The ramp is cached until the declaration
+     * of `heatmap-color` changes.
+     *
+     * @private
+     * @returns {Uint8Array}
+     */
+    getColorRamp: function() {
+        var transition = this._paintTransitions['heatmap-color'];
+        var declaration = transition ? transition.declaration : this._getDefaultColorDeclaration();
+
+        if (this._colorRampDeclaration !== declaration) {
+            this._colorRampDeclaration = declaration;
+            this.colorRamp = createColorRamp(declaration);
+        }
+        return this.colorRamp;
+    },
+
+    _getDefaultColorDeclaration: function() {
+        if (!this._defaultColorDeclaration) {
+            var specification = this._paintSpecifications['heatmap-color'];
+            this._defaultColorDeclaration = new StyleDeclaration(specification, specification.default);
+        }
+        return this._defaultColorDeclaration;
+    }
+});
+
+function createColorRamp(declaration) {
+    var property = declaration.value.property;
+    var colorRamp = new Uint8Array(256 * 4);
+
+    for (var i = 0; i < 256; i++) {
+        var featureProperties = {};
+        if (property) featureProperties[property] = i / 255;
+
+        var color = util.premultiply(declaration.calculate({zoom: 0}, featureProperties));
+        for (var c = 0; c < 4; c++) {
+            colorRamp[i * 4 + c] = Math.round(color[c] * 255);
+        }
+    }
+
+    return colorRamp;
+}
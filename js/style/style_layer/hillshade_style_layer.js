@@ -0,0 +1,12 @@
+'use strict';
+
+var util = require('../../util/util');
+var StyleLayer = require('../style_layer');
+
+function HillshadeStyleLayer() {
+    StyleLayer.apply(this, arguments);
+}
+
+module.exports = HillshadeStyleLayer;
+
+HillshadeStyleLayer.prototype = util.inherit(StyleLayer, {});
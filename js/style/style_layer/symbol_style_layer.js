@@ -11,6 +11,8 @@ module.exports = SymbolStyleLayer;
 
 SymbolStyleLayer.prototype = util.inherit(StyleLayer, {
 
+    supportsTimeRange: true,
+
     isHidden: function() {
         if (StyleLayer.prototype.isHidden.apply(this, arguments)) return true;
 
@@ -1,5 +1,133 @@
 'use strict';
 
 var spec = require('mapbox-gl-style-spec/reference/latest');
-spec['paint_circle']['circle-color']['function'] = 'categorical';
+spec['paint_line']['line-width']['property-function'] = true;
+
+spec['layer']['type']['values']['heatmap'] = {
+    doc: 'A heatmap of the density of point features.'
+};
+spec['layout'].push('layout_heatmap');
+spec['paint'].push('paint_heatmap');
+
+spec['layout_heatmap'] = {
+    'visibility': spec['layout_circle']['visibility']
+};
+
+spec['paint_heatmap'] = {
+    'heatmap-radius': {
+        type: 'number',
+        default: 30,
+        minimum: 1,
+        function: 'interpolated',
+        'zoom-function': true,
+        'property-function': false,
+        transition: true,
+        units: 'pixels',
+        doc: 'Radius of influence of one heatmap point in pixels. Increasing the value makes the heatmap smoother, but less detailed.'
+    },
+    'heatmap-weight': {
+        type: 'number',
+        default: 1,
+        minimum: 0,
+        function: 'interpolated',
+        'zoom-function': true,
+        'property-function': true,
+        transition: false,
+        doc: 'A measure of how much an individual point contributes to the heatmap. A value of 10 would be equivalent to having 10 points of weight 1 in the same spot.'
+    },
+    'heatmap-intensity': {
+        type: 'number',
+        default: 1,
+        minimum: 0,
+        function: 'interpolated',
+        'zoom-function': true,
+        'property-function': false,
+        transition: true,
+        doc: 'Similar to `heatmap-weight` but controls the intensity of the heatmap globally. Primarily used for adjusting the heatmap based on zoom level.'
+    },
+    'heatmap-opacity': {
+        type: 'number',
+        default: 1,
+        minimum: 0,
+        maximum: 1,
+        function: 'interpolated',
+        'zoom-function': true,
+        'property-function': false,
+        transition: true,
+        doc: 'The global opacity at which the heatmap layer will be drawn.'
+    },
+    'heatmap-color': {
+        type: 'color',
+        default: {
+            property: 'heatmap-density',
+            stops: [
+                [0, 'rgba(0, 0, 255, 0)'],
+                [0.1, 'royalblue'],
+                [0.3, 'cyan'],
+                [0.5, 'lime'],
+                [0.7, 'yellow'],
+                [1, 'red']
+            ]
+        },
+        function: 'interpolated',
+        'zoom-function': false,
+        'property-function': true,
+        transition: false,
+        doc: 'Defines the color of each pixel based on its density value in a heatmap. Should be a function whose `property` is `heatmap-density`, with stops from 0 to 1.'
+    }
+};
+
+spec['layer']['type']['values']['hillshade'] = {
+    doc: 'Client-side hillshading visualization based on DEM data. Requires a `raster-dem` source.'
+};
+spec['layout'].push('layout_hillshade');
+spec['paint'].push('paint_hillshade');
+
+spec['layout_hillshade'] = {
+    'visibility': spec['layout_raster']['visibility']
+};
+
+spec['paint_hillshade'] = {
+    'hillshade-illumination-direction': {
+        type: 'number',
+        default: 335,
+        minimum: 0,
+        maximum: 359,
+        function: 'interpolated',
+        'zoom-function': true,
+        'property-function': false,
+        transition: false,
+        doc: 'The direction of the light source used to generate the hillshading with 0 as the top of the viewport.'
+    },
+    'hillshade-exaggeration': {
+        type: 'number',
+        default: 0.5,
+        minimum: 0,
+        maximum: 1,
+        function: 'interpolated',
+        'zoom-function': true,
+        'property-function': false,
+        transition: true,
+        doc: 'Intensity of the hillshade.'
+    },
+    'hillshade-shadow-color': {
+        type: 'color',
+        default: '#000000',
+        function: 'interpolated',
+        'zoom-function': true,
+        'property-function': false,
+        transition: true,
+        doc: 'The shading color of areas that face away from the light source.'
+    },
+    'hillshade-highlight-color': {
+        type: 'color',
+        default: '#FFFFFF',
+        function: 'interpolated',
+        'zoom-function': true,
+        'property-function': false,
+        transition: true,
+        doc: 'The shading color of areas that face towards the light source.'
+    }
+};
+
 module.exports = spec;
@@ -1,6 +1,99 @@
 'use strict';
 
-module.exports = require('mapbox-gl-style-spec/lib/validate_style.min');
+var validateStyleMin = require('mapbox-gl-style-spec/lib/validate_style.min');
+var ValidationError = require('mapbox-gl-style-spec/lib/error/validation_error');
+var util = require('../util/util');
+var clusterOperators = require('../source/cluster_properties').operators;
+var createFilter = require('./filter');
+var expression = require('./expression');
+var StyleFunction = require('./style_function');
+var latestStyleSpec = require('./style_spec');
+
+// Source options supported by this library on top of the style spec. They are
+// validated here and stripped before the source is handed to the style spec
+// validators, which reject options they don't know about.
+var sourceOptionValidators = {
+    sortedBy: validateSortedBy,
+    clusterProperties: validateClusterProperties
+};
+
+module.exports = function validateStyle(style, styleSpec) {
+    styleSpec = styleSpec || latestStyleSpec;
+
+    if (!style || typeof style.sources !== 'object') {
+        return validateStyleMin(style, styleSpec);
+    }
+
+    var errors = [];
+    var sources = {};
+    for (var id in style.sources) {
+        var source = style.sources[id];
+        if (isCustomSource(source)) {
+            // Custom sources validate their own options. Their tiles are parsed
+            // like vector tiles, so they stand in for vector sources when
+            // validating the layers that use them.
+            sources[id] = {type: 'vector'};
+            continue;
+        }
+        if (isRasterDEMSource(source)) {
+            // Raster DEM sources are only used by hillshade layers, which is
+            // checked by `validateLayerSource`. They stand in for a source
+            // that places no requirements on the layers that use it.
+            errors = errors.concat(validateRasterDEMSource('sources.' + id, source, style, styleSpec));
+            sources[id] = {type: 'geojson', data: {type: 'FeatureCollection', features: []}};
+            continue;
+        }
+        errors = errors.concat(validateSourceOptions('sources.' + id, source));
+        sources[id] = stripSourceOptions(source);
+    }
+
+    var layers = style.layers;
+    if (Array.isArray(layers)) {
+        layers = layers.map(function(layer, i) {
+            errors = errors.concat(
+                validateLayerSource('layers[' + i + ']', layer, style),
+                validateLayerFilter('layers[' + i + ']', layer, style, styleSpec),
+                validateLayerFunctions('layers[' + i + ']', layer, style, styleSpec),
+                validateLinePatternFunctions('layers[' + i + ']', getLayerType(layer, style), layer));
+            return stripCategoricalFunctions(stripExpressionFilter(layer));
+        });
+    }
+
+    return errors.concat(validateStyleMin(util.extend({}, style, {sources: sources, layers: layers}), styleSpec));
+};
+
+module.exports.source = function(options) {
+    if (isCustomSource(options.value)) return [];
+    if (isRasterDEMSource(options.value)) {
+        return validateRasterDEMSource(options.key, options.value, options.style, options.styleSpec);
+    }
+
+    return validateSourceOptions(options.key, options.value).concat(
+        validateStyleMin.source(util.extend({}, options, {value: stripSourceOptions(options.value)})));
+};
+
+module.exports.layer = function(options) {
+    var layer = stripCategoricalFunctions(stripExpressionFilter(options.value));
+    return validateLayerSource(options.key, options.value, options.style).concat(
+        validateLayerFilter(options.key, options.value, options.style, options.styleSpec),
+        validateLayerFunctions(options.key, options.value, options.style, options.styleSpec),
+        validateLinePatternFunctions(options.key, getLayerType(options.value, options.style), options.value),
+        validateStyleMin.layer(util.extend({}, options, {value: layer})));
+};
+
+module.exports.filter = validateFilter;
+module.exports.linePatternFunctions = validateLinePatternFunctions;
+module.exports.light = validateStyleMin.light;
+
+module.exports.paintProperty = function(options) {
+    return validateCategoricalFunction(validateStyleMin.paintProperty, options).concat(
+        validateStyleMin.paintProperty(util.extend({}, options, {value: stripCategoricalFunction(options.value)})));
+};
+
+module.exports.layoutProperty = function(options) {
+    return validateCategoricalFunction(validateStyleMin.layoutProperty, options).concat(
+        validateStyleMin.layoutProperty(util.extend({}, options, {value: stripCategoricalFunction(options.value)})));
+};
 
 module.exports.emitErrors = function throwErrors(emitter, errors) {
     if (errors && errors.length) {
@@ -20,3 +113,339 @@ module.exports.throwErrors = function throwErrors(emitter, errors) {
         }
     }
 };
+
+function isCustomSource(source) {
+    // This is not at file scope in order to avoid a circular require.
+    var Source = require('../source/source');
+    return !!source && Source.isCustomType(source.type);
+}
+
+function isRasterDEMSource(source) {
+    return !!source && source.type === 'raster-dem';
+}
+
+var demEncodings = ['mapbox', 'terrarium'];
+
+function validateRasterDEMSource(key, source, style, styleSpec) {
+    var errors = [];
+    if (source.encoding !== undefined && demEncodings.indexOf(source.encoding) === -1) {
+        errors.push(new ValidationError(key + '.encoding', source.encoding, 'expected one of [%s], %s found',
+            demEncodings.join(', '), JSON.stringify(source.encoding)));
+    }
+
+    // Other than their encoding, their options are those of raster sources.
+    var rasterSource = util.extend(util.filterObject(source, function(value, name) {
+        return name !== 'encoding';
+    }), {type: 'raster'});
+
+    return errors.concat(
+        validateSourceOptions(key, rasterSource),
+        validateStyleMin.source({
+            key: key,
+            value: stripSourceOptions(rasterSource),
+            style: style,
+            styleSpec: styleSpec || latestStyleSpec
+        }));
+}
+
+// Hillshade layers are drawn from raster DEM sources, which no other layers can use.
+function validateLayerSource(key, layer, style) {
+    if (!layer || typeof layer !== 'object' || !layer.source || !style || !style.sources) return [];
+
+    var source = style.sources[layer.source];
+    if (!source) return [];
+
+    if (layer.type === 'hillshade' && !isRasterDEMSource(source)) {
+        return [new ValidationError(key, layer.source, 'layer "%s" requires a raster-dem source', layer.id)];
+    }
+    if (layer.type !== 'hillshade' && isRasterDEMSource(source)) {
+        return [new ValidationError(key, layer.source, 'raster-dem source "%s" can only be used by hillshade layers', layer.source)];
+    }
+    return [];
+}
+
+function validateSourceOptions(key, source) {
+    var errors = [];
+    if (!source || typeof source !== 'object') return errors;
+
+    for (var name in sourceOptionValidators) {
+        if (source[name] !== undefined) {
+            errors = errors.concat(sourceOptionValidators[name]({
+                key: key + '.' + name,
+                value: source[name],
+                source: source
+            }));
+        }
+    }
+    return errors;
+}
+
+function stripSourceOptions(source) {
+    if (!source || typeof source !== 'object') return source;
+
+    return util.filterObject(source, function(value, name) {
+        return !sourceOptionValidators[name];
+    });
+}
+
+function validateSortedBy(options) {
+    var key = options.key;
+    var value = options.value;
+
+    if (options.source.type === 'geojson') {
+        if (typeof value !== 'string') {
+            return [new ValidationError(key, value, 'string expected, %s found', typeof value)];
+        }
+        return [];
+    }
+
+    if (options.source.type !== 'vector') {
+        return [new ValidationError(key, value, 'only supported by vector and geojson sources')];
+    }
+
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        return [new ValidationError(key, value, 'object expected, %s found', Array.isArray(value) ? 'array' : typeof value)];
+    }
+
+    var errors = [];
+    for (var sourceLayer in value) {
+        if (typeof value[sourceLayer] !== 'string') {
+            errors.push(new ValidationError(key + '.' + sourceLayer, value[sourceLayer], 'string expected, %s found', typeof value[sourceLayer]));
+        }
+    }
+    return errors;
+}
+
+// Properties that supercluster sets on every cluster
+var reservedClusterProperties = ['cluster', 'cluster_id', 'point_count', 'point_count_abbreviated'];
+
+function validateClusterProperties(options) {
+    var key = options.key;
+    var value = options.value;
+
+    if (options.source.type !== 'geojson') {
+        return [new ValidationError(key, value, 'only supported by geojson sources')];
+    }
+
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        return [new ValidationError(key, value, 'object expected, %s found', Array.isArray(value) ? 'array' : typeof value)];
+    }
+
+    var errors = [];
+    for (var name in value) {
+        var reducer = value[name];
+        var reducerKey = key + '.' + name;
+
+        if (reservedClusterProperties.indexOf(name) !== -1) {
+            errors.push(new ValidationError(reducerKey, reducer, '"%s" is reserved for cluster features', name));
+        } else if (!Array.isArray(reducer) || reducer.length !== 2 || typeof reducer[1] !== 'string') {
+            errors.push(new ValidationError(reducerKey, reducer, '[operator, propertyName] expected'));
+        } else if (clusterOperators.indexOf(reducer[0]) === -1) {
+            errors.push(new ValidationError(reducerKey + '[0]', reducer[0], 'expected one of [%s], %s found',
+                clusterOperators.map(function(operator) { return JSON.stringify(operator); }).join(', '), JSON.stringify(reducer[0])));
+        }
+    }
+    return errors;
+}
+
+// Filters can be expressions, which the style spec validators don't know about.
+// Layers with such filters are validated here and handed to the style spec
+// validators without their filter.
+function validateFilter(options) {
+    var value = options.value;
+    var key = options.key;
+    var errors = [];
+
+    if (createFilter.isCombiningFilter(value) && createFilter.isExpressionFilter(value)) {
+        for (var i = 1; i < value.length; i++) {
+            errors = errors.concat(validateFilter(util.extend({}, options, {key: key + '[' + i + ']', value: value[i]})));
+        }
+        return errors;
+    }
+
+    if (!createFilter.isExpressionFilter(value)) {
+        return validateStyleMin.filter(options);
+    }
+
+    errors = expression.validate(key, value);
+    if (!errors.length) {
+        var type = expression.getType(value);
+        if (type !== 'boolean' && type !== 'value') {
+            errors.push(new ValidationError(key, value, 'expected a boolean expression, "%s" returns a %s', value[0], type));
+        }
+    }
+    return errors;
+}
+
+function hasExpressionFilter(layer) {
+    return !!layer && typeof layer === 'object' && createFilter.isExpressionFilter(layer.filter);
+}
+
+function validateLayerFilter(key, layer, style, styleSpec) {
+    if (!hasExpressionFilter(layer)) return [];
+
+    return validateFilter({
+        key: key + '.filter',
+        value: layer.filter,
+        style: style,
+        styleSpec: styleSpec || latestStyleSpec
+    });
+}
+
+function stripExpressionFilter(layer) {
+    if (!hasExpressionFilter(layer)) return layer;
+
+    return util.filterObject(layer, function(value, name) {
+        return name !== 'filter';
+    });
+}
+
+/*
+ * Categorical functions may have string, number and boolean stop keys and a
+ * `default` output. The style spec validators only know integer and string
+ * keys and no `default`, so the keys and the default are validated here and
+ * the functions are stripped down before they are handed to the style spec
+ * validators, which still check the outputs of the stops.
+ */
+function validateCategoricalFunction(validateProperty, options) {
+    var value = options.value;
+    if (!StyleFunction.isCategorical(value)) return [];
+
+    var errors = [];
+    var keys = [];
+    value.stops.forEach(function(stop, i) {
+        if (!Array.isArray(stop)) return;
+
+        var stopKey = stop[0];
+        var type = stopKey === null ? 'null' : Array.isArray(stopKey) ? 'array' : typeof stopKey;
+        var key = options.key + '.stops[' + i + '][0]';
+
+        if (type !== 'string' && type !== 'number' && type !== 'boolean') {
+            errors.push(new ValidationError(key, stopKey, 'string, number or boolean expected, %s found', type));
+        } else if (keys.indexOf(stopKey) !== -1) {
+            errors.push(new ValidationError(key, stopKey, 'stop keys must be unique'));
+        } else {
+            keys.push(stopKey);
+        }
+    });
+
+    if (value.default !== undefined) {
+        errors = errors.concat(validateProperty(util.extend({}, options, {
+            key: options.key + '.default',
+            value: value.default
+        })));
+    }
+
+    return errors;
+}
+
+function stripCategoricalFunction(value) {
+    if (!StyleFunction.isCategorical(value)) return value;
+
+    return util.extend(util.filterObject(value, function(_, name) {
+        return name !== 'default';
+    }), {
+        type: 'categorical',
+        stops: value.stops.map(function(stop, i) {
+            return Array.isArray(stop) ? [i, stop[1]] : stop;
+        })
+    });
+}
+
+function validateLayerFunctions(key, layer, style, styleSpec) {
+    var errors = [];
+    forEachLayerProperties(layer, function(properties, propertiesKey) {
+        var validateProperty = propertiesKey === 'layout' ? validateStyleMin.layoutProperty : validateStyleMin.paintProperty;
+        for (var name in properties) {
+            errors = errors.concat(validateCategoricalFunction(validateProperty, {
+                key: key + '.' + propertiesKey + '.' + name,
+                value: properties[name],
+                objectKey: name,
+                layerType: getLayerType(layer, style),
+                style: style,
+                styleSpec: styleSpec || latestStyleSpec
+            }));
+        }
+    });
+    return errors;
+}
+
+// Dashed and patterned lines are drawn with the width, color and opacity of
+// their layer, so these can't vary by feature in a layer with a dasharray or
+// a pattern in any of its paint classes.
+var patternedLineProperties = ['line-dasharray', 'line-pattern'];
+var featureLineProperties = ['line-width', 'line-color', 'line-opacity'];
+
+/*
+ * @param {string} key
+ * @param {string} layerType
+ * @param {Object} layer The layer, of which only the paint properties are used
+ * @returns {Array<ValidationError>}
+ */
+function validateLinePatternFunctions(key, layerType, layer) {
+    if (layerType !== 'line') return [];
+
+    var paints = {};
+    forEachLayerProperties(layer, function(properties, propertiesKey) {
+        if (propertiesKey !== 'layout') paints[propertiesKey] = properties;
+    });
+
+    var pattern;
+    var paintKey;
+    for (paintKey in paints) {
+        pattern = pattern || getLinePattern(paints[paintKey]);
+    }
+    if (!pattern) return [];
+
+    var errors = [];
+    for (paintKey in paints) {
+        for (var i = 0; i < featureLineProperties.length; i++) {
+            var name = featureLineProperties[i];
+            var value = paints[paintKey][name];
+            if (isPropertyFunction(value)) {
+                errors.push(new ValidationError(key + '.' + paintKey + '.' + name, value, 'property functions are not supported with %s', pattern));
+            }
+        }
+    }
+    return errors;
+}
+
+function getLinePattern(paint) {
+    for (var i = 0; i < patternedLineProperties.length; i++) {
+        if (paint[patternedLineProperties[i]] != null) return patternedLineProperties[i];
+    }
+}
+
+function isPropertyFunction(value) {
+    return StyleFunction.isFunctionDefinition(value) && value.property !== undefined && value.property !== '$zoom';
+}
+
+function stripCategoricalFunctions(layer) {
+    var stripped = layer;
+    forEachLayerProperties(layer, function(properties, propertiesKey) {
+        var strippedProperties = util.mapObject(properties, stripCategoricalFunction);
+        if (stripped === layer) stripped = util.extend({}, layer);
+        stripped[propertiesKey] = strippedProperties;
+    });
+    return stripped;
+}
+
+// Call `callback` with the layout and every paint properties object of a layer.
+function forEachLayerProperties(layer, callback) {
+    if (!layer || typeof layer !== 'object') return;
+
+    for (var propertiesKey in layer) {
+        var properties = layer[propertiesKey];
+        if (/^(layout|paint(\..*)?)$/.test(propertiesKey) && properties && typeof properties === 'object') {
+            callback(properties, propertiesKey);
+        }
+    }
+}
+
+function getLayerType(layer, style) {
+    if (layer.type || !layer.ref || !style || !Array.isArray(style.layers)) return layer.type;
+
+    for (var i = 0; i < style.layers.length; i++) {
+        if (style.layers[i] && style.layers[i].id === layer.ref) return style.layers[i].type;
+    }
+}
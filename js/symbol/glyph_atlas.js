@@ -11,6 +11,7 @@ function GlyphAtlas(width, height) {
     this.index = {};
     this.ids = {};
     this.data = new Uint8Array(width * height);
+    this.maxTextureSize = 4096;
 }
 
 GlyphAtlas.prototype.getGlyphs = function() {
@@ -85,8 +86,7 @@ GlyphAtlas.prototype.addGlyph = function(id, name, glyph, buffer) {
     packHeight += (4 - packHeight % 4);
 
     var rect = this.bin.packOne(packWidth, packHeight);
-    if (!rect) {
-        this.resize();
+    while (!rect && this.resize()) {
         rect = this.bin.packOne(packWidth, packHeight);
     }
     if (!rect) {
@@ -112,13 +112,18 @@ GlyphAtlas.prototype.addGlyph = function(id, name, glyph, buffer) {
     return rect;
 };
 
+/**
+ * Double the size of the atlas, keeping its glyphs where they are, unless it
+ * would become larger than `maxTextureSize`.
+ *
+ * @returns {boolean} Whether the atlas grew
+ * @private
+ */
 GlyphAtlas.prototype.resize = function() {
     var origw = this.width,
         origh = this.height;
 
-    // For now, don't grow the atlas beyond 1024x1024 because of how
-    // texture coords pack into unsigned byte in symbol bucket.
-    if (origw > 512 || origh > 512) return;
+    if (origw * 2 > this.maxTextureSize || origh * 2 > this.maxTextureSize) return false;
 
     if (this.texture) {
         if (this.gl) {
@@ -134,11 +139,18 @@ GlyphAtlas.prototype.resize = function() {
     var buf = new ArrayBuffer(this.width * this.height),
         src, dst;
     for (var i = 0; i < origh; i++) {
-        src = new Uint8Array(this.data.buffer, origh * i, origw);
-        dst = new Uint8Array(buf, origh * i * 2, origw);
+        src = new Uint8Array(this.data.buffer, origw * i, origw);
+        dst = new Uint8Array(buf, this.width * i, origw);
         dst.set(src);
     }
     this.data = new Uint8Array(buf);
+    this.dirty = true;
+
+    return true;
+};
+
+GlyphAtlas.prototype.setMaxTextureSize = function(maxTextureSize) {
+    this.maxTextureSize = maxTextureSize;
 };
 
 GlyphAtlas.prototype.bind = function(gl) {
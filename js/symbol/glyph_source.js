@@ -2,6 +2,7 @@
 
 var normalizeURL = require('../util/mapbox').normalizeGlyphsURL;
 var getArrayBuffer = require('../util/ajax').getArrayBuffer;
+var util = require('../util/util');
 var Glyphs = require('../util/glyphs');
 var GlyphAtlas = require('../symbol/glyph_atlas');
 var Protobuf = require('pbf');
@@ -14,21 +15,37 @@ module.exports = GlyphSource;
  * and ranges.
  *
  * @param {string} url glyph template url
+ * @param {Function} [transformRequest] the map's `transformRequest` option
  * @private
  */
-function GlyphSource(url) {
+function GlyphSource(url, transformRequest) {
     this.url = url && normalizeURL(url);
+    this.transformRequest = transformRequest;
     this.atlases = {};
     this.stacks = {};
     this.loading = {};
+    this.maxTextureSize = 4096;
 }
 
+/**
+ * Set the largest size that the glyph atlases can grow to.
+ * @param {number} maxTextureSize
+ * @private
+ */
+GlyphSource.prototype.setMaxTextureSize = function(maxTextureSize) {
+    this.maxTextureSize = maxTextureSize;
+    for (var fontstack in this.atlases) {
+        this.atlases[fontstack].setMaxTextureSize(maxTextureSize);
+    }
+};
+
 GlyphSource.prototype.getSimpleGlyphs = function(fontstack, glyphIDs, uid, callback) {
     if (this.stacks[fontstack] === undefined) {
         this.stacks[fontstack] = {};
     }
     if (this.atlases[fontstack] === undefined) {
         this.atlases[fontstack] = new GlyphAtlas(128, 128);
+        this.atlases[fontstack].setMaxTextureSize(this.maxTextureSize);
     }
 
     var glyphs = {};
@@ -106,7 +123,7 @@ GlyphSource.prototype.loadRange = function(fontstack, range, callback) {
         var rangeName = (range * 256) + '-' + (range * 256 + 255);
         var url = glyphUrl(fontstack, rangeName, this.url);
 
-        getArrayBuffer(url, function(err, data) {
+        getArrayBuffer(util.getRequestParameters(this.transformRequest, url, 'Glyphs'), function(err, data) {
             var glyphs = !err && new Glyphs(new Protobuf(new Uint8Array(data)));
             for (var i = 0; i < loading[range].length; i++) {
                 loading[range][i](err, range, glyphs);
@@ -1,7 +1,6 @@
 'use strict';
 
 var ShelfPack = require('shelf-pack');
-var browser = require('../util/browser');
 
 module.exports = SpriteAtlas;
 function SpriteAtlas(width, height) {
@@ -10,10 +9,14 @@ function SpriteAtlas(width, height) {
 
     this.bin = new ShelfPack(width, height);
     this.images = {};
+    this.addedImages = {};
+    this.freeRects = [];
+    this.retiredImages = [];
     this.data = false;
     this.texture = 0; // WebGL ID
     this.filter = 0; // WebGL ID
     this.pixelRatio = 1;
+    this.maxTextureSize = 4096;
     this.dirty = true;
 }
 
@@ -53,7 +56,10 @@ SpriteAtlas.prototype.allocateImage = function(pixelWidth, pixelHeight) {
     var packWidth = pixelWidth + padding + (4 - (pixelWidth + padding) % 4);
     var packHeight = pixelHeight + padding + (4 - (pixelHeight + padding) % 4);// + 4;
 
-    var rect = this.bin.packOne(packWidth, packHeight);
+    var rect = this.reuseRect(packWidth, packHeight) || this.bin.packOne(packWidth, packHeight);
+    while (!rect && this.resize()) {
+        rect = this.bin.packOne(packWidth, packHeight);
+    }
     if (!rect) {
         console.warn('SpriteAtlas out of space.');
         return null;
@@ -62,16 +68,111 @@ SpriteAtlas.prototype.allocateImage = function(pixelWidth, pixelHeight) {
     return rect;
 };
 
+// Take the smallest space freed by an image that the new one fits into.
+SpriteAtlas.prototype.reuseRect = function(packWidth, packHeight) {
+    var best = -1;
+    for (var i = 0; i < this.freeRects.length; i++) {
+        var rect = this.freeRects[i];
+        if (rect.w >= packWidth && rect.h >= packHeight &&
+            (best === -1 || rect.w * rect.h < this.freeRects[best].w * this.freeRects[best].h)) {
+            best = i;
+        }
+    }
+    return best === -1 ? null : this.freeRects.splice(best, 1)[0];
+};
+
+/**
+ * Double the size of the atlas, keeping its images where they are, unless
+ * its texture would become larger than `maxTextureSize`.
+ *
+ * @returns {boolean} Whether the atlas grew
+ * @private
+ */
+SpriteAtlas.prototype.resize = function() {
+    var width = this.width * 2;
+    var height = this.height * 2;
+    if (Math.max(width, height) * this.pixelRatio > this.maxTextureSize) return false;
+
+    if (this.data) {
+        var stride = Math.floor(this.width * this.pixelRatio);
+        var rows = Math.floor(this.height * this.pixelRatio);
+        var newStride = Math.floor(width * this.pixelRatio);
+        var data = new Uint32Array(newStride * Math.floor(height * this.pixelRatio));
+        for (var y = 0; y < rows; y++) {
+            data.set(this.data.subarray(y * stride, (y + 1) * stride), y * newStride);
+        }
+        this.data = data;
+    }
+
+    this.width = width;
+    this.height = height;
+    this.bin.resize(width, height);
+
+    if (this.canvas) {
+        this.canvas.width = this.width * this.pixelRatio;
+        this.canvas.height = this.height * this.pixelRatio;
+    }
+
+    this.dirty = true;
+    return true;
+};
+
+SpriteAtlas.prototype.setMaxTextureSize = function(maxTextureSize) {
+    this.maxTextureSize = maxTextureSize;
+};
+
+/**
+ * Add an image that is not part of the sprite, to be used by icons and
+ * patterns like the sprite's images.
+ *
+ * @param {string} name
+ * @param {Object} image
+ * @param {Uint8Array} image.data The premultiplied RGBA pixels of the image
+ * @param {number} image.width
+ * @param {number} image.height
+ * @param {number} image.pixelRatio
+ * @param {boolean} image.sdf
+ * @private
+ */
+SpriteAtlas.prototype.addImage = function(name, image) {
+    this.addedImages[name] = image;
+};
+
+/**
+ * Remove an image added with `addImage`. The space it took up in the atlas
+ * is reclaimed once no loaded tile uses the image anymore.
+ *
+ * @param {string} name
+ * @private
+ */
+SpriteAtlas.prototype.removeImage = function(name) {
+    var image = this.images[name];
+    delete this.addedImages[name];
+    delete this.images[name];
+
+    // Tiles that use the image keep drawing it until they are unloaded.
+    if (image && image.ids.length) {
+        this.retiredImages.push(image);
+    } else if (image) {
+        this.freeImage(image);
+    }
+};
+
 SpriteAtlas.prototype.getImage = function(name, wrap) {
     if (this.images[name]) {
         return this.images[name];
     }
 
-    if (!this.sprite) {
+    var addedImage = this.addedImages[name];
+    var pos;
+    if (addedImage) {
+        pos = {x: 0, y: 0, width: addedImage.width, height: addedImage.height, pixelRatio: addedImage.pixelRatio, sdf: addedImage.sdf};
+    } else if (this.sprite) {
+        pos = this.sprite.getSpritePosition(name);
+    } else {
         return null;
     }
 
-    var pos = this.sprite.getSpritePosition(name);
     if (!pos.width || !pos.height) {
         return null;
     }
@@ -84,7 +185,7 @@ SpriteAtlas.prototype.getImage = function(name, wrap) {
     var image = new AtlasImage(rect, pos.width / pos.pixelRatio, pos.height / pos.pixelRatio, pos.sdf, pos.pixelRatio / this.pixelRatio);
     this.images[name] = image;
 
-    this.copy(rect, pos, wrap);
+    this.copy(rect, pos, wrap, addedImage);
 
     return image;
 };
@@ -99,6 +200,9 @@ SpriteAtlas.prototype.getPosition = function(name, repeating) {
         return null;
     }
 
+    // Patterns are not used by tiles, and are never freed.
+    image.pattern = true;
+
     var width = image.width * image.pixelRatio;
     var height = image.height * image.pixelRatio;
     var padding = 1;
@@ -123,9 +227,10 @@ SpriteAtlas.prototype.allocate = function() {
 };
 
 
-SpriteAtlas.prototype.copy = function(dst, src, wrap) {
-    if (!this.sprite.img.data) return;
-    var srcImg = new Uint32Array(this.sprite.img.data.buffer);
+SpriteAtlas.prototype.copy = function(dst, src, wrap, img) {
+    img = img || this.sprite.img;
+    if (!img.data) return;
+    var srcImg = new Uint32Array(img.data.buffer);
 
     this.allocate();
     var dstImg = this.data;
@@ -134,7 +239,7 @@ SpriteAtlas.prototype.copy = function(dst, src, wrap) {
 
     copyBitmap(
         /* source buffer */  srcImg,
-        /* source stride */  this.sprite.img.width,
+        /* source stride */  img.width,
         /* source x */       src.x,
         /* source y */       src.y,
         /* dest buffer */    dstImg,
@@ -151,7 +256,7 @@ SpriteAtlas.prototype.copy = function(dst, src, wrap) {
 
 SpriteAtlas.prototype.setSprite = function(sprite) {
     if (sprite) {
-        this.pixelRatio = browser.devicePixelRatio > 1 ? 2 : 1;
+        this.pixelRatio = sprite.retina ? 2 : 1;
 
         if (this.canvas) {
             this.canvas.width = this.width * this.pixelRatio;
@@ -161,14 +266,78 @@ SpriteAtlas.prototype.setSprite = function(sprite) {
     this.sprite = sprite;
 };
 
-SpriteAtlas.prototype.addIcons = function(icons, callback) {
+/**
+ * Add the images of icons used by a tile to the atlas.
+ *
+ * @param {Array<string>} icons The names of the images
+ * @param {number} uid The ID of the tile, which holds on to the images until `removeIcons` is called with it
+ * @param {Function} callback Called with all of the images in the atlas
+ * @private
+ */
+SpriteAtlas.prototype.addIcons = function(icons, uid, callback) {
     for (var i = 0; i < icons.length; i++) {
-        this.getImage(icons[i]);
+        var image = this.getImage(icons[i]);
+        if (image && image.ids.indexOf(uid) < 0) {
+            image.ids.push(uid);
+        }
     }
 
     callback(null, this.images);
 };
 
+/**
+ * Let go of the images used by a tile that is unloaded, and free the space
+ * of those that no other tile uses.
+ *
+ * @param {number} uid The ID of the tile
+ * @private
+ */
+SpriteAtlas.prototype.removeIcons = function(uid) {
+    for (var name in this.images) {
+        if (this.releaseImage(this.images[name], uid)) {
+            delete this.images[name];
+        }
+    }
+
+    for (var i = this.retiredImages.length - 1; i >= 0; i--) {
+        if (this.releaseImage(this.retiredImages[i], uid)) {
+            this.retiredImages.splice(i, 1);
+        }
+    }
+};
+
+// Returns whether the image was freed.
+SpriteAtlas.prototype.releaseImage = function(image, uid) {
+    var index = image.ids.indexOf(uid);
+    if (index < 0) return false;
+
+    image.ids.splice(index, 1);
+    if (image.ids.length || image.pattern) return false;
+
+    this.freeImage(image);
+    return true;
+};
+
+SpriteAtlas.prototype.freeImage = function(image) {
+    var rect = image.rect;
+    this.freeRects.push(rect);
+
+    // Clear the image so it can't bleed into the next one in its place.
+    if (this.data) {
+        var stride = Math.floor(this.width * this.pixelRatio);
+        var x0 = Math.floor(rect.x * this.pixelRatio);
+        var x1 = Math.floor((rect.x + rect.w) * this.pixelRatio);
+        var y0 = Math.floor(rect.y * this.pixelRatio);
+        var y1 = Math.floor((rect.y + rect.h) * this.pixelRatio);
+        for (var y = y0; y < y1; y++) {
+            for (var x = x0; x < x1; x++) {
+                this.data[y * stride + x] = 0;
+            }
+        }
+        this.dirty = true;
+    }
+};
+
 SpriteAtlas.prototype.bind = function(gl, linear) {
     var first = false;
     if (!this.texture) {
@@ -191,13 +360,20 @@ SpriteAtlas.prototype.bind = function(gl, linear) {
     if (this.dirty) {
         this.allocate();
 
-        if (first) {
+        var width = this.width * this.pixelRatio;
+        var height = this.height * this.pixelRatio;
+
+        // The texture is created again when the atlas grows.
+        if (first || width !== this.textureWidth || height !== this.textureHeight) {
+            this.textureWidth = width;
+            this.textureHeight = height;
+
             gl.texImage2D(
                 gl.TEXTURE_2D, // enum target
                 0, // ind level
                 gl.RGBA, // ind internalformat
-                this.width * this.pixelRatio, // GLsizei width
-                this.height * this.pixelRatio, // GLsizei height
+                width, // GLsizei width
+                height, // GLsizei height
                 0, // ind border
                 gl.RGBA, // enum format
                 gl.UNSIGNED_BYTE, // enum type
@@ -209,8 +385,8 @@ SpriteAtlas.prototype.bind = function(gl, linear) {
                 0, // int level
                 0, // int xoffset
                 0, // int yoffset
-                this.width * this.pixelRatio, // long width
-                this.height * this.pixelRatio, // long height
+                width, // long width
+                height, // long height
                 gl.RGBA, // enum format
                 gl.UNSIGNED_BYTE, // enum type
                 new Uint8Array(this.data.buffer) // Object pixels
@@ -227,4 +403,5 @@ function AtlasImage(rect, width, height, sdf, pixelRatio) {
     this.height = height;
     this.sdf = sdf;
     this.pixelRatio = pixelRatio;
+    this.ids = [];
 }
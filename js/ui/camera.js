@@ -6,6 +6,7 @@ var browser = require('../util/browser');
 var LngLat = require('../geo/lng_lat');
 var LngLatBounds = require('../geo/lng_lat_bounds');
 var Point = require('point-geometry');
+var Transform = require('../geo/transform');
 
 /**
  * Options common to Map#jumpTo, Map#easeTo, and Map#flyTo, controlling the destination
@@ -18,6 +19,8 @@ var Point = require('point-geometry');
  * @property {number} bearing Map rotation bearing in degrees counter-clockwise from north
  * @property {number} pitch Map angle in degrees at which the camera is looking at the ground
  * @property {LngLat} around If zooming, the zoom center (defaults to map center)
+ * @property {Object} padding The space in pixels that other content covers at the `top`, `bottom`,
+ *     `left` and `right` of the map. Sides that are left out keep their current padding.
  */
 
 /**
@@ -263,45 +266,168 @@ util.extend(Camera.prototype, /** @lends Map.prototype */{
         return this;
     },
 
+    /**
+     * Get the space in pixels that other content covers at each side of the map.
+     * @returns {Object} The `top`, `bottom`, `left` and `right` padding
+     */
+    getPadding: function() { return this.transform.padding; },
 
     /**
-     * Zoom to contain certain geographical bounds
+     * Set the space in pixels that other content, like a side panel, covers at
+     * each side of the map. The center of the map and the vanishing point of
+     * a pitched map move to the center of the rest of the map. Equivalent to
+     * `jumpTo({padding: padding})`.
      *
-     * @param {LngLatBounds|Array<Array<number>>} bounds [[minLng, minLat], [maxLng, maxLat]]
-     * @param {Object} options
-     * @param {boolean} [options.linear] When true, the map transitions to the new camera using
-     *     {@link #Map.easeTo}. When false, the map transitions using {@link #Map.flyTo}. See
-     *     {@link #Map.flyTo} for information on options specific to that animation transition.
-     * @param {Function} options.easing
-     * @param {number} options.padding how much padding there is around the given bounds on each side in pixels
-     * @param {number} options.maxZoom The resulting zoom level will be at most
-     *     this value.
+     * @param {Object} padding The `top`, `bottom`, `left` and `right` padding. Sides that
+     *     are left out keep their current padding.
      * @param {EventData} [eventData] Data to propagate to any event receivers
      * @fires movestart
      * @fires moveend
      * @returns {Map} `this`
+     * @example
+     * // a side panel covers the left 400 pixels of the map
+     * map.setPadding({left: 400});
      */
-    fitBounds: function(bounds, options, eventData) {
+    setPadding: function(padding, eventData) {
+        this.jumpTo({padding: padding}, eventData);
+        return this;
+    },
 
+
+    /**
+     * Calculate the center, zoom and bearing at which the map would contain
+     * the given bounds, without moving the map. The pitch and padding of the
+     * map are taken into account.
+     *
+     * @param {LngLatBounds|Array<Array<number>>} bounds [[minLng, minLat], [maxLng, maxLat]]
+     * @param {Object} [options]
+     * @param {number|Object} [options.padding=0] how much padding there is around the given bounds in pixels,
+     *     either on each side or at the `top`, `bottom`, `left` and `right` separately. It is added to the
+     *     map's own padding.
+     * @param {number} [options.bearing=0] The bearing of the map at which to fit the bounds
+     * @param {Array<number>} [options.offset=[0, 0]] The offset in pixels of the center of the bounds
+     *     from the center of the map
+     * @param {number} [options.maxZoom] The resulting zoom level will be at most this value.
+     * @returns {CameraOptions|undefined} The `center`, `zoom` and `bearing` to pass to
+     *     {@link #Map.jumpTo}, {@link #Map.easeTo} or {@link #Map.flyTo}, or `undefined` if
+     *     the padding and offset leave no room for the bounds
+     * @example
+     * var camera = map.cameraForBounds([[-79, 43], [-73, 45]], {padding: 20});
+     * map.jumpTo(camera);
+     */
+    cameraForBounds: function(bounds, options) {
         options = util.extend({
             padding: 0,
             offset: [0, 0],
+            bearing: 0,
             maxZoom: Infinity
         }, options);
 
         bounds = LngLatBounds.convert(bounds);
 
-        var offset = Point.convert(options.offset),
+        var padding = typeof options.padding === 'number' ?
+                {top: options.padding, bottom: options.padding, left: options.padding, right: options.padding} :
+                util.extend({top: 0, bottom: 0, left: 0, right: 0}, options.padding),
             tr = this.transform,
-            nw = tr.project(bounds.getNorthWest()),
-            se = tr.project(bounds.getSouthEast()),
-            size = se.sub(nw),
-            scaleX = (tr.width - options.padding * 2 - Math.abs(offset.x) * 2) / size.x,
-            scaleY = (tr.height - options.padding * 2 - Math.abs(offset.y) * 2) / size.y;
+            mapPadding = tr.padding,
+            bearing = +options.bearing,
+            angle = -bearing * Math.PI / 180,
+            // The offset of the center of the bounds from the center point,
+            // including the difference between the padding on opposite sides.
+            offset = Point.convert(options.offset),
+            centerOffset = offset.add(new Point((padding.left - padding.right) / 2, (padding.top - padding.bottom) / 2)),
+            width = tr.width - mapPadding.left - mapPadding.right - padding.left - padding.right - Math.abs(offset.x) * 2,
+            height = tr.height - mapPadding.top - mapPadding.bottom - padding.top - padding.bottom - Math.abs(offset.y) * 2;
+
+        if (width <= 0 || height <= 0) return undefined;
+
+        // Find the size of the bounds on a map with the bearing, at the
+        // current zoom level.
+        var corners = [bounds.getNorthWest(), bounds.getNorthEast(), bounds.getSouthEast(), bounds.getSouthWest()],
+            rotated = corners.map(function(corner) { return tr.project(corner).rotate(angle); }),
+            min = rotated.reduce(function(a, b) { return new Point(Math.min(a.x, b.x), Math.min(a.y, b.y)); }),
+            max = rotated.reduce(function(a, b) { return new Point(Math.max(a.x, b.x), Math.max(a.y, b.y)); }),
+            size = max.sub(min),
+            scale = Math.min(width / size.x, height / size.y),
+            zoom = Math.min(tr.scaleZoom(tr.scale * scale), options.maxZoom),
+            centerPoint = min.add(max).div(2).sub(centerOffset.div(tr.zoomScale(zoom - tr.zoom))).rotate(-angle),
+            center = tr.unproject(centerPoint);
+
+        if (tr.pitch) {
+            var camera = this._fitPitchedBounds(corners, center, zoom, bearing, centerOffset, width, height);
+            center = camera.center;
+            zoom = Math.min(camera.zoom, options.maxZoom);
+        }
+
+        return {
+            center: center,
+            zoom: zoom,
+            bearing: bearing
+        };
+    },
+
+    // Under pitch, bounds look smaller beyond the center of the map than in
+    // front of it. Starting from the camera that fits them on a flat map,
+    // project their corners with the camera and correct it until they fit.
+    _fitPitchedBounds: function(corners, center, zoom, bearing, centerOffset, width, height) {
+        var tr = new Transform(this.transform.minZoom, this.transform.maxZoom);
+        tr.latRange = undefined;
+        tr.resize(this.transform.width, this.transform.height);
+        tr.padding = this.transform.padding;
+        tr.bearing = bearing;
+        tr.pitch = this.transform.pitch;
+
+        for (var i = 0; i < 10; i++) {
+            tr.zoom = zoom;
+            tr.center = center;
+
+            var points = corners.map(tr.locationPoint, tr),
+                min = points.reduce(function(a, b) { return new Point(Math.min(a.x, b.x), Math.min(a.y, b.y)); }),
+                max = points.reduce(function(a, b) { return new Point(Math.max(a.x, b.x), Math.max(a.y, b.y)); }),
+                size = max.sub(min),
+                scale = Math.min(width / size.x, height / size.y),
+                shift = min.add(max).div(2).sub(tr.centerPoint.add(centerOffset));
+
+            if (Math.abs(scale - 1) < 1e-6 && shift.mag() < 0.01) break;
+
+            center = tr.pointLocation(tr.centerPoint.add(shift));
+            zoom += tr.scaleZoom(scale);
+        }
 
-        options.center = tr.unproject(nw.add(se).div(2));
-        options.zoom = Math.min(tr.scaleZoom(tr.scale * Math.min(scaleX, scaleY)), options.maxZoom);
-        options.bearing = 0;
+        return {center: tr.center, zoom: tr.zoom};
+    },
+
+    /**
+     * Zoom to contain certain geographical bounds
+     *
+     * @param {LngLatBounds|Array<Array<number>>} bounds [[minLng, minLat], [maxLng, maxLat]]
+     * @param {Object} options
+     * @param {boolean} [options.linear] When true, the map transitions to the new camera using
+     *     {@link #Map.easeTo}. When false, the map transitions using {@link #Map.flyTo}. See
+     *     {@link #Map.flyTo} for information on options specific to that animation transition.
+     * @param {Function} options.easing
+     * @param {number|Object} options.padding how much padding there is around the given bounds in pixels,
+     *     either on each side or at the `top`, `bottom`, `left` and `right` separately. It is added to the
+     *     map's own padding.
+     * @param {number} [options.bearing=0] The bearing of the map at which to fit the bounds
+     * @param {Array<number>} [options.offset=[0, 0]] The offset in pixels of the center of the bounds
+     *     from the center of the map
+     * @param {number} options.maxZoom The resulting zoom level will be at most
+     *     this value.
+     * @param {EventData} [eventData] Data to propagate to any event receivers
+     * @fires movestart
+     * @fires moveend
+     * @returns {Map} `this`
+     */
+    fitBounds: function(bounds, options, eventData) {
+        var camera = this.cameraForBounds(bounds, options);
+        if (!camera) return this;
+
+        // The camera already places the bounds, and the padding of the
+        // bounds is not the map's.
+        options = util.extend({}, options, camera);
+        delete options.padding;
+        delete options.offset;
 
         return options.linear ?
             this.easeTo(options, eventData) :
@@ -352,6 +478,10 @@ util.extend(Camera.prototype, /** @lends Map.prototype */{
             tr.pitch = +options.pitch;
         }
 
+        if ('padding' in options) {
+            tr.padding = options.padding;
+        }
+
         this.fire('movestart', eventData)
             .fire('move', eventData);
 
@@ -404,22 +534,26 @@ util.extend(Camera.prototype, /** @lends Map.prototype */{
             startBearing = this.getBearing(),
             startPitch = this.getPitch(),
 
+            startPadding = tr.padding,
+
             zoom = 'zoom' in options ? +options.zoom : startZoom,
             bearing = 'bearing' in options ? this._normalizeBearing(options.bearing, startBearing) : startBearing,
             pitch = 'pitch' in options ? +options.pitch : startPitch,
+            padding = util.extend(tr.padding, options.padding),
+            paddingChanged = !util.deepEqual(padding, startPadding),
 
             toLngLat,
             toPoint;
 
         if ('center' in options) {
             toLngLat = LngLat.convert(options.center);
-            toPoint = tr.centerPoint.add(offset);
+            toPoint = tr.paddedCenterPoint(padding).add(offset);
         } else if ('around' in options) {
             toLngLat = LngLat.convert(options.around);
             toPoint = tr.locationPoint(toLngLat);
         } else {
-            toPoint = tr.centerPoint.add(offset);
-            toLngLat = tr.pointLocation(toPoint);
+            toLngLat = tr.pointLocation(tr.centerPoint.add(offset));
+            toPoint = tr.paddedCenterPoint(padding).add(offset);
         }
 
         var fromPoint = tr.locationPoint(toLngLat);
@@ -452,6 +586,10 @@ util.extend(Camera.prototype, /** @lends Map.prototype */{
                 tr.pitch = interpolate(startPitch, pitch, k);
             }
 
+            if (paddingChanged) {
+                tr.padding = interpolatePadding(startPadding, padding, k);
+            }
+
             tr.setLocationAtPoint(toLngLat, fromPoint.add(toPoint.sub(fromPoint)._mult(k)));
 
             this.fire('move', eventData);
@@ -555,12 +693,15 @@ util.extend(Camera.prototype, /** @lends Map.prototype */{
             offset = Point.convert(options.offset),
             startZoom = this.getZoom(),
             startBearing = this.getBearing(),
-            startPitch = this.getPitch();
+            startPitch = this.getPitch(),
+            startPadding = tr.padding;
 
         var center = 'center' in options ? LngLat.convert(options.center) : this.getCenter();
         var zoom = 'zoom' in options ?  +options.zoom : startZoom;
         var bearing = 'bearing' in options ? this._normalizeBearing(options.bearing, startBearing) : startBearing;
         var pitch = 'pitch' in options ? +options.pitch : startPitch;
+        var padding = util.extend(tr.padding, options.padding);
+        var paddingChanged = !util.deepEqual(padding, startPadding);
 
         // If a path crossing the antimeridian would be shorter, extend the final coordinate so that
         // interpolating between the two endpoints will cross it.
@@ -663,6 +804,10 @@ util.extend(Camera.prototype, /** @lends Map.prototype */{
             var s = k * S,
                 us = u(s);
 
+            if (paddingChanged) {
+                tr.padding = interpolatePadding(startPadding, padding, k);
+            }
+
             tr.zoom = startZoom + tr.scaleZoom(1 / w(s));
             tr.center = tr.unproject(from.add(to.sub(from).mult(us)), startWorldSize);
 
@@ -765,3 +910,12 @@ util.extend(Camera.prototype, /** @lends Map.prototype */{
         return easing;
     }
 });
+
+function interpolatePadding(from, to, t) {
+    return {
+        top: interpolate(from.top, to.top, t),
+        bottom: interpolate(from.bottom, to.bottom, t),
+        left: interpolate(from.left, to.left, t),
+        right: interpolate(from.right, to.right, t)
+    };
+}
@@ -39,6 +39,7 @@ Interaction.prototype = {
         el.addEventListener('mousedown', this._onMouseDown, false);
         el.addEventListener('mouseup', this._onMouseUp, false);
         el.addEventListener('mousemove', this._onMouseMove, false);
+        el.addEventListener('mouseout', this._onMouseOut, false);
         el.addEventListener('touchstart', this._onTouchStart, false);
         el.addEventListener('touchend', this._onTouchEnd, false);
         el.addEventListener('touchmove', this._onTouchMove, false);
@@ -59,6 +60,7 @@ Interaction.prototype = {
         el.removeEventListener('mousedown', this._onMouseDown);
         el.removeEventListener('mouseup', this._onMouseUp);
         el.removeEventListener('mousemove', this._onMouseMove);
+        el.removeEventListener('mouseout', this._onMouseOut);
         el.removeEventListener('touchstart', this._onTouchStart);
         el.removeEventListener('touchend', this._onTouchEnd);
         el.removeEventListener('touchmove', this._onTouchMove);
@@ -100,6 +102,15 @@ Interaction.prototype = {
         this._fireMouseEvent('mousemove', e);
     },
 
+    _onMouseOut: function (e) {
+        // ignore the mouse moving between elements inside of the map
+        var target = e.relatedTarget;
+        while (target && target !== this._el) target = target.parentNode;
+        if (target === this._el) return;
+
+        this._fireMouseEvent('mouseout', e);
+    },
+
     _onTouchStart: function (e) {
         this._map.stop();
         this._fireTouchEvent('touchstart', e);
@@ -221,6 +232,35 @@ Interaction.prototype = {
  * @property {EventData} data Original event data
  */
 
+/**
+ * Mouse out event, fired when the mouse leaves the map.
+ *
+ * @event mouseout
+ * @memberof Map
+ * @instance
+ * @property {EventData} data Original event data
+ */
+
+/**
+ * Mouse enter event, fired when the mouse enters the features of a layer
+ * that is listened to with `map.on('mouseenter', layerId, listener)`.
+ *
+ * @event mouseenter
+ * @memberof Map
+ * @instance
+ * @property {EventData} data Original event data, with the `features` of the layer under the mouse
+ */
+
+/**
+ * Mouse leave event, fired when the mouse leaves the features of a layer
+ * that is listened to with `map.on('mouseleave', layerId, listener)`.
+ *
+ * @event mouseleave
+ * @memberof Map
+ * @instance
+ * @property {EventData} data Original event data
+ */
+
 /**
  * Touch start event.
  *
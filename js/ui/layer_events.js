@@ -0,0 +1,139 @@
+'use strict';
+
+var util = require('../util/util');
+var Evented = require('../util/evented');
+
+var LayerEvents = module.exports = function() {};
+
+util.extend(LayerEvents.prototype, /** @lends Map.prototype */{
+    /**
+     * Subscribe to an event, optionally only when it happens on the features
+     * of a layer. Listeners of layer events are called with the `features`
+     * of the layer at the event's point.
+     *
+     * The `mouseenter` and `mouseleave` events are only available for layers,
+     * and are fired when the mouse starts and stops being over any of the
+     * layer's features.
+     *
+     * @param {string} type Event type
+     * @param {string} [layerId] The ID of a style layer. Mouse events are only fired when they happen on its features.
+     * @param {Function} listener Function to be called when the event is fired
+     * @returns {Map} `this`
+     * @example
+     * map.on('mouseenter', 'houses', function(e) {
+     *     map.getCanvas().style.cursor = 'pointer';
+     * });
+     * map.on('mouseleave', 'houses', function() {
+     *     map.getCanvas().style.cursor = '';
+     * });
+     * map.on('click', 'houses', function(e) {
+     *     console.log(e.features[0].properties.address);
+     * });
+     */
+    on: function(type, layerId, listener) {
+        if (listener === undefined) {
+            return Evented.on.call(this, type, layerId);
+        }
+
+        var delegatedListener = this._createDelegatedListener(type, layerId, listener);
+
+        this._delegatedListeners = this._delegatedListeners || {};
+        this._delegatedListeners[type] = this._delegatedListeners[type] || [];
+        this._delegatedListeners[type].push(delegatedListener);
+
+        for (var event in delegatedListener.delegates) {
+            Evented.on.call(this, event, delegatedListener.delegates[event]);
+        }
+
+        return this;
+    },
+
+    /**
+     * Remove an event listener, which was added for the layer `layerId` if
+     * it is given.
+     *
+     * @param {string} [type] Event type. If none is specified, remove all listeners
+     * @param {string} [layerId] The ID of the style layer the listener was added for. If neither it nor a
+     *     listener is specified, the listeners of the type are removed for every layer as well
+     * @param {Function} [listener] The listener to remove. If none is specified all listeners of the type are removed
+     * @returns {Map} `this`
+     * @example
+     * // Stop listening to `mouseenter` on every layer
+     * map.off('mouseenter');
+     */
+    off: function(type, layerId, listener) {
+        if (!type) delete this._delegatedListeners;
+        if (!type || typeof layerId === 'function') {
+            return Evented.off.call(this, type, layerId);
+        }
+
+        var listeners = this._delegatedListeners && this._delegatedListeners[type];
+        if (listeners) {
+            for (var i = 0; i < listeners.length; i++) {
+                var delegatedListener = listeners[i];
+                if ((layerId === undefined || delegatedListener.layer === layerId) &&
+                    (listener === undefined || delegatedListener.listener === listener)) {
+                    for (var event in delegatedListener.delegates) {
+                        Evented.off.call(this, event, delegatedListener.delegates[event]);
+                    }
+                    listeners.splice(i--, 1);
+                    if (listener) break;
+                }
+            }
+            if (!listeners.length) delete this._delegatedListeners[type];
+        }
+
+        // Without a layer, the listeners of the type on the map itself go too.
+        if (layerId === undefined) Evented.off.call(this, type);
+
+        return this;
+    },
+
+    _createDelegatedListener: function(type, layerId, listener) {
+        var map = this;
+
+        function getFeatures(e) {
+            if (!map.style || !map.style.getLayer(layerId)) return [];
+            return map.queryRenderedFeatures(e.point, {layers: [layerId]});
+        }
+
+        var delegates = {};
+
+        if (type === 'mouseenter' || type === 'mouseleave') {
+            // Whether the mouse is over the layer's features. It is set by
+            // both listeners, so that they don't depend on each other.
+            var mousein = false;
+
+            delegates.mousemove = function(e) {
+                var features = getFeatures(e);
+                if (!features.length) {
+                    if (mousein && type === 'mouseleave') {
+                        listener.call(this, util.extend({}, e, {type: type}));
+                    }
+                    mousein = false;
+                } else {
+                    if (!mousein && type === 'mouseenter') {
+                        listener.call(this, util.extend({}, e, {type: type, features: features}));
+                    }
+                    mousein = true;
+                }
+            };
+
+            delegates.mouseout = function(e) {
+                if (mousein && type === 'mouseleave') {
+                    listener.call(this, util.extend({}, e, {type: type}));
+                }
+                mousein = false;
+            };
+        } else {
+            delegates[type] = function(e) {
+                var features = getFeatures(e);
+                if (features.length) {
+                    listener.call(this, util.extend({}, e, {features: features}));
+                }
+            };
+        }
+
+        return {layer: layerId, listener: listener, delegates: delegates};
+    }
+});
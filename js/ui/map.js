@@ -16,6 +16,7 @@ var Hash = require('./hash');
 var Interaction = require('./interaction');
 
 var Camera = require('./camera');
+var LayerEvents = require('./layer_events');
 var LngLat = require('../geo/lng_lat');
 var LngLatBounds = require('../geo/lng_lat_bounds');
 var Point = require('point-geometry');
@@ -51,6 +52,7 @@ var defaultMaxZoom = 20;
  * @param {boolean} [options.attributionControl=true] If `true`, an attribution control will be added to the map.
  * @param {boolean} [options.failIfMajorPerformanceCaveat=false] If `true`, map creation will fail if the implementation determines that the performance of the created WebGL context would be dramatically lower than expected.
  * @param {boolean} [options.preserveDrawingBuffer=false] If `true`, The maps canvas can be exported to a PNG using `map.getCanvas().toDataURL();`. This is false by default as a performance optimization.
+ * @param {number} [options.pixelRatio] The number of device pixels per CSS pixel to render the map with. By default, the map follows the device's `devicePixelRatio`.
  * @param {LngLatBounds|Array<Array<number>>} [options.maxBounds] If set, the map is constrained to the given bounds.
  * @param {boolean} [options.scrollZoom=true] If `true`, enable the "scroll to zoom" interaction (see `ScrollZoomHandler`)
  * @param {boolean} [options.boxZoom=true] If `true`, enable the "box zoom" interaction (see `BoxZoomHandler`)
@@ -59,6 +61,7 @@ var defaultMaxZoom = 20;
  * @param {boolean} [options.keyboard=true] If `true`, enable keyboard shortcuts (see `KeyboardHandler`).
  * @param {boolean} [options.doubleClickZoom=true] If `true`, enable the "double click to zoom" interaction (see `DoubleClickZoomHandler`).
  * @param {boolean} [options.touchZoomRotate=true] If `true`, enable the "pinch to rotate and zoom" interaction (see `TouchZoomRotateHandler`).
+ * @param {Function} [options.transformRequest] A function called with the URL and the resource type of each request the map makes for its style, source TileJSON, tiles, glyphs and sprites, so that the request can be modified before it is made. The resource type is one of "Style", "Source", "Tile", "Glyphs", "SpriteJSON" and "SpriteImage". It returns an object with the `url` to request instead, `headers` to add and whether to send credentials (`withCredentials`), or nothing to make the request unchanged. Only the URL and headers apply in Node.js.
  * @example
  * var map = new mapboxgl.Map({
  *   container: 'map',
@@ -67,6 +70,19 @@ var defaultMaxZoom = 20;
  *   style: style_object,
  *   hash: true
  * });
+ * @example
+ * var map = new mapboxgl.Map({
+ *   container: 'map',
+ *   style: 'https://tiles.example.com/styles/homes.json',
+ *   transformRequest: function(url, resourceType) {
+ *     if (resourceType === 'Tile' && url.indexOf('https://tiles.example.com') === 0) {
+ *       return {
+ *         url: url + '&signature=' + sign(url),
+ *         headers: {'Authorization': 'Bearer ' + token}
+ *       };
+ *     }
+ *   }
+ * });
  */
 var Map = module.exports = function(options) {
 
@@ -74,6 +90,8 @@ var Map = module.exports = function(options) {
     this._interactive = options.interactive;
     this._failIfMajorPerformanceCaveat = options.failIfMajorPerformanceCaveat;
     this._preserveDrawingBuffer = options.preserveDrawingBuffer;
+    this._transformRequest = options.transformRequest;
+    this._pixelRatio = options.pixelRatio;
 
     if (typeof options.container === 'string') {
         this._container = document.getElementById(options.container);
@@ -98,6 +116,7 @@ var Map = module.exports = function(options) {
         '_onSourceAdd',
         '_onSourceRemove',
         '_onSourceUpdate',
+        '_onStyleImageMissing',
         '_onWindowResize',
         'onError',
         '_update',
@@ -147,6 +166,7 @@ var Map = module.exports = function(options) {
 
 util.extend(Map.prototype, Evented);
 util.extend(Map.prototype, Camera.prototype);
+util.extend(Map.prototype, LayerEvents.prototype);
 util.extend(Map.prototype, /** @lends Map.prototype */{
 
     options: {
@@ -276,9 +296,11 @@ util.extend(Map.prototype, /** @lends Map.prototype */{
             height = this._container.offsetHeight || 300;
         }
 
-        this._canvas.resize(width, height);
+        var pixelRatio = this._pixelRatio || browser.devicePixelRatio;
+
+        this._canvas.resize(width, height, pixelRatio);
         this.transform.resize(width, height);
-        this.painter.resize(width, height);
+        this.painter.resize(width, height, pixelRatio);
 
         return this
             .fire('movestart')
@@ -484,6 +506,7 @@ util.extend(Map.prototype, /** @lends Map.prototype */{
                 .off('tile.load', this._update)
                 .off('tile.error', this._forwardTileEvent)
                 .off('tile.stats', this._forwardTileEvent)
+                .off('styleimagemissing', this._onStyleImageMissing)
                 ._remove();
 
             this.off('rotate', this.style._redoPlacement);
@@ -496,7 +519,10 @@ util.extend(Map.prototype, /** @lends Map.prototype */{
         } else if (style instanceof Style) {
             this.style = style;
         } else {
-            this.style = new Style(style, this.animationLoop);
+            this.style = new Style(style, this.animationLoop, {
+                transformRequest: this._transformRequest,
+                pixelRatio: this._pixelRatio
+            });
         }
 
         this.style
@@ -515,7 +541,8 @@ util.extend(Map.prototype, /** @lends Map.prototype */{
             .on('tile.remove', this._forwardTileEvent)
             .on('tile.load', this._update)
             .on('tile.error', this._forwardTileEvent)
-            .on('tile.stats', this._forwardTileEvent);
+            .on('tile.stats', this._forwardTileEvent)
+            .on('styleimagemissing', this._onStyleImageMissing);
 
         this.on('rotate', this.style._redoPlacement);
         this.on('pitch', this.style._redoPlacement);
@@ -609,12 +636,81 @@ util.extend(Map.prototype, /** @lends Map.prototype */{
         return this.style.getLayer(id);
     },
 
+    /**
+     * Add an image to the style, to be used by `icon-image` and the pattern
+     * properties like an image of the sprite. Symbol tiles that were
+     * missing an image with this ID are laid out again.
+     *
+     * @param {string} id ID of the image. Must not be used by the sprite or an image that was already added.
+     * @param {HTMLImageElement|Object} image The image, or an object with its `width`, `height` and RGBA pixel `data`, like `ImageData`
+     * @param {Object} [options]
+     * @param {number} [options.pixelRatio=1] The ratio of the pixels of the image to screen pixels
+     * @param {boolean} [options.sdf=false] Whether the image is a signed distance field, which can be recolored with `icon-color`
+     * @throws {Error} if there is already an image with this ID
+     * @returns {Map} `this`
+     * @example
+     * var image = new Image();
+     * image.onload = function() {
+     *     map.addImage('badge', image, {pixelRatio: 2});
+     * };
+     * image.src = 'https://example.com/badge@2x.png';
+     */
+    addImage: function(id, image, options) {
+        var data = image.data || browser.getImageData(image);
+        this.style.addImage(id, util.extend({}, options, {
+            width: image.width,
+            height: image.height,
+            data: data
+        }));
+        this._update(true);
+        return this;
+    },
+
+    /**
+     * Remove an image that was added with `addImage`.
+     *
+     * @param {string} id ID of the image
+     * @throws {Error} if no image was added with this ID
+     * @returns {Map} `this`
+     */
+    removeImage: function(id) {
+        this.style.removeImage(id);
+        this._update(true);
+        return this;
+    },
+
+    /**
+     * Check whether the style has an image with the given `id`, either in its
+     * sprite or added with `addImage`.
+     *
+     * @param {string} id ID of the image
+     * @returns {boolean}
+     */
+    hasImage: function(id) {
+        return this.style.hasImage(id);
+    },
+
     /**
      * Set the filter for a given style layer.
      *
+     * Besides the filters defined in the Style Specification, filters can be expressions
+     * that evaluate to `true` for the features to show. Expressions are arrays whose first
+     * element is an operator: `get`, `has` (with an optional type), `id`, `geometry-type`,
+     * `typeof`, `literal`, the arithmetic operators `+`, `-`, `*`, `/`, `%`, `^`, `min`, `max`,
+     * `abs`, `round`, `floor` and `ceil`, the string operators `concat`, `downcase`, `upcase`,
+     * `starts-with` and `ends-with`, the comparisons `==`, `!=`, `<`, `<=`, `>`, `>=`, `in` and
+     * `!in`, and `!`, `all`, `any` and `none`. Both kinds of filters can be combined with `all`,
+     * `any` and `none`. Layer filters in styles can be expressions as well.
+     *
      * @param {string} layer ID of a layer
-     * @param {Array} filter filter specification, as defined in the [Style Specification](https://www.mapbox.com/mapbox-gl-style-spec/#types-filter)
+     * @param {Array} filter filter specification, as defined in the [Style Specification](https://www.mapbox.com/mapbox-gl-style-spec/#types-filter), or an expression
      * @returns {Map} `this`
+     * @example
+     * // Show homes whose price per square foot is over 250 on Main St
+     * map.setFilter('homes', ['all',
+     *   ['>', ['/', ['get', 'price'], ['get', 'sqft']], 250],
+     *   ['ends-with', ['downcase', ['get', 'address']], 'main st']
+     * ]);
      */
     setFilter: function(layer, filter) {
         this.style.setFilter(layer, filter);
@@ -636,6 +732,116 @@ util.extend(Map.prototype, /** @lends Map.prototype */{
         return this;
     },
 
+    /**
+     * Show only the features of a circle or symbol layer whose value for a
+     * numeric property falls within a range, e.g. to animate a time slider.
+     *
+     * The first call for a property uploads each feature's value once. After
+     * that, changing the range only updates a shader uniform, which is much
+     * cheaper than calling `setFilter` on every frame. The layer's time
+     * property can also be declared up front with a `time-property` key in
+     * the style layer.
+     *
+     * Features without a numeric value for the property are hidden. Symbols
+     * outside of the range are hidden but still take part in label placement.
+     * Values are stored as 32-bit floats, so keep them within about 7
+     * significant digits (e.g. days rather than milliseconds since the epoch).
+     *
+     * @param {string} layerId ID of a circle or symbol layer
+     * @param {?string} property The numeric feature property to range on, or `null` to show all features again
+     * @param {?number} start The smallest value to show (inclusive), or `null` for no lower bound
+     * @param {?number} end The largest value to show (inclusive), or `null` for no upper bound
+     * @returns {Map} `this`
+     * @example
+     * map.setLayerTimeRange('markers', 'close_date', 16800, 16830);
+     */
+    setLayerTimeRange: function(layerId, property, start, end) {
+        this.style.setLayerTimeRange(layerId, property, start, end);
+        this._update(true);
+        return this;
+    },
+
+    /**
+     * Get the time property and range for a given style layer.
+     *
+     * @param {string} layerId ID of a layer
+     * @returns {?Object} `{property, start, end}`, or `undefined` if the layer has no time property
+     */
+    getLayerTimeRange: function(layerId) {
+        return this.style.getLayerTimeRange(layerId);
+    },
+
+    /**
+     * Set the state of a feature, such as whether it is hovered or selected.
+     * A feature's state is merged over its properties when its data-driven
+     * paint properties are evaluated, so a property function keyed on a state
+     * value restyles the feature without reparsing any tiles. The new state is
+     * merged into any state the feature already has.
+     *
+     * Features are identified by the `id` they have in the source data. Only
+     * data-driven paint properties of layers built from `vector` and `geojson`
+     * sources respond to feature state. A GeoJSON feature whose `id` is `0`
+     * loses it when the source is tiled, so give it another id to set its state.
+     *
+     * @param {Object} feature Identifies the feature
+     * @param {string} feature.source The ID of the feature's source
+     * @param {string} [feature.sourceLayer] The name of the feature's source layer. Required for vector sources.
+     * @param {string|number} feature.id The feature's id
+     * @param {Object} state A set of key-value pairs
+     * @returns {Map} `this`
+     * @example
+     * map.addLayer({
+     *     id: 'houses',
+     *     type: 'circle',
+     *     source: 'houses',
+     *     paint: {
+     *         'circle-color': {
+     *             property: 'hover',
+     *             type: 'categorical',
+     *             stops: [[0, '#888'], [1, '#f00']]
+     *         }
+     *     }
+     * });
+     * map.setFeatureState({source: 'houses', id: 42}, {hover: 1});
+     */
+    setFeatureState: function(feature, state) {
+        this.style.setFeatureState(feature, state);
+        this._update();
+        return this;
+    },
+
+    /**
+     * Remove the state of a feature, a single key of it, or the state of
+     * every feature in a source or source layer if `target.id` is omitted.
+     *
+     * @param {Object} target Identifies the features
+     * @param {string} target.source The ID of the source
+     * @param {string} [target.sourceLayer] The name of the source layer. Required for vector sources.
+     * @param {string|number} [target.id] The feature's id
+     * @param {string} [key] The key of the state to remove. Requires `target.id`.
+     * @returns {Map} `this`
+     * @example
+     * map.removeFeatureState({source: 'houses', id: 42}, 'hover');
+     */
+    removeFeatureState: function(target, key) {
+        this.style.removeFeatureState(target, key);
+        this._update();
+        return this;
+    },
+
+    /**
+     * Get the state of a feature.
+     *
+     * @param {Object} feature Identifies the feature
+     * @param {string} feature.source The ID of the feature's source
+     * @param {string} [feature.sourceLayer] The name of the feature's source layer. Required for vector sources.
+     * @param {string|number} feature.id The feature's id
+     * @returns {Object} The feature's state
+     */
+    getFeatureState: function(feature) {
+        return this.style.getFeatureState(feature);
+    },
+
     /**
      * Get the filter for a given style layer.
      *
@@ -654,6 +860,25 @@ util.extend(Map.prototype, /** @lends Map.prototype */{
      * @param {*} value value for the paint propery; must have the type appropriate for the property as defined in the [Style Specification](https://www.mapbox.com/mapbox-gl-style-spec/)
      * @param {string=} klass optional class specifier for the property
      * @returns {Map} `this`
+     * @example
+     * // Grow circles with the zoom level and scale them with the size of the house
+     * map.setPaintProperty('houses', 'circle-radius', {
+     *     property: 'sqft',
+     *     stops: [
+     *         [{zoom: 10, value: 500}, 1],
+     *         [{zoom: 10, value: 5000}, 4],
+     *         [{zoom: 16, value: 500}, 8],
+     *         [{zoom: 16, value: 5000}, 32]
+     *     ]
+     * });
+     *
+     * // Color houses by their status
+     * map.setPaintProperty('houses', 'circle-color', {
+     *     property: 'status',
+     *     type: 'categorical',
+     *     stops: [['sold', '#f00'], ['listed', '#0f0']],
+     *     default: '#888'
+     * });
      */
     setPaintProperty: function(layer, name, value, klass) {
         this.style.setPaintProperty(layer, name, value, klass);
@@ -964,6 +1189,29 @@ util.extend(Map.prototype, /** @lends Map.prototype */{
         this._forwardSourceEvent(e);
     },
 
+    /**
+     * Fired the first time a symbol layer needs an icon that is neither in
+     * the sprite nor added with `addImage`. Adding an image with this `id`
+     * from a listener, right away or later, lays out the symbols that use it
+     * again.
+     *
+     * @event styleimagemissing
+     * @memberof Map
+     * @instance
+     * @type {Object}
+     * @property {string} id The ID of the missing image
+     * @example
+     * map.on('styleimagemissing', function(e) {
+     *     var canvas = document.createElement('canvas');
+     *     canvas.width = canvas.height = 24;
+     *     drawBadge(canvas.getContext('2d'), e.id);
+     *     map.addImage(e.id, canvas.getContext('2d').getImageData(0, 0, 24, 24));
+     * });
+     */
+    _onStyleImageMissing: function(e) {
+        this.fire('styleimagemissing', util.extend({style: e.target}, e));
+    },
+
     _onWindowResize: function() {
         this.stop().resize()._update();
     }
@@ -0,0 +1,278 @@
+'use strict';
+
+module.exports = Marker;
+
+var util = require('../util/util');
+var Evented = require('../util/evented');
+var DOM = require('../util/dom');
+var LngLat = require('../geo/lng_lat');
+var Point = require('point-geometry');
+
+var anchorTranslate = {
+    'center': 'translate(-50%,-50%)',
+    'top': 'translate(-50%,0)',
+    'top-left': 'translate(0,0)',
+    'top-right': 'translate(-100%,0)',
+    'bottom': 'translate(-50%,-100%)',
+    'bottom-left': 'translate(0,-100%)',
+    'bottom-right': 'translate(-100%,-100%)',
+    'left': 'translate(0,-50%)',
+    'right': 'translate(-100%,-50%)'
+};
+
+/**
+ * Creates a marker component: a DOM element that stays at a geographical
+ * location as the map moves.
+ * @class Marker
+ * @param {HTMLElement} [element] DOM element to use as a marker. Defaults to an empty `div`.
+ * @param {Object} [options]
+ * @param {Point|Array<number>} [options.offset=[0, 0]] The offset in pixels to apply to the element, relative to its anchor.
+ * @param {string} [options.anchor='center'] One of "center", "top", "bottom", "left", "right", "top-left",
+ * "top-right", "bottom-left", or "bottom-right", describing which part of the element is placed at the
+ * coordinate set via `setLngLat`.
+ * @param {boolean} [options.draggable=false] Whether the marker can be dragged to a new location.
+ * @example
+ * var marker = new mapboxgl.Marker(document.getElementById('selected-home'), {anchor: 'bottom'})
+ *   .setLngLat([-122.41, 37.77])
+ *   .addTo(map);
+ */
+function Marker(element, options) {
+    util.setOptions(this, options);
+    util.bindAll([
+        '_update',
+        '_onClick',
+        '_onDown',
+        '_onMove',
+        '_onUp'],
+        this);
+
+    this._offset = Point.convert(this.options.offset || [0, 0]);
+
+    this._element = element || DOM.create('div');
+    this._element.classList.add('mapboxgl-marker');
+    this._element.style.position = 'absolute';
+    this._element.style.top = '0';
+    this._element.style.left = '0';
+    this._element.addEventListener('click', this._onClick);
+    this._element.addEventListener('mousedown', this._onDown);
+    this._element.addEventListener('touchstart', this._onDown);
+}
+
+/**
+ * Fired when dragging the marker starts.
+ *
+ * @event dragstart
+ * @memberof Marker
+ * @instance
+ * @property {EventData} data Original event data
+ */
+
+/**
+ * Fired repeatedly while the marker is being dragged, after its location has changed.
+ *
+ * @event drag
+ * @memberof Marker
+ * @instance
+ * @property {EventData} data Original event data
+ */
+
+/**
+ * Fired when dragging the marker ends.
+ *
+ * @event dragend
+ * @memberof Marker
+ * @instance
+ * @property {EventData} data Original event data
+ */
+
+Marker.prototype = util.inherit(Evented, /** @lends Marker.prototype */{
+    options: {
+        anchor: 'center',
+        draggable: false
+    },
+
+    /**
+     * Attaches the marker to a map
+     * @param {Map} map
+     * @returns {Marker} `this`
+     */
+    addTo: function(map) {
+        this.remove();
+        this._map = map;
+        map.getCanvasContainer().appendChild(this._element);
+        map.on('move', this._update);
+        this._update();
+        return this;
+    },
+
+    /**
+     * Removes the marker from the map, along with its popup
+     * @example
+     * var marker = new mapboxgl.Marker().addTo(map);
+     * marker.remove();
+     * @returns {Marker} `this`
+     */
+    remove: function() {
+        if (this._map) {
+            this._map.off('move', this._update);
+            this._endDrag();
+            delete this._map;
+        }
+        if (this._element.parentNode) {
+            this._element.parentNode.removeChild(this._element);
+        }
+        if (this._popup) {
+            this._popup.remove();
+        }
+        return this;
+    },
+
+    /**
+     * Get the marker's geographical location
+     * @returns {LngLat}
+     */
+    getLngLat: function() {
+        return this._lngLat;
+    },
+
+    /**
+     * Set the marker's geographical location and move it there
+     * @param {LngLat|Array<number>} lnglat
+     * @returns {Marker} `this`
+     */
+    setLngLat: function(lnglat) {
+        this._lngLat = LngLat.convert(lnglat);
+        if (this._popup) this._popup.setLngLat(this._lngLat);
+        this._update();
+        return this;
+    },
+
+    /**
+     * Get the marker's DOM element
+     * @returns {HTMLElement}
+     */
+    getElement: function() {
+        return this._element;
+    },
+
+    /**
+     * Bind a popup to the marker, which is opened and closed by clicking the
+     * marker, or unbind it if `popup` is not given
+     * @param {Popup} [popup]
+     * @returns {Marker} `this`
+     */
+    setPopup: function(popup) {
+        if (this._popup) {
+            this._popup.remove();
+            delete this._popup;
+        }
+        if (popup) {
+            this._popup = popup;
+            if (this._lngLat) popup.setLngLat(this._lngLat);
+        }
+        return this;
+    },
+
+    /**
+     * Get the popup bound to the marker
+     * @returns {Popup}
+     */
+    getPopup: function() {
+        return this._popup;
+    },
+
+    /**
+     * Open the marker's popup if it's closed and close it if it's open
+     * @returns {Marker} `this`
+     */
+    togglePopup: function() {
+        var popup = this._popup;
+        if (!popup) return this;
+
+        if (popup._map) {
+            popup.remove();
+        } else if (this._map) {
+            popup.addTo(this._map);
+        }
+        return this;
+    },
+
+    _update: function() {
+        if (!this._map || !this._lngLat) return;
+
+        // A location behind the camera projects to a mirrored screen point.
+        if (this._map.transform.isLocationOccluded(this._lngLat)) {
+            this._element.style.visibility = 'hidden';
+            return;
+        }
+        this._element.style.visibility = '';
+
+        var pos = this._map.project(this._lngLat)._add(this._offset).round();
+        DOM.setTransform(this._element, anchorTranslate[this.options.anchor] + ' translate(' + pos.x + 'px,' + pos.y + 'px)');
+    },
+
+    _onClick: function(e) {
+        if (!this._popup) return;
+
+        // Don't let the map handle the click, or it would close the popup right away.
+        e.stopPropagation();
+        this.togglePopup();
+    },
+
+    _onDown: function(e) {
+        if (!this.options.draggable || !this._map || this._dragging !== undefined) return;
+        if (e.touches ? e.touches.length > 1 : e.button !== 0) return;
+
+        // Keep the map from panning.
+        e.stopPropagation();
+        e.preventDefault();
+
+        if (e.touches) {
+            document.addEventListener('touchmove', this._onMove);
+            document.addEventListener('touchend', this._onUp);
+        } else {
+            document.addEventListener('mousemove', this._onMove);
+            document.addEventListener('mouseup', this._onUp);
+        }
+
+        var container = this._map.getCanvasContainer();
+        this._dragging = false;
+        this._grabOffset = DOM.mousePos(container, e).sub(this._map.project(this._lngLat));
+    },
+
+    _onMove: function(e) {
+        if (!this._dragging) {
+            this._dragging = true;
+            DOM.disableDrag();
+            this.fire('dragstart', {originalEvent: e});
+        }
+
+        var pos = DOM.mousePos(this._map.getCanvasContainer(), e).sub(this._grabOffset);
+        this.setLngLat(this._map.unproject(pos));
+        this.fire('drag', {originalEvent: e});
+
+        e.preventDefault();
+    },
+
+    _onUp: function(e) {
+        var dragged = this._dragging;
+        this._endDrag();
+
+        if (dragged) {
+            DOM.suppressClick();
+            this.fire('dragend', {originalEvent: e});
+        }
+    },
+
+    _endDrag: function() {
+        if (this._dragging === undefined) return;
+        if (this._dragging) DOM.enableDrag();
+
+        document.removeEventListener('mousemove', this._onMove);
+        document.removeEventListener('mouseup', this._onUp);
+        document.removeEventListener('touchmove', this._onMove);
+        document.removeEventListener('touchend', this._onUp);
+        delete this._dragging;
+        delete this._grabOffset;
+    }
+});
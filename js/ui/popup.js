@@ -6,6 +6,18 @@ var util = require('../util/util');
 var Evented = require('../util/evented');
 var DOM = require('../util/dom');
 var LngLat = require('../geo/lng_lat');
+var Point = require('point-geometry');
+
+var anchorTranslate = {
+    'top': 'translate(-50%,0)',
+    'top-left': 'translate(0,0)',
+    'top-right': 'translate(-100%,0)',
+    'bottom': 'translate(-50%,-100%)',
+    'bottom-left': 'translate(0,-100%)',
+    'bottom-right': 'translate(-100%,-100%)',
+    'left': 'translate(0,-50%)',
+    'right': 'translate(-100%,-50%)'
+};
 
 /**
  * Creates a popup component
@@ -13,14 +25,24 @@ var LngLat = require('../geo/lng_lat');
  * @param {Object} options
  * @param {boolean} options.closeButton
  * @param {boolean} options.closeOnClick
- * @param {string} options.anchor - One of "top", "bottom", "left", "right", "top-left",
+ * @param {string} [options.anchor] - One of "top", "bottom", "left", "right", "top-left",
  * "top-right", "bottom-left", or "bottom-right", describing where the popup's anchor
- * relative to the coordinate set via `setLngLat`.
+ * relative to the coordinate set via `setLngLat`. If unset, the anchor is chosen
+ * so that the popup fits within the map container, preferring "bottom".
+ * @param {number|Point|Array<number>|Object} [options.offset] - The pixel offset of the popup
+ * from its anchor: a number is the distance from the coordinate in the direction of the
+ * anchor, e.g. the radius of a circle, a point applies to every anchor, and an object
+ * maps anchors to points, e.g. to clear a marker icon that isn't centered on the coordinate.
  * @example
  * var tooltip = new mapboxgl.Popup()
  *   .setLngLat(e.lngLat)
  *   .setHTML("<h1>Hello World!</h1>")
  *   .addTo(map);
+ * @example
+ * var popup = new mapboxgl.Popup({offset: {'bottom': [0, -40], 'top': [0, 0]}})
+ *   .setText('A home')
+ *   .setLngLat(marker.getLngLat())
+ *   .addTo(map);
  */
 function Popup(options) {
     util.setOptions(this, options);
@@ -44,6 +66,7 @@ Popup.prototype = util.inherit(Evented, /** @lends Popup.prototype */{
     addTo: function(map) {
         this._map = map;
         this._map.on('move', this._update);
+        this._map.on('resize', this._update);
         if (this.options.closeOnClick) {
             this._map.on('click', this._onClickClose);
         }
@@ -70,6 +93,7 @@ Popup.prototype = util.inherit(Evented, /** @lends Popup.prototype */{
 
         if (this._map) {
             this._map.off('move', this._update);
+            this._map.off('resize', this._update);
             this._map.off('click', this._onClickClose);
             delete this._map;
         }
@@ -158,24 +182,25 @@ Popup.prototype = util.inherit(Evented, /** @lends Popup.prototype */{
             this._container.appendChild(this._content);
         }
 
-        var pos = this._map.project(this._lngLat).round(),
+        var pos = this._map.project(this._lngLat),
+            offset = normalizeOffset(this.options.offset),
             anchor = this.options.anchor;
 
         if (!anchor) {
             var width = this._container.offsetWidth,
                 height = this._container.offsetHeight;
 
-            if (pos.y < height) {
+            if (pos.y + offset.bottom.y < height) {
                 anchor = ['top'];
-            } else if (pos.y > this._map.transform.height - height) {
+            } else if (pos.y + offset.top.y > this._map.transform.height - height) {
                 anchor = ['bottom'];
             } else {
                 anchor = [];
             }
 
-            if (pos.x < width / 2) {
+            if (pos.x + offset.left.x < width / 2) {
                 anchor.push('left');
-            } else if (pos.x > this._map.transform.width - width / 2) {
+            } else if (pos.x + offset.right.x > this._map.transform.width - width / 2) {
                 anchor.push('right');
             }
 
@@ -186,16 +211,7 @@ Popup.prototype = util.inherit(Evented, /** @lends Popup.prototype */{
             }
         }
 
-        var anchorTranslate = {
-            'top': 'translate(-50%,0)',
-            'top-left': 'translate(0,0)',
-            'top-right': 'translate(-100%,0)',
-            'bottom': 'translate(-50%,-100%)',
-            'bottom-left': 'translate(0,-100%)',
-            'bottom-right': 'translate(-100%,-100%)',
-            'left': 'translate(0,-50%)',
-            'right': 'translate(-100%,-50%)'
-        };
+        pos = pos.add(offset[anchor]).round();
 
         var classList = this._container.classList;
         for (var key in anchorTranslate) {
@@ -210,3 +226,39 @@ Popup.prototype = util.inherit(Evented, /** @lends Popup.prototype */{
         this.remove();
     }
 });
+
+/**
+ * Convert the `offset` option of a popup to a map from anchors to points
+ *
+ * @private
+ * @param {number|Point|Array<number>|Object} [offset]
+ * @returns {Object} the offset for each anchor
+ */
+Popup.normalizeOffset = normalizeOffset;
+
+function normalizeOffset(offset) {
+    var result = {};
+    var anchor;
+
+    if (typeof offset === 'number') {
+        // Corners are offset diagonally by the same distance.
+        var corner = Math.round(Math.sqrt(0.5 * offset * offset));
+        return {
+            'top': new Point(0, offset),
+            'top-left': new Point(corner, corner),
+            'top-right': new Point(-corner, corner),
+            'bottom': new Point(0, -offset),
+            'bottom-left': new Point(corner, -corner),
+            'bottom-right': new Point(-corner, -corner),
+            'left': new Point(offset, 0),
+            'right': new Point(-offset, 0)
+        };
+    } else if (offset instanceof Point || Array.isArray(offset)) {
+        var point = Point.convert(offset);
+        for (anchor in anchorTranslate) result[anchor] = point;
+    } else {
+        for (anchor in anchorTranslate) result[anchor] = Point.convert((offset && offset[anchor]) || [0, 0]);
+    }
+
+    return result;
+}
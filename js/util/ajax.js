@@ -2,6 +2,9 @@
 
 var request = require('request');
 var PNG = require('pngjs').PNG;
+var fs = require('fs');
+var zlib = require('zlib');
+var util = require('./util');
 
 /**
  * Get JSON data from URL
@@ -22,44 +25,162 @@ var PNG = require('pngjs').PNG;
 
 var cache = {};
 
+// A request is either a URL or an object with a `url` and optional `headers`,
+// as returned by the map's `transformRequest` option.
+function getRequestOptions(request, options) {
+    if (typeof request === 'string') request = {url: request};
+    return util.extend({url: request.url, headers: request.headers}, options);
+}
+
 function cached(data, callback) {
     setImmediate(function () {
         callback(null, data);
     });
 }
 
-exports.getJSON = function(url, callback) {
-    if (cache[url]) return cached(cache[url], callback);
-    return request(url, function(error, response, body) {
+// Fetch the body of a request, either over HTTP or, for `file://` and
+// `mbtiles://` URLs, from the local file system. Compressed local tiles are
+// inflated, since no server does so for us.
+function fetch(options, callback) {
+    var local = getLocal(options.url, function(err, data) {
+        if (err) return callback(err);
+        if (!isCompressed(data)) return callback(null, data);
+        zlib.unzip(data, callback);
+    });
+    if (local) return local;
+
+    return request(options, function(error, response, body) {
         if (!error && response.statusCode >= 200 && response.statusCode < 300) {
-            var data;
-            try {
-                data = JSON.parse(body);
-            } catch (err) {
-                return callback(err);
-            }
-            cache[url] = data;
-            callback(null, data);
+            callback(null, body);
         } else {
             callback(error || new Error(response.statusCode));
         }
     });
+}
+
+function isCompressed(data) {
+    return data.length > 2 && (
+        (data[0] === 0x1f && data[1] === 0x8b) || // gzip
+        (data[0] === 0x78 && (data[0] * 256 + data[1]) % 31 === 0)); // zlib
+}
+
+function getLocal(url, callback) {
+    var aborted = false;
+    var loaded = function(err, data) {
+        if (!aborted) callback(err, data);
+    };
+
+    if (url.indexOf('file://') === 0) {
+        fs.readFile(decodeURIComponent(url.slice('file://'.length)), loaded);
+    } else if (url.indexOf('mbtiles://') === 0) {
+        getMBTiles(url, loaded);
+    } else {
+        return null;
+    }
+
+    return {
+        abort: function() { aborted = true; }
+    };
+}
+
+var databases = {};
+
+// `mbtiles://path/to/file.mbtiles` resolves to a TileJSON document built from the
+// file's metadata, and `mbtiles://path/to/file.mbtiles/{z}/{x}/{y}` to its tiles.
+function getMBTiles(url, callback) {
+    var match = url.match(/^mbtiles:\/\/(.+?\.mbtiles)(?:\/(\d+)\/(\d+)\/(\d+))?$/);
+    if (!match) return setImmediate(callback, new Error('Invalid MBTiles URL: ' + url));
+
+    var path = decodeURIComponent(match[1]);
+    var db = databases[path];
+    if (!db) {
+        // sqlite3 is an optional native module, which fails to install where
+        // it can't be built, so only require it once MBTiles are used.
+        var sqlite3;
+        try {
+            sqlite3 = require('sqlite3');
+        } catch (err) {
+            return setImmediate(callback, new Error('Reading MBTiles requires the sqlite3 module, which is not installed: ' + err.message));
+        }
+        db = databases[path] = new sqlite3.Database(path, sqlite3.OPEN_READONLY, function(err) {
+            if (err) delete databases[path];
+        });
+    }
+
+    if (!match[2]) {
+        db.all('SELECT name, value FROM metadata', function(err, rows) {
+            if (err) return callback(err);
+            callback(null, new Buffer(JSON.stringify(getTileJSON(rows, url))));
+        });
+        return;
+    }
+
+    // MBTiles number rows from the bottom, like TMS.
+    var z = +match[2], x = +match[3], y = Math.pow(2, z) - 1 - match[4];
+    db.get('SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?', z, x, y, function(err, row) {
+        if (err) return callback(err);
+        if (!row) return callback(new Error('Tile not found: ' + url));
+        callback(null, row.tile_data);
+    });
+}
+
+function getTileJSON(metadata, url) {
+    var tileJSON = {
+        tilejson: '2.0.0',
+        tiles: [url + '/{z}/{x}/{y}']
+    };
+
+    metadata.forEach(function(row) {
+        switch (row.name) {
+        case 'minzoom':
+        case 'maxzoom':
+            tileJSON[row.name] = Number(row.value);
+            break;
+        case 'bounds':
+        case 'center':
+            tileJSON[row.name] = row.value.split(',').map(Number);
+            break;
+        case 'json':
+            util.extend(tileJSON, JSON.parse(row.value));
+            break;
+        default:
+            tileJSON[row.name] = row.value;
+        }
+    });
+
+    return tileJSON;
+}
+
+exports.getJSON = function(params, callback) {
+    var options = getRequestOptions(params);
+    var url = options.url;
+    if (cache[url]) return cached(cache[url], callback);
+    return fetch(options, function(err, body) {
+        if (err) return callback(err);
+        var data;
+        try {
+            data = JSON.parse(body);
+        } catch (err) {
+            return callback(err);
+        }
+        cache[url] = data;
+        callback(null, data);
+    });
 };
 
-exports.getArrayBuffer = function(url, callback) {
+exports.getArrayBuffer = function(params, callback) {
+    var options = getRequestOptions(params, {encoding: null});
+    var url = options.url;
     if (cache[url]) return cached(cache[url], callback);
-    return request({url: url, encoding: null}, function(error, response, body) {
-        if (!error && response.statusCode >= 200 && response.statusCode < 300) {
-            var ab = new ArrayBuffer(body.length);
-            var view = new Uint8Array(ab);
-            for (var i = 0; i < body.length; ++i) {
-                view[i] = body[i];
-            }
-            cache[url] = ab;
-            callback(null, ab);
-        } else {
-            callback(error || new Error(response.statusCode));
+    return fetch(options, function(err, body) {
+        if (err) return callback(err);
+        var ab = new ArrayBuffer(body.length);
+        var view = new Uint8Array(ab);
+        for (var i = 0; i < body.length; ++i) {
+            view[i] = body[i];
         }
+        cache[url] = ab;
+        callback(null, ab);
     });
 };
 
@@ -74,18 +195,17 @@ function fakeImage(png) {
     };
 }
 
-exports.getImage = function(url, callback) {
+exports.getImage = function(params, callback) {
+    var options = getRequestOptions(params, {encoding: null});
+    var url = options.url;
     if (cache[url]) return cached(fakeImage(cache[url]), callback);
-    return request({url: url, encoding: null}, function(error, response, body) {
-        if (!error && response.statusCode >= 200 && response.statusCode < 300) {
-            new PNG().parse(body, function(err, png) {
-                if (err) return callback(err);
-                cache[url] = png;
-                callback(null, fakeImage(png));
-            });
-        } else {
-            callback(error || new Error(response.statusCode));
-        }
+    return fetch(options, function(err, body) {
+        if (err) return callback(err);
+        new PNG().parse(body, function(err, png) {
+            if (err) return callback(err);
+            cache[url] = png;
+            callback(null, fakeImage(png));
+        });
     });
 };
 
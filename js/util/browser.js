@@ -49,6 +49,11 @@ exports.supported = function () {
     return true;
 };
 
+// Images loaded by js/util/ajax.js under node.js carry their pixels.
+exports.getImageData = function (img) {
+    return img.getData();
+};
+
 exports.devicePixelRatio = 1;
 exports.hardwareConcurrency = 8;
 exports.supportsWebp = false;
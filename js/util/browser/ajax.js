@@ -1,8 +1,23 @@
 'use strict';
 
-exports.getJSON = function(url, callback) {
+// A request is either a URL or an object with a `url` and optional `headers`
+// and `withCredentials`, as returned by the map's `transformRequest` option.
+function createXHR(request) {
+    if (typeof request === 'string') request = {url: request};
+
     var xhr = new XMLHttpRequest();
-    xhr.open('GET', url, true);
+    xhr.open('GET', request.url, true);
+    for (var name in request.headers) {
+        xhr.setRequestHeader(name, request.headers[name]);
+    }
+    if (request.withCredentials) {
+        xhr.withCredentials = true;
+    }
+    return xhr;
+}
+
+exports.getJSON = function(request, callback) {
+    var xhr = createXHR(request);
     xhr.setRequestHeader('Accept', 'application/json');
     xhr.onerror = function(e) {
         callback(e);
@@ -24,9 +39,8 @@ exports.getJSON = function(url, callback) {
     return xhr;
 };
 
-exports.getArrayBuffer = function(url, callback) {
-    var xhr = new XMLHttpRequest();
-    xhr.open('GET', url, true);
+exports.getArrayBuffer = function(request, callback) {
+    var xhr = createXHR(request);
     xhr.responseType = 'arraybuffer';
     xhr.onerror = function(e) {
         callback(e);
@@ -48,8 +62,8 @@ function sameOrigin(url) {
     return a.protocol === document.location.protocol && a.host === document.location.host;
 }
 
-exports.getImage = function(url, callback) {
-    return exports.getArrayBuffer(url, function(err, imgData) {
+exports.getImage = function(request, callback) {
+    return exports.getArrayBuffer(request, function(err, imgData) {
         if (err) return callback(err);
         var img = new Image();
         img.onload = function() {
@@ -80,6 +80,21 @@ Object.defineProperty(exports, 'devicePixelRatio', {
     get: function() { return window.devicePixelRatio; }
 });
 
+/**
+ * Get the RGBA pixels of an image by drawing it to a canvas.
+ * @param {HTMLImageElement} img
+ * @returns {Uint8ClampedArray}
+ * @private
+ */
+exports.getImageData = function (img) {
+    var canvas = document.createElement('canvas');
+    var context = canvas.getContext('2d');
+    canvas.width = img.width;
+    canvas.height = img.height;
+    context.drawImage(img, 0, 0);
+    return context.getImageData(0, 0, img.width, img.height).data;
+};
+
 exports.supportsWebp = false;
 
 var webpImgTest = document.createElement('img');
@@ -18,9 +18,7 @@ function Canvas(parent, container) {
     }
 }
 
-Canvas.prototype.resize = function(width, height) {
-    var pixelRatio = window.devicePixelRatio || 1;
-
+Canvas.prototype.resize = function(width, height, pixelRatio) {
     // Request the required canvas size taking the pixelratio into account.
     this.canvas.width = pixelRatio * width;
     this.canvas.height = pixelRatio * height;
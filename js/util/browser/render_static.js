@@ -0,0 +1,8 @@
+'use strict';
+
+// Static rendering relies on a headless WebGL context and is only supported
+// with node. The node implementation is in js/util/render_static.js.
+
+module.exports = function(options, callback) {
+    callback(new Error('renderStatic is not supported in browsers, use map.getCanvas().toDataURL() instead.'));
+};
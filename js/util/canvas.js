@@ -9,6 +9,7 @@ var browser = require('./browser');
 module.exports = Canvas;
 
 function Canvas(parent, container) {
+    var pixelRatio = (parent && parent._pixelRatio) || browser.devicePixelRatio;
     var requiredContextAttributes = {
         antialias: false,
         alpha: true,
@@ -18,8 +19,8 @@ function Canvas(parent, container) {
     };
 
     this.context = gl(
-        ((container && container.offsetWidth) || 512) * browser.devicePixelRatio,
-        ((container && container.offsetHeight) || 512) * browser.devicePixelRatio,
+        Math.floor(((container && container.offsetWidth) || 512) * pixelRatio),
+        Math.floor(((container && container.offsetHeight) || 512) * pixelRatio),
         requiredContextAttributes);
 }
 
@@ -0,0 +1,50 @@
+'use strict';
+
+module.exports = classifyRings;
+
+/**
+ * Classify the rings of a polygon feature into polygons, each of which is an
+ * outer ring followed by its holes. Holes are wound in the opposite direction
+ * of outer rings.
+ *
+ * @private
+ * @param {Array<Array<Point>>} rings
+ * @returns {Array<Array<Array<Point>>>}
+ */
+function classifyRings(rings) {
+    var polygons = [];
+    var polygon, outerSign;
+
+    for (var i = 0; i < rings.length; i++) {
+        var area = signedArea(rings[i]);
+        if (area === 0) continue;
+
+        if (!polygon || (area > 0) === outerSign) {
+            polygon = [rings[i]];
+            outerSign = area > 0;
+            polygons.push(polygon);
+        } else {
+            polygon.push(rings[i]);
+        }
+    }
+
+    return polygons;
+}
+
+/**
+ * The signed area of a ring: positive for rings that are clockwise on the
+ * screen, where y points down.
+ *
+ * @private
+ * @param {Array<Point>} ring
+ * @returns {number}
+ */
+classifyRings.signedArea = signedArea;
+
+function signedArea(ring) {
+    var sum = 0;
+    for (var i = 0, len = ring.length, j = len - 1; i < len; j = i++) {
+        sum += ring[j].x * ring[i].y - ring[i].x * ring[j].y;
+    }
+    return sum / 2;
+}
@@ -65,7 +65,7 @@ module.exports.normalizeSpriteURL = function(url, format, ext, accessToken) {
     return normalizeURL('mapbox://' + user + '/' + style + draft + '/sprite' + format + ext, '/styles/v1/', accessToken);
 };
 
-module.exports.normalizeTileURL = function(url, sourceUrl, tileSize) {
+module.exports.normalizeTileURL = function(url, sourceUrl, tileSize, pixelRatio) {
     if (!sourceUrl || !sourceUrl.match(/^mapbox:\/\//))
         return url;
 
@@ -75,5 +75,5 @@ module.exports.normalizeTileURL = function(url, sourceUrl, tileSize) {
     // device.
     url = url.replace(/([?&]access_token=)tk\.[^&]+/, '$1' + config.ACCESS_TOKEN);
     var extension = browser.supportsWebp ? 'webp' : '$1';
-    return url.replace(/\.((?:png|jpg)\d*)(?=$|\?)/, browser.devicePixelRatio >= 2 || tileSize === 512 ? '@2x.' + extension : '.' + extension);
+    return url.replace(/\.((?:png|jpg)\d*)(?=$|\?)/, (pixelRatio || browser.devicePixelRatio) >= 2 || tileSize === 512 ? '@2x.' + extension : '.' + extension);
 };
@@ -0,0 +1,157 @@
+'use strict';
+
+// Headless rendering of static map images with node. Browsers can use
+// `map.getCanvas().toDataURL()` instead, see js/util/browser/render_static.js.
+
+var PNG = require('pngjs').PNG;
+var Map = require('../ui/map');
+var util = require('./util');
+
+module.exports = renderStatic;
+
+/**
+ * Render a style to a PNG image without a browser. This is only supported in
+ * Node.js, where it renders through a headless WebGL context.
+ *
+ * Rendering fails if the style or one of its sources can't be loaded.
+ *
+ * @function renderStatic
+ * @param {Object} options
+ * @param {Object|string} options.style The style to render, as an object or a URL
+ * @param {LngLatLike} [options.center=[0, 0]] The geographical center of the image
+ * @param {number} [options.zoom=0] The zoom level
+ * @param {number} [options.bearing=0] The bearing in degrees counter-clockwise from north
+ * @param {number} [options.pitch=0] The pitch in degrees
+ * @param {number} [options.width=512] The width of the image in CSS pixels
+ * @param {number} [options.height=512] The height of the image in CSS pixels
+ * @param {number} [options.pixelRatio=1] The number of image pixels per CSS pixel
+ * @param {Array<string>} [options.classes] Style class names to render the style with
+ * @param {Function} [options.transformRequest] A function to modify the requests made for the style's resources, see `Map`
+ * @param {Function} callback Called with an error or a `Buffer` containing the PNG image
+ * @example
+ * mapboxgl.renderStatic({
+ *   style: style,
+ *   center: [-122.420679, 37.772537],
+ *   zoom: 13,
+ *   width: 600,
+ *   height: 400,
+ *   pixelRatio: 2
+ * }, function(err, png) {
+ *   if (err) throw err;
+ *   fs.writeFileSync('listing.png', png);
+ * });
+ */
+function renderStatic(options, callback) {
+    options = util.extend({
+        width: 512,
+        height: 512,
+        pixelRatio: 1
+    }, options);
+
+    // The size of the image in pixels, which the map's canvas truncates to
+    // whole pixels too.
+    var width = Math.floor(options.width * options.pixelRatio);
+    var height = Math.floor(options.height * options.pixelRatio);
+
+    var map = new Map({
+        container: {
+            offsetWidth: options.width,
+            offsetHeight: options.height,
+            classList: {
+                add: function() {},
+                remove: function() {}
+            }
+        },
+        style: options.style,
+        classes: options.classes,
+        center: options.center,
+        zoom: options.zoom,
+        bearing: options.bearing,
+        pitch: options.pitch,
+        pixelRatio: options.pixelRatio,
+        transformRequest: options.transformRequest,
+        interactive: false,
+        attributionControl: false
+    });
+
+    var gl = map.painter.gl;
+
+    function done(err, data) {
+        map.off('style.error', onError);
+        map.off('source.error', onError);
+        map.off('load', onLoad);
+        map.remove();
+        gl.destroy();
+
+        if (err) return callback(err);
+        encodePNG(data, width, height, callback);
+    }
+
+    function onError(e) {
+        done(e.error);
+    }
+
+    function onLoad() {
+        done(null, unpremultiply(readPixels(gl, width, height)));
+    }
+
+    map.on('style.error', onError);
+    map.on('source.error', onError);
+    map.on('load', onLoad);
+}
+
+/**
+ * Read the pixels of a WebGL context, with the scanlines from top to bottom.
+ * The render test suite reads the pixels of its maps with it too.
+ *
+ * @private
+ * @param {WebGLRenderingContext} gl
+ * @param {number} width
+ * @param {number} height
+ * @returns {Buffer} The premultiplied RGBA pixels
+ */
+renderStatic.readPixels = readPixels;
+
+function readPixels(gl, width, height) {
+    var pixels = new Uint8Array(width * height * 4);
+    gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+
+    var data = new Buffer(pixels);
+
+    // Flip the scanlines, since WebGL reads them bottom to top.
+    var stride = width * 4;
+    var tmp = new Buffer(stride);
+    for (var i = 0, j = height - 1; i < j; i++, j--) {
+        var start = i * stride;
+        var end = j * stride;
+        data.copy(tmp, 0, start, start + stride);
+        data.copy(data, start, end, end + stride);
+        tmp.copy(data, end);
+    }
+
+    return data;
+}
+
+// The map is drawn with premultiplied alpha, but PNGs are not.
+function unpremultiply(data) {
+    for (var i = 0; i < data.length; i += 4) {
+        var alpha = data[i + 3];
+        if (alpha === 0 || alpha === 255) continue;
+        data[i] = Math.min(255, Math.round(data[i] * 255 / alpha));
+        data[i + 1] = Math.min(255, Math.round(data[i + 1] * 255 / alpha));
+        data[i + 2] = Math.min(255, Math.round(data[i + 2] * 255 / alpha));
+    }
+
+    return data;
+}
+
+function encodePNG(data, width, height, callback) {
+    var png = new PNG({width: width, height: height});
+    png.data = data;
+
+    var chunks = [];
+    png.pack()
+        .on('data', function(chunk) { chunks.push(chunk); })
+        .on('error', callback)
+        .on('end', function() { callback(null, Buffer.concat(chunks)); });
+}
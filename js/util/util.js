@@ -448,3 +448,16 @@ exports.arraysIntersect = function(a, b) {
     }
     return false;
 };
+
+/**
+ * Get the parameters of a request for a URL, as returned by the map's
+ * `transformRequest` option if there is one.
+ * @param {Function} [transformRequest] A function of `(url, resourceType)`
+ * @param {string} url
+ * @param {string} resourceType One of "Style", "Source", "Tile", "Glyphs", "SpriteJSON" and "SpriteImage"
+ * @returns {Object} `{url, headers, withCredentials}`
+ * @private
+ */
+exports.getRequestParameters = function(transformRequest, url, resourceType) {
+    return exports.extend({url: url}, transformRequest && transformRequest(url, resourceType));
+};
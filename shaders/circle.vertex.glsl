@@ -12,19 +12,29 @@ attribute lowp vec4 a_color;
 uniform lowp vec4 a_color;
 #endif
 
-#ifdef ATTRIBUTE_A_RADIUS
+#ifdef ATTRIBUTE_ZOOM_A_RADIUS
+attribute mediump vec2 a_radius;
+uniform mediump float a_radius_t;
+#elif defined(ATTRIBUTE_A_RADIUS)
 attribute mediump float a_radius;
 #else
 uniform mediump float a_radius;
 #endif
 
+#ifdef ATTRIBUTE_A_TIME
+attribute highp float a_time;
+uniform highp vec2 u_time_range;
+#endif
+
 varying vec2 v_extrude;
 varying lowp vec4 v_color;
 varying lowp float v_antialiasblur;
 
 void main(void) {
 
-#ifdef ATTRIBUTE_A_RADIUS
+#ifdef ATTRIBUTE_ZOOM_A_RADIUS
+    mediump float radius = mix(a_radius[0], a_radius[1], a_radius_t) / 10.0;
+#elif defined(ATTRIBUTE_A_RADIUS)
     mediump float radius = a_radius / 10.0;
 #else
     mediump float radius = a_radius;
@@ -42,6 +52,13 @@ void main(void) {
     // Multiply the extrude by it so that it isn't affected by it.
     gl_Position += extrude * gl_Position.w;
 
+#ifdef ATTRIBUTE_A_TIME
+    // Move circles outside of the layer's time range out of clip space.
+    if (a_time < u_time_range[0] || a_time > u_time_range[1]) {
+        gl_Position = vec4(-2.0, -2.0, -2.0, 1.0);
+    }
+#endif
+
 #ifdef ATTRIBUTE_A_COLOR
     v_color = a_color / 255.0;
 #else
@@ -0,0 +1,11 @@
+precision highp float;
+
+attribute vec2 a_pos;
+
+varying vec2 v_pos;
+
+void main() {
+    // a_pos is a quad covering the whole viewport in clip space.
+    gl_Position = vec4(a_pos, 0, 1);
+    v_pos = (a_pos + 1.0) / 2.0;
+}
@@ -1,8 +1,29 @@
 precision mediump float;
 
+#ifdef ATTRIBUTE_A_COLOR
+varying lowp vec4 v_color;
+#else
 uniform lowp vec4 u_color;
+#endif
+
+#ifdef ATTRIBUTE_A_OPACITY
+varying lowp float v_opacity;
+#else
 uniform lowp float u_opacity;
+#endif
 
 void main() {
-    gl_FragColor = u_color * u_opacity;
+#ifdef ATTRIBUTE_A_COLOR
+    lowp vec4 color = v_color;
+#else
+    lowp vec4 color = u_color;
+#endif
+
+#ifdef ATTRIBUTE_A_OPACITY
+    lowp float opacity = v_opacity;
+#else
+    lowp float opacity = u_opacity;
+#endif
+
+    gl_FragColor = color * opacity;
 }
@@ -3,6 +3,24 @@ precision highp float;
 attribute vec2 a_pos;
 uniform mat4 u_matrix;
 
+#ifdef ATTRIBUTE_A_COLOR
+attribute lowp vec4 a_color;
+varying lowp vec4 v_color;
+#endif
+
+#ifdef ATTRIBUTE_A_OPACITY
+attribute lowp float a_opacity;
+varying lowp float v_opacity;
+#endif
+
 void main() {
     gl_Position = u_matrix * vec4(a_pos, 0, 1);
+
+#ifdef ATTRIBUTE_A_COLOR
+    v_color = a_color / 255.0;
+#endif
+
+#ifdef ATTRIBUTE_A_OPACITY
+    v_opacity = a_opacity / 255.0;
+#endif
 }
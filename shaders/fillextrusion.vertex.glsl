@@ -0,0 +1,49 @@
+precision highp float;
+
+uniform mat4 u_matrix;
+uniform vec3 u_lightdir;
+
+attribute vec2 a_pos;
+attribute vec4 a_normal;
+
+#ifdef ATTRIBUTE_A_COLOR
+attribute lowp vec4 a_color;
+#else
+uniform lowp vec4 a_color;
+#endif
+
+#ifdef ATTRIBUTE_A_HEIGHT
+attribute highp float a_height;
+#else
+uniform highp float a_height;
+#endif
+
+#ifdef ATTRIBUTE_A_BASE
+attribute highp float a_base;
+#else
+uniform highp float a_base;
+#endif
+
+varying lowp vec4 v_color;
+
+void main() {
+#ifdef ATTRIBUTE_A_COLOR
+    vec4 color = a_color / 255.0;
+#else
+    vec4 color = a_color;
+#endif
+
+    // The w component of the normal is set for vertices at the top of the
+    // extrusion. The base is never above the top.
+    float height = max(0.0, a_height);
+    float base = min(max(0.0, a_base), height);
+    float z = a_normal.w > 0.0 ? height : base;
+
+    gl_Position = u_matrix * vec4(a_pos, z, 1);
+
+    // Surfaces that face the light have their full color, and surfaces
+    // that face away from it are shaded to half of it.
+    vec3 normal = a_normal.xyz / 16384.0;
+    float directional = clamp(dot(normal, u_lightdir), 0.0, 1.0);
+    v_color = vec4(color.rgb * mix(0.5, 1.0, directional), 1.0);
+}
@@ -0,0 +1,18 @@
+precision highp float;
+
+uniform highp float u_intensity;
+
+varying vec2 v_extrude;
+varying float v_weight;
+
+// Gaussian kernel coefficient: 1 / sqrt(2 * PI)
+#define GAUSS_COEF 0.3989422804014327
+
+void main() {
+    // The kernel is a Gaussian with a standard deviation of a third of
+    // the radius, so that it has almost faded out at the edge of the quad.
+    float d = -0.5 * 3.0 * 3.0 * dot(v_extrude, v_extrude);
+    float val = v_weight * u_intensity * GAUSS_COEF * exp(d);
+
+    gl_FragColor = vec4(val, 1.0, 1.0, 1.0);
+}
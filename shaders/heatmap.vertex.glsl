@@ -0,0 +1,32 @@
+precision highp float;
+
+uniform mat4 u_matrix;
+uniform mat4 u_exmatrix;
+uniform float u_radius;
+
+attribute vec2 a_pos;
+
+#ifdef ATTRIBUTE_A_WEIGHT
+attribute highp float a_weight;
+#else
+uniform highp float a_weight;
+#endif
+
+varying vec2 v_extrude;
+varying float v_weight;
+
+void main(void) {
+    v_weight = a_weight;
+
+    // unencode the extrusion vector that we snuck into the a_pos vector
+    v_extrude = vec2(mod(a_pos, 2.0) * 2.0 - 1.0);
+
+    vec4 extrude = u_exmatrix * vec4(v_extrude * u_radius, 0, 0);
+    // multiply a_pos by 0.5, since we had it * 2 in order to sneak
+    // in extrusion data
+    gl_Position = u_matrix * vec4(floor(a_pos * 0.5), 0, 1);
+
+    // gl_Position is divided by gl_Position.w after this shader runs.
+    // Multiply the extrude by it so that it isn't affected by it.
+    gl_Position += extrude * gl_Position.w;
+}
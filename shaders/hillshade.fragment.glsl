@@ -0,0 +1,36 @@
+precision highp float;
+
+uniform sampler2D u_image;
+uniform float u_azimuth;
+uniform float u_exaggeration;
+uniform vec4 u_shadow;
+uniform vec4 u_highlight;
+
+varying vec2 v_pos;
+
+#define MAX_SLOPE 4.0
+
+// The light is 45 degrees above the horizon.
+#define ALTITUDE 0.7853981633974483
+
+float unpack(vec2 channels) {
+    return channels[0] + channels[1] / 255.0;
+}
+
+void main() {
+    vec4 pixel = texture2D(u_image, v_pos);
+    vec2 deriv = (vec2(unpack(pixel.rg), unpack(pixel.ba)) * 2.0 - 1.0) * MAX_SLOPE;
+
+    // The normal of the surface and the direction towards the light, with x
+    // to the east, y to the south and z up. The azimuth of the light is
+    // clockwise from north.
+    vec3 normal = normalize(vec3(-deriv, 1.0));
+    vec3 light = vec3(sin(u_azimuth) * cos(ALTITUDE), -cos(u_azimuth) * cos(ALTITUDE), sin(ALTITUDE));
+
+    // Positive where the surface faces the light more than flat ground does,
+    // and negative where it faces away from it.
+    float shade = dot(normal, light) - sin(ALTITUDE);
+    float intensity = clamp(abs(shade) * u_exaggeration * 4.0, 0.0, 1.0);
+
+    gl_FragColor = (shade < 0.0 ? u_shadow : u_highlight) * intensity;
+}
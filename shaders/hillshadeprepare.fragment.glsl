@@ -0,0 +1,48 @@
+precision highp float;
+
+uniform sampler2D u_image;
+uniform float u_dimension;
+uniform vec4 u_unpack;
+uniform float u_meters_per_pixel;
+
+varying vec2 v_pos;
+
+// The largest slope, in meters per meter, that can be encoded.
+#define MAX_SLOPE 4.0
+
+float getElevation(vec2 coord) {
+    vec4 data = texture2D(u_image, coord) * 255.0;
+    return dot(data.rgb, u_unpack.rgb) - u_unpack.a;
+}
+
+// Encode a value between 0 and 1 in two 8 bit channels.
+vec2 pack(float value) {
+    float v = clamp(value, 0.0, 1.0) * 255.0;
+    return vec2(floor(v) / 255.0, fract(v));
+}
+
+void main() {
+    float s = 1.0 / (u_dimension + 2.0);
+
+    // The elevations of the pixel's neighbours:
+    //
+    // a b c
+    // d   f
+    // g h i
+    float a = getElevation(v_pos + vec2(-s, -s));
+    float b = getElevation(v_pos + vec2(0.0, -s));
+    float c = getElevation(v_pos + vec2(s, -s));
+    float d = getElevation(v_pos + vec2(-s, 0.0));
+    float f = getElevation(v_pos + vec2(s, 0.0));
+    float g = getElevation(v_pos + vec2(-s, s));
+    float h = getElevation(v_pos + vec2(0.0, s));
+    float i = getElevation(v_pos + vec2(s, s));
+
+    // The slope towards the east and the south, by a Sobel filter.
+    vec2 deriv = vec2(
+        (c + f + f + i) - (a + d + d + g),
+        (g + h + h + i) - (a + b + b + c)) / (8.0 * u_meters_per_pixel);
+
+    vec2 encoded = (deriv / MAX_SLOPE + 1.0) / 2.0;
+    gl_FragColor = vec4(pack(encoded.x), pack(encoded.y));
+}
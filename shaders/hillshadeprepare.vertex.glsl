@@ -0,0 +1,14 @@
+precision highp float;
+
+uniform float u_dimension;
+
+attribute vec2 a_pos;
+
+varying vec2 v_pos;
+
+void main() {
+    // a_pos is a quad covering the whole framebuffer in clip space. The DEM
+    // texture has a one pixel border around the tile.
+    gl_Position = vec4(a_pos, 0, 1);
+    v_pos = ((a_pos + 1.0) / 2.0 * u_dimension + 1.0) / (u_dimension + 2.0);
+}
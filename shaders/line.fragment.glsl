@@ -1,23 +1,45 @@
 precision mediump float;
 
-uniform vec2 u_linewidth;
+#ifdef ATTRIBUTE_A_COLOR
+varying lowp vec4 v_color;
+#else
 uniform lowp vec4 u_color;
+#endif
+
+#ifdef ATTRIBUTE_A_OPACITY
+varying lowp float v_opacity;
+#else
 uniform lowp float u_opacity;
+#endif
+
 uniform float u_blur;
 
 varying vec2 v_normal;
+varying vec2 v_linewidth;
 varying float v_linesofar;
 varying float v_gamma_scale;
 
 void main() {
+#ifdef ATTRIBUTE_A_COLOR
+    lowp vec4 color = v_color;
+#else
+    lowp vec4 color = u_color;
+#endif
+
+#ifdef ATTRIBUTE_A_OPACITY
+    lowp float opacity = v_opacity;
+#else
+    lowp float opacity = u_opacity;
+#endif
+
     // Calculate the distance of the pixel from the line in pixels.
-    float dist = length(v_normal) * u_linewidth.s;
+    float dist = length(v_normal) * v_linewidth.s;
 
     // Calculate the antialiasing fade factor. This is either when fading in
     // the line in case of an offset line (v_linewidth.t) or when fading out
     // (v_linewidth.s)
     float blur = u_blur * v_gamma_scale;
-    float alpha = clamp(min(dist - (u_linewidth.t - blur), u_linewidth.s - dist) / blur, 0.0, 1.0);
+    float alpha = clamp(min(dist - (v_linewidth.t - blur), v_linewidth.s - dist) / blur, 0.0, 1.0);
 
-    gl_FragColor = u_color * (alpha * u_opacity);
+    gl_FragColor = color * (alpha * opacity);
 }
@@ -11,18 +11,59 @@ precision highp float;
 attribute vec2 a_pos;
 attribute vec4 a_data;
 
+#ifdef ATTRIBUTE_A_COLOR
+attribute lowp vec4 a_color;
+varying lowp vec4 v_color;
+#endif
+
+#ifdef ATTRIBUTE_A_OPACITY
+attribute lowp float a_opacity;
+varying lowp float v_opacity;
+#endif
+
+#ifdef ATTRIBUTE_A_WIDTH
+attribute mediump float a_width;
+#else
+uniform mediump float u_width;
+#endif
+
 uniform mat4 u_matrix;
 uniform float u_ratio;
-uniform mediump vec2 u_linewidth;
+uniform mediump float u_gapwidth;
+uniform lowp float u_antialiasing;
 uniform float u_extra;
 uniform mat2 u_antialiasingmatrix;
 uniform mediump float u_offset;
 
 varying vec2 v_normal;
+varying vec2 v_linewidth;
 varying float v_linesofar;
 varying float v_gamma_scale;
 
 void main() {
+#ifdef ATTRIBUTE_A_WIDTH
+    mediump float width = a_width / 10.0;
+#else
+    mediump float width = u_width;
+#endif
+
+    // Calculate the outset, the distance from the middle of the line to its
+    // outer edge, and the inset, the distance to its inner edge when the line
+    // is drawn on either side of a gap.
+    mediump float inset = -1.0;
+    mediump float offsetedge = 0.0;
+    mediump float edgewidth = width / 2.0;
+    if (u_gapwidth > 0.0) {
+        inset = u_gapwidth / 2.0 + u_antialiasing * 0.5;
+        edgewidth = width;
+        // shift outer lines half a pixel towards the middle to eliminate the crack
+        offsetedge = inset - u_antialiasing / 2.0;
+    }
+    mediump float outset = offsetedge + edgewidth + u_antialiasing / 2.0;
+
+    // Don't draw zero-width lines.
+    v_linewidth = width > 0.0 ? vec2(outset, inset) : vec2(0.0);
+
     vec2 a_extrude = a_data.xy - 128.0;
     float a_direction = mod(a_data.z, 4.0) - 1.0;
 
@@ -36,7 +77,7 @@ void main() {
 
     // Scale the extrusion vector down to a normal and then up by the line width
     // of this vertex.
-    mediump vec4 dist = vec4(u_linewidth.s * a_extrude * scale, 0.0, 0.0);
+    mediump vec4 dist = vec4(v_linewidth.s * a_extrude * scale, 0.0, 0.0);
 
     // Calculate the offset when drawing a line that is to the side of the actual line.
     // We do this by creating a vector that points towards the extrude, but rotate
@@ -60,4 +101,12 @@ void main() {
     float perspective_scale = 1.0 / (1.0 - min(y * u_extra, 0.9));
 
     v_gamma_scale = perspective_scale * squish_scale;
+
+#ifdef ATTRIBUTE_A_COLOR
+    v_color = a_color / 255.0;
+#endif
+
+#ifdef ATTRIBUTE_A_OPACITY
+    v_opacity = a_opacity / 255.0;
+#endif
 }
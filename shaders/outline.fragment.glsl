@@ -1,12 +1,33 @@
 precision mediump float;
 
+#ifdef ATTRIBUTE_A_COLOR
+varying lowp vec4 v_color;
+#else
 uniform lowp vec4 u_color;
+#endif
+
+#ifdef ATTRIBUTE_A_OPACITY
+varying lowp float v_opacity;
+#else
 uniform lowp float u_opacity;
+#endif
 
 varying vec2 v_pos;
 
 void main() {
+#ifdef ATTRIBUTE_A_COLOR
+    lowp vec4 color = v_color;
+#else
+    lowp vec4 color = u_color;
+#endif
+
+#ifdef ATTRIBUTE_A_OPACITY
+    lowp float opacity = v_opacity;
+#else
+    lowp float opacity = u_opacity;
+#endif
+
     float dist = length(v_pos - gl_FragCoord.xy);
     float alpha = smoothstep(1.0, 0.0, dist);
-    gl_FragColor = u_color * (alpha * u_opacity);
+    gl_FragColor = color * (alpha * opacity);
 }
@@ -5,9 +5,27 @@ attribute vec2 a_pos;
 uniform mat4 u_matrix;
 uniform vec2 u_world;
 
+#ifdef ATTRIBUTE_A_COLOR
+attribute lowp vec4 a_color;
+varying lowp vec4 v_color;
+#endif
+
+#ifdef ATTRIBUTE_A_OPACITY
+attribute lowp float a_opacity;
+varying lowp float v_opacity;
+#endif
+
 varying vec2 v_pos;
 
 void main() {
     gl_Position = u_matrix * vec4(a_pos, 0, 1);
     v_pos = (gl_Position.xy/gl_Position.w + 1.0) / 2.0 * u_world;
+
+#ifdef ATTRIBUTE_A_COLOR
+    v_color = a_color / 255.0;
+#endif
+
+#ifdef ATTRIBUTE_A_OPACITY
+    v_opacity = a_opacity / 255.0;
+#endif
 }
@@ -2,8 +2,13 @@ precision highp float;
 
 attribute vec2 a_pos;
 attribute vec2 a_offset;
-attribute vec4 a_data1;
-attribute vec4 a_data2;
+attribute vec2 a_texture_pos;
+attribute vec4 a_data;
+
+#ifdef ATTRIBUTE_A_TIME
+attribute highp float a_time;
+uniform highp vec2 u_time_range;
+#endif
 
 
 // matrix is for the vertex position, exmatrix is for rotating and projecting
@@ -22,9 +27,9 @@ varying vec2 v_fade_tex;
 varying float v_gamma_scale;
 
 void main() {
-    vec2 a_tex = a_data1.xy;
-    mediump float a_labelminzoom = a_data1[2];
-    mediump vec2 a_zoom = a_data2.st;
+    vec2 a_tex = a_texture_pos.xy;
+    mediump float a_labelminzoom = a_data[0];
+    mediump vec2 a_zoom = a_data.yz;
     mediump float a_minzoom = a_zoom[0];
     mediump float a_maxzoom = a_zoom[1];
 
@@ -40,6 +45,13 @@ void main() {
         gl_Position = u_matrix * vec4(a_pos, 0, 1) + extrude;
     }
 
+#ifdef ATTRIBUTE_A_TIME
+    // Move symbols outside of the layer's time range out of clip space.
+    if (a_time < u_time_range[0] || a_time > u_time_range[1]) {
+        gl_Position = vec4(-2.0, -2.0, -2.0, 1.0);
+    }
+#endif
+
     // position of y on the screen
     float y = gl_Position.y / gl_Position.w;
     // how much features are squished in all directions by the perspectiveness
@@ -4,6 +4,7 @@ var test = require('tap').test;
 var Bucket = require('../../../js/data/bucket');
 var util = require('../../../js/util/util');
 var StyleLayer = require('../../../js/style/style_layer');
+var GeoJSONWrapper = require('../../../js/source/geojson_wrapper');
 
 test('Bucket', function(t) {
 
@@ -173,6 +174,148 @@ test('Bucket', function(t) {
         t.end();
     });
 
+    t.test('add features, time attribute', function(t) {
+        var bucket = create({
+            attributes: [Bucket.TIME_ATTRIBUTE],
+            layers: [
+                { id: 'one', type: 'circle', paint: constantPaint, 'time-property': 'x' },
+                { id: 'two', type: 'circle', paint: constantPaint }
+            ]
+        });
+
+        bucket.features = [createFeature(17, 42)];
+        bucket.populateBuffers();
+
+        t.equal(bucket.arrays.oneTest.get(0).a_time, 17);
+        t.equal(bucket.arrays.twoTest.bytesPerElement, 0);
+        t.deepEqual(bucket.getProgramMacros('test', bucket.childLayers[0]), ['ATTRIBUTE_A_TIME']);
+        t.deepEqual(bucket.getProgramMacros('test', bucket.childLayers[1]), []);
+
+        t.end();
+    });
+
+    t.test('add features, zoom-and-property function', function(t) {
+        var layer = new StyleLayer({ id: 'layerid', type: 'circle', paint: {
+            'circle-radius': {
+                property: 'x',
+                stops: [
+                    [{zoom: 0, value: 0}, 0],
+                    [{zoom: 0, value: 100}, 10],
+                    [{zoom: 10, value: 0}, 0],
+                    [{zoom: 10, value: 100}, 100]
+                ]
+            }
+        }});
+        layer.updatePaintTransitions([], {}, {});
+
+        var Class = createClass({attributes: [{
+            name: 'box',
+            components: 2,
+            type: 'Int16'
+        }, {
+            name: 'radius',
+            type: 'Int16',
+            getValue: function(layer, globalProperties, featureProperties) {
+                return [layer.getPaintValue('circle-radius', globalProperties, featureProperties)];
+            },
+            paintProperty: 'circle-radius',
+            zoomInterpolated: true
+        }]});
+        var bucket = new Class({ layer: layer, childLayers: [layer], buffers: {}, zoom: 5 });
+
+        bucket.features = [createFeature(50, 42)];
+        bucket.populateBuffers();
+
+        var p0 = bucket.arrays.layeridTest.get(0);
+        t.equal(p0.radius0, 5, 'evaluates the feature at the lower stop zoom level');
+        t.equal(p0.radius1, 50, 'evaluates the feature at the upper stop zoom level');
+        t.deepEqual(bucket.getProgramMacros('test', layer), ['ATTRIBUTE_RADIUS', 'ATTRIBUTE_ZOOM_RADIUS']);
+
+        var uniforms = {};
+        var gl = {
+            uniform1f: function(location, value) { uniforms[location] = value; }
+        };
+        bucket.setUniforms(gl, 'test', { 'radius_t': 'radius_t' }, layer, { zoom: 7.5 });
+        t.deepEqual(uniforms, { 'radius_t': 0.75 });
+
+        t.end();
+    });
+
+    t.test('add features, feature vertex ranges', function(t) {
+        var bucket = create();
+
+        var feature = createFeature(17, 42);
+        feature.id = 7;
+        feature.index = 1;
+        bucket.features = [createFeature(1, 5), feature];
+        bucket.populateBuffers();
+
+        t.deepEqual(bucket.featureVertexRanges, {
+            7: [{ featureIndex: 1, programInterface: 'test', startIndex: 1, endIndex: 2 }]
+        });
+
+        t.end();
+    });
+
+    t.test('add features, feature vertex ranges of GeoJSON features without an id', function(t) {
+        var bucket = create();
+
+        var features = new GeoJSONWrapper([
+            { type: 1, geometry: [[1, 5]], tags: { x: 1 }, id: null },
+            { type: 1, geometry: [[17, 42]], tags: { x: 17 } }
+        ]);
+        bucket.features = [features.feature(0), features.feature(1)];
+        bucket.populateBuffers();
+
+        t.deepEqual(bucket.featureVertexRanges, {});
+
+        t.end();
+    });
+
+    t.test('set feature state', function(t) {
+        var layer = new StyleLayer({ id: 'layerid', type: 'circle', paint: {
+            'circle-color': {
+                stops: [[0, 'red'], [100, 'violet']],
+                property: 'mapbox'
+            }
+        }});
+        layer.updatePaintTransitions([], {}, {});
+
+        var Class = createClass({});
+        var workerBucket = new Class({ layer: layer, childLayers: [layer], buffers: {} });
+
+        var feature = createFeature(17, 42);
+        feature.id = 7;
+        feature.index = 0;
+        workerBucket.features = [feature, createFeature(1, 5)];
+        workerBucket.populateBuffers();
+
+        var bucket = new Class(util.extend({ layer: layer, childLayers: [layer] }, workerBucket.serialize()));
+        var sourceLayer = {
+            feature: function(i) {
+                t.equal(i, 0);
+                return { properties: { x: 17 } };
+            }
+        };
+
+        function getPaintValues() {
+            return Array.prototype.slice.call(new Int16Array(bucket.buffers.layeridTest.arrayBuffer, 0, 4));
+        }
+
+        t.deepEqual(getPaintValues(), [17, 0, 1, 0]);
+
+        bucket.setFeatureState({ 7: { x: 42 } }, sourceLayer);
+        t.deepEqual(getPaintValues(), [42, 0, 1, 0], 'merges state over properties');
+
+        bucket.setFeatureState({ 7: bucket.featureState[7] }, sourceLayer);
+        t.deepEqual(getPaintValues(), [42, 0, 1, 0], 'skips unchanged state');
+
+        bucket.setFeatureState({}, sourceLayer);
+        t.deepEqual(getPaintValues(), [17, 0, 1, 0], 'resets removed state');
+
+        t.end();
+    });
+
     t.test('add features, array type attribute', function(t) {
         var bucket = create({
             attributes: [{
@@ -44,6 +44,52 @@ test('Buffer', function(t) {
 
     });
 
+    t.test('updates data before it is bound', function(t) {
+        var array = new TestArray();
+        array.emplaceBack(1, 1, 1);
+        array.emplaceBack(2, 2, 2);
+
+        var buffer = new Buffer(array.serialize(), TestArray.serialize(), Buffer.BufferType.VERTEX);
+
+        var update = new TestArray();
+        update.emplaceBack(5, 6, 7);
+        buffer.updateData(update, 1);
+
+        t.deepEqual(Array.prototype.slice.call(new Int16Array(buffer.arrayBuffer)), [1, 0, 1, 1, 5, 0, 6, 7]);
+        t.notOk(buffer.pendingUpdates);
+        t.end();
+    });
+
+    t.test('uploads updates the next time it is bound', function(t) {
+        var array = new TestArray();
+        array.emplaceBack(1, 1, 1);
+        array.emplaceBack(2, 2, 2);
+
+        var buffer = new Buffer(array.serialize(), TestArray.serialize(), Buffer.BufferType.VERTEX);
+        var subData = [];
+        var gl = {
+            ARRAY_BUFFER: 'ARRAY_BUFFER',
+            createBuffer: function() { return {}; },
+            bindBuffer: function() {},
+            bufferData: function() {},
+            bufferSubData: function(type, offset, data) {
+                subData.push([type, offset, Array.prototype.slice.call(new Int16Array(data.buffer))]);
+            }
+        };
+
+        buffer.bind(gl);
+
+        var update = new TestArray();
+        update.emplaceBack(5, 6, 7);
+        buffer.updateData(update, 1);
+        t.deepEqual(subData, []);
+
+        buffer.bind(gl);
+        t.deepEqual(subData, [['ARRAY_BUFFER', 8, [5, 0, 6, 7]]]);
+        t.notOk(buffer.pendingUpdates);
+        t.end();
+    });
+
     t.end();
 
 });
@@ -0,0 +1,73 @@
+'use strict';
+
+var test = require('tap').test;
+var DEMData = require('../../../js/data/dem_data');
+
+// Encode elevations in meters as Mapbox Terrain-RGB pixels.
+function createPixels(elevations) {
+    var pixels = new Uint8Array(elevations.length * 4);
+    elevations.forEach(function(elevation, i) {
+        var value = Math.round((elevation + 10000) * 10);
+        pixels[i * 4] = Math.floor(value / 65536);
+        pixels[i * 4 + 1] = Math.floor(value / 256) % 256;
+        pixels[i * 4 + 2] = value % 256;
+        pixels[i * 4 + 3] = 255;
+    });
+    return pixels;
+}
+
+function get(dem, x, y) {
+    return Math.round(dem.get(x, y) * 10) / 10;
+}
+
+test('DEMData', function(t) {
+    t.test('decodes Mapbox Terrain-RGB elevations', function(t) {
+        var dem = new DEMData(createPixels([0, 10, 20, 30]), 2);
+        t.equal(get(dem, 0, 0), 0);
+        t.equal(get(dem, 1, 0), 10);
+        t.equal(get(dem, 0, 1), 20);
+        t.equal(get(dem, 1, 1), 30);
+        t.deepEqual(dem.getUnpackVector(), [6553.6, 25.6, 0.1, 10000]);
+        t.end();
+    });
+
+    t.test('decodes Terrarium elevations', function(t) {
+        // 32768 + 100.5 = 128 * 256 + 100 + 128 / 256
+        var dem = new DEMData(new Uint8Array([128, 100, 128, 255]), 1, 'terrarium');
+        t.equal(get(dem, 0, 0), 100.5);
+        t.end();
+    });
+
+    t.test('repeats the edges of the tile in its border', function(t) {
+        var dem = new DEMData(createPixels([0, 10, 20, 30]), 2);
+        t.equal(get(dem, -1, -1), 0);
+        t.equal(get(dem, 2, 0), 10);
+        t.equal(get(dem, 0, 2), 20);
+        t.equal(dem.getPixels().length, 4 * 4 * 4);
+        t.end();
+    });
+
+    t.test('backfills the border from neighbouring tiles', function(t) {
+        var dem = new DEMData(createPixels([0, 10, 20, 30]), 2);
+        var east = new DEMData(createPixels([100, 110, 120, 130]), 2);
+        var southWest = new DEMData(createPixels([200, 210, 220, 230]), 2);
+
+        dem.backfillBorder(east, 1, 0);
+        t.equal(get(dem, 2, 0), 100);
+        t.equal(get(dem, 2, 1), 120);
+        t.equal(get(dem, 2, -1), 10, 'only fills the part of the border next to the neighbour');
+
+        dem.backfillBorder(southWest, -1, 1);
+        t.equal(get(dem, -1, 2), 210);
+        t.equal(get(dem, 0, 2), 20);
+        t.end();
+    });
+
+    t.test('throws on invalid tiles', function(t) {
+        t.throws(function() { return new DEMData(new Uint8Array(12), 2); }, /square/);
+        t.throws(function() { return new DEMData(new Uint8Array(4), 1, 'lerc'); }, /encoding/);
+        t.end();
+    });
+
+    t.end();
+});
@@ -44,3 +44,37 @@ test('FillBucket', function(t) {
 
     t.end();
 });
+
+test('FillBucket adds data-driven colors and opacities of features', function(t) {
+    var layer = new StyleLayer({ id: 'test', type: 'fill', layout: {}, paint: {
+        'fill-color': { property: 'status', type: 'categorical', stops: [['sold', '#ff0000']] },
+        'fill-opacity': { property: 'foo', stops: [[0, 0], [1, 1]] }
+    }});
+    layer.updatePaintTransitions([], {}, {});
+
+    var bucket = new FillBucket({
+        buffers: {},
+        layer: layer,
+        childLayers: [layer]
+    });
+    bucket.createArrays();
+
+    bucket.addFeature({
+        properties: { foo: 0.5, status: 'sold' },
+        loadGeometry: function() {
+            return [[new Point(0, 0), new Point(10, 0), new Point(10, 10)]];
+        }
+    });
+
+    t.deepEqual(bucket.getProgramMacros('fill', layer), ['ATTRIBUTE_A_COLOR', 'ATTRIBUTE_A_OPACITY']);
+
+    var paintArray = bucket.arrays.testFill;
+    t.equal(paintArray.length, bucket.arrays.fillVertex.length);
+    for (var i = 0; i < paintArray.length; i++) {
+        var vertex = paintArray.get(i);
+        t.deepEqual([vertex.a_color0, vertex.a_color1, vertex.a_color2, vertex.a_color3], [255, 0, 0, 255]);
+        t.equal(vertex.a_opacity, 127);
+    }
+
+    t.end();
+});
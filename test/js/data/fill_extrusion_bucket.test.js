@@ -0,0 +1,88 @@
+'use strict';
+
+var test = require('tap').test;
+var Point = require('point-geometry');
+var FillExtrusionBucket = require('../../../js/data/bucket/fill_extrusion_bucket');
+var StyleLayer = require('../../../js/style/style_layer');
+var EXTENT = require('../../../js/data/bucket').EXTENT;
+
+function createBucket(layer) {
+    var bucket = new FillExtrusionBucket({
+        buffers: {},
+        layer: layer,
+        childLayers: [layer]
+    });
+    bucket.createArrays();
+    return bucket;
+}
+
+function createFeature(properties, rings) {
+    return {
+        properties: properties,
+        extent: EXTENT,
+        loadGeometry: function() {
+            return rings.map(function(ring) {
+                return ring.map(function(p) { return new Point(p[0], p[1]); });
+            });
+        }
+    };
+}
+
+test('FillExtrusionBucket adds a roof and walls', function(t) {
+    var layer = new StyleLayer({ id: 'test', type: 'fill-extrusion', layout: {} });
+    layer.updatePaintTransitions([], {}, {});
+    var bucket = createBucket(layer);
+
+    bucket.addFeature(createFeature({}, [[[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]]]));
+
+    // 4 roof vertices and 4 for each of the 2 walls that aren't on the tile boundaries
+    t.equal(bucket.arrays.fillExtrusionVertex.length, 4 + 4 * 2);
+    t.equal(bucket.arrays.fillExtrusionElement.length, 2 + 2 * 2);
+
+    var roof = bucket.arrays.fillExtrusionVertex.get(0);
+    t.deepEqual([roof.a_normal0, roof.a_normal1, roof.a_normal2, roof.a_normal3], [0, 0, 16384, 1]);
+
+    // The wall along x = 10 faces east
+    var bottom = bucket.arrays.fillExtrusionVertex.get(4);
+    var top = bucket.arrays.fillExtrusionVertex.get(6);
+    t.deepEqual([bottom.a_pos0, bottom.a_pos1, bottom.a_normal0, bottom.a_normal1, bottom.a_normal3], [10, 0, 16384, 0, 0]);
+    t.deepEqual([top.a_pos0, top.a_pos1, top.a_normal3], [10, 0, 1]);
+
+    t.end();
+});
+
+test('FillExtrusionBucket does not add walls along tile boundaries', function(t) {
+    var layer = new StyleLayer({ id: 'test', type: 'fill-extrusion', layout: {} });
+    layer.updatePaintTransitions([], {}, {});
+    var bucket = createBucket(layer);
+
+    bucket.addFeature(createFeature({}, [[[0, -64], [EXTENT + 64, -64], [EXTENT + 64, EXTENT + 64], [0, EXTENT + 64]]]));
+
+    t.equal(bucket.arrays.fillExtrusionVertex.length, 4);
+    t.end();
+});
+
+test('FillExtrusionBucket adds data-driven heights, bases and colors of features', function(t) {
+    var layer = new StyleLayer({ id: 'test', type: 'fill-extrusion', layout: {}, paint: {
+        'fill-extrusion-height': { property: 'floors', stops: [[1, 3], [10, 30]] },
+        'fill-extrusion-base': { property: 'base', stops: [[0, 0], [10, 10]] },
+        'fill-extrusion-color': { property: 'type', type: 'categorical', stops: [['condo', '#ff0000']], default: '#0000ff' }
+    }});
+    layer.updatePaintTransitions([], {}, {});
+    var bucket = createBucket(layer);
+
+    bucket.addFeature(createFeature({ floors: 4, base: 2, type: 'condo' }, [[[10, 10], [20, 10], [20, 20], [10, 20], [10, 10]]]));
+
+    t.deepEqual(bucket.getProgramMacros('fillExtrusion', layer), ['ATTRIBUTE_A_COLOR', 'ATTRIBUTE_A_HEIGHT', 'ATTRIBUTE_A_BASE']);
+
+    var paintArray = bucket.arrays.testFillExtrusion;
+    t.equal(paintArray.length, bucket.arrays.fillExtrusionVertex.length);
+    for (var i = 0; i < paintArray.length; i++) {
+        var vertex = paintArray.get(i);
+        t.deepEqual([vertex.a_color0, vertex.a_color1, vertex.a_color2, vertex.a_color3], [255, 0, 0, 255]);
+        t.equal(vertex.a_height, 12);
+        t.equal(vertex.a_base, 2);
+    }
+
+    t.end();
+});
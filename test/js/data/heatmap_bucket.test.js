@@ -0,0 +1,52 @@
+'use strict';
+
+var test = require('tap').test;
+var Point = require('point-geometry');
+var HeatmapBucket = require('../../../js/data/bucket/heatmap_bucket');
+var StyleLayer = require('../../../js/style/style_layer');
+
+function createBucket(layer) {
+    var bucket = new HeatmapBucket({
+        buffers: {},
+        layer: layer,
+        childLayers: [layer]
+    });
+    bucket.createArrays();
+    bucket.addFeature({
+        properties: { mag: 4 },
+        loadGeometry: function() {
+            return [[new Point(10, 10)], [new Point(20, 20)]];
+        }
+    });
+    return bucket;
+}
+
+test('HeatmapBucket adds a quad per point', function(t) {
+    var layer = new StyleLayer({ id: 'test', type: 'heatmap', layout: {} });
+    layer.updatePaintTransitions([], {}, {});
+    var bucket = createBucket(layer);
+
+    t.equal(bucket.arrays.circleVertex.length, 8);
+    t.equal(bucket.arrays.circleElement.length, 4);
+    t.deepEqual(bucket.getProgramMacros('circle', layer), []);
+
+    t.end();
+});
+
+test('HeatmapBucket adds data-driven weights of features', function(t) {
+    var layer = new StyleLayer({ id: 'test', type: 'heatmap', layout: {}, paint: {
+        'heatmap-weight': { property: 'mag', stops: [[0, 0], [8, 2]] }
+    }});
+    layer.updatePaintTransitions([], {}, {});
+    var bucket = createBucket(layer);
+
+    t.deepEqual(bucket.getProgramMacros('circle', layer), ['ATTRIBUTE_A_WEIGHT']);
+
+    var paintArray = bucket.arrays.testCircle;
+    t.equal(paintArray.length, bucket.arrays.circleVertex.length);
+    for (var i = 0; i < paintArray.length; i++) {
+        t.equal(paintArray.get(i).a_weight, 1);
+    }
+
+    t.end();
+});
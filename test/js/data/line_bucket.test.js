@@ -54,3 +54,33 @@ test('LineBucket', function(t) {
 
     t.end();
 });
+
+test('LineBucket adds data-driven widths of features', function(t) {
+    var layer = new StyleLayer({ id: 'test', type: 'line', layout: {}, paint: {
+        'line-width': { property: 'lanes', stops: [[1, 2], [4, 8]] }
+    }});
+    layer.updatePaintTransitions([], {}, {});
+
+    var bucket = new LineBucket({
+        buffers: {},
+        layer: layer,
+        childLayers: [layer]
+    });
+    bucket.createArrays();
+
+    bucket.addFeature({
+        properties: { lanes: 2 },
+        loadGeometry: function() {
+            return [[new Point(0, 0), new Point(10, 0), new Point(10, 10)]];
+        }
+    });
+
+    t.deepEqual(bucket.getProgramMacros('line', layer), ['ATTRIBUTE_A_WIDTH']);
+
+    var paintArray = bucket.arrays.testLine;
+    t.ok(paintArray.length > 0);
+    t.equal(paintArray.length, bucket.arrays.lineVertex.length);
+    t.equal(paintArray.get(0).a_width, 40);
+
+    t.end();
+});
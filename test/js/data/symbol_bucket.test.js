@@ -10,6 +10,7 @@ var Collision = require('../../../js/symbol/collision_tile');
 var CollisionBoxArray = require('../../../js/symbol/collision_box');
 var GlyphAtlas = require('../../../js/symbol/glyph_atlas');
 var StyleLayer = require('../../../js/style/style_layer');
+var GeoJSONWrapper = require('../../../js/source/geojson_wrapper');
 
 // Load a point feature from fixture tile.
 var vt = new VectorTile(new Protobuf(new Uint8Array(fs.readFileSync(path.join(__dirname, '/../../fixtures/mbsv5-6-18-23.vector.pbf')))));
@@ -68,3 +69,52 @@ test('SymbolBucket', function(t) {
 
     t.end();
 });
+
+test('SymbolBucket evaluates layout property functions for each feature', function(t) {
+    var collisionBoxArray = new CollisionBoxArray();
+    var collision = new Collision(0, 0, collisionBoxArray);
+    var layer = new StyleLayer({
+        id: 'homes',
+        type: 'symbol',
+        layout: {
+            'icon-image': 'house',
+            'icon-rotate': {
+                property: 'status',
+                type: 'categorical',
+                stops: [['sold', 90], ['listed', 45]],
+                default: 10
+            }
+        }
+    });
+    layer.recalculate(0);
+
+    var bucket = new SymbolBucket({
+        buffers: {},
+        overscaling: 1,
+        zoom: 0,
+        collisionBoxArray: collisionBoxArray,
+        layer: layer,
+        childLayers: [layer],
+        tileExtent: 4096
+    });
+    var features = new GeoJSONWrapper([
+        { type: 1, geometry: [[1000, 1000]], tags: { status: 'sold' } },
+        { type: 1, geometry: [[2000, 2000]], tags: { status: 'listed' } },
+        { type: 1, geometry: [[3000, 3000]], tags: { status: 'pending' } }
+    ]);
+    bucket.createArrays();
+    bucket.textFeatures = [];
+    bucket.features = [features.feature(0), features.feature(1), features.feature(2)];
+    bucket.populateBuffers(collision, {}, {
+        house: { rect: { x: 0, y: 0, w: 12, h: 12 }, width: 10, height: 10, pixelRatio: 1, sdf: false }
+    });
+
+    var angles = bucket.symbolInstances.map(function(symbolInstance) {
+        var quad = symbolInstance.iconQuads[0];
+        return Math.round(Math.atan2(quad.tr.y - quad.tl.y, quad.tr.x - quad.tl.x) * 180 / Math.PI);
+    });
+    t.deepEqual(angles, [90, 45, 10]);
+    t.equal(layer.layout['icon-rotate'], 10, 'keeps the default in the layer layout');
+
+    t.end();
+});
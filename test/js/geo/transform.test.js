@@ -75,6 +75,39 @@ test('transform', function(t) {
         t.end();
     });
 
+    t.test('padding', function(t) {
+        var transform = new Transform();
+        transform.resize(500, 500);
+        transform.zoom = 4;
+        transform.padding = {left: 100, top: 50};
+
+        t.deepEqual(transform.padding, {top: 50, bottom: 0, left: 100, right: 0});
+        t.equal(transform.centerPoint.equals(new Point(300, 275)), true);
+        t.deepEqual(fixedLngLat(transform.pointLocation(new Point(300, 275))), { lng: 0, lat: 0 });
+
+        transform.pitch = 50;
+        t.deepEqual(fixedLngLat(transform.pointLocation(new Point(300, 275))), { lng: 0, lat: 0 }, 'moves the center of perspective');
+        transform.setLocationAtPoint({ lng: 13, lat: 10 }, new Point(15, 45));
+        t.deepEqual(fixedLngLat(transform.pointLocation(new Point(15, 45))), { lng: 13, lat: 10 });
+        t.end();
+    });
+
+    t.test('isLocationOccluded', function(t) {
+        var transform = new Transform();
+        transform.resize(500, 500);
+        transform.zoom = 10;
+        transform.pitch = 60;
+
+        t.equal(transform.isLocationOccluded(new LngLat(0, 0)), false, 'center');
+        t.equal(transform.isLocationOccluded(new LngLat(0, 0.5)), false, 'in front of the camera');
+        t.equal(transform.isLocationOccluded(new LngLat(0, 30)), true, 'beyond the far plane');
+        t.equal(transform.isLocationOccluded(new LngLat(0, -1)), true, 'behind the camera');
+
+        transform.pitch = 0;
+        t.equal(transform.isLocationOccluded(new LngLat(0, -1)), false, 'not pitched');
+        t.end();
+    });
+
     t.test('has a default zoom', function(t) {
         var transform = new Transform();
         transform.resize(500, 500);
@@ -0,0 +1,77 @@
+'use strict';
+
+var test = require('tap').test;
+var supercluster = require('supercluster');
+var util = require('../../../js/util/util');
+var createClusterReducers = require('../../../js/source/cluster_properties');
+
+function point(lng, properties) {
+    return {
+        type: 'Feature',
+        properties: properties,
+        geometry: { type: 'Point', coordinates: [lng, 0] }
+    };
+}
+
+function getClusters(points, clusterProperties, zoom) {
+    var index = supercluster(util.extend({ maxZoom: 3, radius: 40 }, createClusterReducers(clusterProperties))).load(points);
+    return index.getClusters([-180, -85, 180, 85], zoom).filter(function(feature) {
+        return feature.properties.cluster;
+    });
+}
+
+test('createClusterReducers', function(t) {
+    var points = [
+        point(0, { price: 1 }),
+        point(0.1, { price: 2 }),
+        point(0.2, { price: 6 }),
+        point(0.3, { price: 'unknown' }),
+        point(0.4, {})
+    ];
+
+    t.test('computes properties from the points of each cluster', function(t) {
+        var clusters = getClusters(points, {
+            total: ['+', 'price'],
+            cheapest: ['min', 'price'],
+            priciest: ['max', 'price'],
+            average: ['mean', 'price']
+        }, 0);
+
+        t.equal(clusters.length, 1);
+        t.equal(clusters[0].properties.point_count, 5);
+        t.equal(clusters[0].properties.total, 9);
+        t.equal(clusters[0].properties.cheapest, 1);
+        t.equal(clusters[0].properties.priciest, 6);
+        t.equal(clusters[0].properties.average, 3);
+        t.end();
+    });
+
+    t.test('weights means by the number of values across zoom levels', function(t) {
+        // At zoom 3, the two eastern points form a cluster of their own before
+        // being merged with the western point on a lower zoom level.
+        var clusters = getClusters([
+            point(-2, { price: 3 }),
+            point(2, { price: 6 }),
+            point(2.1, { price: 12 })
+        ], { average: ['mean', 'price'] }, 0);
+
+        t.equal(clusters.length, 1);
+        t.equal(clusters[0].properties.average, 7);
+        t.end();
+    });
+
+    t.test('omits properties without any numeric value', function(t) {
+        var clusters = getClusters(points, { rooms: ['+', 'rooms'] }, 0);
+        t.notOk('rooms' in clusters[0].properties);
+        t.end();
+    });
+
+    t.test('keeps the counts out of the cluster properties', function(t) {
+        var clusters = getClusters(points, { total: ['+', 'price'] }, 0);
+        t.deepEqual(Object.keys(clusters[0].properties).sort(),
+            ['cluster', 'cluster_id', 'point_count', 'point_count_abbreviated', 'total']);
+        t.end();
+    });
+
+    t.end();
+});
@@ -0,0 +1,88 @@
+'use strict';
+
+var test = require('tap').test;
+var applyGeoJSONDiff = require('../../../js/source/geojson_diff');
+
+function point(id, x, properties) {
+    return {
+        type: 'Feature',
+        id: id,
+        properties: properties || {},
+        geometry: { type: 'Point', coordinates: [x, 0] }
+    };
+}
+
+test('applyGeoJSONDiff', function(t) {
+    var features = [point(1, 0), point(2, 10), point(3, 20)];
+
+    t.test('adds features', function(t) {
+        var result = applyGeoJSONDiff(features, {add: [point(4, 30)]});
+        t.deepEqual(result.features.map(getId), [1, 2, 3, 4]);
+        t.deepEqual(result.changed.map(getId), [4]);
+        t.equal(features.length, 3, 'does not modify the input');
+        t.end();
+    });
+
+    t.test('replaces added features with existing ids', function(t) {
+        var result = applyGeoJSONDiff(features, {add: [point(2, 15)]});
+        t.deepEqual(result.features.map(getId), [1, 2, 3]);
+        t.equal(result.features[1].geometry.coordinates[0], 15);
+        t.deepEqual(result.changed, [features[1], result.features[1]]);
+        t.end();
+    });
+
+    t.test('updates features', function(t) {
+        var result = applyGeoJSONDiff(features, {update: [{id: 3, properties: {price: 5}}]});
+        t.deepEqual(result.features[2].properties, {price: 5});
+        t.equal(result.features[2].geometry, features[2].geometry, 'keeps the geometry');
+        t.deepEqual(features[2].properties, {}, 'does not modify the input');
+        t.deepEqual(result.changed, [features[2], result.features[2]]);
+        t.end();
+    });
+
+    t.test('removes features', function(t) {
+        var result = applyGeoJSONDiff(features, {remove: [1, 5]});
+        t.deepEqual(result.features.map(getId), [2, 3]);
+        t.deepEqual(result.changed, [features[0]]);
+        t.end();
+    });
+
+    t.test('throws on invalid diffs', function(t) {
+        t.throws(function() {
+            applyGeoJSONDiff(features, {add: [{type: 'Feature', properties: {}}]});
+        }, /id/);
+        t.throws(function() {
+            applyGeoJSONDiff(features, {update: [{id: 5, properties: {}}]});
+        }, /no feature with the id 5/);
+        t.throws(function() {
+            applyGeoJSONDiff(features, {remove: [1], update: [{id: 1, properties: {}}]});
+        }, /no feature with the id 1/);
+        t.end();
+    });
+
+    t.end();
+});
+
+test('applyGeoJSONDiff.getFeatures', function(t) {
+    var feature = point(1, 0);
+    t.deepEqual(applyGeoJSONDiff.getFeatures({type: 'FeatureCollection', features: [feature]}), [feature]);
+    t.deepEqual(applyGeoJSONDiff.getFeatures(feature), [feature]);
+    t.deepEqual(applyGeoJSONDiff.getFeatures(feature.geometry), [{type: 'Feature', properties: {}, geometry: feature.geometry}]);
+    t.end();
+});
+
+test('applyGeoJSONDiff.getFeatureBounds', function(t) {
+    t.deepEqual(applyGeoJSONDiff.getFeatureBounds(point(1, 0)), [0.5, 0.5, 0.5, 0.5]);
+    t.deepEqual(applyGeoJSONDiff.getFeatureBounds({
+        type: 'Feature',
+        geometry: {
+            type: 'LineString',
+            coordinates: [[-180, 0], [90, 0]]
+        }
+    }), [0, 0.5, 0.75, 0.5]);
+    t.end();
+});
+
+function getId(feature) {
+    return feature.id;
+}
@@ -4,6 +4,7 @@ var test = require('tap').test;
 var GeoJSONSource = require('../../../js/source/geojson_source');
 var Transform = require('../../../js/geo/transform');
 var LngLat = require('../../../js/geo/lng_lat');
+var TileCoord = require('../../../js/source/tile_coord');
 
 var hawkHill = {
     "type": "FeatureCollection",
@@ -57,6 +58,164 @@ test('GeoJSONSource#setData', function(t) {
     t.end();
 });
 
+test('GeoJSONSource#updateData', function(t) {
+    var transform = new Transform();
+    transform.resize(200, 200);
+
+    function point(id, lng) {
+        return {
+            type: 'Feature',
+            id: id,
+            properties: {},
+            geometry: { type: 'Point', coordinates: [lng, 0] }
+        };
+    }
+
+    function createData() {
+        return { type: 'FeatureCollection', features: [point(1, -90), point(2, 90)] };
+    }
+
+    t.test('applies the diff to the serialized data', function(t) {
+        var data = createData();
+        var source = new GeoJSONSource({data: data});
+        source.updateData({remove: [1], add: [point(3, 0)]});
+
+        t.deepEqual(source.serialize().data.features.map(function(f) { return f.id; }), [2, 3]);
+        t.equal(data.features.length, 2, 'does not modify the original data');
+        t.end();
+    });
+
+    t.test('throws on an invalid diff', function(t) {
+        var source = new GeoJSONSource({data: createData()});
+        t.throws(function() {
+            source.updateData({update: [{id: 5, properties: {}}]});
+        }, /no feature with the id 5/);
+        t.end();
+    });
+
+    t.test('sends the diff after the data has been parsed', function(t) {
+        var source = new GeoJSONSource({data: createData()});
+        var messages = [];
+        var parsed;
+
+        source.dispatcher = {
+            send: function(message, params, callback) {
+                messages.push(message);
+                if (message === 'parse geojson') parsed = callback;
+                if (message === 'update geojson') {
+                    t.deepEqual(JSON.parse(params.diffs), [{remove: [2]}]);
+                    t.deepEqual(messages, ['parse geojson', 'update geojson']);
+                    t.end();
+                }
+            }
+        };
+
+        source.update(transform);
+        source.updateData({remove: [2]});
+        source.update(transform);
+        t.deepEqual(messages, ['parse geojson'], 'waits for parsing');
+
+        parsed(null);
+        source.update(transform);
+    });
+
+    t.test('sends the diffs made before the next update together', function(t) {
+        var source = new GeoJSONSource({data: createData()});
+        var messages = [];
+
+        source.dispatcher = {
+            send: function(message, params, callback) {
+                messages.push(message);
+                if (message === 'update geojson') {
+                    t.deepEqual(JSON.parse(params.diffs), [{remove: [2]}, {add: [point(3, 0)]}]);
+                } else {
+                    callback(null);
+                }
+            }
+        };
+        source.update(transform);
+
+        var changes = 0;
+        source.on('change', function() { changes++; });
+
+        source.updateData({remove: [2]});
+        source.updateData({add: [point(3, 0)]});
+        t.equal(changes, 2, 'fires change to schedule an update');
+        t.deepEqual(messages, ['parse geojson'], 'waits for the next update');
+
+        source.update(transform);
+        t.deepEqual(messages, ['parse geojson', 'update geojson']);
+        t.end();
+    });
+
+    t.test('folds the diff into unsent data', function(t) {
+        var source = new GeoJSONSource({data: createData()});
+
+        source.dispatcher = {
+            send: function(message, params) {
+                t.equal(message, 'parse geojson');
+                t.equal(JSON.parse(params.data).features.length, 1);
+                t.end();
+            }
+        };
+
+        source.updateData({remove: [2]});
+        source.update(transform);
+    });
+
+    t.test('reloads the tiles the changed features touch', function(t) {
+        var source = new GeoJSONSource({data: createData()});
+        source.dispatcher = {
+            send: function(message, params, callback) {
+                if (message === 'update geojson') {
+                    // a point at the center of the world
+                    callback(null, {bounds: [[0.5, 0.5, 0.5, 0.5]]});
+                } else {
+                    callback(null);
+                }
+            }
+        };
+        source.update(transform);
+
+        source._pyramid.reloadTiles = function(filter) {
+            t.ok(filter(new TileCoord(1, 0, 0, 0)), 'touches the tile');
+            t.ok(filter(new TileCoord(1, 1, 1, 0)), 'touches the tile');
+            t.notOk(filter(new TileCoord(3, 0, 0, 0)), 'far away tile');
+            t.ok(filter(new TileCoord(3, 3, 3, 0)), 'within the buffer');
+            t.end();
+        };
+
+        source.updateData({update: [{id: 1, properties: {price: 1}}]});
+        source.update(transform);
+    });
+
+    t.end();
+});
+
+test('GeoJSONSource#getClusterLeaves', function(t) {
+    t.test('sends the request to the worker holding the index', function(t) {
+        var source = new GeoJSONSource({data: {}, cluster: true});
+        source.id = 'homes';
+        source.workerID = 2;
+
+        function callback() {}
+
+        source.dispatcher = {
+            send: function(message, params, cb, targetID) {
+                t.equal(message, 'get cluster leaves');
+                t.deepEqual(params, {source: 'homes', clusterId: 64, limit: 20, offset: 40});
+                t.equal(cb, callback);
+                t.equal(targetID, 2);
+            }
+        };
+
+        t.equal(source.getClusterLeaves(64, 20, 40, callback), source);
+        t.end();
+    });
+
+    t.end();
+});
+
 test('GeoJSONSource#reload', function(t) {
     t.test('before loaded', function(t) {
         var source = new GeoJSONSource({data: {}});
@@ -0,0 +1,85 @@
+'use strict';
+
+var test = require('tap').test;
+var RasterDEMTileSource = require('../../../js/source/raster_dem_tile_source');
+var TileCoord = require('../../../js/source/tile_coord');
+var DEMData = require('../../../js/data/dem_data');
+
+// A 2x2 tile whose pixels all have the same elevation.
+function createTile(z, x, y, elevation) {
+    var value = Math.round((elevation + 10000) * 10);
+    var pixels = new Uint8Array(16);
+    for (var i = 0; i < pixels.length; i += 4) {
+        pixels[i] = Math.floor(value / 65536);
+        pixels[i + 1] = Math.floor(value / 256) % 256;
+        pixels[i + 2] = value % 256;
+        pixels[i + 3] = 255;
+    }
+    return {coord: new TileCoord(z, x, y), dem: new DEMData(pixels, 2)};
+}
+
+function createSource(tiles) {
+    var source = new RasterDEMTileSource({
+        tiles: ["http://example.com/{z}/{x}/{y}.png"]
+    });
+    source._pyramid = {
+        orderedIDs: function() {
+            return tiles.map(function(tile, i) { return i; });
+        },
+        getTile: function(id) {
+            return tiles[id];
+        }
+    };
+    return source;
+}
+
+function get(tile, x, y) {
+    return Math.round(tile.dem.get(x, y) * 10) / 10;
+}
+
+test('RasterDEMTileSource#_backfillBorders', function(t) {
+    t.test('fills the borders of horizontal and vertical neighbours', function(t) {
+        var tile = createTile(3, 4, 4, 10);
+        var east = createTile(3, 5, 4, 20);
+        var south = createTile(3, 4, 5, 30);
+        var far = createTile(3, 6, 4, 40);
+        createSource([tile, east, south, far])._backfillBorders(tile);
+
+        t.equal(get(tile, 2, 0), 20);
+        t.equal(get(tile, 0, 2), 30);
+        t.equal(get(tile, -1, 0), 10);
+        t.equal(get(east, -1, 0), 10);
+        t.equal(get(south, 0, -1), 10);
+        t.equal(get(far, -1, 0), 40);
+        t.ok(east.needsHillshadePrepare);
+        t.ok(south.needsHillshadePrepare);
+        t.notOk(far.needsHillshadePrepare);
+        t.end();
+    });
+
+    t.test('fills the borders of neighbours across the antimeridian', function(t) {
+        var west = createTile(2, 0, 1, 10);
+        var east = createTile(2, 3, 1, 20);
+        createSource([west, east])._backfillBorders(west);
+
+        t.equal(get(west, -1, 0), 20);
+        t.equal(get(west, 2, 0), 10);
+        t.equal(get(east, 2, 0), 10);
+        t.equal(get(east, -1, 0), 20);
+        t.end();
+    });
+
+    t.test('fills both sides of the tiles at zoom level 1', function(t) {
+        var west = createTile(1, 0, 0, 10);
+        var east = createTile(1, 1, 0, 20);
+        createSource([west, east])._backfillBorders(west);
+
+        t.equal(get(west, 2, 0), 20);
+        t.equal(get(west, -1, 0), 20);
+        t.equal(get(east, 2, 0), 10);
+        t.equal(get(east, -1, 0), 10);
+        t.end();
+    });
+
+    t.end();
+});
@@ -0,0 +1,56 @@
+'use strict';
+
+var test = require('tap').test;
+var Wrapper = require('../../../js/source/geojson_wrapper');
+var sortedFeatureRange = require('../../../js/source/sorted_feature_range');
+
+function createLayer(values) {
+    return new Wrapper(values.map(function(value) {
+        return {
+            type: 1,
+            geometry: [[0, 0]],
+            tags: { d: value }
+        };
+    }));
+}
+
+test('sortedFeatureRange', function(t) {
+    var layer = createLayer([1, 2, 2, 3, 5, 8, 8, 13]);
+
+    t.test('returns null for filters that do not constrain the key', function(t) {
+        t.equal(sortedFeatureRange(layer, 'd', undefined), null);
+        t.equal(sortedFeatureRange(layer, 'd', ['==', 'other', 2]), null);
+        t.equal(sortedFeatureRange(layer, 'd', ['!=', 'd', 2]), null);
+        t.equal(sortedFeatureRange(layer, 'd', ['any', ['>', 'd', 2], ['<', 'd', 1]]), null);
+        t.equal(sortedFeatureRange(layer, 'd', ['all', ['==', 'other', 2]]), null);
+        t.equal(sortedFeatureRange(layer, 'd', ['==', 'd', '2']), null);
+        t.end();
+    });
+
+    t.test('single comparisons', function(t) {
+        t.deepEqual(sortedFeatureRange(layer, 'd', ['>', 'd', 2]), {start: 3, end: 8});
+        t.deepEqual(sortedFeatureRange(layer, 'd', ['>=', 'd', 2]), {start: 1, end: 8});
+        t.deepEqual(sortedFeatureRange(layer, 'd', ['<', 'd', 8]), {start: 0, end: 5});
+        t.deepEqual(sortedFeatureRange(layer, 'd', ['<=', 'd', 8]), {start: 0, end: 7});
+        t.deepEqual(sortedFeatureRange(layer, 'd', ['==', 'd', 8]), {start: 5, end: 7});
+        t.deepEqual(sortedFeatureRange(layer, 'd', ['==', 'd', 4]), {start: 4, end: 4});
+        t.end();
+    });
+
+    t.test('in', function(t) {
+        t.deepEqual(sortedFeatureRange(layer, 'd', ['in', 'd', 5, 2]), {start: 1, end: 5});
+        t.deepEqual(sortedFeatureRange(layer, 'd', ['in', 'd']), {start: 8, end: 8});
+        t.equal(sortedFeatureRange(layer, 'd', ['in', 'd', 2, 'foo']), null);
+        t.end();
+    });
+
+    t.test('intersects clauses nested in all', function(t) {
+        t.deepEqual(sortedFeatureRange(layer, 'd', ['all', ['>', 'd', 1], ['<=', 'd', 5]]), {start: 1, end: 5});
+        t.deepEqual(sortedFeatureRange(layer, 'd', ['all', ['>=', 'd', 2], ['>', 'd', 2], ['==', 'type', 'sold']]), {start: 3, end: 8});
+        t.deepEqual(sortedFeatureRange(layer, 'd', ['all', ['all', ['>', 'd', 3]], ['<', 'd', 13]]), {start: 4, end: 7});
+        t.deepEqual(sortedFeatureRange(layer, 'd', ['all', ['>', 'd', 8], ['<', 'd', 2]]), {start: 7, end: 7});
+        t.end();
+    });
+
+    t.end();
+});
@@ -0,0 +1,49 @@
+'use strict';
+
+var test = require('tap').test;
+var util = require('../../../js/util/util');
+var Evented = require('../../../js/util/evented');
+var Source = require('../../../js/source/source');
+var GeoJSONSource = require('../../../js/source/geojson_source');
+
+function CustomSource(options) {
+    this.options = options;
+}
+
+CustomSource.prototype = util.inherit(Evented, {});
+
+test('Source#setType', function(t) {
+    Source.setType('custom-test', CustomSource, 'http://example.com/custom-test-worker.js');
+
+    t.test('creates sources of the custom type', function(t) {
+        var source = Source.create({type: 'custom-test', tiles: []});
+        t.ok(source instanceof CustomSource);
+        t.deepEqual(source.options, {type: 'custom-test', tiles: []});
+        t.ok(Source.is(source));
+        t.end();
+    });
+
+    t.test('records custom types and their worker scripts', function(t) {
+        t.ok(Source.isCustomType('custom-test'));
+        t.notOk(Source.isCustomType('geojson'));
+        t.equal(Source.getWorkerSourceURLs()['custom-test'], 'http://example.com/custom-test-worker.js');
+        t.end();
+    });
+
+    t.test('throws on an existing type', function(t) {
+        t.throws(function() {
+            Source.setType('geojson', CustomSource);
+        }, /already a source type/);
+        t.throws(function() {
+            Source.setType('custom-test', CustomSource);
+        }, /already a source type/);
+        t.end();
+    });
+
+    t.test('keeps creating built-in sources', function(t) {
+        t.ok(Source.create({type: 'geojson', data: {}}) instanceof GeoJSONSource);
+        t.end();
+    });
+
+    t.end();
+});
@@ -0,0 +1,49 @@
+'use strict';
+
+var test = require('tap').test;
+var SourceFeatureState = require('../../../js/source/source_feature_state');
+
+test('SourceFeatureState', function(t) {
+
+    t.test('#updateState merges into the existing state', function(t) {
+        var featureState = new SourceFeatureState();
+        featureState.updateState('houses', 1, {hover: true});
+        featureState.updateState('houses', 1, {selected: true});
+
+        t.deepEqual(featureState.getState('houses', 1), {hover: true, selected: true});
+        t.deepEqual(featureState.getState('houses', 2), {});
+        t.deepEqual(featureState.getState('roads', 1), {});
+        t.end();
+    });
+
+    t.test('#updateState replaces the state object', function(t) {
+        var featureState = new SourceFeatureState();
+        featureState.updateState('houses', 1, {hover: true});
+        var state = featureState.getLayerStates('houses')[1];
+
+        featureState.updateState('houses', 1, {hover: false});
+        t.notEqual(featureState.getLayerStates('houses')[1], state);
+        t.deepEqual(state, {hover: true});
+        t.end();
+    });
+
+    t.test('#removeState', function(t) {
+        var featureState = new SourceFeatureState();
+        featureState.updateState('houses', 1, {hover: true, selected: true});
+        featureState.updateState('houses', 2, {hover: true});
+
+        featureState.removeState('houses', 1, 'hover');
+        t.deepEqual(featureState.getState('houses', 1), {selected: true}, 'removes a key');
+
+        featureState.removeState('houses', 1);
+        t.deepEqual(featureState.getLayerStates('houses'), {2: {hover: true}}, 'removes a feature');
+
+        featureState.removeState('houses');
+        t.deepEqual(featureState.getLayerStates('houses'), {}, 'removes a source layer');
+
+        featureState.removeState('roads', 1);
+        t.end();
+    });
+
+    t.end();
+});
@@ -72,3 +72,31 @@ test('querySourceFeatures', function(t) {
 
     t.end();
 });
+
+test('Tile#updateFeatureState', function(t) {
+    var SourceFeatureState = require('../../../js/source/source_feature_state');
+
+    var geojsonWrapper = new GeoJSONWrapper([{
+        type: 1,
+        geometry: [0, 0],
+        tags: { height: 10 }
+    }]);
+    geojsonWrapper.name = '_geojsonTileLayer';
+
+    var tile = new Tile(new TileCoord(1, 1, 1));
+    tile.rawTileData = vtpbf({ layers: { '_geojsonTileLayer': geojsonWrapper }});
+    tile.buckets = {
+        circle: {
+            layer: {},
+            setFeatureState: function(states, sourceLayer) {
+                t.deepEqual(states, { 1: { hover: true } });
+                t.deepEqual(sourceLayer.feature(0).properties, { height: 10 });
+                t.end();
+            }
+        }
+    };
+
+    var featureState = new SourceFeatureState();
+    featureState.updateState('_geojsonTileLayer', 1, { hover: true });
+    tile.updateFeatureState(featureState);
+});
@@ -245,6 +245,43 @@ test('TilePyramid#removeTile', function(t) {
     t.end();
 });
 
+test('TilePyramid#reloadTiles', function(t) {
+    t.test('reloads matching tiles and unloads matching cached tiles', function(t) {
+        var loaded = [];
+        var unloaded = [];
+        var pyramid = createPyramid({
+            load: function(tile) {
+                tile.loaded = true;
+                loaded.push(tile.coord.id);
+            },
+            unload: function(tile) {
+                unloaded.push(tile.coord.id);
+            }
+        });
+
+        var tr = new Transform();
+        tr.width = 512;
+        tr.height = 512;
+        pyramid.updateCacheSize(tr);
+
+        var coords = [new TileCoord(1, 0, 0, 0), new TileCoord(1, 1, 0, 0), new TileCoord(1, 0, 1, 0), new TileCoord(1, 1, 1, 0)];
+        coords.forEach(function(coord) { pyramid.addTile(coord); });
+        pyramid.removeTile(coords[2].id);
+        pyramid.removeTile(coords[3].id);
+        loaded = [];
+
+        pyramid.reloadTiles(function(coord) {
+            return coord.x === 0;
+        });
+
+        t.deepEqual(loaded, [coords[0].id]);
+        t.deepEqual(unloaded, [coords[2].id]);
+        t.end();
+    });
+
+    t.end();
+});
+
 test('TilePyramid#update', function(t) {
     t.test('loads no tiles if used is false', function(t) {
         var transform = new Transform();
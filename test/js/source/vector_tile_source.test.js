@@ -5,6 +5,7 @@ var st = require('st');
 var http = require('http');
 var path = require('path');
 var VectorTileSource = require('../../../js/source/vector_tile_source');
+var TileCoord = require('../../../js/source/tile_coord');
 
 var server = http.createServer(st({path: path.join(__dirname, '/../../fixtures')}));
 
@@ -20,6 +21,7 @@ test('VectorTileSource', function(t) {
             attribution: "Mapbox",
             tiles: ["http://example.com/{z}/{x}/{y}.png"]
         });
+        source.load();
 
         source.on('error', function(e) {
             t.error(e.error);
@@ -39,6 +41,7 @@ test('VectorTileSource', function(t) {
         var source = new VectorTileSource({
             url: "http://localhost:2900/source.json"
         });
+        source.load();
 
         source.on('error', function(e) {
             t.error(e.error);
@@ -54,6 +57,62 @@ test('VectorTileSource', function(t) {
         });
     });
 
+    t.test('transforms the requests for the TileJSON and tiles', function(t) {
+        var requests = [];
+        var source = new VectorTileSource({
+            url: "http://localhost:2900/source.json"
+        }, function(url, resourceType) {
+            requests.push([url, resourceType]);
+            return {headers: {'Authorization': 'Bearer token'}};
+        });
+        source.load();
+
+        source.on('error', function(e) {
+            t.error(e.error);
+        });
+
+        source.on('load', function() {
+            source.map = {transform: {angle: 0, pitch: 0}};
+            source.dispatcher = {
+                send: function(type, params) {
+                    t.equal(type, 'load tile');
+                    t.deepEqual(params.request, {
+                        url: 'http://example.com/1/0/0.png',
+                        headers: {'Authorization': 'Bearer token'}
+                    });
+                    t.deepEqual(requests, [
+                        ['http://localhost:2900/source.json', 'Source'],
+                        ['http://example.com/1/0/0.png', 'Tile']
+                    ]);
+                    t.end();
+                }
+            };
+            source._loadTile({uid: 0, coord: new TileCoord(1, 0, 0, 0)});
+        });
+    });
+
+    t.test('loads with the given transformRequest if it has none', function(t) {
+        var requests = [];
+        var source = new VectorTileSource({
+            url: "http://localhost:2900/source.json"
+        });
+        source.load(function(url, resourceType) {
+            requests.push([url, resourceType]);
+        });
+        source.load(function() {
+            t.fail('loads once');
+        });
+
+        source.on('error', function(e) {
+            t.error(e.error);
+        });
+
+        source.on('load', function() {
+            t.deepEqual(requests, [['http://localhost:2900/source.json', 'Source']]);
+            t.end();
+        });
+    });
+
     t.test('ignores reload before loaded', function(t) {
         var source = new VectorTileSource({
             url: "http://localhost:2900/source.json"
@@ -63,6 +122,7 @@ test('VectorTileSource', function(t) {
             source.reload();
         }, null, 'reload ignored gracefully');
 
+        source.load();
         source.on('load', function() {
             t.end();
         });
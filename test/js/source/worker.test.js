@@ -5,6 +5,8 @@
 var test = require('tap').test;
 var http = require('http');
 var Worker = require('../../../js/source/worker');
+var GeoJSONWrapper = require('../../../js/source/geojson_wrapper');
+var TileCoord = require('../../../js/source/tile_coord');
 
 var _self = {
     addEventListener: function() {}
@@ -16,6 +18,10 @@ var server = http.createServer(function(request, response) {
         response.writeHead(404, {"Content-Type": "text/plain"});
         response.end();
         break;
+    case "/homes.json":
+        response.writeHead(200, {"Content-Type": "application/json"});
+        response.end(JSON.stringify({ homes: [[100, 200, 500000], [300, 400, 425000]] }));
+        break;
     }
 });
 
@@ -29,13 +35,63 @@ test('load tile', function(t) {
         worker['load tile']({
             source: 'source',
             uid: 0,
-            url: 'http://localhost:2900/error'
+            request: { url: 'http://localhost:2900/error' }
         }, function(err) {
             t.ok(err);
             t.end();
         });
     });
 
+    t.test('decodes tiles of custom source types', function(t) {
+        var worker = new Worker(_self);
+
+        _self.registerWorkerSource('json-tiles', function(data, params) {
+            t.equal(params.type, 'json-tiles');
+
+            var homes = JSON.parse(String.fromCharCode.apply(null, new Uint8Array(data))).homes;
+            var layer = new GeoJSONWrapper(homes.map(function(home) {
+                return { type: 1, geometry: [[home[0], home[1]]], tags: { price: home[2] } };
+            }));
+            layer.name = 'homes';
+            return { layers: { homes: layer } };
+        });
+
+        worker['set layers']([{ id: 'homes', type: 'circle', source: 'source', 'source-layer': 'homes' }]);
+        worker['load tile']({
+            source: 'source',
+            type: 'json-tiles',
+            uid: 0,
+            coord: new TileCoord(0, 0, 0, 0),
+            zoom: 0,
+            tileSize: 512,
+            overscaling: 1,
+            request: { url: 'http://localhost:2900/homes.json' }
+        }, function(err, data) {
+            t.error(err);
+            t.equal(data.buckets.length, 1);
+            t.ok(data.rawTileData.byteLength > 0, 'encodes the features as a vector tile');
+            t.end();
+        });
+    });
+
+    t.end();
+});
+
+test('load worker source', function(t) {
+    var worker = new Worker({
+        addEventListener: function() {},
+        importScripts: function(url) {
+            t.equal(url, 'http://example.com/json-tile-worker.js');
+            this.registerWorkerSource('json-tiles', function() {});
+        }
+    });
+
+    worker['load worker source']({ name: 'json-tiles', url: 'http://example.com/json-tile-worker.js' });
+    t.ok(worker.workerSources['json-tiles']);
+
+    t.throws(function() {
+        worker.self.registerWorkerSource('json-tiles', function() {});
+    }, /already a worker source/);
     t.end();
 });
 
@@ -46,7 +102,7 @@ test('abort tile', function(t) {
         worker['load tile']({
             source: 'source',
             uid: 0,
-            url: 'http://localhost:2900/abort'
+            request: { url: 'http://localhost:2900/abort' }
         }, t.fail);
 
         worker['abort tile']({
@@ -131,6 +187,179 @@ test('remove tile', function(t) {
     t.end();
 });
 
+test('update geojson', function(t) {
+    function point(id, lng) {
+        return {
+            type: 'Feature',
+            id: id,
+            properties: {},
+            geometry: { type: 'Point', coordinates: [lng, 0] }
+        };
+    }
+
+    function parse(worker, callback) {
+        worker['parse geojson']({
+            source: 'source',
+            data: JSON.stringify({ type: 'FeatureCollection', features: [point(1, -90), point(2, 90)] }),
+            geojsonVtOptions: { extent: 8192 }
+        }, callback);
+    }
+
+    t.test('applies diffs and returns the changed bounds', function(t) {
+        var worker = new Worker(_self);
+        parse(worker, function(err) {
+            t.error(err);
+            var index = worker.geoJSONIndexes.source;
+
+            worker['update geojson']({
+                source: 'source',
+                diffs: JSON.stringify([{ remove: [1] }, { add: [point(3, 0)] }]),
+                geojsonVtOptions: { extent: 8192 }
+            }, function(err, result) {
+                t.error(err);
+                t.deepEqual(worker.geoJSONFeatures.source.map(function(f) { return f.id; }), [2, 3]);
+                t.deepEqual(result.bounds, [[0.25, 0.5, 0.25, 0.5], [0.5, 0.5, 0.5, 0.5]]);
+                t.notEqual(worker.geoJSONIndexes.source, index, 'rebuilds the index');
+                t.end();
+            });
+        });
+    });
+
+    t.test('leaves the data untouched on error', function(t) {
+        var worker = new Worker(_self);
+        parse(worker, function() {
+            worker['update geojson']({
+                source: 'source',
+                diffs: JSON.stringify([{ remove: [1] }, { update: [{ id: 5 }] }]),
+                geojsonVtOptions: { extent: 8192 }
+            }, function(err) {
+                t.ok(err);
+                t.equal(worker.geoJSONFeatures.source.length, 2);
+                t.end();
+            });
+        });
+    });
+
+    t.test('errors without data', function(t) {
+        var worker = new Worker(_self);
+        worker['update geojson']({ source: 'source', diffs: '[]' }, function(err) {
+            t.ok(err);
+            t.end();
+        });
+    });
+
+    t.end();
+});
+
+test('cluster inspection', function(t) {
+    function point(id, lng) {
+        return {
+            type: 'Feature',
+            properties: { id: id },
+            geometry: { type: 'Point', coordinates: [lng, 0] }
+        };
+    }
+
+    function parse(worker, callback) {
+        worker['parse geojson']({
+            source: 'source',
+            data: JSON.stringify({ type: 'FeatureCollection', features: [
+                point(1, 0), point(2, 0.01), point(3, 0.02), point(4, 90)
+            ]}),
+            cluster: true,
+            superclusterOptions: { maxZoom: 14, extent: 8192, radius: 800 }
+        }, callback);
+    }
+
+    // The cluster of the three points near null island at zoom 0, with the
+    // zoom level encoded in the lowest five bits of its id
+    function getClusterId(worker) {
+        var cluster = worker.geoJSONIndexes.source.getClusters([-180, -85, 180, 85], 0).filter(function(feature) {
+            return feature.properties.cluster;
+        })[0];
+        return cluster.properties.cluster_id * 32;
+    }
+
+    t.test('gets the leaves of a cluster', function(t) {
+        var worker = new Worker(_self);
+        parse(worker, function(err) {
+            t.error(err);
+            worker['get cluster leaves']({ source: 'source', clusterId: getClusterId(worker), limit: 2, offset: 1 }, function(err, leaves) {
+                t.error(err);
+                t.equal(leaves.length, 2);
+                leaves.forEach(function(leaf) {
+                    t.ok(leaf.properties.id < 4);
+                });
+                t.end();
+            });
+        });
+    });
+
+    t.test('gets the children and expansion zoom of a cluster', function(t) {
+        var worker = new Worker(_self);
+        parse(worker, function(err) {
+            t.error(err);
+            var clusterId = getClusterId(worker);
+            worker['get cluster expansion zoom']({ source: 'source', clusterId: clusterId }, function(err, zoom) {
+                t.error(err);
+                t.ok(zoom > 0);
+
+                worker['get cluster children']({ source: 'source', clusterId: clusterId }, function(err, children) {
+                    t.error(err);
+                    t.equal(children.length, 1, 'the cluster does not split on the next zoom level');
+                    t.equal(children[0].properties.point_count, 3);
+                    t.equal(children[0].properties.cluster_id % 32, 1, 'encodes the zoom level of the child');
+                    t.end();
+                });
+            });
+        });
+    });
+
+    t.test('computes clusterProperties', function(t) {
+        var worker = new Worker(_self);
+        worker['parse geojson']({
+            source: 'source',
+            data: JSON.stringify({ type: 'FeatureCollection', features: [point(1, 0), point(2, 0.01), point(3, 0.02)] }),
+            cluster: true,
+            clusterProperties: { total: ['+', 'id'] },
+            superclusterOptions: { maxZoom: 14, extent: 8192, radius: 800 }
+        }, function(err) {
+            t.error(err);
+            worker['get cluster children']({ source: 'source', clusterId: getClusterId(worker) }, function(err, children) {
+                t.error(err);
+                t.equal(children[0].properties.total, 6);
+                t.end();
+            });
+        });
+    });
+
+    t.test('errors on an unknown cluster id', function(t) {
+        var worker = new Worker(_self);
+        parse(worker, function() {
+            worker['get cluster leaves']({ source: 'source', clusterId: 1000 * 32 }, function(err) {
+                t.match(err.message, /no cluster with the id/);
+                t.end();
+            });
+        });
+    });
+
+    t.test('errors if the source is not clustered', function(t) {
+        var worker = new Worker(_self);
+        worker['parse geojson']({
+            source: 'source',
+            data: JSON.stringify({ type: 'FeatureCollection', features: [point(1, 0)] }),
+            geojsonVtOptions: { extent: 8192 }
+        }, function() {
+            worker['get cluster children']({ source: 'source', clusterId: 0 }, function(err) {
+                t.match(err.message, /not clustered/);
+                t.end();
+            });
+        });
+    });
+
+    t.end();
+});
+
 test('after', function(t) {
     server.close(t.end);
 });
@@ -68,3 +68,69 @@ test('basic', function(t) {
 
     t.end();
 });
+
+test('sortedBy', function(t) {
+    var features = [1, 2, 3, 4, 5, 6].map(function(d) {
+        return {
+            type: 1,
+            geometry: [[d * 10, d * 10]],
+            tags: { d: d, type: d % 2 ? 'odd' : 'even' }
+        };
+    });
+
+    function parse(filter, callback) {
+        var tile = new WorkerTile({
+            uid: '',
+            zoom: 0,
+            maxZoom: 20,
+            tileSize: 512,
+            source: 'source',
+            coord: new TileCoord(1, 1, 1),
+            overscaling: 1,
+            sortedBy: { markers: 'd' }
+        });
+
+        var layer = new StyleLayer({
+            id: 'test',
+            source: 'source',
+            type: 'circle',
+            layout: {},
+            filter: filter
+        });
+
+        var data = new Wrapper(features);
+        data.name = 'markers';
+
+        tile.parse(data, { test: [layer] }, {}, null, callback);
+    }
+
+    function vertexCount(result) {
+        return result.buckets.length ? result.buckets[0].elementGroups.circle[0].vertexLength : 0;
+    }
+
+    t.test('uses the sorted range', function(t) {
+        parse(['all', ['>', 'd', 2], ['<=', 'd', 5]], function(err, result) {
+            t.equal(err, null);
+            t.equal(vertexCount(result), 3 * 4);
+            t.end();
+        });
+    });
+
+    t.test('applies other filter clauses to each feature', function(t) {
+        parse(['all', ['>=', 'd', 2], ['==', 'type', 'odd']], function(err, result) {
+            t.equal(err, null);
+            t.equal(vertexCount(result), 2 * 4);
+            t.end();
+        });
+    });
+
+    t.test('falls back to testing every feature', function(t) {
+        parse(['==', 'type', 'even'], function(err, result) {
+            t.equal(err, null);
+            t.equal(vertexCount(result), 3 * 4);
+            t.end();
+        });
+    });
+
+    t.end();
+});
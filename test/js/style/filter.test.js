@@ -0,0 +1,110 @@
+'use strict';
+
+var test = require('tap').test;
+var createFilter = require('../../../js/style/filter');
+var expression = require('../../../js/style/expression');
+
+function feature(properties, type, id) {
+    return { properties: properties, type: type || 1, id: id };
+}
+
+test('createFilter', function(t) {
+    t.test('accepts filters in the original syntax', function(t) {
+        var filter = createFilter(['all', ['==', 'type', 'house'], ['>', 'price', 100000], ['==', '$type', 'Point']]);
+        t.equal(filter(feature({ type: 'house', price: 200000 })), true);
+        t.equal(filter(feature({ type: 'house', price: 50000 })), false);
+        t.equal(filter(feature({ type: 'house', price: 200000 }, 3)), false);
+        t.equal(createFilter(undefined)(feature({})), true);
+        t.end();
+    });
+
+    t.test('compares computed values', function(t) {
+        var filter = createFilter(['>', ['/', ['get', 'price'], ['get', 'sqft']], 250]);
+        t.equal(filter(feature({ price: 300000, sqft: 1000 })), true);
+        t.equal(filter(feature({ price: 200000, sqft: 1000 })), false);
+        t.equal(filter(feature({ price: 300000 })), false, 'is false for missing properties');
+        t.end();
+    });
+
+    t.test('compares properties to each other', function(t) {
+        var filter = createFilter(['<', ['get', 'list_price'], ['get', 'estimate']]);
+        t.equal(filter(feature({ 'list_price': 10, estimate: 11 })), true);
+        t.equal(filter(feature({ 'list_price': 12, estimate: 11 })), false);
+        t.equal(filter(feature({ 'list_price': '10', estimate: 11 })), false, 'does not compare values of different types');
+        t.end();
+    });
+
+    t.test('matches strings', function(t) {
+        var filter = createFilter(['starts-with', ['downcase', ['get', 'address']], '12 main']);
+        t.equal(filter(feature({ address: '12 Main St' })), true);
+        t.equal(filter(feature({ address: '112 Main St' })), false);
+        t.equal(filter(feature({ address: 12 })), false);
+        t.equal(createFilter(['ends-with', ['upcase', ['get', 'unit']], 'B'])(feature({ unit: '4b' })), true);
+        t.equal(createFilter(['==', ['concat', ['get', 'city'], ', ', ['get', 'state']], 'Austin, TX'])(feature({ city: 'Austin', state: 'TX' })), true);
+        t.end();
+    });
+
+    t.test('checks the type of properties', function(t) {
+        var filter = createFilter(['has', 'price', 'number']);
+        t.equal(filter(feature({ price: 1 })), true);
+        t.equal(filter(feature({ price: '1' })), false);
+        t.equal(filter(feature({})), false);
+        t.equal(createFilter(['==', ['typeof', ['get', 'tags']], 'array'])(feature({ tags: ['pool'] })), true);
+        t.end();
+    });
+
+    t.test('reads the geometry type and id', function(t) {
+        var filter = createFilter(['all', ['==', ['geometry-type'], 'Polygon'], ['in', ['id'], 1, 2]]);
+        t.equal(filter(feature({}, 3, 1)), true);
+        t.equal(filter(feature({}, 3, 3)), false);
+        t.equal(filter(feature({}, 1, 1)), false);
+        t.end();
+    });
+
+    t.test('combines filters in both syntaxes', function(t) {
+        var filter = createFilter(['all', ['==', 'type', 'house'], ['any', ['has', 'sold'], ['>=', ['*', ['get', 'beds'], 2], 6]]]);
+        t.equal(filter(feature({ type: 'house', beds: 3 })), true);
+        t.equal(filter(feature({ type: 'house', beds: 2, sold: true })), true);
+        t.equal(filter(feature({ type: 'house', beds: 2 })), false);
+        t.equal(filter(feature({ type: 'condo', beds: 3 })), false);
+
+        var none = createFilter(['none', ['==', 'type', 'house'], ['!', ['has', 'price']]]);
+        t.equal(none(feature({ type: 'condo', price: 1 })), true);
+        t.equal(none(feature({ type: 'condo' })), false);
+        t.end();
+    });
+
+    t.test('only passes features for which the expression is true', function(t) {
+        t.equal(createFilter(['get', 'active'])(feature({ active: true })), true);
+        t.equal(createFilter(['get', 'active'])(feature({ active: 1 })), false);
+        t.end();
+    });
+
+    t.end();
+});
+
+test('createFilter.isExpressionFilter', function(t) {
+    t.equal(createFilter.isExpressionFilter(['==', 'type', 'house']), false);
+    t.equal(createFilter.isExpressionFilter(['has', 'price']), false);
+    t.equal(createFilter.isExpressionFilter(['all', ['==', 'type', 'house'], ['in', 'beds', 1, 2]]), false);
+    t.equal(createFilter.isExpressionFilter(['==', ['get', 'type'], 'house']), true);
+    t.equal(createFilter.isExpressionFilter(['has', 'price', 'number']), true);
+    t.equal(createFilter.isExpressionFilter(['all', ['==', 'type', 'house'], ['any', ['starts-with', ['get', 'a'], 'b']]]), true);
+    t.end();
+});
+
+test('expression.validate', function(t) {
+    t.deepEqual(expression.validate('filter', ['>', ['/', ['get', 'price'], ['get', 'sqft']], 250]), []);
+
+    function messages(value) {
+        return expression.validate('filter', value).map(function(error) { return error.message; });
+    }
+
+    t.deepEqual(messages(['>', ['sqrt', 2], 1]), ['filter[1][0]: unknown expression operator "sqrt"']);
+    t.deepEqual(messages(['>', ['get'], 1]), ['filter[1]: "get" expects 1 argument, 0 found']);
+    t.deepEqual(messages(['==', ['get', 1], 1]), ['filter[1][1]: string expected, number found']);
+    t.deepEqual(messages(['-', 1, 2, 3]), ['filter: "-" expects 1 to 2 arguments, 3 found']);
+    t.deepEqual(messages(['in', ['get', 'a'], {}]), ['filter[2]: objects must be wrapped in a "literal" expression']);
+    t.deepEqual(messages(['toString']), ['filter[0]: unknown expression operator "toString"']);
+    t.end();
+});
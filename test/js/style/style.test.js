@@ -7,6 +7,8 @@ var path = require('path');
 var sinon = require('sinon');
 var Style = require('../../../js/style/style');
 var VectorTileSource = require('../../../js/source/vector_tile_source');
+var Source = require('../../../js/source/source');
+var Evented = require('../../../js/util/evented');
 var StyleLayer = require('../../../js/style/style_layer');
 var util = require('../../../js/util/util');
 var browser = require('../../../js/util/browser');
@@ -108,6 +110,32 @@ test('Style', function(t) {
         });
     });
 
+    t.test('transforms the requests of source instances', function(t) {
+        var requests = [];
+        var source = new VectorTileSource({url: 'http://localhost:2900/source.json'});
+        var style = new Style(createStyleJSON(), null, {
+            transformRequest: function(url, resourceType) {
+                requests.push([url, resourceType]);
+            }
+        });
+
+        source.on('error', function(e) {
+            t.error(e.error);
+        });
+
+        source.on('load', function() {
+            t.deepEqual(requests, [['http://localhost:2900/source.json', 'Source']]);
+            t.end();
+        });
+
+        // add the source some frames after creating it
+        style.on('load', function() {
+            setTimeout(function() {
+                style.addSource('instance', source);
+            }, 50);
+        });
+    });
+
     t.test('after', function(t) {
         server.close(t.end);
     });
@@ -299,6 +327,164 @@ test('Style#addSource', function(t) {
         });
     });
 
+    t.test('validates expression filters of layers', function(t) {
+        var style = new Style(createStyleJSON({
+            sources: {
+                geojson: createGeoJSONSource()
+            },
+            layers: [
+                { id: 'valid', type: 'circle', source: 'geojson', filter: ['starts-with', ['downcase', ['get', 'address']], '12 main'] },
+                { id: 'invalid', type: 'circle', source: 'geojson', filter: ['all', ['==', 'type', 'house'], ['==', ['get'], 1]] }
+            ]
+        }));
+        style.on('error', function (e) {
+            t.equal(e.error.message, 'layers[1].filter[2][1]: "get" expects 1 argument, 0 found');
+            t.end();
+        });
+    });
+
+    t.test('accepts property functions for line-width', function(t) {
+        var style = new Style(createStyleJSON({
+            sources: {
+                geojson: createGeoJSONSource()
+            },
+            layers: [
+                { id: 'line', type: 'line', source: 'geojson', paint: { 'line-width': { property: 'lanes', stops: [[1, 2], [4, 8]] } } }
+            ]
+        }));
+        style.on('error', function (e) {
+            t.error(e.error);
+        });
+        style.on('load', function() {
+            t.end();
+        });
+    });
+
+    t.test('rejects property functions for line-width with line-dasharray', function(t) {
+        var style = new Style(createStyleJSON({
+            sources: {
+                geojson: createGeoJSONSource()
+            },
+            layers: [{
+                id: 'line',
+                type: 'line',
+                source: 'geojson',
+                paint: { 'line-width': { property: 'lanes', stops: [[1, 2], [4, 8]] } },
+                'paint.night': { 'line-dasharray': [2, 1] }
+            }]
+        }));
+        style.on('error', function (e) {
+            t.match(e.error.message, /paint\.line-width: property functions are not supported with line-dasharray/);
+            t.end();
+        });
+    });
+
+    t.test('rejects adding a line-pattern to a line with a data-driven line-color', function(t) {
+        var style = new Style(createStyleJSON({
+            sources: {
+                geojson: createGeoJSONSource()
+            },
+            layers: [
+                { id: 'line', type: 'line', source: 'geojson', paint: { 'line-color': { property: 'type', type: 'categorical', stops: [['a', 'red']] } } }
+            ]
+        }));
+        style.on('load', function() {
+            style.on('error', function (e) {
+                t.match(e.error.message, /paint\.line-color: property functions are not supported with line-pattern/);
+                t.equal(style.getPaintProperty('line', 'line-pattern'), undefined);
+                t.end();
+            });
+            style.setPaintProperty('line', 'line-pattern', 'stripes');
+        });
+    });
+
+    t.test('accepts heatmap layers', function(t) {
+        var style = new Style(createStyleJSON({
+            sources: {
+                geojson: createGeoJSONSource()
+            },
+            layers: [{
+                id: 'heatmap',
+                type: 'heatmap',
+                source: 'geojson',
+                paint: {
+                    'heatmap-radius': 20,
+                    'heatmap-weight': { property: 'mag', stops: [[0, 0], [8, 1]] },
+                    'heatmap-color': { property: 'heatmap-density', stops: [[0, 'rgba(0, 0, 0, 0)'], [1, 'red']] }
+                }
+            }]
+        }));
+        style.on('error', function (e) {
+            t.error(e.error);
+        });
+        style.on('load', function() {
+            t.ok(style.getLayer('heatmap'));
+            t.end();
+        });
+    });
+
+    t.test('validates categorical functions', function(t) {
+        var style = new Style(createStyleJSON({
+            sources: {
+                geojson: createGeoJSONSource()
+            },
+            layers: [{
+                id: 'valid',
+                type: 'circle',
+                source: 'geojson',
+                paint: { 'circle-color': { property: 'status', stops: [['sold', '#f00'], [true, '#0f0'], [1.5, '#00f']], default: '#888' } }
+            }, {
+                id: 'invalid',
+                type: 'circle',
+                source: 'geojson',
+                paint: { 'circle-color': { property: 'status', type: 'categorical', stops: [['sold', '#f00'], ['sold', '#0f0']], default: 'blurple' } }
+            }]
+        }));
+        var errors = [];
+        style.on('error', function (e) {
+            errors.push(e.error.message);
+            if (errors.length < 2) return;
+            t.deepEqual(errors.sort(), [
+                'layers[1].paint.circle-color.default: color expected, "blurple" found',
+                'layers[1].paint.circle-color.stops[1][0]: stop keys must be unique'
+            ]);
+            t.end();
+        });
+    });
+
+    t.test('validates raster-dem sources and hillshade layers', function(t) {
+        var style = new Style(createStyleJSON({
+            sources: {
+                dem: { type: 'raster-dem', tiles: ['http://example.com/{z}/{x}/{y}.png'], tileSize: 256, encoding: 'terrarium' },
+                geojson: createGeoJSONSource()
+            },
+            layers: [{
+                id: 'valid',
+                type: 'hillshade',
+                source: 'dem',
+                paint: { 'hillshade-exaggeration': 0.8, 'hillshade-shadow-color': '#333' }
+            }, {
+                id: 'fill',
+                type: 'fill',
+                source: 'dem'
+            }, {
+                id: 'hillshade',
+                type: 'hillshade',
+                source: 'geojson'
+            }]
+        }));
+        var errors = [];
+        style.on('error', function (e) {
+            errors.push(e.error.message);
+            if (errors.length < 2) return;
+            t.deepEqual(errors.sort(), [
+                'layers[1]: raster-dem source "dem" can only be used by hillshade layers',
+                'layers[2]: layer "hillshade" requires a raster-dem source'
+            ]);
+            t.end();
+        });
+    });
+
     t.test('emits on invalid source', function(t) {
         var style = new Style(createStyleJSON());
         style.on('load', function() {
@@ -316,6 +502,119 @@ test('Style#addSource', function(t) {
         });
     });
 
+    t.test('accepts sortedBy on a vector source with a url', function(t) {
+        var style = new Style(createStyleJSON());
+        style.on('load', function() {
+            style.on('error', function(e) {
+                t.error(e.error);
+            });
+            style.addSource('source-id', {
+                type: 'vector',
+                url: 'http://example.com/source.json',
+                sortedBy: { markers: 'd' }
+            });
+            t.ok(style.getSource('source-id'));
+            t.end();
+        });
+    });
+
+    t.test('emits on invalid sortedBy', function(t) {
+        var style = new Style(createStyleJSON());
+        style.on('load', function() {
+            style.on('error', function(e) {
+                t.match(e.error.message, /sortedBy\.markers: string expected/);
+                t.notOk(style.getSource('source-id'));
+                t.end();
+            });
+            style.addSource('source-id', {
+                type: 'vector',
+                tiles: ['http://example.com/{z}/{x}/{y}.png'],
+                sortedBy: { markers: 1 }
+            });
+        });
+    });
+
+    t.test('accepts sources of custom types', function(t) {
+        function CustomSource(options) {
+            this.options = options;
+        }
+        CustomSource.prototype = util.inherit(Evented, {
+            serialize: function() { return this.options; }
+        });
+        Source.setType('style-test-custom', CustomSource);
+
+        var style = new Style(createStyleJSON({
+            sources: {
+                'custom': { type: 'style-test-custom', anything: true }
+            },
+            layers: [{ id: 'homes', type: 'circle', source: 'custom', 'source-layer': 'homes' }]
+        }));
+        style.on('error', function(e) {
+            t.error(e.error);
+        });
+        style.on('load', function() {
+            t.ok(style.getSource('custom') instanceof CustomSource);
+
+            style.addSource('other', { type: 'style-test-custom', tiles: [1] });
+            t.deepEqual(style.getSource('other').options, { type: 'style-test-custom', tiles: [1] });
+            t.end();
+        });
+    });
+
+    t.test('loads the worker scripts of custom source types', function(t) {
+        var style = new Style(createStyleJSON());
+        style.on('load', function() {
+            var getWorkerSourceURLs = sinon.stub(Source, 'getWorkerSourceURLs').returns({
+                'json-tiles': 'http://example.com/json-tile-worker.js'
+            });
+
+            style.dispatcher.broadcast = function(type, params) {
+                t.equal(type, 'load worker source');
+                t.deepEqual(params, { name: 'json-tiles', url: 'http://example.com/json-tile-worker.js' });
+                getWorkerSourceURLs.restore();
+                t.end();
+            };
+            style._loadWorkerSources();
+        });
+    });
+
+    t.test('accepts clusterProperties on a geojson source', function(t) {
+        var style = new Style(createStyleJSON());
+        style.on('load', function() {
+            style.on('error', function(e) {
+                t.error(e.error);
+            });
+            style.addSource('source-id', {
+                type: 'geojson',
+                data: { type: 'FeatureCollection', features: [] },
+                cluster: true,
+                clusterProperties: { "total_price": ['+', 'price'], "max_date": ['max', 'd'] }
+            });
+            t.deepEqual(style.getSource('source-id').serialize().clusterProperties, { "total_price": ['+', 'price'], "max_date": ['max', 'd'] });
+            t.end();
+        });
+    });
+
+    t.test('emits on invalid clusterProperties', function(t) {
+        var style = new Style(createStyleJSON());
+        style.on('load', function() {
+            var errors = [];
+            style.on('error', function(e) {
+                errors.push(e.error.message);
+            });
+            style.addSource('source-id', {
+                type: 'geojson',
+                data: { type: 'FeatureCollection', features: [] },
+                cluster: true,
+                clusterProperties: { "median_price": ['median', 'price'], "point_count": ['+', 'count'] }
+            });
+            t.match(errors[0], /clusterProperties\.median_price\[0\]: expected one of \["\+", "min", "max", "mean"\], "median" found/);
+            t.match(errors[1], /clusterProperties\.point_count: "point_count" is reserved/);
+            t.notOk(style.getSource('source-id'));
+            t.end();
+        });
+    });
+
     t.test('sets up source event forwarding', function(t) {
         var style = new Style(createStyleJSON({
             layers: [{
@@ -812,6 +1111,334 @@ test('Style#setFilter', function(t) {
         });
     });
 
+    t.test('sets an expression filter', function(t) {
+        var style = createStyle();
+        style.on('load', function() {
+            style.on('error', function(e) {
+                t.error(e.error);
+            });
+            style.dispatcher.broadcast = function() {};
+
+            var filter = ['all', ['==', 'type', 'house'], ['>', ['/', ['get', 'price'], ['get', 'sqft']], 250]];
+            style.setFilter('symbol', filter);
+            t.deepEqual(style.getFilter('symbol'), filter);
+            t.end();
+        });
+    });
+
+    t.test('emits if an expression filter is invalid', function(t) {
+        var style = createStyle();
+        style.on('load', function() {
+            style.on('error', function(e) {
+                t.equal(e.error.message, 'layers.symbol.filter[1][0]: unknown expression operator "sqrt"');
+                t.deepEqual(style.getLayer('symbol').serialize().filter, ['==', 'id', 0]);
+                t.end();
+            });
+            style.setFilter('symbol', ['>', ['sqrt', ['get', 'price']], 250]);
+        });
+    });
+
+    t.end();
+});
+
+test('Style#setLayerTimeRange', function(t) {
+    function createStyle() {
+        return new Style({
+            "version": 8,
+            "sources": {
+                "geojson": createGeoJSONSource()
+            },
+            "layers": [{
+                "id": "circle",
+                "type": "circle",
+                "source": "geojson"
+            }]
+        });
+    }
+
+    t.test('reloads the source when the property changes', function(t) {
+        var style = createStyle();
+
+        style.on('load', function() {
+            style.setLayerTimeRange('circle', 'year', 1990, 2000);
+            t.ok(style._updates.layers.circle, 'updates layer');
+            t.ok(style._updates.sources.geojson, 'reloads source');
+
+            style._resetUpdates();
+            style.setLayerTimeRange('circle', 'year', 1995, 2005);
+            t.notOk(style._updates.layers.circle, 'does not update layer');
+            t.notOk(style._updates.sources.geojson, 'does not reload source');
+            t.ok(style._updates.changed, 'marks style changed');
+            t.end();
+        });
+    });
+
+    t.test('gets the time range', function(t) {
+        var style = createStyle();
+
+        style.on('load', function() {
+            t.equal(style.getLayerTimeRange('circle'), undefined);
+
+            style.setLayerTimeRange('circle', 'year', null, 2000);
+            t.deepEqual(style.getLayerTimeRange('circle'), {property: 'year', start: null, end: 2000});
+
+            style.setLayerTimeRange('circle', null);
+            t.equal(style.getLayerTimeRange('circle'), undefined);
+            t.end();
+        });
+    });
+
+    t.test('fires an error for an unknown layer', function(t) {
+        var style = createStyle();
+
+        style.on('load', function() {
+            style.on('error', function(e) {
+                t.match(e.error.message, /does not exist/);
+                t.equal(style.getLayerTimeRange('missing'), undefined);
+                t.end();
+            });
+            style.setLayerTimeRange('missing', 'year', 1990, 2000);
+        });
+    });
+
+    t.test('fires an error for a layer type that does not support time ranges', function(t) {
+        var style = createStyle();
+
+        style.on('load', function() {
+            style.addLayer({id: 'fill', type: 'fill', source: 'geojson'});
+            style.on('error', function(e) {
+                t.match(e.error.message, /Only circle and symbol layers/);
+                t.equal(style.getLayerTimeRange('fill'), undefined);
+                t.end();
+            });
+            style.setLayerTimeRange('fill', 'year', 1990, 2000);
+        });
+    });
+
+    t.test('throw before loaded', function(t) {
+        var style = createStyle();
+        t.throws(function () {
+            style.setLayerTimeRange('circle', 'year', 1990, 2000);
+        }, Error, /load/i);
+        t.end();
+    });
+
+    t.end();
+});
+
+test('Style#setFeatureState', function(t) {
+    function createStyle() {
+        return new Style({
+            "version": 8,
+            "sources": {
+                "geojson": createGeoJSONSource(),
+                "vector": {
+                    "type": "vector",
+                    "tiles": ["http://example.com/{z}/{x}/{y}.pbf"]
+                }
+            },
+            "layers": []
+        });
+    }
+
+    t.test('sets, merges and removes state', function(t) {
+        var style = createStyle();
+
+        style.on('load', function() {
+            var updates = 0;
+            style.sources.geojson.updateFeatureState = function() { updates++; };
+
+            style.setFeatureState({source: 'geojson', id: 1}, {hover: true});
+            style.setFeatureState({source: 'geojson', id: 1}, {selected: true});
+            t.deepEqual(style.getFeatureState({source: 'geojson', id: 1}), {hover: true, selected: true});
+
+            style.removeFeatureState({source: 'geojson', id: 1}, 'hover');
+            t.deepEqual(style.getFeatureState({source: 'geojson', id: 1}), {selected: true});
+
+            style.removeFeatureState({source: 'geojson'});
+            t.deepEqual(style.getFeatureState({source: 'geojson', id: 1}), {});
+
+            t.equal(updates, 4, 'updates the source tiles');
+            t.end();
+        });
+    });
+
+    t.test('keys vector source state by source layer', function(t) {
+        var style = createStyle();
+
+        style.on('load', function() {
+            style.sources.vector.updateFeatureState = function() {};
+
+            style.setFeatureState({source: 'vector', sourceLayer: 'houses', id: 1}, {hover: true});
+            t.deepEqual(style.getFeatureState({source: 'vector', sourceLayer: 'houses', id: 1}), {hover: true});
+            t.deepEqual(style.getFeatureState({source: 'vector', sourceLayer: 'roads', id: 1}), {});
+
+            t.throws(function() {
+                style.setFeatureState({source: 'vector', id: 1}, {hover: true});
+            }, /sourceLayer/);
+            t.end();
+        });
+    });
+
+    t.test('applies state to added tiles', function(t) {
+        var style = createStyle();
+
+        style.on('load', function() {
+            style.sources.geojson.updateFeatureState = function() {};
+            style.setFeatureState({source: 'geojson', id: 1}, {hover: true});
+
+            style.sources.geojson.fire('tile.add', {tile: {
+                updateFeatureState: function(featureState) {
+                    t.deepEqual(featureState.getState('_geojsonTileLayer', 1), {hover: true});
+                    t.end();
+                }
+            }});
+        });
+    });
+
+    t.test('throws on invalid targets', function(t) {
+        var style = createStyle();
+
+        style.on('load', function() {
+            t.throws(function() {
+                style.setFeatureState({source: 'missing', id: 1}, {hover: true});
+            }, /There is no source with this ID/);
+            t.throws(function() {
+                style.setFeatureState({source: 'geojson'}, {hover: true});
+            }, /id/);
+            t.throws(function() {
+                style.removeFeatureState({source: 'geojson'}, 'hover');
+            }, /id/);
+            t.end();
+        });
+    });
+
+    t.end();
+});
+
+test('Style#addImage', function(t) {
+    function createImage(width, height) {
+        var data = new Uint8Array(width * height * 4);
+        for (var i = 0; i < data.length; i += 4) {
+            data[i] = 255;
+            data[i + 3] = 128;
+        }
+        return {width: width, height: height, data: data};
+    }
+
+    t.test('adds, checks and removes images', function(t) {
+        var style = new Style(createStyleJSON());
+
+        style.on('load', function() {
+            t.notOk(style.hasImage('badge'));
+            style.addImage('badge', createImage(2, 2));
+            t.ok(style.hasImage('badge'));
+
+            t.throws(function() {
+                style.addImage('badge', createImage(2, 2));
+            }, /There is already an image with this ID/);
+
+            style.removeImage('badge');
+            t.notOk(style.hasImage('badge'));
+            t.throws(function() {
+                style.removeImage('badge');
+            }, /There is no image with this ID/);
+            t.end();
+        });
+    });
+
+    t.test('throws on invalid image data', function(t) {
+        var style = new Style(createStyleJSON());
+
+        style.on('load', function() {
+            t.throws(function() {
+                style.addImage('badge', {width: 2, height: 2, data: new Uint8Array(4)});
+            }, /length/);
+            t.end();
+        });
+    });
+
+    t.test('answers requests for icons without a sprite', function(t) {
+        var style = new Style(createStyleJSON());
+
+        style.on('load', function() {
+            style.addImage('badge', util.extend(createImage(4, 2), {pixelRatio: 2, sdf: true}));
+
+            style['get icons']({icons: ['badge', 'missing']}, function(err, icons) {
+                t.error(err);
+                t.deepEqual(Object.keys(icons), ['badge']);
+                t.equal(icons.badge.width, 2);
+                t.equal(icons.badge.height, 1);
+                t.equal(icons.badge.sdf, true);
+                t.equal(icons.badge.pixelRatio, 2);
+                t.end();
+            });
+        });
+    });
+
+    t.test('premultiplies images', function(t) {
+        var style = new Style(createStyleJSON());
+
+        style.on('load', function() {
+            style.addImage('badge', createImage(1, 1));
+            t.deepEqual(Array.prototype.slice.call(style.spriteAtlas.addedImages.badge.data), [128, 0, 0, 128]);
+            t.end();
+        });
+    });
+
+    t.test('fires styleimagemissing once per missing image', function(t) {
+        var style = new Style(createStyleJSON());
+
+        style.on('load', function() {
+            var missing = [];
+            style.on('styleimagemissing', function(e) {
+                missing.push(e.id);
+            });
+
+            style['get icons']({icons: ['a', 'b']}, function() {});
+            style['get icons']({icons: ['a', 'c']}, function() {});
+            t.deepEqual(missing, ['a', 'b', 'c']);
+            t.end();
+        });
+    });
+
+    t.test('uses images added by styleimagemissing listeners', function(t) {
+        var style = new Style(createStyleJSON());
+
+        style.on('load', function() {
+            style.on('styleimagemissing', function(e) {
+                style.addImage(e.id, createImage(1, 1));
+            });
+
+            style['get icons']({icons: ['badge']}, function(err, icons) {
+                t.error(err);
+                t.ok(icons.badge);
+                t.end();
+            });
+        });
+    });
+
+    t.test('reloads the tiles that were missing the image', function(t) {
+        var style = new Style(createStyleJSON({
+            sources: { geojson: createGeoJSONSource() }
+        }));
+
+        style.on('load', function() {
+            style['get icons']({icons: ['badge'], source: 'geojson', coord: 33}, function() {});
+            style['get icons']({icons: ['badge', 'other'], source: 'geojson', coord: 65}, function() {});
+
+            style.sources.geojson.reloadTiles = function(ids) {
+                t.deepEqual(ids, [33, 65]);
+
+                style.sources.geojson.reloadTiles = t.fail;
+                style.removeImage('badge');
+                style.addImage('badge', createImage(1, 1));
+                t.end();
+            };
+            style.addImage('badge', createImage(1, 1));
+        });
+    });
+
     t.end();
 });
 
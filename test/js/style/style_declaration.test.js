@@ -2,6 +2,7 @@
 
 var test = require('tap').test;
 var StyleDeclaration = require('../../../js/style/style_declaration');
+var parseColor = require('../../../js/style/parse_color');
 
 test('StyleDeclaration', function(t) {
     t.test('constant', function(t) {
@@ -85,5 +86,65 @@ test('StyleDeclaration', function(t) {
         t.end();
     });
 
+    t.test('categorical functions', function(t) {
+        var reference = {type: "color", function: "interpolated", default: "#000000"};
+        var declaration = new StyleDeclaration(reference, {
+            property: 'status',
+            type: 'categorical',
+            stops: [['sold', '#f00'], ['listed', '#0f0'], [1, '#00f'], [true, '#fff']],
+            default: '#888'
+        });
+
+        t.notOk(declaration.isFeatureConstant);
+        t.deepEqual(declaration.calculate({zoom: 0}, {status: 'sold'}), [1, 0, 0, 1]);
+        t.deepEqual(declaration.calculate({zoom: 0}, {status: 'listed'}), [0, 1, 0, 1]);
+        t.deepEqual(declaration.calculate({zoom: 0}, {status: 1}), [0, 0, 1, 1]);
+        t.deepEqual(declaration.calculate({zoom: 0}, {status: true}), [1, 1, 1, 1]);
+        t.deepEqual(declaration.calculate({zoom: 0}, {status: '1'}), parseColor('#888'), 'compares keys strictly');
+        t.deepEqual(declaration.calculate({zoom: 0}, {}), parseColor('#888'), 'uses the default');
+
+        var withoutDefault = new StyleDeclaration(reference, { property: 'status', stops: [['sold', '#f00']] });
+        t.deepEqual(withoutDefault.calculate({zoom: 0}, {status: 'listed'}), [0, 0, 0, 1], 'falls back to the default of the property');
+
+        var layout = new StyleDeclaration({type: "number", function: "piecewise-constant", default: 0}, {
+            property: 'direction',
+            type: 'categorical',
+            stops: [['north', 0], ['east', 90]]
+        });
+        t.equal(layout.calculate({zoom: 0}, {direction: 'east'}), 90);
+        t.equal(layout.calculate({zoom: 0}, {direction: 'west'}), 0);
+
+        t.end();
+    });
+
+    t.test('zoom-and-property functions', function(t) {
+        var declaration = new StyleDeclaration(
+            {type: "number", function: "interpolated"},
+            {
+                property: 'sqft',
+                base: 2,
+                stops: [
+                    [{zoom: 10, value: 500}, 1],
+                    [{zoom: 10, value: 5000}, 4],
+                    [{zoom: 16, value: 500}, 8],
+                    [{zoom: 16, value: 5000}, 32]
+                ]
+            }
+        );
+
+        t.notOk(declaration.isFeatureConstant);
+        t.notOk(declaration.isZoomConstant);
+        t.deepEqual(declaration.stopZoomLevels, [10, 16]);
+        t.equal(declaration.calculate({zoom: 10}, {sqft: 5000}), 4);
+        t.equal(declaration.calculate({zoom: 16}, {sqft: 500}), 8);
+
+        t.equal(declaration.calculateInterpolationT({zoom: 8}, 10, 16), 0);
+        t.equal(declaration.calculateInterpolationT({zoom: 12}, 10, 16), 3 / 63);
+        t.equal(declaration.calculateInterpolationT({zoom: 20}, 10, 16), 1);
+        t.equal(declaration.calculateInterpolationT({zoom: 12}, 16, 16), 0);
+
+        t.end();
+    });
+
     t.end();
 });
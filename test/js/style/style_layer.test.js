@@ -282,6 +282,119 @@ test('StyleLayer#setLayoutProperty', function(t) {
     t.end();
 });
 
+test('StyleLayer#setTimeRange', function(t) {
+    function createLayer() {
+        return StyleLayer.create({
+            "id": "circle",
+            "type": "circle"
+        });
+    }
+
+    t.test('shows every feature without a time property', function(t) {
+        var layer = createLayer();
+        t.ok(layer.isFeatureInTimeRange({}));
+        t.ok(layer.isFeatureInTimeRange({year: 'unknown'}));
+        t.end();
+    });
+
+    t.test('includes both bounds', function(t) {
+        var layer = createLayer();
+        layer.setTimeRange('year', 1990, 2000);
+
+        t.notOk(layer.isFeatureInTimeRange({year: 1989}));
+        t.ok(layer.isFeatureInTimeRange({year: 1990}));
+        t.ok(layer.isFeatureInTimeRange({year: 2000}));
+        t.notOk(layer.isFeatureInTimeRange({year: 2001}));
+        t.end();
+    });
+
+    t.test('supports open bounds', function(t) {
+        var layer = createLayer();
+        layer.setTimeRange('year', null, 2000);
+
+        t.ok(layer.isFeatureInTimeRange({year: -1e9}));
+        t.notOk(layer.isFeatureInTimeRange({year: 2001}));
+
+        layer.setTimeRange('year', 2000, null);
+        t.notOk(layer.isFeatureInTimeRange({year: 1999}));
+        t.ok(layer.isFeatureInTimeRange({year: 1e9}));
+        t.end();
+    });
+
+    t.test('shows every feature of layer types whose shaders ignore the range', function(t) {
+        var layer = StyleLayer.create({
+            "id": "fill",
+            "type": "fill",
+            "time-property": "year"
+        });
+        layer.setTimeRange('year', 1990, 2000);
+
+        t.ok(layer.isFeatureInTimeRange({year: 1989}));
+        t.ok(layer.isFeatureInTimeRange({}));
+        t.end();
+    });
+
+    t.test('hides features without a numeric value', function(t) {
+        var layer = createLayer();
+        layer.setTimeRange('year', null, null);
+
+        t.notOk(layer.isFeatureInTimeRange({}));
+        t.notOk(layer.isFeatureInTimeRange({year: '1990'}));
+        t.ok(layer.isFeatureInTimeRange({year: 1990}));
+        t.end();
+    });
+
+    t.test('clears the time property', function(t) {
+        var layer = createLayer();
+        layer.setTimeRange('year', 1990, 2000);
+        layer.setTimeRange(null);
+
+        t.equal(layer.timeProperty, undefined);
+        t.ok(layer.isFeatureInTimeRange({year: 1900}));
+        t.end();
+    });
+
+    t.test('serializes the time property', function(t) {
+        var layer = createLayer();
+        layer.setTimeRange('year', 1990, 2000);
+
+        t.equal(layer.serialize()['time-property'], 'year');
+        t.equal(StyleLayer.create(layer.serialize()).timeProperty, 'year');
+        t.end();
+    });
+
+    t.end();
+});
+
+test('HeatmapStyleLayer#getColorRamp', function(t) {
+    t.test('evaluates the default color ramp', function(t) {
+        var layer = StyleLayer.create({id: 'heatmap', type: 'heatmap'});
+        var colorRamp = layer.getColorRamp();
+
+        t.equal(colorRamp.length, 256 * 4);
+        t.deepEqual(Array.prototype.slice.call(colorRamp, 0, 4), [0, 0, 0, 0]);
+        t.deepEqual(Array.prototype.slice.call(colorRamp, 255 * 4), [255, 0, 0, 255]);
+        t.equal(layer.getColorRamp(), colorRamp, 'caches the color ramp');
+        t.end();
+    });
+
+    t.test('evaluates heatmap-color at densities from 0 to 1', function(t) {
+        var layer = StyleLayer.create({id: 'heatmap', type: 'heatmap', paint: {
+            'heatmap-color': {property: 'heatmap-density', stops: [[0, 'rgba(255, 255, 255, 0)'], [1, 'white']]}
+        }});
+        layer.updatePaintTransitions([], {transition: false}, null, {});
+        var colorRamp = layer.getColorRamp();
+
+        t.deepEqual(Array.prototype.slice.call(colorRamp, 0, 4), [0, 0, 0, 0]);
+        t.deepEqual(Array.prototype.slice.call(colorRamp, 255 * 4), [255, 255, 255, 255]);
+        t.equal(colorRamp[51 * 4 + 3], 51, 'premultiplies colors');
+        t.equal(colorRamp[51 * 4], 51);
+        t.end();
+    });
+
+    t.end();
+});
+
 test('StyleLayer#serialize', function(t) {
 
     function createSymbolLayer(layer) {
@@ -0,0 +1,42 @@
+'use strict';
+
+var test = require('tap').test;
+var GlyphAtlas = require('../../../js/symbol/glyph_atlas');
+
+function createGlyph(id, size) {
+    var bitmap = new Uint8Array((size + 6) * (size + 6));
+    for (var i = 0; i < bitmap.length; i++) bitmap[i] = id;
+    return {id: id, width: size, height: size, bitmap: bitmap};
+}
+
+test('GlyphAtlas', function(t) {
+    t.test('grows when it is full', function(t) {
+        var atlas = new GlyphAtlas(32, 32);
+        var a = atlas.addGlyph(1, 'Test', createGlyph(1, 20), 3);
+        var b = atlas.addGlyph(1, 'Test', createGlyph(2, 20), 3);
+
+        t.ok(a);
+        t.ok(b);
+        t.equal(atlas.width, 64);
+        t.equal(atlas.height, 64);
+        t.equal(atlas.data.length, 64 * 64);
+        t.equal(atlas.data[(a.y + 1) * atlas.width + a.x + 1], 1, 'keeps the glyphs where they were');
+        t.equal(atlas.data[(b.y + 1) * atlas.width + b.x + 1], 2);
+        t.end();
+    });
+
+    t.test('does not grow beyond the maximum texture size', function(t) {
+        var atlas = new GlyphAtlas(32, 32);
+        atlas.setMaxTextureSize(32);
+        atlas.addGlyph(1, 'Test', createGlyph(1, 20), 3);
+
+        var warn = console.warn;
+        console.warn = function() {};
+        t.equal(atlas.addGlyph(1, 'Test', createGlyph(2, 20), 3), null);
+        console.warn = warn;
+        t.equal(atlas.width, 32);
+        t.end();
+    });
+
+    t.end();
+});
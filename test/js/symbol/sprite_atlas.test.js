@@ -0,0 +1,102 @@
+'use strict';
+
+var test = require('tap').test;
+var SpriteAtlas = require('../../../js/symbol/sprite_atlas');
+
+function createImage(width, height) {
+    var data = new Uint8Array(width * height * 4);
+    for (var i = 0; i < data.length; i++) data[i] = 255;
+    return {data: data, width: width, height: height, pixelRatio: 1, sdf: false};
+}
+
+test('SpriteAtlas', function(t) {
+    t.test('grows when it is full', function(t) {
+        var atlas = new SpriteAtlas(32, 32);
+        atlas.addImage('a', createImage(26, 26));
+        atlas.addImage('b', createImage(26, 26));
+
+        atlas.addIcons(['a', 'b'], 1, function(err, images) {
+            t.error(err);
+            t.ok(images.a);
+            t.ok(images.b);
+            t.equal(atlas.width, 64);
+            t.equal(atlas.height, 64);
+
+            // The pixels of the first image are where they were.
+            var rect = images.a.rect;
+            t.equal(atlas.data[(rect.y + 1) * atlas.width + rect.x + 1], 0xffffffff);
+            t.equal(atlas.data.length, 64 * 64);
+            t.end();
+        });
+    });
+
+    t.test('does not grow beyond the maximum texture size', function(t) {
+        var atlas = new SpriteAtlas(32, 32);
+        atlas.setMaxTextureSize(32);
+        atlas.addImage('a', createImage(26, 26));
+        atlas.addImage('b', createImage(26, 26));
+
+        var warn = console.warn;
+        console.warn = function() {};
+        atlas.addIcons(['a', 'b'], 1, function(err, images) {
+            console.warn = warn;
+            t.error(err);
+            t.ok(images.a);
+            t.notOk(images.b);
+            t.equal(atlas.width, 32);
+            t.end();
+        });
+    });
+
+    t.test('frees images that no tile uses', function(t) {
+        var atlas = new SpriteAtlas(32, 32);
+        atlas.setMaxTextureSize(32);
+        atlas.addImage('a', createImage(26, 26));
+        atlas.addImage('b', createImage(20, 20));
+
+        atlas.addIcons(['a'], 1, function() {});
+        atlas.addIcons(['a'], 2, function() {});
+        var rect = atlas.images.a.rect;
+
+        atlas.removeIcons(1);
+        t.ok(atlas.images.a, 'keeps images that other tiles use');
+
+        atlas.removeIcons(2);
+        t.notOk(atlas.images.a);
+        t.equal(atlas.data[(rect.y + 1) * atlas.width + rect.x + 1], 0, 'clears the image');
+
+        atlas.addIcons(['b'], 3, function(err, images) {
+            t.error(err);
+            t.same(images.b.rect, rect, 'reuses the freed space');
+            t.end();
+        });
+    });
+
+    t.test('keeps patterns', function(t) {
+        var atlas = new SpriteAtlas(32, 32);
+        atlas.addImage('a', createImage(8, 8));
+
+        atlas.addIcons(['a'], 1, function() {});
+        t.ok(atlas.getPosition('a', true));
+        atlas.removeIcons(1);
+        t.ok(atlas.images.a);
+        t.end();
+    });
+
+    t.test('frees removed images once no tile uses them', function(t) {
+        var atlas = new SpriteAtlas(32, 32);
+        atlas.addImage('a', createImage(8, 8));
+        atlas.addIcons(['a'], 1, function() {});
+
+        atlas.removeImage('a');
+        t.notOk(atlas.images.a);
+        t.equal(atlas.freeRects.length, 0);
+
+        atlas.removeIcons(1);
+        t.equal(atlas.retiredImages.length, 0);
+        t.equal(atlas.freeRects.length, 1);
+        t.end();
+    });
+
+    t.end();
+});
@@ -247,6 +247,31 @@ test('camera', function(t) {
         t.end();
     });
 
+    t.test('#setPadding', function(t) {
+        t.test('sets padding, keeping the center', function(t) {
+            var camera = createCamera({zoom: 1});
+            camera.setPadding({left: 100, top: 50});
+            t.deepEqual(camera.getPadding(), {top: 50, bottom: 0, left: 100, right: 0});
+            t.deepEqual(camera.getCenter(), { lng: 0, lat: 0 });
+            t.deepEqual(camera.transform.locationPoint(camera.getCenter()), { x: 306, y: 281 });
+
+            camera.setPadding({left: 0});
+            t.deepEqual(camera.getPadding(), {top: 50, bottom: 0, left: 0, right: 0}, 'keeps the other sides');
+            t.end();
+        });
+
+        t.test('emits move events', function(t) {
+            var camera = createCamera();
+            var moved = false;
+            camera.on('move', function() { moved = true; });
+            camera.setPadding({right: 100});
+            t.ok(moved);
+            t.end();
+        });
+
+        t.end();
+    });
+
     t.test('#panBy', function(t) {
         t.test('pans by specified amount', function(t) {
             var camera = createCamera();
@@ -525,6 +550,32 @@ test('camera', function(t) {
             t.end();
         });
 
+        t.test('pans to a location with padding', function(t) {
+            var camera = createCamera({zoom: 1});
+            camera.easeTo({ center: [10, 0], padding: {left: 200}, duration: 0 });
+            t.deepEqual(fixedLngLat(camera.getCenter()), fixedLngLat({ lng: 10, lat: 0 }));
+            t.deepEqual(camera.getPadding(), {top: 0, bottom: 0, left: 200, right: 0});
+            t.deepEqual(fixedLngLat(camera.transform.pointLocation(camera.transform.centerPoint)), fixedLngLat({ lng: 10, lat: 0 }));
+            t.end();
+        });
+
+        t.test('animates padding', function(t) {
+            var camera = createCamera({zoom: 1});
+            var lefts = [];
+
+            camera.on('move', function() {
+                lefts.push(camera.getPadding().left);
+            });
+            camera.on('moveend', function() {
+                t.ok(lefts.some(function(left) { return left > 0 && left < 200; }), 'interpolates padding');
+                t.equal(camera.getPadding().left, 200);
+                t.deepEqual(fixedLngLat(camera.getCenter()), fixedLngLat({ lng: 0, lat: 0 }), 'keeps the center');
+                t.end();
+            });
+
+            camera.easeTo({ padding: {left: 200}, duration: 100 });
+        });
+
         t.test('zooms around a point', function(t) {
             var camera = createCamera();
             camera.easeTo({ around: [100, 0], zoom: 3, duration: 0 });
@@ -940,6 +991,18 @@ test('camera', function(t) {
             camera.flyTo({ center: [170, 0], duration: 10 });
         });
 
+        t.test('animates padding', function(t) {
+            var camera = createCamera();
+
+            camera.on('moveend', function() {
+                t.deepEqual(camera.getPadding(), {top: 0, bottom: 0, left: 0, right: 100});
+                t.deepEqual(fixedLngLat(camera.getCenter()), fixedLngLat({ lng: 10, lat: 0 }));
+                t.end();
+            });
+
+            camera.flyTo({ center: [10, 0], zoom: 2, padding: {right: 100}, duration: 10 });
+        });
+
         t.test('peaks at the specified zoom level', function(t) {
             var camera = createCamera();
             camera.setZoom(20);
@@ -962,6 +1025,125 @@ test('camera', function(t) {
         t.end();
     });
 
+    t.test('#cameraForBounds', function(t) {
+        function viewportBounds(tr, bounds) {
+            var points = [[bounds[0][0], bounds[1][1]], [bounds[1][0], bounds[1][1]], [bounds[1][0], bounds[0][1]], [bounds[0][0], bounds[0][1]]]
+                .map(function(c) { return tr.locationPoint({ lng: c[0], lat: c[1] }); });
+            return {
+                minX: fixedNum(Math.min.apply(null, points.map(function(p) { return p.x; })), 3),
+                maxX: fixedNum(Math.max.apply(null, points.map(function(p) { return p.x; })), 3),
+                minY: fixedNum(Math.min.apply(null, points.map(function(p) { return p.y; })), 3),
+                maxY: fixedNum(Math.max.apply(null, points.map(function(p) { return p.y; })), 3)
+            };
+        }
+
+        t.test('returns a camera without moving the map', function(t) {
+            var camera = createCamera();
+            var moved = false;
+            camera.on('move', function() { moved = true; });
+
+            var result = camera.cameraForBounds([[-10, -10], [10, 10]], { padding: 56 });
+            t.deepEqual(fixedLngLat(result.center), fixedLngLat({ lng: 0, lat: 0 }));
+            t.equal(fixedNum(result.zoom, 3), 3.806);
+            t.equal(result.bearing, 0);
+
+            t.notOk(moved);
+            t.equal(camera.getZoom(), 0);
+            t.deepEqual(camera.getCenter(), { lng: 0, lat: 0 });
+            t.end();
+        });
+
+        t.test('returns the camera that #fitBounds moves to', function(t) {
+            var camera = createCamera();
+            var options = { padding: {left: 112, top: 20}, offset: [10, -30], maxZoom: 10 };
+            var result = camera.cameraForBounds([[-10, -10], [10, 10]], options);
+
+            camera.fitBounds([[-10, -10], [10, 10]], util.extend({ linear: true, duration: 0 }, options));
+            t.deepEqual(fixedLngLat(camera.getCenter()), fixedLngLat(result.center));
+            t.equal(fixedNum(camera.getZoom(), 3), fixedNum(result.zoom, 3));
+            t.end();
+        });
+
+        t.test('caps the zoom at maxZoom', function(t) {
+            var camera = createCamera();
+            t.equal(camera.cameraForBounds([[-1, -1], [1, 1]], { maxZoom: 5 }).zoom, 5);
+            t.end();
+        });
+
+        t.test('fits bounds on a rotated map', function(t) {
+            var camera = createCamera();
+            var bounds = [[-10, -5], [10, 5]];
+            camera.jumpTo(camera.cameraForBounds(bounds, { bearing: 90 }));
+
+            t.equal(camera.getBearing(), 90);
+            var box = viewportBounds(camera.transform, bounds);
+            t.equal(box.minY, 0);
+            t.equal(box.maxY, 512);
+            t.ok(box.minX > 0 && box.maxX < 512);
+            t.equal(fixedNum((box.minX + box.maxX) / 2, 3), 256);
+            t.end();
+        });
+
+        t.test('fits bounds on a pitched map', function(t) {
+            var camera = createCamera();
+            camera.setPitch(45);
+            var bounds = [[-10, -10], [10, 10]];
+            camera.jumpTo(camera.cameraForBounds(bounds, { padding: 20 }));
+
+            var box = viewportBounds(camera.transform, bounds);
+            t.ok(box.minX >= 20 - 0.01 && box.maxX <= 492 + 0.01);
+            t.ok(box.minY >= 20 - 0.01 && box.maxY <= 492 + 0.01);
+            t.ok(Math.abs(box.minX - 20) < 0.01 || Math.abs(box.minY - 20) < 0.01, 'touches the padding');
+            t.equal(fixedNum((box.minX + box.maxX) / 2, 2), 256);
+            t.equal(fixedNum((box.minY + box.maxY) / 2, 2), 256);
+            t.end();
+        });
+
+        t.test('returns undefined when the padding leaves no room', function(t) {
+            var camera = createCamera();
+            t.equal(camera.cameraForBounds([[-10, -10], [10, 10]], { padding: 300 }), undefined);
+            t.end();
+        });
+
+        t.end();
+    });
+
+    t.test('#fitBounds', function(t) {
+        t.test('fits bounds with padding on each side', function(t) {
+            var camera = createCamera();
+            camera.fitBounds([[-10, -10], [10, 10]], { padding: 56, linear: true, duration: 0 });
+            t.deepEqual(fixedLngLat(camera.getCenter()), fixedLngLat({ lng: 0, lat: 0 }));
+            t.equal(fixedNum(camera.getZoom(), 3), 3.806);
+            t.end();
+        });
+
+        t.test('centers bounds in the space that per-side padding leaves', function(t) {
+            var camera = createCamera();
+            camera.fitBounds([[-10, -10], [10, 10]], { padding: {left: 112}, linear: true, duration: 0 });
+
+            var tr = camera.transform;
+            var nw = tr.locationPoint({ lng: -10, lat: 10 });
+            var se = tr.locationPoint({ lng: 10, lat: -10 });
+            t.equal(fixedNum(nw.x, 3), 112);
+            t.equal(fixedNum(se.x, 3), 512);
+            t.deepEqual(camera.getPadding(), {top: 0, bottom: 0, left: 0, right: 0}, 'does not set the map padding');
+            t.end();
+        });
+
+        t.test('fits bounds in the space that the map padding leaves', function(t) {
+            var camera = createCamera();
+            camera.setPadding({left: 112});
+            camera.fitBounds([[-10, -10], [10, 10]], { linear: true, duration: 0 });
+
+            var tr = camera.transform;
+            t.equal(fixedNum(tr.locationPoint({ lng: -10, lat: 10 }).x, 3), 112);
+            t.equal(fixedNum(tr.locationPoint({ lng: 10, lat: -10 }).x, 3), 512);
+            t.end();
+        });
+
+        t.end();
+    });
+
     t.test('#isEasing', function(t) {
         t.test('returns false when not easing', function(t) {
             var camera = createCamera();
@@ -0,0 +1,115 @@
+'use strict';
+
+var test = require('tap').test;
+var util = require('../../../js/util/util');
+var Evented = require('../../../js/util/evented');
+var LayerEvents = require('../../../js/ui/layer_events');
+
+// A map whose `building` layer has a feature everywhere.
+function createMap() {
+    return util.extend({
+        style: {
+            getLayer: function(id) { return id === 'building' ? {id: id} : undefined; }
+        },
+        queryRenderedFeatures: function() {
+            return [{properties: {}}];
+        }
+    }, Evented, LayerEvents.prototype);
+}
+
+test('LayerEvents', function(t) {
+    t.test('#on calls layer listeners with the features of the layer', function(t) {
+        var map = createMap();
+        var events = [];
+        map.on('click', 'building', function(e) { events.push(['building', e.features.length]); });
+        map.on('click', 'water', function() { events.push(['water']); });
+
+        map.fire('click', {point: {x: 0, y: 0}});
+        t.deepEqual(events, [['building', 1]]);
+        t.end();
+    });
+
+    t.test('#on fires mouseenter and mouseleave for a layer', function(t) {
+        var map = createMap();
+        var events = [];
+        map.on('mouseenter', 'building', function(e) { events.push(e.type); });
+        map.on('mouseleave', 'building', function(e) { events.push(e.type); });
+
+        map.fire('mousemove', {point: {x: 0, y: 0}});
+        map.fire('mousemove', {point: {x: 1, y: 1}});
+        map.fire('mouseout');
+        t.deepEqual(events, ['mouseenter', 'mouseleave']);
+        t.end();
+    });
+
+    t.test('#off removes a listener of a layer', function(t) {
+        var map = createMap();
+        var listener = t.fail.bind(t, 'calls a removed listener');
+        map.on('mouseenter', 'building', listener);
+        map.off('mouseenter', 'building', listener);
+
+        map.fire('mousemove', {point: {x: 0, y: 0}});
+        t.notOk(map.listens('mousemove'));
+        t.notOk(map._delegatedListeners.mouseenter);
+        t.end();
+    });
+
+    t.test('#off with a type removes the listeners of every layer', function(t) {
+        var map = createMap();
+        var listener = t.fail.bind(t, 'calls a removed listener');
+        map.on('mouseenter', 'building', listener);
+        map.on('mouseenter', 'water', listener);
+        map.on('click', 'building', listener);
+        map.on('click', listener);
+        map.off('mouseenter');
+        map.off('click');
+
+        map.fire('mousemove', {point: {x: 0, y: 0}});
+        map.fire('click', {point: {x: 0, y: 0}});
+        t.notOk(map.listens('mousemove'));
+        t.notOk(map.listens('click'));
+        t.deepEqual(map._delegatedListeners, {});
+        t.end();
+    });
+
+    t.test('#off with a type and a layer keeps the listeners of other layers', function(t) {
+        var map = createMap();
+        var clicks = 0;
+        map.on('click', 'building', t.fail.bind(t, 'calls a removed listener'));
+        map.on('click', 'building', t.fail.bind(t, 'calls a removed listener'));
+        map.on('click', function() { clicks++; });
+        map.off('click', 'building');
+
+        map.fire('click', {point: {x: 0, y: 0}});
+        t.equal(clicks, 1);
+        t.notOk(map._delegatedListeners.click);
+        t.end();
+    });
+
+    t.test('#off keeps the layer listeners when removing a map listener', function(t) {
+        var map = createMap();
+        var clicks = 0;
+        var listener = t.fail.bind(t, 'calls a removed listener');
+        map.on('click', listener);
+        map.on('click', 'building', function() { clicks++; });
+        map.off('click', listener);
+
+        map.fire('click', {point: {x: 0, y: 0}});
+        t.equal(clicks, 1);
+        t.end();
+    });
+
+    t.test('#off without a type removes every listener', function(t) {
+        var map = createMap();
+        map.on('mouseenter', 'building', t.fail.bind(t, 'calls a removed listener'));
+        map.on('click', t.fail.bind(t, 'calls a removed listener'));
+        map.off();
+
+        map.fire('mousemove', {point: {x: 0, y: 0}});
+        map.fire('click', {point: {x: 0, y: 0}});
+        t.notOk(map._delegatedListeners);
+        t.end();
+    });
+
+    t.end();
+});
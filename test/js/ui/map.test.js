@@ -787,6 +787,101 @@ test('Map', function(t) {
         t.end();
     });
 
+    t.test('layer events', function(t) {
+        var features = [{ type: 'Feature', properties: {} }];
+        var queriedFeatures;
+
+        function createLayerMap(callback) {
+            var map = createMap({ style: extend(createStyle(), {
+                layers: [{ id: 'layer', type: 'background' }]
+            })});
+            map.queryRenderedFeatures = function(point, params) {
+                t.deepEqual(params, { layers: ['layer'] });
+                return queriedFeatures;
+            };
+            map.on('load', function() {
+                callback(map);
+            });
+        }
+
+        t.test('#on calls listeners of layer events with the features at the point', function(t) {
+            createLayerMap(function(map) {
+                var events = [];
+                map.on('click', 'layer', function(e) {
+                    events.push(e);
+                });
+
+                queriedFeatures = [];
+                map.fire('click', { point: { x: 1, y: 1 } });
+                queriedFeatures = features;
+                map.fire('click', { point: { x: 2, y: 2 } });
+
+                t.equal(events.length, 1);
+                t.equal(events[0].type, 'click');
+                t.deepEqual(events[0].point, { x: 2, y: 2 });
+                t.equal(events[0].features, features);
+                t.end();
+            });
+        });
+
+        t.test('#on fires mouseenter and mouseleave when the mouse enters and leaves features', function(t) {
+            createLayerMap(function(map) {
+                var events = [];
+                map.on('mouseenter', 'layer', function(e) {
+                    events.push(e.type);
+                    t.equal(e.features, features);
+                });
+                map.on('mouseleave', 'layer', function(e) {
+                    events.push(e.type);
+                });
+
+                queriedFeatures = features;
+                map.fire('mousemove', { point: { x: 1, y: 1 } });
+                map.fire('mousemove', { point: { x: 2, y: 2 } });
+                queriedFeatures = [];
+                map.fire('mousemove', { point: { x: 3, y: 3 } });
+                map.fire('mousemove', { point: { x: 4, y: 4 } });
+                queriedFeatures = features;
+                map.fire('mousemove', { point: { x: 1, y: 1 } });
+                map.fire('mouseout', { point: { x: -1, y: 1 } });
+
+                t.deepEqual(events, ['mouseenter', 'mouseleave', 'mouseenter', 'mouseleave']);
+                t.end();
+            });
+        });
+
+        t.test('#off removes listeners of layer events', function(t) {
+            createLayerMap(function(map) {
+                function fail() { t.fail(); }
+                function pass() { t.pass(); }
+
+                map.on('click', 'layer', fail);
+                map.on('click', 'layer', pass);
+                map.on('mouseenter', 'layer', fail);
+                map.off('click', 'layer', fail);
+                map.off('mouseenter', 'layer', fail);
+                map.off('click', 'other', pass);
+
+                queriedFeatures = features;
+                map.fire('click', { point: { x: 1, y: 1 } });
+                map.fire('mousemove', { point: { x: 1, y: 1 } });
+
+                t.notOk(map.listens('mousemove'));
+                t.end();
+            });
+        });
+
+        t.test('#on ignores events of layers that are not in the style', function(t) {
+            createLayerMap(function(map) {
+                map.on('click', 'missing', function() { t.fail(); });
+                map.fire('click', { point: { x: 1, y: 1 } });
+                t.end();
+            });
+        });
+
+        t.end();
+    });
+
     t.test('#onError', function (t) {
         t.test('logs errors to console by default', function (t) {
             var error = console.error;
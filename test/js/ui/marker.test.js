@@ -0,0 +1,180 @@
+'use strict';
+
+var test = require('tap').test;
+var util = require('../../../js/util/util');
+var Evented = require('../../../js/util/evented');
+var Transform = require('../../../js/geo/transform');
+var LngLat = require('../../../js/geo/lng_lat');
+var Point = require('point-geometry');
+var dom = require('../../testutil/dom');
+var Marker = require('../../../js/ui/marker');
+var Popup = require('../../../js/ui/popup');
+
+dom.stub();
+
+function createMap() {
+    var transform = new Transform(0, 20);
+    transform.resize(512, 512);
+
+    var container = new dom.Element('div', 512, 512);
+    var canvasContainer = container.appendChild(new dom.Element('div', 512, 512));
+
+    return util.extend({
+        transform: transform,
+        project: function(lnglat) {
+            return transform.locationPoint(LngLat.convert(lnglat));
+        },
+        unproject: function(point) {
+            return transform.pointLocation(Point.convert(point));
+        },
+        getContainer: function() {
+            return container;
+        },
+        getCanvasContainer: function() {
+            return canvasContainer;
+        }
+    }, Evented);
+}
+
+function createMarker(options) {
+    return new Marker(new dom.Element('div', 20, 20), options);
+}
+
+test('Marker', function(t) {
+    t.test('#setLngLat and #getLngLat', function(t) {
+        var marker = createMarker();
+        t.equal(marker.getLngLat(), undefined);
+
+        t.equal(marker.setLngLat([10, 20]), marker);
+        t.ok(marker.getLngLat() instanceof LngLat);
+        t.deepEqual(marker.getLngLat(), new LngLat(10, 20));
+        t.end();
+    });
+
+    t.test('#addTo', function(t) {
+        var map = createMap();
+        var marker = createMarker({anchor: 'bottom', offset: [0, -5]})
+            .setLngLat([0, 0])
+            .addTo(map);
+
+        t.equal(marker.getElement().parentNode, map.getCanvasContainer());
+        t.equal(marker.getElement().style.transform, 'translate(-50%,-100%) translate(256px,251px)');
+        t.end();
+    });
+
+    t.test('moves with the map', function(t) {
+        var map = createMap();
+        var marker = createMarker().setLngLat([0, 0]).addTo(map);
+        var lngLat = map.unproject([56, 256]);
+
+        map.transform.center = lngLat;
+        map.fire('move');
+        t.equal(marker.getElement().style.transform, 'translate(-50%,-50%) translate(456px,256px)');
+
+        marker.setLngLat(lngLat);
+        t.equal(marker.getElement().style.transform, 'translate(-50%,-50%) translate(256px,256px)');
+        t.end();
+    });
+
+    t.test('#setPopup', function(t) {
+        t.test('sets the popup location', function(t) {
+            var popup = new Popup();
+            var marker = createMarker().setLngLat([10, 20]).setPopup(popup);
+
+            t.equal(marker.getPopup(), popup);
+            t.deepEqual(popup.getLngLat(), new LngLat(10, 20));
+
+            marker.setLngLat([30, 40]);
+            t.deepEqual(popup.getLngLat(), new LngLat(30, 40));
+            t.end();
+        });
+
+        t.test('toggles the popup on click', function(t) {
+            var map = createMap();
+            var popup = new Popup();
+            var marker = createMarker().setLngLat([0, 0]).setPopup(popup).addTo(map);
+
+            var click = marker.getElement().dispatchEvent('click');
+            t.ok(click.propagationStopped, 'keeps the map from closing the popup');
+            t.equal(popup._map, map, 'opens the popup');
+
+            marker.getElement().dispatchEvent('click');
+            t.notOk(popup._map, 'closes the popup');
+            t.end();
+        });
+
+        t.test('unbinds the popup', function(t) {
+            var map = createMap();
+            var popup = new Popup();
+            var marker = createMarker().setLngLat([0, 0]).setPopup(popup).addTo(map);
+
+            marker.togglePopup();
+            marker.setPopup();
+            t.equal(marker.getPopup(), undefined);
+            t.notOk(popup._map, 'closes the popup');
+
+            var click = marker.getElement().dispatchEvent('click');
+            t.notOk(click.propagationStopped, 'lets the map handle clicks');
+            t.end();
+        });
+
+        t.end();
+    });
+
+    t.test('dragging', function(t) {
+        t.test('moves a draggable marker', function(t) {
+            var map = createMap();
+            var marker = createMarker({draggable: true}).setLngLat([0, 0]).addTo(map);
+            var events = [];
+            ['dragstart', 'drag', 'dragend'].forEach(function(type) {
+                marker.on(type, function() { events.push(type); });
+            });
+
+            // grab the marker 2px right of its location
+            var down = marker.getElement().dispatchEvent('mousedown', {clientX: 258, clientY: 256});
+            t.ok(down.propagationStopped, 'keeps the map from panning');
+
+            document.dispatchEvent('mousemove', {clientX: 302, clientY: 256});
+            t.deepEqual(marker.getLngLat(), map.unproject([300, 256]));
+            t.equal(marker.getElement().style.transform, 'translate(-50%,-50%) translate(300px,256px)');
+
+            document.dispatchEvent('mouseup', {clientX: 302, clientY: 256});
+            t.deepEqual(events, ['dragstart', 'drag', 'dragend']);
+            t.equal(document.listenerCount('mousemove'), 0);
+            t.equal(document.listenerCount('mouseup'), 0);
+            t.end();
+        });
+
+        t.test('does not move a marker that is not draggable', function(t) {
+            var map = createMap();
+            var marker = createMarker().setLngLat([0, 0]).addTo(map);
+
+            var down = marker.getElement().dispatchEvent('mousedown', {clientX: 256, clientY: 256});
+            t.notOk(down.propagationStopped, 'lets the map pan');
+            t.equal(document.listenerCount('mousemove'), 0);
+            t.deepEqual(marker.getLngLat(), new LngLat(0, 0));
+            t.end();
+        });
+
+        t.end();
+    });
+
+    t.test('#remove', function(t) {
+        var map = createMap();
+        var popup = new Popup();
+        var marker = createMarker({draggable: true}).setLngLat([0, 0]).setPopup(popup).addTo(map);
+
+        marker.togglePopup();
+        marker.getElement().dispatchEvent('mousedown', {clientX: 256, clientY: 256});
+        t.equal(marker.remove(), marker);
+
+        t.notOk(marker.getElement().parentNode, 'removes the element');
+        t.notOk(map.listens('move'), 'stops following the map');
+        t.notOk(popup._map, 'closes the popup');
+        t.equal(document.listenerCount('mousemove'), 0, 'ends the drag');
+        t.equal(document.listenerCount('mouseup'), 0, 'ends the drag');
+        t.end();
+    });
+
+    t.end();
+});
@@ -0,0 +1,149 @@
+'use strict';
+
+var test = require('tap').test;
+var util = require('../../../js/util/util');
+var Evented = require('../../../js/util/evented');
+var Transform = require('../../../js/geo/transform');
+var LngLat = require('../../../js/geo/lng_lat');
+var Point = require('point-geometry');
+var dom = require('../../testutil/dom');
+var Popup = require('../../../js/ui/popup');
+
+dom.stub();
+
+function createMap() {
+    var transform = new Transform(0, 20);
+    transform.resize(512, 512);
+
+    var container = new dom.Element('div', 512, 512);
+
+    return util.extend({
+        transform: transform,
+        project: function(lnglat) {
+            return transform.locationPoint(LngLat.convert(lnglat));
+        },
+        unproject: function(point) {
+            return transform.pointLocation(Point.convert(point));
+        },
+        getContainer: function() {
+            return container;
+        }
+    }, Evented);
+}
+
+// Show a 100x50 popup at a point of a 512x512 map and return its anchor.
+function getAnchor(point, options) {
+    var map = createMap();
+    var popup = new Popup(options)
+        .setLngLat(map.unproject(point))
+        .setDOMContent(new dom.Element('span'))
+        .addTo(map);
+
+    popup._container.offsetWidth = 100;
+    popup._container.offsetHeight = 50;
+    map.fire('move');
+
+    var anchors = ['top', 'top-left', 'top-right', 'bottom', 'bottom-left', 'bottom-right', 'left', 'right'];
+    return anchors.filter(function(anchor) {
+        return popup._container.classList.contains('mapboxgl-popup-anchor-' + anchor);
+    }).join();
+}
+
+test('Popup', function(t) {
+    t.test('normalizeOffset', function(t) {
+        t.test('offsets every anchor by the distance of a number', function(t) {
+            var offset = Popup.normalizeOffset(10);
+            t.deepEqual(offset.top, new Point(0, 10));
+            t.deepEqual(offset.bottom, new Point(0, -10));
+            t.deepEqual(offset.left, new Point(10, 0));
+            t.deepEqual(offset.right, new Point(-10, 0));
+            t.deepEqual(offset['top-left'], new Point(7, 7));
+            t.deepEqual(offset['bottom-right'], new Point(-7, -7));
+            t.end();
+        });
+
+        t.test('offsets every anchor by a point or an array', function(t) {
+            var fromPoint = Popup.normalizeOffset(new Point(5, -5));
+            var fromArray = Popup.normalizeOffset([5, -5]);
+            ['top', 'top-left', 'top-right', 'bottom', 'bottom-left', 'bottom-right', 'left', 'right'].forEach(function(anchor) {
+                t.deepEqual(fromPoint[anchor], new Point(5, -5), anchor);
+                t.deepEqual(fromArray[anchor], new Point(5, -5), anchor);
+            });
+            t.end();
+        });
+
+        t.test('offsets each anchor by an object, defaulting to none', function(t) {
+            var offset = Popup.normalizeOffset({'bottom': [0, -40], 'left': new Point(10, 0)});
+            t.deepEqual(offset.bottom, new Point(0, -40));
+            t.deepEqual(offset.left, new Point(10, 0));
+            t.deepEqual(offset.top, new Point(0, 0));
+            t.deepEqual(offset['bottom-right'], new Point(0, 0));
+            t.end();
+        });
+
+        t.test('offsets no anchor without an offset', function(t) {
+            t.deepEqual(Popup.normalizeOffset().top, new Point(0, 0));
+            t.end();
+        });
+
+        t.end();
+    });
+
+    t.test('anchors above the location by default', function(t) {
+        t.equal(getAnchor([256, 256]), 'bottom');
+        t.end();
+    });
+
+    t.test('anchors away from the edges', function(t) {
+        t.equal(getAnchor([256, 20]), 'top');
+        t.equal(getAnchor([256, 500]), 'bottom');
+        t.equal(getAnchor([20, 256]), 'left');
+        t.equal(getAnchor([500, 256]), 'right');
+        t.equal(getAnchor([20, 20]), 'top-left');
+        t.equal(getAnchor([500, 20]), 'top-right');
+        t.equal(getAnchor([20, 500]), 'bottom-left');
+        t.equal(getAnchor([500, 500]), 'bottom-right');
+        t.end();
+    });
+
+    t.test('accounts for the offset when choosing the anchor', function(t) {
+        t.equal(getAnchor([256, 80], {offset: {'bottom': [0, -40]}}), 'top');
+        t.equal(getAnchor([80, 256], {offset: {'left': [-40, 0]}}), 'left');
+        t.equal(getAnchor([430, 256], {offset: {'right': [40, 0]}}), 'right');
+        t.end();
+    });
+
+    t.test('keeps a set anchor', function(t) {
+        t.equal(getAnchor([20, 20], {anchor: 'bottom-right'}), 'bottom-right');
+        t.end();
+    });
+
+    t.test('positions the popup at its offset location', function(t) {
+        var map = createMap();
+        var popup = new Popup({offset: [5, -10]})
+            .setLngLat(map.unproject([256, 256]))
+            .setDOMContent(new dom.Element('span'))
+            .addTo(map);
+
+        t.equal(popup._container.parentNode, map.getContainer());
+        t.equal(popup._container.style.transform, 'translate(-50%,-100%) translate(261px,246px)');
+        t.end();
+    });
+
+    t.test('#remove', function(t) {
+        var map = createMap();
+        var popup = new Popup()
+            .setLngLat([0, 0])
+            .setDOMContent(new dom.Element('span'))
+            .addTo(map);
+        var container = popup._container;
+
+        t.equal(popup.remove(), popup);
+        t.notOk(container.parentNode, 'removes the container');
+        t.notOk(map.listens('move'), 'stops following the map');
+        t.notOk(map.listens('click'), 'stops closing on click');
+        t.end();
+    });
+
+    t.end();
+});
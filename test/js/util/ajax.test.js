@@ -0,0 +1,99 @@
+'use strict';
+
+var test = require('tap').test;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var zlib = require('zlib');
+var Module = require('module');
+var ajax = require('../../../js/util/ajax');
+
+var fixtures = path.join(__dirname, '/../../fixtures/');
+var tile = fs.readFileSync(path.join(fixtures, 'mbsv5-6-18-23.vector.pbf'));
+
+// sqlite3 is an optional dependency, without which MBTiles can't be read
+var skipMBTiles = false;
+try {
+    require('sqlite3');
+} catch (err) {
+    skipMBTiles = 'sqlite3 is not installed';
+}
+
+test('ajax', function(t) {
+    t.test('getJSON reads file:// URLs', function(t) {
+        ajax.getJSON('file://' + path.join(fixtures, 'source.json'), function(err, data) {
+            t.error(err);
+            t.deepEqual(data, JSON.parse(fs.readFileSync(path.join(fixtures, 'source.json'))));
+            t.end();
+        });
+    });
+
+    t.test('getArrayBuffer reads file:// URLs', function(t) {
+        ajax.getArrayBuffer({url: 'file://' + path.join(fixtures, 'mbsv5-6-18-23.vector.pbf')}, function(err, data) {
+            t.error(err);
+            t.ok(data instanceof ArrayBuffer);
+            t.deepEqual(new Buffer(new Uint8Array(data)), tile);
+            t.end();
+        });
+    });
+
+    t.test('getArrayBuffer inflates gzipped files', function(t) {
+        var file = path.join(os.tmpdir(), 'mapbox-gl-ajax-test.vector.pbf.gz');
+        fs.writeFileSync(file, zlib.gzipSync(tile));
+
+        ajax.getArrayBuffer('file://' + file, function(err, data) {
+            fs.unlinkSync(file);
+            t.error(err);
+            t.deepEqual(new Buffer(new Uint8Array(data)), tile);
+            t.end();
+        });
+    });
+
+    t.test('getArrayBuffer errors on missing files', function(t) {
+        ajax.getArrayBuffer('file://' + path.join(fixtures, 'missing.pbf'), function(err) {
+            t.ok(err);
+            t.end();
+        });
+    });
+
+    t.test('getJSON reads the TileJSON of mbtiles:// URLs', {skip: skipMBTiles}, function(t) {
+        ajax.getJSON('mbtiles://' + path.join(fixtures, 'mbsv5.mbtiles'), function(err, data) {
+            t.error(err);
+            t.deepEqual(data.tiles, ['mbtiles://' + path.join(fixtures, 'mbsv5.mbtiles') + '/{z}/{x}/{y}']);
+            t.equal(data.minzoom, 6);
+            t.equal(data.maxzoom, 6);
+            t.deepEqual(data.bounds, [-78.75, 40.98, -73.125, 45.08]);
+            t.deepEqual(data.vector_layers, [{id: 'water'}]);
+            t.end();
+        });
+    });
+
+    t.test('getArrayBuffer reads and inflates tiles of mbtiles:// URLs', {skip: skipMBTiles}, function(t) {
+        ajax.getArrayBuffer('mbtiles://' + path.join(fixtures, 'mbsv5.mbtiles') + '/6/18/23', function(err, data) {
+            t.error(err);
+            t.deepEqual(new Buffer(new Uint8Array(data)), tile);
+
+            ajax.getArrayBuffer('mbtiles://' + path.join(fixtures, 'mbsv5.mbtiles') + '/6/18/24', function(err) {
+                t.match(err.message, /Tile not found/);
+                t.end();
+            });
+        });
+    });
+
+    t.test('explains that mbtiles:// URLs require sqlite3', function(t) {
+        // pretend that sqlite3 is not installed
+        var load = Module._load;
+        Module._load = function(request) {
+            if (request === 'sqlite3') throw new Error('Cannot find module \'sqlite3\'');
+            return load.apply(this, arguments);
+        };
+
+        ajax.getJSON('mbtiles://' + path.join(fixtures, 'unopened.mbtiles'), function(err) {
+            Module._load = load;
+            t.match(err.message, /^Reading MBTiles requires the sqlite3 module, which is not installed: Cannot find module 'sqlite3'/);
+            t.end();
+        });
+    });
+
+    t.end();
+});
@@ -0,0 +1,25 @@
+'use strict';
+
+var test = require('tap').test;
+var Point = require('point-geometry');
+var classifyRings = require('../../../js/util/classify_rings');
+
+function ring(coordinates) {
+    return coordinates.map(function(c) { return new Point(c[0], c[1]); });
+}
+
+test('classifyRings', function(t) {
+    var outer1 = ring([[0, 0], [10, 0], [10, 10], [0, 10]]);
+    var hole = ring([[2, 2], [2, 8], [8, 8], [8, 2]]);
+    var outer2 = ring([[20, 0], [30, 0], [30, 10], [20, 10]]);
+    var empty = ring([[0, 0], [5, 0], [10, 0]]);
+
+    t.deepEqual(classifyRings([outer1, hole, empty, outer2]), [[outer1, hole], [outer2]]);
+    t.end();
+});
+
+test('classifyRings.signedArea', function(t) {
+    t.equal(classifyRings.signedArea(ring([[0, 0], [10, 0], [10, 10], [0, 10]])), 100);
+    t.equal(classifyRings.signedArea(ring([[0, 0], [0, 10], [10, 10], [10, 0]])), -100);
+    t.end();
+});
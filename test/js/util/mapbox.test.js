@@ -121,6 +121,12 @@ test("mapbox", function(t) {
             t.end();
         });
 
+        t.test('inserts @2x for a pixel ratio of 2', function(t) {
+            t.equal(mapbox.normalizeTileURL('http://path.png/tile.png', mapboxSource, undefined, 2), 'http://path.png/tile@2x.png');
+            t.equal(mapbox.normalizeTileURL('http://path.png/tile.png', mapboxSource, undefined, 1), 'http://path.png/tile.png');
+            t.end();
+        });
+
         t.test('inserts @2x when tileSize == 512', function(t) {
             t.equal(mapbox.normalizeTileURL('http://path.png/tile.png', mapboxSource, 512), 'http://path.png/tile@2x.png');
             t.equal(mapbox.normalizeTileURL('http://path.png/tile.png32', mapboxSource, 512), 'http://path.png/tile@2x.png32');
@@ -0,0 +1,80 @@
+'use strict';
+
+var test = require('tap').test;
+var PNG = require('pngjs').PNG;
+var renderStatic = require('../../../js/util/render_static');
+var browser = require('../../../js/util/browser');
+
+test('renderStatic', function(t) {
+    var style = {
+        version: 8,
+        sources: {},
+        layers: [{ id: 'background', type: 'background', paint: { 'background-color': '#ff0000' } }]
+    };
+
+    t.test('renders a PNG image', function(t) {
+        renderStatic({
+            style: {
+                version: 8,
+                sources: {},
+                layers: [{ id: 'background', type: 'background', paint: { 'background-color': '#ff0000' } }]
+            },
+            width: 4,
+            height: 2,
+            pixelRatio: 2
+        }, function(err, data) {
+            t.error(err);
+
+            var png = PNG.sync.read(data);
+            t.equal(png.width, 8);
+            t.equal(png.height, 4);
+            t.deepEqual(Array.prototype.slice.call(png.data, 0, 4), [255, 0, 0, 255]);
+            t.end();
+        });
+    });
+
+    t.test('rounds the size of the image down to whole pixels', function(t) {
+        renderStatic({ style: style, width: 5, height: 3, pixelRatio: 1.5 }, function(err, data) {
+            t.error(err);
+
+            var png = PNG.sync.read(data);
+            t.equal(png.width, 7);
+            t.equal(png.height, 4);
+            t.end();
+        });
+    });
+
+    t.test('renders images with different pixel ratios at the same time', function(t) {
+        var sizes = {};
+
+        renderStatic({ style: style, width: 4, height: 2, pixelRatio: 1 }, onRender.bind(null, 1));
+        renderStatic({ style: style, width: 4, height: 2, pixelRatio: 2 }, onRender.bind(null, 2));
+        t.equal(browser.devicePixelRatio, 1, 'leaves the device pixel ratio alone');
+
+        function onRender(pixelRatio, err, data) {
+            t.error(err);
+
+            var png = PNG.sync.read(data);
+            sizes[pixelRatio] = [png.width, png.height];
+            if (Object.keys(sizes).length < 2) return;
+
+            t.deepEqual(sizes, { 1: [4, 2], 2: [8, 4] });
+            t.end();
+        }
+    });
+
+    t.test('calls back with errors loading a source', function(t) {
+        renderStatic({
+            style: {
+                version: 8,
+                sources: { missing: { type: 'vector', url: 'http://localhost:2900/missing.json' } },
+                layers: []
+            }
+        }, function(err) {
+            t.ok(err);
+            t.end();
+        });
+    });
+
+    t.end();
+});
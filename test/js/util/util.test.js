@@ -279,5 +279,14 @@ test('util', function(t) {
         });
     }
 
+    t.test('getRequestParameters', function(t) {
+        t.deepEqual(util.getRequestParameters(undefined, 'http://example.com/style.json', 'Style'), {url: 'http://example.com/style.json'});
+        t.deepEqual(util.getRequestParameters(function() {}, 'http://example.com/style.json', 'Style'), {url: 'http://example.com/style.json'});
+        t.deepEqual(util.getRequestParameters(function(url, resourceType) {
+            return {url: url + '?type=' + resourceType, withCredentials: true};
+        }, 'http://example.com/style.json', 'Style'), {url: 'http://example.com/style.json?type=Style', withCredentials: true});
+        t.end();
+    });
+
     t.end();
 });
@@ -1,12 +1,10 @@
 'use strict';
 
 var Map = require('../js/ui/map');
-var browser = require('../js/util/browser');
+var readPixels = require('../js/util/render_static').readPixels;
 
 
 module.exports = function(style, options, callback) {
-    browser.devicePixelRatio = options.pixelRatio;
-
     var map = new Map({
         container: {
             offsetWidth: options.width,
@@ -18,6 +16,7 @@ module.exports = function(style, options, callback) {
         },
         style: style,
         classes: options.classes,
+        pixelRatio: options.pixelRatio,
         interactive: false,
         attributionControl: false
     });
@@ -28,24 +27,7 @@ module.exports = function(style, options, callback) {
     var gl = map.painter.gl;
 
     map.once('load', function() {
-        var w = options.width * browser.devicePixelRatio,
-            h = options.height * browser.devicePixelRatio;
-
-        var pixels = new Uint8Array(w * h * 4);
-        gl.readPixels(0, 0, w, h, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
-
-        var data = new Buffer(pixels);
-
-        // Flip the scanlines.
-        var stride = w * 4;
-        var tmp = new Buffer(stride);
-        for (var i = 0, j = h - 1; i < j; i++, j--) {
-            var start = i * stride;
-            var end = j * stride;
-            data.copy(tmp, 0, start, start + stride);
-            data.copy(data, start, end, end + stride);
-            tmp.copy(data, end);
-        }
+        var data = readPixels(gl, options.width * options.pixelRatio, options.height * options.pixelRatio);
 
         var results = options.queryGeometry ?
             map.queryRenderedFeatures(options.queryGeometry, options) :
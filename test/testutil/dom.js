@@ -0,0 +1,97 @@
+'use strict';
+
+var Point = require('point-geometry');
+var util = require('../../js/util/util');
+var DOM = require('../../js/util/dom');
+
+module.exports = {
+    Element: Element,
+    stub: stub
+};
+
+// A minimal stand-in for a DOM element, enough to test the UI classes in node.
+function Element(tagName, width, height) {
+    var classes = {};
+
+    this.tagName = tagName;
+    this.offsetWidth = width || 0;
+    this.offsetHeight = height || 0;
+    this.style = {};
+    this.childNodes = [];
+    this.parentNode = null;
+    this.classList = {
+        add: function(name) { classes[name] = true; },
+        remove: function(name) { delete classes[name]; },
+        contains: function(name) { return !!classes[name]; }
+    };
+    this._listeners = {};
+}
+
+Element.prototype = {
+    appendChild: function(child) {
+        if (child.parentNode) child.parentNode.removeChild(child);
+        child.parentNode = this;
+        this.childNodes.push(child);
+        return child;
+    },
+
+    removeChild: function(child) {
+        this.childNodes.splice(this.childNodes.indexOf(child), 1);
+        child.parentNode = null;
+        return child;
+    },
+
+    addEventListener: function(type, listener) {
+        this._listeners[type] = (this._listeners[type] || []).concat(listener);
+    },
+
+    removeEventListener: function(type, listener) {
+        this._listeners[type] = (this._listeners[type] || []).filter(function(l) { return l !== listener; });
+    },
+
+    listenerCount: function(type) {
+        return (this._listeners[type] || []).length;
+    },
+
+    // Call the listeners for an event with `properties` such as `clientX`
+    dispatchEvent: function(type, properties) {
+        var event = util.extend({
+            type: type,
+            button: 0,
+            clientX: 0,
+            clientY: 0,
+            defaultPrevented: false,
+            propagationStopped: false,
+            preventDefault: function() { this.defaultPrevented = true; },
+            stopPropagation: function() { this.propagationStopped = true; }
+        }, properties);
+
+        (this._listeners[type] || []).slice().forEach(function(listener) {
+            listener(event);
+        });
+        return event;
+    }
+};
+
+// Replace the browser-only parts of `js/util/dom` with versions that work on
+// `Element`s, whose client coordinates are relative to the element, and make
+// `document` an `Element` to listen on.
+function stub() {
+    DOM.create = function(tagName, className, container) {
+        var el = new Element(tagName);
+        if (className) el.className = className;
+        if (container) container.appendChild(el);
+        return el;
+    };
+    DOM.setTransform = function(el, value) {
+        el.style.transform = value;
+    };
+    DOM.mousePos = function(el, e) {
+        return new Point(e.clientX, e.clientY);
+    };
+    DOM.disableDrag = function() {};
+    DOM.enableDrag = function() {};
+    DOM.suppressClick = function() {};
+
+    global.document = new Element('document');
+}